@@ -6,7 +6,14 @@ const http = require("http");
 const net = require("net");
 const App = require("./src/App");
 const DB = require("./src/config/connectDB");
+const MediaServer = require("./src/utils/media/mediaServer");
 const aedes = require("./src/utils/mqtt/mqttHandler");
+const {
+  startAccountMaintenance,
+} = require("./src/modules/user/account.data");
+const {
+  startDigestSchedule,
+} = require("./src/modules/notifications/notification.digest");
 
 // make an app
 const app = express();
@@ -32,24 +39,40 @@ app.use(
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS", "PATCH"],
     credentials: true,
   }),
-  express.json({ limit: "200gb" }),
+  express.json({
+    limit: "200gb",
+    // keep the raw payload for payment webhook signature verification
+    verify: (req, _, buf) => {
+      if (req.originalUrl?.startsWith("/api/v1/payments/webhook")) {
+        req.rawBody = buf;
+      }
+    },
+  }),
   express.urlencoded({ extended: true, limit: "200gb" })
 );
 
 // Static file routes
-app.use("/uploads", express.static(path.join(process.cwd(), "uploads")));
+// Uploads are byte-served (Range, ETag) from wherever Storage keeps them
+app.use("/uploads", MediaServer.serve("uploads"));
 app.use("/shop", express.static(path.join(process.cwd(), "shop")));
-app.use(
-  "/courses/public",
-  express.static(path.join(process.cwd(), "courses/public"))
-);
+app.use("/courses/public", MediaServer.serve("courses/public"));
 
 // Database connection
 DB();
 
+// REST handlers publish realtime updates through the broker
+app.set("aedes", aedes);
+
 // Main application routes
 App(app);
 
+// Erase accounts past their deletion grace period and expire old exports,
+// run by the worker
+startAccountMaintenance();
+
+// Daily and weekly notification digest emails, sent by the worker
+startDigestSchedule();
+
 // Start MQTT server
 const MQTT_PORT = process.env.MQTT_PORT || 1883;
 mqttServer.listen(MQTT_PORT, () => {
@@ -5,12 +5,16 @@ const fallback = require("./reusables/fallbacks.js");
 const like = require("./modules/likes/likes.routes.js");
 const follow = require("./modules/follow/follow.route.js");
 const courses = require("./modules/courses/course.routes.js");
+const enrollments = require("./modules/courses/enrollment.routes.js");
 const admin = require("./modules/admin/admin.routes.js");
 const shop = require("./modules/shop/shop.routes");
 const chat = require("./modules/chat/chat.routes");
 const notifications = require("./modules/notifications/notification.routes");
 const videos = require("./modules/video/video.routes");
 const events = require("./modules/events/event.routes.js");
+const payments = require("./modules/payments/payment.routes.js");
+const search = require("./modules/search/search.routes.js");
+const jobs = require("./modules/jobs/jobs.routes.js");
 const { AccessPrivateFiles } = require("./modules/private-file/access.js");
 
 const App = (app) => {
@@ -23,15 +27,19 @@ const App = (app) => {
     like,
     follow,
     courses,
+    enrollments,
     admin,
     shop,
     chat,
     notifications,
     videos,
-    events
+    events,
+    payments,
+    search,
+    jobs
   );
 
-  app.use("/courses/private/:subfolder/:filename", AccessPrivateFiles);
+  app.get("/courses/private/:subfolder/:filename", AccessPrivateFiles);
 
   app.use("/", (_, res) => {
     return res.send(fallback);
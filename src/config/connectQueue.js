@@ -0,0 +1,12 @@
+const Redis = require("ioredis");
+
+// Connection for the background job queue. Connects on first use so
+// scripts that never touch the queue don't hold a socket open.
+const queueRedis = new Redis(
+  process.env.REDIS_URL || "redis://127.0.0.1:6379",
+  { lazyConnect: true }
+);
+
+queueRedis.on("error", (err) => console.error("Queue Redis Error", err));
+
+module.exports = queueRedis;
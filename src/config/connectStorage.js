@@ -0,0 +1,23 @@
+const LocalDriver = require("../utils/storage/localDriver");
+const S3Driver = require("../utils/storage/s3Driver");
+
+// Where uploads live. STORAGE_DRIVER=s3 keeps them in an S3-compatible
+// bucket (AWS S3, MinIO, ...); by default they are files under the
+// project folder, served by express.
+const createStorageDriver = () => {
+  if (process.env.STORAGE_DRIVER === "s3") {
+    return new S3Driver({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || "us-east-1",
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false",
+    });
+  }
+  return new LocalDriver({
+    secret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+  });
+};
+
+module.exports = createStorageDriver();
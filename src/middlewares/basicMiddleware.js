@@ -1,11 +1,10 @@
 const jwt = require("jsonwebtoken");
-const { tokenGen } = require("../utils/auth/tokenHandler");
 const User = require("../modules/user/user.model");
+const Session = require("../modules/user/session.model");
 const { firebaseMiddleware } = require("./firebaseMiddleware");
 const GenRes = require("../utils/routers/GenRes");
 
 const secretKey = process.env.JWT_SECRET;
-const refreshSecret = process.env.JWT_REFRESH_SECRET;
 
 const basicMiddleware = async (req, res, next) => {
   req.user = null;
@@ -30,42 +29,27 @@ const basicMiddleware = async (req, res, next) => {
       // Validate the access token
       decoded = jwt.verify(jwtToken, secretKey);
     } catch (err) {
-      const fallbackDecoded = jwt.decode(jwtToken);
-
-      if (!fallbackDecoded || !fallbackDecoded.refreshToken) {
-        throw new Error("Access token invalid and no refresh token present.");
-      }
-
-      // Validate the refresh token
-      try {
-        jwt.verify(fallbackDecoded.refreshToken, refreshSecret);
-      } catch (refreshErr) {
-        throw new Error("Invalid or expired refresh token.");
+      if (err?.name === "TokenExpiredError") {
+        const response = GenRes(
+          401,
+          { tokenExpired: true },
+          { error: "Access token expired" },
+          "Access token expired. Use the refresh endpoint to get a new one."
+        );
+        return res.status(401).json(response);
       }
+      throw new Error("Access token invalid.");
+    }
 
-      const { _id, email, phone } = fallbackDecoded;
-
-      // Generate new tokens
-      const newTokens = tokenGen({ _id, email, phone });
-
-      // Attempt to update the user's refresh token
-      const user = await User.findOneAndUpdate(
-        { _id, email, refreshToken: fallbackDecoded.refreshToken },
-        { $set: { refreshToken: newTokens.refreshToken } },
-        { new: true }
-      );
-
-      if (!user) {
-        throw new Error("User not found or refresh token mismatch.");
+    // Tokens bound to a device session die with it
+    if (decoded.sid) {
+      const session = await Session.exists({
+        _id: decoded.sid,
+        revokedAt: null,
+      });
+      if (!session) {
+        throw new Error("Session has been revoked. Please login again.");
       }
-
-      const response = GenRes(
-        426,
-        { accessToken: newTokens.accessToken },
-        null,
-        "New access token issued. Please retry with the new token."
-      );
-      return res.status(426).json(response);
     }
 
     // Verified access token
@@ -96,6 +80,7 @@ const basicMiddleware = async (req, res, next) => {
       role: user.role,
       uid: user.uid || null,
       emailVerified: user.emailVerified,
+      sessionId: decoded.sid || null,
     };
 
     if (user.role === "admin") {
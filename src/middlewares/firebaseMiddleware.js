@@ -44,12 +44,9 @@ const firebaseMiddleware = async (req, res, next) => {
       date: new Date(),
     };
 
-    const { accessToken, refreshToken } = tokenGen(tokenData);
-    user.refreshToken = refreshToken;
-    await user.save();
-
+    // Session-less access token only; refresh tokens come from /login
+    const { accessToken } = tokenGen(tokenData);
     res.set("X-Access-Token", accessToken);
-    res.set("X-Refresh-Token", refreshToken);
 
     req.user = {
       ...decodedToken,
@@ -107,12 +104,9 @@ const optionalFirebaseMiddleware = async (req, res, next) => {
       date: new Date(),
     };
 
-    const { accessToken, refreshToken } = tokenGen(tokenData);
-    user.refreshToken = refreshToken;
-    await user.save();
-
+    // Session-less access token only; refresh tokens come from /login
+    const { accessToken } = tokenGen(tokenData);
     res.set("X-Access-Token", accessToken);
-    res.set("X-Refresh-Token", refreshToken);
 
     req.user = {
       ...decodedToken,
@@ -0,0 +1,41 @@
+const GenRes = require("../utils/routers/GenRes");
+const { hasPermission } = require("../utils/auth/permissions");
+
+// Must run after basicMiddleware. Passes only when the user's role grants
+// every listed permission.
+const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return res
+        .status(401)
+        .json(
+          GenRes(
+            401,
+            null,
+            { error: "Authentication required" },
+            "Please login to continue"
+          )
+        );
+    }
+
+    const missing = permissions.filter(
+      (permission) => !hasPermission(req.user.role, permission)
+    );
+    if (permissions.length === 0 || missing.length > 0) {
+      return res
+        .status(403)
+        .json(
+          GenRes(
+            403,
+            { missingPermissions: missing },
+            { error: "Not authorized" },
+            "You do not have permission to perform this action"
+          )
+        );
+    }
+
+    return next();
+  };
+
+module.exports = { requirePermission };
@@ -1,4 +1,5 @@
 const User = require("../modules/user/user.model");
+const Session = require("../modules/user/session.model");
 const GenRes = require("../utils/routers/GenRes");
 const jwt = require("jsonwebtoken");
 
@@ -22,6 +23,17 @@ const vendorMiddleware = async (req, res, next) => {
       throw new Error("Token Incorrect or Expired!");
     }
 
+    // Tokens bound to a device session die with it
+    if (decoded.sid) {
+      const session = await Session.exists({
+        _id: decoded.sid,
+        revokedAt: null,
+      });
+      if (!session) {
+        throw new Error("Session has been revoked. Please login again.");
+      }
+    }
+
     const { email, _id, phone } = decoded;
 
     const vendor = await User.findOne({
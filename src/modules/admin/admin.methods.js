@@ -1,25 +1,18 @@
 const User = require("../user/user.model");
 const Content = require("../contents/contents.model");
+const { ScheduleContentCleanup } = require("../contents/contents.cleanup");
 const Shop = require("../shop/shop.model");
 const Report = require("../user/report.model");
 const Support = require("../user/support.model");
-const transporter = require("../../config/Mailer");
+const { queueEmail } = require("../../utils/notification/emailQueue");
 const GenRes = require("../../utils/routers/GenRes");
 const { isValidObjectId } = require("mongoose");
 const FCMHandler = require("../../utils/notification/fcmHandler");
+const StorageQuota = require("../../utils/storage/storageQuota");
 
 // Get all users with pagination and filtering
 const GetUsers = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res.status(403).json({
-        status: 403,
-        data: null,
-        error: { message: "Not authorized" },
-        message: "Only admins can view users",
-      });
-    }
-
     const page = Math.max(0, parseInt(req.query.page) || 0);
     const limit = Math.max(1, parseInt(req.query.limit) || 20);
     const search = req.query.search?.trim() || "";
@@ -80,19 +73,6 @@ const GetUsers = async (req, res) => {
 // Get user details with their content
 const GetUserDetails = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can view user details"
-          )
-        );
-    }
-
     const { userId } = req.params;
 
     if (!isValidObjectId(userId)) {
@@ -117,9 +97,10 @@ const GetUserDetails = async (req, res) => {
         .json(GenRes(404, null, { error: "User not found" }, "User not found"));
     }
 
-    const [contents, products] = await Promise.all([
+    const [contents, products, storage] = await Promise.all([
       Content.find({ "author._id": userId }).lean(),
       Shop.find({ "vendor._id": userId }).lean(),
+      StorageQuota.usage(user),
     ]);
 
     return res.status(200).json(
@@ -129,6 +110,7 @@ const GetUserDetails = async (req, res) => {
           user,
           contents,
           products,
+          storage,
         },
         null,
         "User details retrieved successfully"
@@ -139,22 +121,60 @@ const GetUserDetails = async (req, res) => {
   }
 };
 
-// Add vendor
-const AddVendor = async (req, res) => {
+// Override a user's upload storage quota, in bytes; null goes back to
+// their role's quota
+const SetStorageQuota = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    const { userId } = req.params;
+    const { quotaBytes } = req.body || {};
+
+    if (!isValidObjectId(userId)) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Invalid user ID" },
+            "Invalid user ID provided"
+          )
+        );
+    }
+    if (
+      quotaBytes !== null &&
+      !(Number.isSafeInteger(quotaBytes) && quotaBytes >= 0)
+    ) {
       return res
-        .status(403)
+        .status(400)
         .json(
           GenRes(
-            403,
+            400,
             null,
-            { error: "Not authorized" },
-            "Only admins can add vendors"
+            { error: "Invalid quota" },
+            "quotaBytes must be a whole number of bytes or null"
           )
         );
     }
 
+    const user = await User.findById(userId).select("email role").lean();
+    if (!user) {
+      return res
+        .status(404)
+        .json(GenRes(404, null, { error: "User not found" }, "User not found"));
+    }
+
+    const storage = await StorageQuota.setQuota(user, quotaBytes);
+    return res
+      .status(200)
+      .json(GenRes(200, storage, null, "Storage quota updated"));
+  } catch (error) {
+    return res.status(500).json(GenRes(500, null, error, error.message));
+  }
+};
+
+// Add vendor
+const AddVendor = async (req, res) => {
+  try {
     const {
       email,
       password,
@@ -193,7 +213,7 @@ const AddVendor = async (req, res) => {
 
     await newVendor.save();
 
-    await transporter.sendMail({
+    await queueEmail({
       from: process.env.EMAIL,
       to: email,
       subject: "Your Vendor Account Credentials",
@@ -229,19 +249,6 @@ const AddVendor = async (req, res) => {
 // Get user statistics
 const GetUserStats = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can view statistics"
-          )
-        );
-    }
-
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const thisWeek = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
@@ -277,19 +284,6 @@ const GetUserStats = async (req, res) => {
 // Get user leaderboard
 const GetLeaderboard = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can view leaderboard"
-          )
-        );
-    }
-
     const pipeline = [
       {
         $group: {
@@ -317,19 +311,6 @@ const GetLeaderboard = async (req, res) => {
 // Ban user
 const BanUser = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can ban users"
-          )
-        );
-    }
-
     const { userId, duration, reason } = req.body;
 
     if (!userId || !duration || !reason) {
@@ -359,7 +340,7 @@ const BanUser = async (req, res) => {
     user.banReason = reason;
     await user.save();
 
-    await transporter.sendMail({
+    await queueEmail({
       from: process.env.EMAIL,
       to: user.email,
       subject: "Account Temporarily Suspended",
@@ -396,19 +377,6 @@ const BanUser = async (req, res) => {
 // Get vendor statistics
 const GetVendorStats = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can view vendor statistics"
-          )
-        );
-    }
-
     const vendors = await User.find({ role: "vendor" }).select(
       "_id email businessName"
     );
@@ -441,19 +409,6 @@ const GetVendorStats = async (req, res) => {
 // Delete user content
 const DeleteUserContent = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can delete content"
-          )
-        );
-    }
-
     const { contentId, reason } = req.body;
 
     if (!contentId || !reason) {
@@ -479,8 +434,9 @@ const DeleteUserContent = async (req, res) => {
     }
 
     await Content.findByIdAndDelete(contentId);
+    await ScheduleContentCleanup(contentId, content.files, content.hashtags);
 
-    await transporter.sendMail({
+    await queueEmail({
       from: process.env.EMAIL,
       to: content.author.email,
       subject: "Content Removed - Policy Violation",
@@ -516,19 +472,6 @@ const DeleteUserContent = async (req, res) => {
 // Handle advertisement requests
 const HandleAdRequest = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can handle ad requests"
-          )
-        );
-    }
-
     const { adId, status, message } = req.body;
 
     const ad = await Advertisement.findById(adId);
@@ -549,7 +492,7 @@ const HandleAdRequest = async (req, res) => {
     await ad.save();
 
     // Send notification to advertiser
-    await transporter.sendMail({
+    await queueEmail({
       from: process.env.EMAIL,
       to: ad.advertiser.email,
       subject: `Advertisement ${
@@ -592,19 +535,6 @@ const HandleAdRequest = async (req, res) => {
 // Get advertisement statistics
 const GetAdStats = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can view ad statistics"
-          )
-        );
-    }
-
     const stats = await Advertisement.aggregate([
       {
         $group: {
@@ -628,19 +558,6 @@ const GetAdStats = async (req, res) => {
 // Get all reports
 const GetReports = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can view reports"
-          )
-        );
-    }
-
     const page = parseInt(req.query.page) || 0;
     const limit = 20;
     const status = req.query.status;
@@ -677,19 +594,6 @@ const GetReports = async (req, res) => {
 // Handle report response
 const HandleReport = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can handle reports"
-          )
-        );
-    }
-
     const { reportId, status, response } = req.body;
 
     const report = await Report.findById(reportId);
@@ -707,7 +611,7 @@ const HandleReport = async (req, res) => {
 
     // Send email notification
     try {
-      await transporter.sendMail({
+      await queueEmail({
         from: process.env.EMAIL,
         to: report.reporter.email,
         subject: "Update on Your Report",
@@ -727,7 +631,7 @@ const HandleReport = async (req, res) => {
 
     // Send FCM notification
     try {
-      await FCMHandler.sendToUser(report.reporter._id, {
+      await FCMHandler.queueToUser(report.reporter._id, {
         title: "Report Update",
         body: `Your report has been updated to: ${status}`,
         type: "report_update",
@@ -752,19 +656,6 @@ const HandleReport = async (req, res) => {
 // Get all support tickets
 const GetSupportTickets = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can view support tickets"
-          )
-        );
-    }
-
     const page = parseInt(req.query.page) || 0;
     const limit = 20;
     const status = req.query.status;
@@ -801,19 +692,6 @@ const GetSupportTickets = async (req, res) => {
 // Handle support ticket response
 const HandleSupportTicket = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can handle support tickets"
-          )
-        );
-    }
-
     const { ticketId, response } = req.body;
 
     const ticket = await Support.findById(ticketId);
@@ -835,7 +713,7 @@ const HandleSupportTicket = async (req, res) => {
     await ticket.save();
 
     // Send email notification
-    await transporter.sendMail({
+    await queueEmail({
       from: process.env.EMAIL,
       to: ticket.user.email,
       subject: "Response to Your Support Ticket",
@@ -850,7 +728,7 @@ const HandleSupportTicket = async (req, res) => {
     });
 
     // Send FCM notification
-    await FCMHandler.sendToUser(ticket.user._id, {
+    await FCMHandler.queueToUser(ticket.user._id, {
       title: "Support Ticket Response",
       body: "We've responded to your support ticket",
       type: "support_response",
@@ -870,6 +748,7 @@ const HandleSupportTicket = async (req, res) => {
 module.exports = {
   GetUsers,
   GetUserDetails,
+  SetStorageQuota,
   AddVendor,
   GetUserStats,
   GetLeaderboard,
@@ -9,41 +9,119 @@ const {
   GetAdStats,
   GetUsers,
   GetUserDetails,
+  SetStorageQuota,
   GetReports,
   HandleReport,
   GetSupportTickets,
   HandleSupportTicket,
 } = require("./admin.methods");
 const basicMiddleware = require("../../middlewares/basicMiddleware");
+const { requirePermission } = require("../../middlewares/permissionMiddleware");
 
 const route = require("express").Router();
 
 // User management
-route.get("/admin-users", basicMiddleware, GetUsers);
-route.get("/admin-users/:userId", basicMiddleware, GetUserDetails);
+route.get(
+  "/admin-users",
+  basicMiddleware,
+  requirePermission("users:read"),
+  GetUsers
+);
+route.get(
+  "/admin-users/:userId",
+  basicMiddleware,
+  requirePermission("users:read"),
+  GetUserDetails
+);
+route.put(
+  "/admin-users/:userId/storage-quota",
+  basicMiddleware,
+  requirePermission("users:manage"),
+  SetStorageQuota
+);
 
 // Vendor management
-route.post("/add-vendor", basicMiddleware, AddVendor);
+route.post(
+  "/add-vendor",
+  basicMiddleware,
+  requirePermission("vendors:manage"),
+  AddVendor
+);
 
 // User statistics and management
-route.get("/user-stats", basicMiddleware, GetUserStats);
-route.get("/leaderboard", basicMiddleware, GetLeaderboard);
-route.post("/ban-user", basicMiddleware, BanUser);
-route.delete("/user-content", basicMiddleware, DeleteUserContent);
+route.get(
+  "/user-stats",
+  basicMiddleware,
+  requirePermission("stats:read"),
+  GetUserStats
+);
+route.get(
+  "/leaderboard",
+  basicMiddleware,
+  requirePermission("stats:read"),
+  GetLeaderboard
+);
+route.post(
+  "/ban-user",
+  basicMiddleware,
+  requirePermission("users:manage"),
+  BanUser
+);
+route.delete(
+  "/user-content",
+  basicMiddleware,
+  requirePermission("content:moderate"),
+  DeleteUserContent
+);
 
 // Vendor statistics
-route.get("/vendor-stats", basicMiddleware, GetVendorStats);
+route.get(
+  "/vendor-stats",
+  basicMiddleware,
+  requirePermission("stats:read"),
+  GetVendorStats
+);
 
 // Advertisement management
-route.post("/handle-ad", basicMiddleware, HandleAdRequest);
-route.get("/ad-stats", basicMiddleware, GetAdStats);
+route.post(
+  "/handle-ad",
+  basicMiddleware,
+  requirePermission("ads:manage"),
+  HandleAdRequest
+);
+route.get(
+  "/ad-stats",
+  basicMiddleware,
+  requirePermission("stats:read"),
+  GetAdStats
+);
 
 // Report management
-route.get("/admin-reports", basicMiddleware, GetReports);
-route.post("/admin-handle-report", basicMiddleware, HandleReport);
+route.get(
+  "/admin-reports",
+  basicMiddleware,
+  requirePermission("reports:manage"),
+  GetReports
+);
+route.post(
+  "/admin-handle-report",
+  basicMiddleware,
+  requirePermission("reports:manage"),
+  HandleReport
+);
 
 // Support ticket management
-route.get("/admin-support-tickets", basicMiddleware, GetSupportTickets);
-route.post("/admin-handle-support", basicMiddleware, HandleSupportTicket);
+route.get(
+  "/admin-support-tickets",
+  basicMiddleware,
+  requirePermission("support:manage"),
+  GetSupportTickets
+);
+route.post(
+  "/admin-handle-support",
+  basicMiddleware,
+  requirePermission("support:manage"),
+  HandleSupportTicket
+);
 
 module.exports = route;
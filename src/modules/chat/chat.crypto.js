@@ -0,0 +1,240 @@
+const crypto = require("crypto");
+const CryptoJS = require("crypto-js");
+const ChatKey = require("./chatKey.model");
+
+// Envelope encryption for chat messages. Every chat has its own random data
+// key, stored wrapped with a master key from the environment, so a leaked
+// data key only exposes one chat and master keys can be rotated by
+// re-wrapping the data keys instead of re-encrypting every message.
+//
+// Ciphertext format: env1:<key version>:<iv>:<auth tag>:<data> (base64).
+// Anything else is a legacy CryptoJS ciphertext under CHAT_ENCRYPTION_KEY.
+const ALGORITHM = "aes-256-gcm";
+const CIPHERTEXT_PREFIX = "env1";
+const ACTIVE_KEY_TTL_MS = 5 * 60 * 1000;
+
+// data keys by `${chatId}:${version}`, active versions by chat id
+const dataKeys = new Map();
+const activeVersions = new Map();
+let masterKeys;
+
+const deriveKey = (secret) =>
+  Buffer.from(crypto.hkdfSync("sha256", secret, "", "chat-master-key", 32));
+
+// CHAT_MASTER_KEYS="1:<secret>,2:<secret>"; CHAT_MASTER_KEY_VERSION (or the
+// highest version) wraps new data keys. Without it CHAT_ENCRYPTION_KEY acts
+// as master key version 1, so existing deployments keep working.
+const getMasterKeys = () => {
+  if (masterKeys) return masterKeys;
+
+  const keys = new Map();
+  if (process.env.CHAT_MASTER_KEYS) {
+    for (const entry of process.env.CHAT_MASTER_KEYS.split(",")) {
+      const [version, ...secret] = entry.trim().split(":");
+      if (!parseInt(version) || !secret.join(":")) {
+        throw new Error("CHAT_MASTER_KEYS entries must look like <n>:<secret>");
+      }
+      keys.set(parseInt(version), deriveKey(secret.join(":")));
+    }
+  } else if (process.env.CHAT_ENCRYPTION_KEY) {
+    keys.set(1, deriveKey(process.env.CHAT_ENCRYPTION_KEY));
+  }
+  if (keys.size === 0) throw new Error("No chat master key configured");
+
+  const current =
+    parseInt(process.env.CHAT_MASTER_KEY_VERSION) || Math.max(...keys.keys());
+  if (!keys.has(current)) {
+    throw new Error(`Chat master key version ${current} is not configured`);
+  }
+
+  masterKeys = { keys, current };
+  return masterKeys;
+};
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString("base64"))
+    .join(":");
+};
+
+const open = (key, sealed) => {
+  const [iv, tag, data] = sealed
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+};
+
+const unwrapKey = (record) => {
+  const masterKey = getMasterKeys().keys.get(record.masterKeyVersion);
+  if (!masterKey) {
+    throw new Error(
+      `Chat master key version ${record.masterKeyVersion} is not configured`
+    );
+  }
+  return open(masterKey, record.wrappedKey);
+};
+
+const wrapKey = (dataKey) => {
+  const { keys, current } = getMasterKeys();
+  return {
+    wrappedKey: seal(keys.get(current), dataKey),
+    masterKeyVersion: current,
+  };
+};
+
+// The key scope of a message: its group conversation or the pair of users
+const chatIdOf = (message) =>
+  message.conversationId
+    ? message.conversationId.toString()
+    : [message.sender._id.toString(), message.receiver._id.toString()]
+        .sort()
+        .join("_");
+
+const getDataKey = async (chatId, version) => {
+  const cacheKey = `${chatId}:${version}`;
+  if (!dataKeys.has(cacheKey)) {
+    const record = await ChatKey.findOne({ chatId, version }).lean();
+    if (!record) {
+      throw new Error(`Chat key ${version} not found for chat ${chatId}`);
+    }
+    dataKeys.set(cacheKey, unwrapKey(record));
+  }
+  return dataKeys.get(cacheKey);
+};
+
+// Store a new data key version; a concurrent writer creating the same
+// version wins and its key is used instead
+const createDataKey = async (chatId, version) => {
+  try {
+    await ChatKey.create({
+      chatId,
+      version,
+      ...wrapKey(crypto.randomBytes(32)),
+    });
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+  }
+  return getDataKey(chatId, version);
+};
+
+// Version and key that new messages of the chat are encrypted with
+const getActiveKey = async (chatId) => {
+  const cached = activeVersions.get(chatId);
+  if (cached && cached.expiresAt > Date.now()) {
+    const key = await getDataKey(chatId, cached.version);
+    return { version: cached.version, key };
+  }
+
+  const latest = await ChatKey.findOne({ chatId })
+    .sort({ version: -1 })
+    .select("version")
+    .lean();
+  const version = latest?.version || 1;
+  const key = latest
+    ? await getDataKey(chatId, version)
+    : await createDataKey(chatId, version);
+
+  activeVersions.set(chatId, {
+    version,
+    expiresAt: Date.now() + ACTIVE_KEY_TTL_MS,
+  });
+  return { version, key };
+};
+
+const encryptText = async (plaintext, chatId) => {
+  const { version, key } = await getActiveKey(chatId);
+  return `${CIPHERTEXT_PREFIX}:${version}:${seal(key, plaintext ?? "")}`;
+};
+
+// Key version of a ciphertext, or null for legacy ciphertexts
+const keyVersionOf = (ciphertext) => {
+  const [prefix, version] = String(ciphertext || "").split(":");
+  return prefix === CIPHERTEXT_PREFIX ? parseInt(version) : null;
+};
+
+// Throws when the ciphertext cannot be decrypted instead of returning a
+// placeholder, so callers can tell a failure from an empty message
+const decryptText = async (ciphertext, chatId) => {
+  if (!ciphertext) return "";
+
+  const version = keyVersionOf(ciphertext);
+  if (version === null) {
+    let plaintext;
+    try {
+      plaintext = CryptoJS.AES.decrypt(
+        ciphertext,
+        process.env.CHAT_ENCRYPTION_KEY
+      ).toString(CryptoJS.enc.Utf8);
+    } catch (error) {
+      throw new Error(`Failed to decrypt legacy message: ${error.message}`);
+    }
+    return plaintext;
+  }
+
+  const key = await getDataKey(chatId, version);
+  try {
+    const sealed = ciphertext.split(":").slice(2).join(":");
+    return open(key, sealed).toString("utf8");
+  } catch (error) {
+    throw new Error(`Failed to decrypt message: ${error.message}`);
+  }
+};
+
+// Start a new data key version for the chat. Older versions are retired
+// but kept until nothing encrypted with them is left.
+const rotateChatKey = async (chatId) => {
+  const latest = await ChatKey.findOne({ chatId })
+    .sort({ version: -1 })
+    .select("version")
+    .lean();
+  const version = (latest?.version || 0) + 1;
+  await createDataKey(chatId, version);
+  await ChatKey.updateMany(
+    { chatId, version: { $lt: version }, retiredAt: { $exists: false } },
+    { $set: { retiredAt: new Date() } }
+  );
+  activeVersions.delete(chatId);
+  return version;
+};
+
+// Wrap every data key with the current master key, so older master keys
+// can be removed from the environment afterwards
+const rewrapChatKeys = async () => {
+  const { current } = getMasterKeys();
+  let count = 0;
+  for await (const record of ChatKey.find({
+    masterKeyVersion: { $ne: current },
+  }).cursor()) {
+    const update = wrapKey(unwrapKey(record));
+    await ChatKey.updateOne({ _id: record._id }, { $set: update });
+    count++;
+  }
+  return count;
+};
+
+// Remove the keys of a chat whose messages are gone
+const deleteChatKeys = async (chatId, versions) => {
+  const filter = { chatId };
+  if (versions) filter.version = { $in: versions };
+  await ChatKey.deleteMany(filter);
+
+  for (const cacheKey of dataKeys.keys()) {
+    if (cacheKey.startsWith(`${chatId}:`)) dataKeys.delete(cacheKey);
+  }
+  activeVersions.delete(chatId);
+};
+
+module.exports = {
+  chatIdOf,
+  encryptText,
+  decryptText,
+  keyVersionOf,
+  rotateChatKey,
+  rewrapChatKeys,
+  deleteChatKeys,
+};
@@ -0,0 +1,213 @@
+const path = require("path");
+const { isValidObjectId } = require("mongoose");
+const ChatMessage = require("./chat.model");
+const Conversation = require("./conversation.model");
+const { publishToConversation } = require("./conversation.realtime");
+
+const MAX_ATTACHMENTS = 5;
+const MAX_EDIT_HISTORY = 20;
+const REPLY_PREVIEW_LENGTH = 100;
+// emoji including skin tones, flags and ZWJ sequences, but not plain digits
+const EMOJI_PATTERN =
+  /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Emoji_Component}]+$/u;
+
+const IMAGE_EXT = /\.(jpe?g|png|gif|webp)$/i;
+const AUDIO_EXT = /\.(m4a|aac|mp3|ogg|oga|opus|wav|webm)$/i;
+
+const attachmentTypeOf = (url, mimeType = "") => {
+  if (mimeType.startsWith("image/") || IMAGE_EXT.test(url)) return "image";
+  if (mimeType.startsWith("audio/") || AUDIO_EXT.test(url)) return "audio";
+  return "file";
+};
+
+// Keep only attachments the sender uploaded to their own chat folder
+const sanitizeAttachments = (attachments, senderEmail) => {
+  if (!Array.isArray(attachments) || !senderEmail) return [];
+  const folder = `/uploads/${senderEmail}/chat/`;
+
+  return attachments
+    .filter(
+      (attachment) =>
+        typeof attachment?.url === "string" &&
+        attachment.url.startsWith(folder) &&
+        path.posix.normalize(attachment.url) === attachment.url
+    )
+    .slice(0, MAX_ATTACHMENTS)
+    .map((attachment) => ({
+      url: attachment.url,
+      type: attachmentTypeOf(attachment.url, attachment.mimeType),
+      name: String(
+        attachment.name || path.posix.basename(attachment.url)
+      ).slice(0, 255),
+      mimeType: attachment.mimeType ? String(attachment.mimeType) : undefined,
+      size: Number(attachment.size) || undefined,
+      duration: Number(attachment.duration) || undefined,
+    }));
+};
+
+const isEmoji = (value) =>
+  typeof value === "string" && value.length <= 16 && EMOJI_PATTERN.test(value);
+
+// Messages that belong to the same chat as the given scope: a group
+// conversation or the one-to-one chat between two users
+const chatFilter = ({ conversationId, userIds }) =>
+  conversationId
+    ? { conversationId: conversationId.toString() }
+    : {
+        conversationId: { $exists: false },
+        $or: [
+          { "sender._id": userIds[0], "receiver._id": userIds[1] },
+          { "sender._id": userIds[1], "receiver._id": userIds[0] },
+        ],
+      };
+
+// The reply reference for a new message, or null when the message it
+// answers is not part of the same chat
+const resolveReplyTo = async (replyToId, scope) => {
+  if (!replyToId || !isValidObjectId(replyToId)) return null;
+
+  const original = await ChatMessage.findOne({
+    _id: replyToId,
+    ...chatFilter(scope),
+  })
+    .select("sender")
+    .lean();
+  if (!original) return null;
+
+  return {
+    _id: original._id.toString(),
+    sender: { _id: original.sender._id, name: original.sender.name },
+  };
+};
+
+const isDeletedForEveryone = (message) =>
+  message.deletedBySender && message.deletedByReceiver;
+
+// Decrypt a message, or null when it cannot be decrypted; the failure is
+// logged so one bad message does not break the whole chat
+const decryptOrNull = async (message) => {
+  try {
+    return await ChatMessage.decryptMessage(
+      message.message,
+      ChatMessage.chatIdOf(message)
+    );
+  } catch (error) {
+    console.error(`Error decrypting message ${message._id}:`, error.message);
+    return null;
+  }
+};
+
+// Decrypted message for clients; edit history is only sent on request
+const serializeMessage = async (message) => {
+  const { editHistory, ...rest } = message.toObject
+    ? message.toObject()
+    : message;
+  const text = await decryptOrNull(rest);
+  return {
+    ...rest,
+    message: text,
+    undecryptable: text === null,
+    edited: !!rest.editedAt,
+  };
+};
+
+const serializeMessages = (messages) =>
+  Promise.all(messages.map(serializeMessage));
+
+// Add a short decrypted preview of the replied-to message. Previews are
+// built on read so no plaintext is stored next to the encrypted message.
+const withReplyPreviews = async (messages) => {
+  const ids = [
+    ...new Set(
+      messages.map((message) => message.replyTo?._id).filter(Boolean)
+    ),
+  ];
+  if (ids.length === 0) return messages;
+
+  const originals = await ChatMessage.find({ _id: { $in: ids } })
+    .select(
+      "sender receiver conversationId message attachments deletedBySender deletedByReceiver"
+    )
+    .lean();
+  const previews = new Map();
+  for (const original of originals) {
+    if (isDeletedForEveryone(original)) continue;
+    const text = await decryptOrNull(original);
+    previews.set(original._id.toString(), {
+      message: text?.slice(0, REPLY_PREVIEW_LENGTH) ?? null,
+      attachmentType: original.attachments?.[0]?.type,
+    });
+  }
+
+  return messages.map((message) => {
+    if (!message.replyTo?._id) return message;
+    const preview = previews.get(message.replyTo._id);
+
+    return {
+      ...message,
+      replyTo: {
+        ...message.replyTo,
+        message: preview?.message ?? null,
+        attachmentType: preview?.attachmentType ?? null,
+        deleted: !preview,
+      },
+    };
+  });
+};
+
+// Whether the user takes part in the chat the message belongs to
+const canAccessMessage = async (message, userId) => {
+  const id = userId.toString();
+  if (message.conversationId) {
+    return !!(await Conversation.exists({
+      _id: message.conversationId,
+      "members._id": id,
+    }));
+  }
+  return message.sender?._id === id || message.receiver?._id === id;
+};
+
+// Push a change of an existing message to everyone in its chat
+const publishMessageEvent = (aedes, message, payload) => {
+  if (!aedes) return;
+  if (message.conversationId) {
+    publishToConversation(aedes, message.conversationId, {
+      ...payload,
+      conversationId: message.conversationId,
+    });
+    return;
+  }
+
+  for (const userId of [message.sender._id, message.receiver._id]) {
+    aedes.publish({
+      topic: `user/${userId}/messages`,
+      payload: JSON.stringify(payload),
+      qos: 0,
+    });
+  }
+};
+
+// Reactions grouped per emoji: { "👍": ["<userId>", ...] }
+const summarizeReactions = (reactions = []) =>
+  reactions.reduce((summary, reaction) => {
+    summary[reaction.emoji] = summary[reaction.emoji] || [];
+    summary[reaction.emoji].push(reaction.userId);
+    return summary;
+  }, {});
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  MAX_EDIT_HISTORY,
+  attachmentTypeOf,
+  sanitizeAttachments,
+  isEmoji,
+  isDeletedForEveryone,
+  resolveReplyTo,
+  decryptOrNull,
+  serializeMessage,
+  serializeMessages,
+  withReplyPreviews,
+  canAccessMessage,
+  publishMessageEvent,
+  summarizeReactions,
+};
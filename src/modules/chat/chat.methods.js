@@ -1,5 +1,21 @@
 const { isValidObjectId } = require("mongoose");
 const ChatMessage = require("./chat.model");
+const Conversation = require("./conversation.model");
+const { publishToConversation } = require("./conversation.realtime");
+const {
+  MAX_EDIT_HISTORY,
+  attachmentTypeOf,
+  isEmoji,
+  isDeletedForEveryone,
+  serializeMessage,
+  serializeMessages,
+  decryptOrNull,
+  withReplyPreviews,
+  canAccessMessage,
+  publishMessageEvent,
+  summarizeReactions,
+} = require("./chat.message");
+const { applyReceipt, withReadReceipts } = require("./chat.receipts");
 const GenRes = require("../../utils/routers/GenRes");
 const Follow = require("../follow/follow.model");
 
@@ -67,27 +83,18 @@ const GetMessages = async (req, res) => {
       .limit(limit);
 
     // Decrypt messages
-    const decryptedMessages = messages.map((msg) => {
-      const msgObj = msg.toObject();
-      msgObj.message = msg.decryptMessage();
-      return msgObj;
-    });
-
-    // Mark messages as read
-    await ChatMessage.updateMany(
-      {
-        "sender._id": userId,
-        "receiver._id": req.user._id,
-        read: false,
-      },
-      {
-        $set: {
-          read: true,
-          readAt: new Date(),
-        },
-      }
+    const decryptedMessages = await withReadReceipts(
+      await withReplyPreviews(await serializeMessages(messages)),
+      req.user._id,
+      userId
     );
 
+    // Mark messages as read and tell the sender
+    await applyReceipt(req.app.get("aedes"), "read", {
+      userId: req.user._id.toString(),
+      peerId: userId,
+    });
+
     return res
       .status(200)
       .json(
@@ -147,14 +154,17 @@ const GetChats = async (req, res) => {
           read: false,
         });
 
+        const [visibleLastMessage] = lastMessage
+          ? await withReadReceipts(
+              [await serializeMessage(lastMessage)],
+              userId,
+              otherUser._id
+            )
+          : [null];
+
         return {
           user: otherUser,
-          lastMessage: lastMessage
-            ? {
-                ...lastMessage,
-                message: new ChatMessage(lastMessage).decryptMessage(),
-              }
-            : null,
+          lastMessage: visibleLastMessage,
           unreadCount,
         };
       })
@@ -207,6 +217,33 @@ const DeleteMessageForMe = async (req, res) => {
         );
     }
 
+    // Group messages are hidden per member
+    if (message.conversationId) {
+      const isMember = await Conversation.exists({
+        _id: message.conversationId,
+        "members._id": userId.toString(),
+      });
+      if (!isMember) {
+        return res
+          .status(404)
+          .json(
+            GenRes(
+              404,
+              null,
+              { error: "Message not found" },
+              "Message not found"
+            )
+          );
+      }
+
+      await ChatMessage.findByIdAndUpdate(messageId, {
+        $addToSet: { deletedFor: userId.toString() },
+      });
+      return res
+        .status(200)
+        .json(GenRes(200, null, null, "Message deleted for you"));
+    }
+
     // Update deletion flag based on user role (sender/receiver)
     const updateField =
       message.sender._id.toString() === userId.toString()
@@ -270,9 +307,16 @@ const DeleteMessageForEveryone = async (req, res) => {
       $set: { deletedBySender: true, deletedByReceiver: true },
     });
 
-    // Notify receiver through MQTT
+    // Notify receiver (or the whole group) through MQTT
     const aedes = req.app.get("aedes");
-    if (aedes) {
+    if (message.conversationId) {
+      publishToConversation(aedes, message.conversationId, {
+        type: "message_deleted",
+        conversationId: message.conversationId,
+        messageId,
+        deleteType: "everyone",
+      });
+    } else if (aedes) {
       aedes.publish({
         topic: `user/${message.receiver._id}/messages`,
         payload: JSON.stringify({
@@ -292,6 +336,246 @@ const DeleteMessageForEveryone = async (req, res) => {
   }
 };
 
+// Upload files to attach to a chat message. The returned descriptors go
+// into the `attachments` of the MQTT message payload.
+const UploadChatAttachments = async (req, res) => {
+  try {
+    const attachments = (req.files || []).map((file) => ({
+      url: file.location,
+      type: attachmentTypeOf(file.location, file.mimetype),
+      name: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+    }));
+
+    if (attachments.length === 0) {
+      return res
+        .status(400)
+        .json(
+          GenRes(400, null, { error: "No files" }, "Please attach a file")
+        );
+    }
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          attachments,
+          null,
+          `Uploaded ${attachments.length} attachment(s)`
+        )
+      );
+  } catch (error) {
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Load a message the user may act on, answering the request when they can't
+const findAccessibleMessage = async (req, res) => {
+  const messageId = req.params.messageId;
+  if (!isValidObjectId(messageId)) {
+    res
+      .status(400)
+      .json(
+        GenRes(400, null, { error: "Invalid message ID" }, "Invalid message ID")
+      );
+    return null;
+  }
+
+  const message = await ChatMessage.findById(messageId);
+  if (
+    !message ||
+    isDeletedForEveryone(message) ||
+    !(await canAccessMessage(message, req.user._id))
+  ) {
+    res
+      .status(404)
+      .json(
+        GenRes(404, null, { error: "Message not found" }, "Message not found")
+      );
+    return null;
+  }
+  return message;
+};
+
+// Edit the text of a sent message, keeping the previous versions
+const EditMessage = async (req, res) => {
+  try {
+    const text = req.body?.message;
+    const message = await findAccessibleMessage(req, res);
+    if (!message) return;
+
+    if (message.sender._id !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json(
+          GenRes(
+            403,
+            null,
+            { error: "Unauthorized" },
+            "Only the sender can edit a message"
+          )
+        );
+    }
+
+    const isEmpty = typeof text !== "string" || !text.trim();
+    if (isEmpty && message.attachments.length === 0) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Message required" },
+            "Message cannot be empty"
+          )
+        );
+    }
+
+    message.editHistory.push({
+      message: message.message,
+      editedAt: message.editedAt || message.createdAt,
+    });
+    if (message.editHistory.length > MAX_EDIT_HISTORY) {
+      message.editHistory.splice(
+        0,
+        message.editHistory.length - MAX_EDIT_HISTORY
+      );
+    }
+    message.message = text || "";
+    message.editedAt = new Date();
+    await message.save();
+
+    const [updated] = await withReplyPreviews([
+      await serializeMessage(message),
+    ]);
+    publishMessageEvent(req.app.get("aedes"), message, {
+      type: "message_edited",
+      message: updated,
+    });
+
+    return res.status(200).json(GenRes(200, updated, null, "Message edited"));
+  } catch (error) {
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Earlier versions of an edited message, newest first
+const GetMessageHistory = async (req, res) => {
+  try {
+    const message = await findAccessibleMessage(req, res);
+    if (!message) return;
+
+    const history = await Promise.all(
+      message.editHistory
+        .map(async (entry) => ({
+          message: await decryptOrNull({
+            _id: message._id,
+            message: entry.message,
+            conversationId: message.conversationId,
+            sender: message.sender,
+            receiver: message.receiver,
+          }),
+          editedAt: entry.editedAt,
+        }))
+        .reverse()
+    );
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          {
+            current: await decryptOrNull(message),
+            editedAt: message.editedAt,
+            history,
+          },
+          null,
+          `Retrieved ${history.length} earlier versions`
+        )
+      );
+  } catch (error) {
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// One reaction per user: a new emoji replaces theirs, the same one removes it
+const ReactToMessage = async (req, res) => {
+  try {
+    const { emoji } = req.body || {};
+    const userId = req.user._id.toString();
+
+    if (!isEmoji(emoji)) {
+      return res
+        .status(400)
+        .json(
+          GenRes(400, null, { error: "Invalid emoji" }, "Please pick an emoji")
+        );
+    }
+
+    const message = await findAccessibleMessage(req, res);
+    if (!message) return;
+
+    const previous = message.reactions.find((r) => r.userId === userId);
+    const removed = previous?.emoji === emoji;
+
+    // dropping their old reaction and adding the new one in one update, so
+    // concurrent requests can't leave them with two
+    const update = removed
+      ? { $pull: { reactions: { userId } } }
+      : [
+          {
+            $set: {
+              reactions: {
+                $concatArrays: [
+                  {
+                    $filter: {
+                      input: { $ifNull: ["$reactions", []] },
+                      cond: { $ne: ["$$this.userId", userId] },
+                    },
+                  },
+                  [{ userId, emoji, createdAt: "$$NOW" }],
+                ],
+              },
+            },
+          },
+        ];
+    const updated = await ChatMessage.findByIdAndUpdate(message._id, update, {
+      new: true,
+    })
+      .select("reactions")
+      .lean();
+
+    const reactions = summarizeReactions(updated.reactions);
+    publishMessageEvent(req.app.get("aedes"), message, {
+      type: "message_reaction",
+      messageId: message._id,
+      userId,
+      emoji: removed ? null : emoji,
+      reactions,
+    });
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          {
+            messageId: message._id,
+            reactions,
+            myReaction: removed ? null : emoji,
+          },
+          null,
+          removed ? "Reaction removed" : "Reaction added"
+        )
+      );
+  } catch (error) {
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
 // Delete entire conversation for me
 const DeleteConversation = async (req, res) => {
   try {
@@ -339,4 +623,8 @@ module.exports = {
   DeleteMessageForMe,
   DeleteMessageForEveryone,
   DeleteConversation,
+  UploadChatAttachments,
+  EditMessage,
+  GetMessageHistory,
+  ReactToMessage,
 };
@@ -1,6 +1,6 @@
 const { Schema, model, models } = require("mongoose");
 const ModelGenerator = require("../../utils/database/modelGenerator");
-const CryptoJS = require("crypto-js");
+const { chatIdOf, encryptText, decryptText } = require("./chat.crypto");
 
 const gen = new ModelGenerator();
 
@@ -15,16 +15,66 @@ const UserSchema = new Schema(
   { _id: false }
 );
 
+// Uploaded file sent with a message; voice notes are "audio"
+const AttachmentSchema = new Schema(
+  {
+    url: gen.required(String),
+    type: gen.required(String, { enum: ["image", "file", "audio"] }),
+    name: String,
+    mimeType: String,
+    size: Number,
+    // seconds, for voice notes
+    duration: Number,
+  },
+  { _id: false }
+);
+
+const ReactionSchema = new Schema(
+  {
+    userId: gen.required(String),
+    emoji: gen.required(String),
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Previous versions of an edited message, encrypted like the message itself
+const EditSchema = new Schema(
+  {
+    message: String,
+    editedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 // Message Schema
 const MessageSchema = new Schema(
   {
     sender: UserSchema,
+    // one-to-one messages have a receiver, group messages a conversationId
     receiver: UserSchema,
-    message: gen.required(String),
+    conversationId: String,
+    // may be empty when the message only carries attachments
+    message: { type: String, default: "" },
+    attachments: [AttachmentSchema],
+    replyTo: {
+      _id: String,
+      sender: {
+        _id: String,
+        name: String,
+      },
+    },
+    reactions: [ReactionSchema],
+    editedAt: Date,
+    editHistory: [EditSchema],
+    // receipts for one-to-one messages; groups use member read pointers
+    deliveredAt: Date,
     read: gen.required(Boolean, { default: false }),
     readAt: Date,
     deletedBySender: gen.required(Boolean, { default: false }),
     deletedByReceiver: gen.required(Boolean, { default: false }),
+    // group members who deleted the message for themselves
+    deletedFor: [String],
   },
   {
     timestamps: true,
@@ -33,56 +83,29 @@ const MessageSchema = new Schema(
   }
 );
 
-// Static methods for encryption/decryption
-MessageSchema.statics.encryptMessage = function (
-  message,
-  key = process.env.CHAT_ENCRYPTION_KEY
-) {
-  try {
-    return CryptoJS.AES.encrypt(message, key).toString();
-  } catch (error) {
-    console.error("Error encrypting message:", error);
-    throw new Error("Failed to encrypt message");
-  }
-};
+MessageSchema.index({ conversationId: 1, createdAt: -1 });
 
-MessageSchema.statics.decryptMessage = function (
-  encryptedMessage,
-  key = process.env.CHAT_ENCRYPTION_KEY
-) {
-  try {
-    const bytes = CryptoJS.AES.decrypt(encryptedMessage, key);
-    return bytes.toString(CryptoJS.enc.Utf8);
-  } catch (error) {
-    console.error("Error decrypting message:", error);
-    return "[Encrypted Message]";
-  }
+// Messages are encrypted with their chat's data key (see chat.crypto).
+// Both directions are async and decryption throws on failure.
+MessageSchema.statics.chatIdOf = chatIdOf;
+
+MessageSchema.statics.encryptMessage = function (message, chatId) {
+  return encryptText(message, chatId);
 };
 
-// Instance methods
-MessageSchema.methods.encryptMessage = function (message) {
-  return this.constructor.encryptMessage(message);
+MessageSchema.statics.decryptMessage = function (encryptedMessage, chatId) {
+  return decryptText(encryptedMessage, chatId);
 };
 
 MessageSchema.methods.decryptMessage = function () {
-  return this.constructor.decryptMessage(this.message);
+  return decryptText(this.message, chatIdOf(this));
 };
 
 // Pre-save hook for encryption
-MessageSchema.pre("save", function (next) {
+MessageSchema.pre("save", async function () {
   if (this.isModified("message")) {
-    try {
-      this.message = this.constructor.encryptMessage(this.message);
-    } catch (error) {
-      return next(error);
-    }
+    this.message = await encryptText(this.message, chatIdOf(this));
   }
-  next();
-});
-
-// Virtual for decrypted message
-MessageSchema.virtual("decryptedMessage").get(function () {
-  return this.decryptMessage();
 });
 
 const ChatMessage = models?.ChatMessage || model("ChatMessage", MessageSchema);
@@ -0,0 +1,185 @@
+const { isValidObjectId } = require("mongoose");
+const GenRes = require("../../utils/routers/GenRes");
+const User = require("../user/user.model");
+const Follow = require("../follow/follow.model");
+const Block = require("../user/block.model");
+
+const MAX_PRESENCE_USERS = 100;
+const LAST_SEEN_VISIBILITY = ["everyone", "followers", "nobody"];
+
+// Online status and last seen for a list of users, as the viewer may see
+// them. Hidden users are reported as not visible rather than offline.
+const GetPresence = async (req, res) => {
+  try {
+    const viewerId = req.user._id.toString();
+    const userIds = [
+      ...new Set(
+        String(req.query.userIds || "")
+          .split(",")
+          .map((id) => id.trim())
+          .filter(isValidObjectId)
+      ),
+    ];
+
+    if (userIds.length === 0 || userIds.length > MAX_PRESENCE_USERS) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Invalid userIds" },
+            `Pass between 1 and ${MAX_PRESENCE_USERS} comma separated user IDs`
+          )
+        );
+    }
+
+    const [users, follows, blocks] = await Promise.all([
+      User.find({ _id: { $in: userIds } })
+        .select("lastSeen privacy")
+        .lean(),
+      Follow.find({
+        "follower._id": viewerId,
+        "following._id": { $in: userIds },
+      })
+        .select("following._id")
+        .lean(),
+      Block.find({
+        $or: [
+          { "blocker._id": viewerId, "blocked._id": { $in: userIds } },
+          { "blocker._id": { $in: userIds }, "blocked._id": viewerId },
+        ],
+      })
+        .select("blocker._id blocked._id")
+        .lean(),
+    ]);
+
+    const followed = new Set(follows.map((f) => f.following._id.toString()));
+    const blocked = new Set(
+      blocks.flatMap((b) => [
+        b.blocker._id.toString(),
+        b.blocked._id.toString(),
+      ])
+    );
+    const onlineClients = req.app.get("aedes")?.onlineClients;
+
+    const presence = users.map((user) => {
+      const userId = user._id.toString();
+      const visibility = user.privacy?.lastSeen || "everyone";
+      const visible =
+        userId === viewerId ||
+        (!blocked.has(userId) &&
+          (visibility === "everyone" ||
+            (visibility === "followers" && followed.has(userId))));
+
+      if (!visible) {
+        return { userId, visible, online: null, lastSeen: null };
+      }
+      const online = !!onlineClients?.has(userId);
+      return {
+        userId,
+        visible,
+        online,
+        lastSeen: online ? new Date() : user.lastSeen || null,
+      };
+    });
+
+    return res
+      .status(200)
+      .json(
+        GenRes(200, presence, null, `Retrieved presence of ${presence.length}`)
+      );
+  } catch (error) {
+    console.error("Error in GetPresence:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const GetPresenceSettings = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select("lastSeen privacy")
+      .lean();
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          {
+            lastSeen: user?.privacy?.lastSeen || "everyone",
+            readReceipts: user?.privacy?.readReceipts !== false,
+          },
+          null,
+          "Presence settings"
+        )
+      );
+  } catch (error) {
+    console.error("Error in GetPresenceSettings:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const UpdatePresenceSettings = async (req, res) => {
+  try {
+    const { lastSeen, readReceipts } = req.body || {};
+    const update = {};
+
+    if (lastSeen !== undefined) {
+      if (!LAST_SEEN_VISIBILITY.includes(lastSeen)) {
+        return res
+          .status(400)
+          .json(
+            GenRes(
+              400,
+              null,
+              { error: "Invalid lastSeen" },
+              `lastSeen must be one of ${LAST_SEEN_VISIBILITY.join(", ")}`
+            )
+          );
+      }
+      update["privacy.lastSeen"] = lastSeen;
+    }
+
+    if (readReceipts !== undefined) {
+      if (typeof readReceipts !== "boolean") {
+        return res
+          .status(400)
+          .json(
+            GenRes(
+              400,
+              null,
+              { error: "Invalid readReceipts" },
+              "readReceipts must be true or false"
+            )
+          );
+      }
+      update["privacy.readReceipts"] = readReceipts;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res
+        .status(400)
+        .json(
+          GenRes(400, null, { error: "Nothing to update" }, "Nothing to update")
+        );
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: update },
+      { new: true }
+    )
+      .select("privacy")
+      .lean();
+
+    return res
+      .status(200)
+      .json(GenRes(200, user?.privacy, null, "Presence settings updated"));
+  } catch (error) {
+    console.error("Error in UpdatePresenceSettings:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+module.exports = { GetPresence, GetPresenceSettings, UpdatePresenceSettings };
@@ -0,0 +1,131 @@
+const { isValidObjectId } = require("mongoose");
+const ChatMessage = require("./chat.model");
+const Conversation = require("./conversation.model");
+const User = require("../user/user.model");
+const { publishToConversation } = require("./conversation.realtime");
+
+const RECEIPT_STATUSES = ["delivered", "read"];
+const MAX_RECEIPT_IDS = 100;
+
+// Whether the user lets others see when they read messages
+const sendsReadReceipts = async (userId) => {
+  const user = await User.findById(userId).select("privacy").lean();
+  return user?.privacy?.readReceipts !== false;
+};
+
+// Mark one-to-one messages the user received from the peer as delivered or
+// read. Without messageIds every pending message from the peer is marked.
+// Returns the ids that actually changed.
+const markMessages = async (status, { userId, peerId, messageIds }) => {
+  const filter = {
+    "sender._id": peerId,
+    "receiver._id": userId,
+    conversationId: { $exists: false },
+  };
+  if (Array.isArray(messageIds)) {
+    filter._id = {
+      $in: messageIds.filter(isValidObjectId).slice(0, MAX_RECEIPT_IDS),
+    };
+  }
+  if (status === "read") filter.read = false;
+  else filter.deliveredAt = { $exists: false };
+
+  const pending = await ChatMessage.find(filter).select("_id").lean();
+  if (pending.length === 0) return [];
+  const ids = pending.map((message) => message._id);
+
+  const now = new Date();
+  // reading a message also delivers it
+  const update =
+    status === "read"
+      ? [
+          {
+            $set: {
+              read: true,
+              readAt: now,
+              deliveredAt: { $ifNull: ["$deliveredAt", now] },
+            },
+          },
+        ]
+      : { $set: { deliveredAt: now } };
+  await ChatMessage.updateMany({ _id: { $in: ids } }, update);
+
+  return ids.map((id) => id.toString());
+};
+
+// Record a receipt and tell the sender, unless the reader turned read
+// receipts off. Delivery receipts are always sent.
+const applyReceipt = async (aedes, status, { userId, peerId, messageIds }) => {
+  const changed = await markMessages(status, { userId, peerId, messageIds });
+  if (changed.length === 0 || !aedes) return changed;
+  if (status === "read" && !(await sendsReadReceipts(userId))) return changed;
+
+  aedes.publish({
+    topic: `user/${peerId}/messages`,
+    payload: JSON.stringify({
+      type: "receipt",
+      status,
+      userId,
+      messageIds: changed,
+      at: new Date(),
+    }),
+    qos: 0,
+  });
+  return changed;
+};
+
+// Hide when the peer read the user's messages if the peer does not share
+// read receipts
+const withReadReceipts = async (messages, userId, peerId) => {
+  if (await sendsReadReceipts(peerId)) return messages;
+  return messages.map((message) =>
+    message.sender?._id === userId.toString()
+      ? { ...message, read: false, readAt: null }
+      : message
+  );
+};
+
+// Move the member's read pointer forward, never back
+const advanceReadPointer = (conversationId, userId, message) =>
+  Conversation.updateOne(
+    {
+      _id: conversationId,
+      members: {
+        $elemMatch: {
+          _id: userId,
+          $or: [
+            { lastReadAt: { $exists: false } },
+            { lastReadAt: { $lt: message.createdAt } },
+          ],
+        },
+      },
+    },
+    {
+      $set: {
+        "members.$.lastReadAt": message.createdAt,
+        "members.$.lastReadMessageId": message._id.toString(),
+      },
+    }
+  );
+
+// Group read receipt: advance the pointer and tell the other members
+const markConversationRead = async (aedes, conversationId, userId, message) => {
+  const result = await advanceReadPointer(conversationId, userId, message);
+  if (!result.modifiedCount || !(await sendsReadReceipts(userId))) return;
+
+  publishToConversation(aedes, conversationId, {
+    type: "read",
+    conversationId,
+    userId,
+    messageId: message._id,
+    readAt: message.createdAt,
+  });
+};
+
+module.exports = {
+  RECEIPT_STATUSES,
+  sendsReadReceipts,
+  applyReceipt,
+  withReadReceipts,
+  markConversationRead,
+};
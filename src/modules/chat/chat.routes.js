@@ -1,12 +1,35 @@
 const router = require("express").Router();
 const basicMiddleware = require("../../middlewares/basicMiddleware");
+const ChatFiles = require("../../utils/fileProcessor/multer.chat");
 const {
   GetMessages,
   GetChats,
   DeleteMessageForMe,
   DeleteMessageForEveryone,
   DeleteConversation,
+  UploadChatAttachments,
+  EditMessage,
+  GetMessageHistory,
+  ReactToMessage,
 } = require("./chat.methods");
+const {
+  CreateConversation,
+  GetConversations,
+  GetConversation,
+  UpdateConversation,
+  AddMembers,
+  JoinConversation,
+  LeaveConversation,
+  RemoveMember,
+  SetMemberRole,
+  GetConversationMessages,
+  MarkConversationRead,
+} = require("./conversation.methods");
+const {
+  GetPresence,
+  GetPresenceSettings,
+  UpdatePresenceSettings,
+} = require("./chat.presence");
 
 // Get chat messages between two users
 router.get("/messages/:userId", basicMiddleware, GetMessages);
@@ -24,7 +47,52 @@ router.delete(
   DeleteMessageForEveryone
 );
 
+// Upload files to attach to a message sent over MQTT
+router.post(
+  "/chat/attachments",
+  basicMiddleware,
+  ChatFiles.array("files", 5),
+  UploadChatAttachments
+);
+
+// Edit a message and view its earlier versions
+router.patch("/message/:messageId", basicMiddleware, EditMessage);
+router.get("/message/:messageId/history", basicMiddleware, GetMessageHistory);
+
+// Add, change or remove a reaction
+router.post("/message/:messageId/reactions", basicMiddleware, ReactToMessage);
+
 // Delete entire conversation
 router.delete("/conversation/:userId", basicMiddleware, DeleteConversation);
 
+// Group conversations
+router.post("/conversations", basicMiddleware, CreateConversation);
+router.get("/conversations", basicMiddleware, GetConversations);
+router.get("/conversations/:id", basicMiddleware, GetConversation);
+router.patch("/conversations/:id", basicMiddleware, UpdateConversation);
+router.get(
+  "/conversations/:id/messages",
+  basicMiddleware,
+  GetConversationMessages
+);
+router.post("/conversations/:id/read", basicMiddleware, MarkConversationRead);
+router.post("/conversations/:id/join", basicMiddleware, JoinConversation);
+router.post("/conversations/:id/leave", basicMiddleware, LeaveConversation);
+router.post("/conversations/:id/members", basicMiddleware, AddMembers);
+router.patch(
+  "/conversations/:id/members/:userId",
+  basicMiddleware,
+  SetMemberRole
+);
+router.delete(
+  "/conversations/:id/members/:userId",
+  basicMiddleware,
+  RemoveMember
+);
+
+// Presence: online status and last seen, e.g. /presence?userIds=a,b
+router.get("/presence", basicMiddleware, GetPresence);
+router.get("/presence/settings", basicMiddleware, GetPresenceSettings);
+router.patch("/presence/settings", basicMiddleware, UpdatePresenceSettings);
+
 module.exports = router;
@@ -0,0 +1,25 @@
+const { Schema, model, models } = require("mongoose");
+const ModelGenerator = require("../../utils/database/modelGenerator");
+
+const gen = new ModelGenerator();
+
+// Data key of one chat (a group conversation id, or the two user ids of a
+// one-to-one chat joined by "_"). The key itself is only stored wrapped
+// with a master key; messages name the key version they were encrypted with.
+const ChatKeySchema = new Schema(
+  {
+    chatId: gen.required(String),
+    version: gen.required(Number),
+    wrappedKey: gen.required(String),
+    masterKeyVersion: gen.required(Number),
+    // set once a newer version exists; kept until no message uses it
+    retiredAt: Date,
+  },
+  { timestamps: true }
+);
+
+ChatKeySchema.index({ chatId: 1, version: -1 }, { unique: true });
+ChatKeySchema.index({ masterKeyVersion: 1 });
+
+const ChatKey = models?.ChatKey || model("ChatKey", ChatKeySchema);
+module.exports = ChatKey;
@@ -0,0 +1,779 @@
+const { isValidObjectId } = require("mongoose");
+const GenRes = require("../../utils/routers/GenRes");
+const ChatMessage = require("./chat.model");
+const Conversation = require("./conversation.model");
+const User = require("../user/user.model");
+const Follow = require("../follow/follow.model");
+const Block = require("../user/block.model");
+const {
+  publishToConversation,
+  subscribeMembers,
+  unsubscribeMembers,
+} = require("./conversation.realtime");
+const {
+  serializeMessage,
+  serializeMessages,
+  withReplyPreviews,
+} = require("./chat.message");
+const { markConversationRead } = require("./chat.receipts");
+const { deleteChatKeys } = require("./chat.crypto");
+
+const MESSAGES_PAGE_SIZE = 50;
+
+const invalidId = (res) =>
+  res
+    .status(400)
+    .json(
+      GenRes(
+        400,
+        null,
+        { error: "Invalid conversation ID" },
+        "Invalid conversation ID"
+      )
+    );
+
+const notFound = (res) =>
+  res
+    .status(404)
+    .json(
+      GenRes(
+        404,
+        null,
+        { error: "Conversation not found" },
+        "Conversation not found or you are not a member"
+      )
+    );
+
+const adminsOnly = (res) =>
+  res
+    .status(403)
+    .json(
+      GenRes(
+        403,
+        null,
+        { error: "Admins only" },
+        "Only group admins can do this"
+      )
+    );
+
+// What a public group shows to users outside it: who is in it, but not
+// their emails or read positions
+const publicView = (conversation) => ({
+  ...conversation,
+  createdBy: {
+    _id: conversation.createdBy._id,
+    name: conversation.createdBy.name,
+    picture: conversation.createdBy.picture,
+  },
+  members: conversation.members.map(({ _id, name, picture, role }) => ({
+    _id,
+    name,
+    picture,
+    role,
+  })),
+});
+
+// The conversation, if the user is one of its members
+const findMembership = (conversationId, userId) =>
+  Conversation.findOne({
+    _id: conversationId,
+    "members._id": userId.toString(),
+  });
+
+// Of the given users, those the adder may put in a group: mutual followers
+// with no block in either direction
+const filterAddableUsers = async (adderId, userIds) => {
+  const ids = [...new Set(userIds.map(String))].filter(
+    (id) => isValidObjectId(id) && id !== adderId
+  );
+  if (ids.length === 0) return [];
+
+  const [following, followers, blocks] = await Promise.all([
+    Follow.find({ "follower._id": adderId, "following._id": { $in: ids } })
+      .select("following._id")
+      .lean(),
+    Follow.find({ "follower._id": { $in: ids }, "following._id": adderId })
+      .select("follower._id")
+      .lean(),
+    Block.find({
+      $or: [
+        { "blocker._id": adderId, "blocked._id": { $in: ids } },
+        { "blocker._id": { $in: ids }, "blocked._id": adderId },
+      ],
+    })
+      .select("blocker._id blocked._id")
+      .lean(),
+  ]);
+
+  const followed = new Set(following.map((f) => f.following._id.toString()));
+  const followsBack = new Set(followers.map((f) => f.follower._id.toString()));
+  const blocked = new Set(
+    blocks.flatMap((block) => [block.blocker._id, block.blocked._id])
+  );
+
+  return ids.filter(
+    (id) => followed.has(id) && followsBack.has(id) && !blocked.has(id)
+  );
+};
+
+const toMembers = async (userIds, role = "member") => {
+  const users = await User.find({ _id: { $in: userIds } })
+    .select("_id email name picture")
+    .lean();
+  return users.map((user) => ({
+    _id: user._id.toString(),
+    email: user.email,
+    name: user.name,
+    picture: user.picture || "",
+    role,
+    joinedAt: new Date(),
+  }));
+};
+
+// Tell people outside the conversation topic that they were added/removed
+const notifyUsers = (aedes, userIds, payload) => {
+  if (!aedes) return;
+  for (const userId of userIds) {
+    aedes.publish({
+      topic: `user/${userId}/messages`,
+      payload: JSON.stringify(payload),
+      qos: 0,
+    });
+  }
+};
+
+// Create a group with the creator as its first admin
+const CreateConversation = async (req, res) => {
+  try {
+    const { name, avatar, description, isPublic, memberIds = [] } =
+      req.body || {};
+    const userId = req.user._id.toString();
+
+    if (!name?.trim()) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Name required" },
+            "Please give the group a name"
+          )
+        );
+    }
+
+    if (!Array.isArray(memberIds)) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "memberIds must be an array" },
+            "Invalid members"
+          )
+        );
+    }
+
+    const addable = await filterAddableUsers(userId, memberIds);
+    const [creator] = await toMembers([userId], "admin");
+    const members = [creator, ...(await toMembers(addable))];
+
+    const conversation = new Conversation({
+      name,
+      avatar,
+      description,
+      isPublic: !!isPublic,
+      createdBy: {
+        _id: creator._id,
+        email: creator.email,
+        name: creator.name,
+        picture: creator.picture,
+      },
+      members,
+    });
+    await conversation.save();
+
+    const aedes = req.app.get("aedes");
+    const memberUserIds = members.map((member) => member._id);
+    subscribeMembers(aedes, conversation._id, memberUserIds);
+    notifyUsers(
+      aedes,
+      memberUserIds.filter((id) => id !== userId),
+      { type: "new_conversation", conversation: conversation.toObject() }
+    );
+
+    const skipped = memberIds.length - addable.length;
+    return res
+      .status(201)
+      .json(
+        GenRes(
+          201,
+          conversation,
+          null,
+          skipped > 0
+            ? `Group created, ${skipped} user(s) could not be added`
+            : "Group created"
+        )
+      );
+  } catch (error) {
+    console.error("Error in CreateConversation:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Groups the user belongs to with their latest message and unread count
+const GetConversations = async (req, res) => {
+  try {
+    const userId = req.user._id.toString();
+
+    const conversations = await Conversation.find({ "members._id": userId })
+      .sort({ lastMessageAt: -1, updatedAt: -1 })
+      .lean();
+
+    const chats = await Promise.all(
+      conversations.map(async (conversation) => {
+        const me = conversation.members.find((m) => m._id === userId);
+        const visible = {
+          conversationId: conversation._id.toString(),
+          deletedByReceiver: false,
+          deletedFor: { $ne: userId },
+        };
+
+        const [lastMessage, unreadCount] = await Promise.all([
+          ChatMessage.findOne(visible).sort({ createdAt: -1 }).lean(),
+          ChatMessage.countDocuments({
+            ...visible,
+            "sender._id": { $ne: userId },
+            createdAt: { $gt: me.lastReadAt || me.joinedAt },
+          }),
+        ]);
+
+        return {
+          conversation,
+          lastMessage: lastMessage
+            ? await serializeMessage(lastMessage)
+            : null,
+          unreadCount,
+        };
+      })
+    );
+
+    return res
+      .status(200)
+      .json(GenRes(200, chats, null, `Retrieved ${chats.length} groups`));
+  } catch (error) {
+    console.error("Error in GetConversations:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const GetConversation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return invalidId(res);
+
+    const userId = req.user._id.toString();
+    const conversation = await Conversation.findOne({
+      _id: id,
+      $or: [{ "members._id": userId }, { isPublic: true }],
+    }).lean();
+    if (!conversation) return notFound(res);
+
+    const isMember = conversation.members.some((m) => m._id === userId);
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          isMember ? conversation : publicView(conversation),
+          null,
+          "Conversation retrieved"
+        )
+      );
+  } catch (error) {
+    console.error("Error in GetConversation:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Admins can rename the group or change its avatar and visibility
+const UpdateConversation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return invalidId(res);
+
+    const conversation = await findMembership(id, req.user._id);
+    if (!conversation) return notFound(res);
+    if (!conversation.isAdmin(req.user._id)) return adminsOnly(res);
+
+    const { name, avatar, description, isPublic } = req.body || {};
+    if (name !== undefined) conversation.name = name;
+    if (avatar !== undefined) conversation.avatar = avatar;
+    if (description !== undefined) conversation.description = description;
+    if (isPublic !== undefined) conversation.isPublic = !!isPublic;
+    await conversation.save();
+
+    publishToConversation(req.app.get("aedes"), conversation._id, {
+      type: "conversation_updated",
+      conversationId: conversation._id,
+      changes: { name, avatar, description, isPublic },
+      by: req.user._id,
+    });
+
+    return res
+      .status(200)
+      .json(GenRes(200, conversation, null, "Group updated"));
+  } catch (error) {
+    console.error("Error in UpdateConversation:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const AddMembers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { memberIds } = req.body || {};
+    const userId = req.user._id.toString();
+    if (!isValidObjectId(id)) return invalidId(res);
+
+    if (!Array.isArray(memberIds) || memberIds.length === 0) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "memberIds required" },
+            "Select who to add"
+          )
+        );
+    }
+
+    const conversation = await findMembership(id, userId);
+    if (!conversation) return notFound(res);
+    if (!conversation.isAdmin(userId)) return adminsOnly(res);
+
+    const addable = (await filterAddableUsers(userId, memberIds)).filter(
+      (memberId) => !conversation.getMember(memberId)
+    );
+    if (addable.length === 0) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "No users to add" },
+            "Users must be your mutual followers and not already members"
+          )
+        );
+    }
+
+    const added = await toMembers(addable);
+    if (
+      conversation.members.length + added.length >
+      Conversation.MAX_MEMBERS
+    ) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Group is full" },
+            `A group can have at most ${Conversation.MAX_MEMBERS} members`
+          )
+        );
+    }
+
+    conversation.members.push(...added);
+    await conversation.save();
+
+    const aedes = req.app.get("aedes");
+    const addedIds = added.map((member) => member._id);
+    subscribeMembers(aedes, conversation._id, addedIds);
+    publishToConversation(aedes, conversation._id, {
+      type: "members_added",
+      conversationId: conversation._id,
+      members: added,
+      by: userId,
+    });
+    notifyUsers(aedes, addedIds, {
+      type: "new_conversation",
+      conversation: conversation.toObject(),
+    });
+
+    return res
+      .status(200)
+      .json(
+        GenRes(200, conversation, null, `Added ${added.length} member(s)`)
+      );
+  } catch (error) {
+    console.error("Error in AddMembers:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Anyone can join a public group
+const JoinConversation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id.toString();
+    if (!isValidObjectId(id)) return invalidId(res);
+
+    const conversation = await Conversation.findOne({
+      _id: id,
+      isPublic: true,
+    });
+    if (!conversation) return notFound(res);
+
+    if (conversation.getMember(userId)) {
+      return res
+        .status(409)
+        .json(
+          GenRes(
+            409,
+            conversation,
+            { error: "Already a member" },
+            "You are already in this group"
+          )
+        );
+    }
+
+    if (conversation.members.length >= Conversation.MAX_MEMBERS) {
+      return res
+        .status(400)
+        .json(
+          GenRes(400, null, { error: "Group is full" }, "This group is full")
+        );
+    }
+
+    const [member] = await toMembers([userId]);
+    conversation.members.push(member);
+    await conversation.save();
+
+    const aedes = req.app.get("aedes");
+    subscribeMembers(aedes, conversation._id, [userId]);
+    publishToConversation(aedes, conversation._id, {
+      type: "member_joined",
+      conversationId: conversation._id,
+      member,
+    });
+
+    return res
+      .status(200)
+      .json(GenRes(200, conversation, null, "Joined the group"));
+  } catch (error) {
+    console.error("Error in JoinConversation:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Take members out of the group. Keeps at least one admin around and
+// removes the group with its messages once nobody is left.
+const removeMembers = async (conversation, userIds) => {
+  conversation.members = conversation.members.filter(
+    (member) => !userIds.includes(member._id)
+  );
+
+  if (conversation.members.length === 0) {
+    await ChatMessage.deleteMany({
+      conversationId: conversation._id.toString(),
+    });
+    await Conversation.deleteOne({ _id: conversation._id });
+    await deleteChatKeys(conversation._id.toString());
+    return null;
+  }
+
+  if (!conversation.members.some((member) => member.role === "admin")) {
+    const oldest = [...conversation.members].sort(
+      (a, b) => new Date(a.joinedAt) - new Date(b.joinedAt)
+    )[0];
+    oldest.role = "admin";
+  }
+
+  await conversation.save();
+  return conversation;
+};
+
+const LeaveConversation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id.toString();
+    if (!isValidObjectId(id)) return invalidId(res);
+
+    const conversation = await findMembership(id, userId);
+    if (!conversation) return notFound(res);
+
+    const remaining = await removeMembers(conversation, [userId]);
+
+    const aedes = req.app.get("aedes");
+    unsubscribeMembers(aedes, id, [userId]);
+    if (remaining) {
+      publishToConversation(aedes, id, {
+        type: "member_left",
+        conversationId: id,
+        userId,
+        admins: remaining.members
+          .filter((member) => member.role === "admin")
+          .map((member) => member._id),
+      });
+    }
+
+    return res
+      .status(200)
+      .json(GenRes(200, { _id: id }, null, "You left the group"));
+  } catch (error) {
+    console.error("Error in LeaveConversation:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Kick a member out of the group
+const RemoveMember = async (req, res) => {
+  try {
+    const { id, userId: memberId } = req.params;
+    const userId = req.user._id.toString();
+    if (!isValidObjectId(id)) return invalidId(res);
+
+    const conversation = await findMembership(id, userId);
+    if (!conversation) return notFound(res);
+    if (!conversation.isAdmin(userId)) return adminsOnly(res);
+
+    if (memberId === userId) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Cannot remove yourself" },
+            "Leave the group instead"
+          )
+        );
+    }
+
+    if (!conversation.getMember(memberId)) {
+      return res
+        .status(404)
+        .json(
+          GenRes(
+            404,
+            null,
+            { error: "Member not found" },
+            "User is not in this group"
+          )
+        );
+    }
+
+    await removeMembers(conversation, [memberId]);
+
+    const aedes = req.app.get("aedes");
+    unsubscribeMembers(aedes, id, [memberId]);
+    publishToConversation(aedes, id, {
+      type: "member_removed",
+      conversationId: id,
+      userId: memberId,
+      by: userId,
+    });
+    notifyUsers(aedes, [memberId], {
+      type: "removed_from_conversation",
+      conversationId: id,
+    });
+
+    return res
+      .status(200)
+      .json(GenRes(200, conversation, null, "Member removed"));
+  } catch (error) {
+    console.error("Error in RemoveMember:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Promote a member to admin or demote an admin
+const SetMemberRole = async (req, res) => {
+  try {
+    const { id, userId: memberId } = req.params;
+    const { role } = req.body || {};
+    const userId = req.user._id.toString();
+    if (!isValidObjectId(id)) return invalidId(res);
+
+    if (!["admin", "member"].includes(role)) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Invalid role" },
+            "Role must be admin or member"
+          )
+        );
+    }
+
+    const conversation = await findMembership(id, userId);
+    if (!conversation) return notFound(res);
+    if (!conversation.isAdmin(userId)) return adminsOnly(res);
+
+    const member = conversation.getMember(memberId);
+    if (!member) {
+      return res
+        .status(404)
+        .json(
+          GenRes(
+            404,
+            null,
+            { error: "Member not found" },
+            "User is not in this group"
+          )
+        );
+    }
+
+    const admins = conversation.members.filter((m) => m.role === "admin");
+    if (role === "member" && admins.length === 1 && member.role === "admin") {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Last admin" },
+            "A group needs at least one admin"
+          )
+        );
+    }
+
+    member.role = role;
+    await conversation.save();
+
+    publishToConversation(req.app.get("aedes"), id, {
+      type: "role_changed",
+      conversationId: id,
+      userId: memberId,
+      role,
+      by: userId,
+    });
+
+    return res
+      .status(200)
+      .json(GenRes(200, conversation, null, `Member is now ${role}`));
+  } catch (error) {
+    console.error("Error in SetMemberRole:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Group equivalent of GetMessages; reading the latest page marks it read
+const GetConversationMessages = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id.toString();
+    const page = parseInt(req.query.page) || 0;
+    if (!isValidObjectId(id)) return invalidId(res);
+
+    const conversation = await findMembership(id, userId);
+    if (!conversation) return notFound(res);
+
+    const messages = await ChatMessage.find({
+      conversationId: id,
+      deletedByReceiver: false,
+      deletedFor: { $ne: userId },
+    })
+      .sort({ createdAt: -1 })
+      .skip(page * MESSAGES_PAGE_SIZE)
+      .limit(MESSAGES_PAGE_SIZE)
+      .lean();
+
+    if (page === 0 && messages.length > 0) {
+      await markConversationRead(
+        req.app.get("aedes"),
+        id,
+        userId,
+        messages[0]
+      );
+    }
+
+    const decryptedMessages = await withReplyPreviews(
+      await serializeMessages(messages)
+    );
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          decryptedMessages,
+          null,
+          `Retrieved ${decryptedMessages.length} messages`
+        )
+      );
+  } catch (error) {
+    console.error("Error in GetConversationMessages:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Explicitly mark everything up to a message (default: the latest) as read
+const MarkConversationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { messageId } = req.body || {};
+    const userId = req.user._id.toString();
+    if (!isValidObjectId(id)) return invalidId(res);
+
+    const conversation = await findMembership(id, userId);
+    if (!conversation) return notFound(res);
+
+    const filters = { conversationId: id };
+    if (messageId) {
+      if (!isValidObjectId(messageId)) {
+        return res
+          .status(400)
+          .json(GenRes(400, null, null, "Invalid message ID"));
+      }
+      filters._id = messageId;
+    }
+
+    const message = await ChatMessage.findOne(filters)
+      .sort({ createdAt: -1 })
+      .select("_id createdAt")
+      .lean();
+    if (!message) {
+      return res
+        .status(404)
+        .json(
+          GenRes(404, null, { error: "Message not found" }, "Nothing to read")
+        );
+    }
+
+    await markConversationRead(req.app.get("aedes"), id, userId, message);
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          { lastReadMessageId: message._id, lastReadAt: message.createdAt },
+          null,
+          "Marked as read"
+        )
+      );
+  } catch (error) {
+    console.error("Error in MarkConversationRead:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+module.exports = {
+  CreateConversation,
+  GetConversations,
+  GetConversation,
+  UpdateConversation,
+  AddMembers,
+  JoinConversation,
+  LeaveConversation,
+  RemoveMember,
+  SetMemberRole,
+  GetConversationMessages,
+  MarkConversationRead,
+};
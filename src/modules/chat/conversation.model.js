@@ -0,0 +1,64 @@
+const { Schema, model, models } = require("mongoose");
+const ModelGenerator = require("../../utils/database/modelGenerator");
+
+const gen = new ModelGenerator();
+
+const MAX_MEMBERS = 256;
+
+// A group member with their role and read pointer. Everything sent after
+// `lastReadAt` counts as unread for them.
+const MemberSchema = new Schema(
+  {
+    _id: gen.required(String),
+    email: gen.required(String),
+    name: gen.required(String),
+    picture: String,
+    role: { type: String, enum: ["admin", "member"], default: "member" },
+    joinedAt: { type: Date, default: Date.now },
+    lastReadAt: Date,
+    lastReadMessageId: String,
+  },
+  { _id: false }
+);
+
+// Group chat. One-to-one chats stay on ChatMessage sender/receiver pairs.
+const ConversationSchema = new Schema(
+  {
+    name: gen.required(String, { trim: true, maxlength: 100 }),
+    avatar: String,
+    description: { type: String, maxlength: 500 },
+    // public groups can be joined without an invite
+    isPublic: { type: Boolean, default: false },
+    createdBy: {
+      _id: gen.required(String),
+      email: gen.required(String),
+      name: gen.required(String),
+      picture: String,
+    },
+    members: {
+      type: [MemberSchema],
+      validate: [
+        (members) => members.length <= MAX_MEMBERS,
+        `A group can have at most ${MAX_MEMBERS} members`,
+      ],
+    },
+    lastMessageAt: Date,
+  },
+  { timestamps: true }
+);
+
+ConversationSchema.index({ "members._id": 1, lastMessageAt: -1 });
+
+ConversationSchema.statics.MAX_MEMBERS = MAX_MEMBERS;
+
+ConversationSchema.methods.getMember = function (userId) {
+  return this.members.find((member) => member._id === userId?.toString());
+};
+
+ConversationSchema.methods.isAdmin = function (userId) {
+  return this.getMember(userId)?.role === "admin";
+};
+
+const Conversation =
+  models?.Conversation || model("Conversation", ConversationSchema);
+module.exports = Conversation;
@@ -0,0 +1,44 @@
+// MQTT helpers for group conversations. Members receive everything on
+// conversation/<id>; only the server publishes there (see mqttHandler).
+const conversationTopic = (conversationId) => `conversation/${conversationId}`;
+
+const publishToConversation = (aedes, conversationId, payload) => {
+  if (!aedes) return;
+  aedes.publish({
+    topic: conversationTopic(conversationId),
+    payload: JSON.stringify(payload),
+    qos: 0,
+  });
+};
+
+// Connected members' clients, looked up the same way the follow module does
+const onlineClientsOf = (aedes, userIds) =>
+  userIds
+    .map((userId) => aedes.onlineClients?.get(userId.toString()))
+    .map((clientId) => clientId && aedes.clients[clientId])
+    .filter(Boolean);
+
+// Subscribe members that are online right now; everyone else is subscribed
+// when they connect
+const subscribeMembers = (aedes, conversationId, userIds) => {
+  if (!aedes) return;
+  const topic = conversationTopic(conversationId);
+  for (const client of onlineClientsOf(aedes, userIds)) {
+    client.subscribe({ topic, qos: 0 }, () => {});
+  }
+};
+
+const unsubscribeMembers = (aedes, conversationId, userIds) => {
+  if (!aedes) return;
+  const topic = conversationTopic(conversationId);
+  for (const client of onlineClientsOf(aedes, userIds)) {
+    client.unsubscribe({ topic, qos: 0 }, () => {});
+  }
+};
+
+module.exports = {
+  conversationTopic,
+  publishToConversation,
+  subscribeMembers,
+  unsubscribeMembers,
+};
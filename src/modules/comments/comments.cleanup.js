@@ -1,5 +1,25 @@
+const Comment = require("./comments.model");
+const Like = require("../likes/likes.model");
+const Notification = require("../notifications/notification.model");
+
+// Remove everything that points at a deleted comment: its replies, likes on
+// the comment and its replies, and their notifications
 const CleanUpAfterDeleteComment = async (uid) => {
-  return;
+  try {
+    const commentId = uid?.toString();
+    if (!commentId) return;
+
+    const replies = await Comment.find({ parentId: commentId })
+      .select("_id")
+      .lean();
+    await Comment.deleteMany({ parentId: commentId });
+
+    const ids = [commentId, ...replies.map((reply) => reply._id.toString())];
+    await Like.deleteMany({ type: "comment", uid: { $in: ids } });
+    await Notification.deleteMany({ "metadata.commentId": { $in: ids } });
+  } catch (error) {
+    console.error("Error in CleanUpAfterDeleteComment:", error);
+  }
 };
 
 module.exports = { CleanUpAfterDeleteComment };
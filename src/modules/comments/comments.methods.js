@@ -4,19 +4,112 @@ const User = require("../user/user.model");
 const Comment = require("./comments.model");
 const Content = require("../contents/contents.model");
 const Video = require("../../modules/video/video.model");
-const Notification = require("../notifications/notification.model");
 const Course = require("../courses/courses.model");
+const Like = require("../likes/likes.model");
+const Block = require("../user/block.model");
+const { notify } = require("../notifications/notification.dispatch");
+const { extractMentionIds } = require("../../utils/text/mentions");
 const { CleanUpAfterDeleteComment } = require("./comments.cleanup");
 
+// Users mentioned in a comment, minus the author and anyone who blocked them
+const resolveMentions = async (text, extraIds, authorId) => {
+  const ids = extractMentionIds(text, extraIds).filter(
+    (id) => id !== authorId?.toString()
+  );
+  if (ids.length === 0) return [];
+
+  const blockedBy = await Block.find({
+    "blocker._id": { $in: ids },
+    "blocked._id": authorId?.toString(),
+  })
+    .select("blocker._id")
+    .lean();
+  const blockers = new Set(blockedBy.map((block) => block.blocker._id));
+
+  const users = await User.find({
+    _id: { $in: ids.filter((id) => !blockers.has(id)) },
+  })
+    .select("_id name email")
+    .lean();
+  return users.map((user) => ({
+    _id: user._id.toString(),
+    name: user.name,
+    email: user.email,
+  }));
+};
+
+const notifyMentions = async (comment, mentioned, sender, io) => {
+  for (const target of mentioned) {
+    const content = `${sender.name} mentioned you in a comment`;
+    await notify({
+      io,
+      recipient: { _id: target._id, email: target.email },
+      sender: {
+        _id: sender._id,
+        email: sender.email,
+        name: sender.name,
+        picture: sender.picture,
+      },
+      type: "mention",
+      content,
+      metadata: {
+        itemId: comment.uid,
+        itemType: comment.type,
+        commentId: comment._id.toString(),
+        redirectUrl: generateRedirectUrl(
+          comment.type,
+          comment.uid,
+          comment._id.toString()
+        ),
+        redirectType: "post",
+        additionalInfo: {
+          commentText: comment.comment.substring(0, 100),
+          timestamp: new Date(),
+        },
+      },
+      actionData: {
+        action: "mention",
+        targetType: "comment",
+        targetId: comment._id.toString(),
+        contextText: content,
+      },
+      push: { title: "New mention", body: content },
+    }).catch((error) => console.error("Failed to notify mention:", error));
+  }
+};
+
+// Like counts for a page of comments
+const withLikeCounts = async (comments) => {
+  if (comments.length === 0) return comments;
+
+  const counts = await Like.aggregate([
+    {
+      $match: {
+        type: "comment",
+        uid: { $in: comments.map((comment) => comment._id.toString()) },
+      },
+    },
+    { $group: { _id: "$uid", count: { $sum: 1 } } },
+  ]);
+  const byId = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+
+  return comments.map((comment) => ({
+    ...comment,
+    likeCount: byId[comment._id.toString()] || 0,
+  }));
+};
+
 // Add Comment
 const AddComment = async (req, res) => {
   try {
     const comment = req?.body?.comment;
     const type = req?.body?.type;
+    const parentId = req?.body?.parentId;
     const uid = req?.params?.uid;
 
     const noData = !uid || !type || !comment;
-    const falseID = !isValidObjectId(uid);
+    const falseID =
+      !isValidObjectId(uid) || (!!parentId && !isValidObjectId(parentId));
     const inValidType = !["content", "course", "video", "reel"].includes(type);
     const invalidContent = noData || falseID || inValidType;
 
@@ -29,6 +122,8 @@ const AddComment = async (req, res) => {
             body: {
               type: "content, course, video, or reel",
               comment: "String longer than 0",
+              parentId: "optional, _id of the comment being replied to",
+              mentions: "optional, array of mentioned user _ids",
             },
           },
         },
@@ -68,59 +163,134 @@ const AddComment = async (req, res) => {
       throw new Error(`${type} not found!`);
     }
 
+    // Replies always hang off the top-level comment of the thread
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, uid, type: commentType });
+      if (!parent) {
+        const response = GenRes(
+          404,
+          null,
+          { error: "Parent comment not found" },
+          "The comment you replied to no longer exists"
+        );
+        return res.status(404).json(response);
+      }
+    }
+
+    const mentioned = await resolveMentions(
+      comment,
+      req?.body?.mentions,
+      user._id
+    );
+
     const newData = new Comment({
       type: commentType,
       uid,
       comment,
       user: user?.toObject(),
       edited: false,
+      parentId: parent ? parent.parentId || parent._id.toString() : null,
+      replyTo: parent
+        ? { _id: parent.user._id, name: parent.user.name }
+        : undefined,
+      mentions: mentioned.map(({ _id, name }) => ({ _id, name })),
     });
 
     await newData.save();
 
-    // Create notification for content author with enhanced metadata
-    const notification = new Notification({
-      recipient: {
-        _id: item.author._id,
-        email: item.author.email,
-      },
-      sender: {
-        _id: user._id,
-        email: user.email,
-        name: user.name,
-        picture: user.picture,
-      },
-      type: "comment",
-      content: `${user.name} commented on your ${type}`,
-      metadata: {
-        itemId: uid,
-        itemType: type,
-        commentId: newData._id.toString(),
-        redirectUrl: generateRedirectUrl(type, uid, newData._id.toString()),
-        redirectType: "post",
-        additionalInfo: {
-          commentText: comment.substring(0, 100), // First 100 chars
-          timestamp: new Date(),
-        },
-      },
-      actionData: {
-        action: "comment",
-        targetType: type,
-        targetId: uid,
-        contextText: `${user.name} commented: "${comment.substring(0, 50)}${
-          comment.length > 50 ? "..." : ""
-        }"`,
-      },
-    });
-
-    await notification.save();
+    if (newData.parentId) {
+      await Comment.updateOne(
+        { _id: newData.parentId },
+        { $inc: { replyCount: 1 } }
+      );
+    }
 
-    // Emit notification to online user
     const io = req.app.get("io");
-    if (io) {
-      io.to(item.author._id).emit("new_notification", notification);
+    const notified = new Set([user._id.toString()]);
+
+    if (parent && !notified.has(parent.user._id)) {
+      const content = `${user.name} replied to your comment`;
+      await notify({
+        io,
+        recipient: { _id: parent.user._id, email: parent.user.email },
+        sender: {
+          _id: user._id,
+          email: user.email,
+          name: user.name,
+          picture: user.picture,
+        },
+        type: "comment",
+        content,
+        metadata: {
+          itemId: uid,
+          itemType: type,
+          commentId: newData._id.toString(),
+          redirectUrl: generateRedirectUrl(type, uid, newData._id.toString()),
+          redirectType: "post",
+          additionalInfo: {
+            commentText: comment.substring(0, 100),
+            parentCommentId: parent._id.toString(),
+            timestamp: new Date(),
+          },
+        },
+        actionData: {
+          action: "reply",
+          targetType: "comment",
+          targetId: parent._id.toString(),
+          contextText: content,
+        },
+        push: { title: "New reply", body: content },
+      }).catch((error) => console.error("Failed to notify reply:", error));
+      notified.add(parent.user._id);
     }
 
+    if (!notified.has(item.author._id.toString())) {
+      // Create notification for content author with enhanced metadata
+      await notify({
+        io,
+        recipient: {
+          _id: item.author._id,
+          email: item.author.email,
+        },
+        sender: {
+          _id: user._id,
+          email: user.email,
+          name: user.name,
+          picture: user.picture,
+        },
+        type: "comment",
+        content: `${user.name} commented on your ${type}`,
+        metadata: {
+          itemId: uid,
+          itemType: type,
+          commentId: newData._id.toString(),
+          redirectUrl: generateRedirectUrl(type, uid, newData._id.toString()),
+          redirectType: "post",
+          additionalInfo: {
+            commentText: comment.substring(0, 100), // First 100 chars
+            timestamp: new Date(),
+          },
+        },
+        actionData: {
+          action: "comment",
+          targetType: type,
+          targetId: uid,
+          contextText: `${user.name} commented: "${comment.substring(0, 50)}${
+            comment.length > 50 ? "..." : ""
+          }"`,
+        },
+      });
+      notified.add(item.author._id.toString());
+    }
+
+    await notifyMentions(
+      newData,
+      mentioned.filter((target) => !notified.has(target._id)),
+      user,
+      io
+    );
+
     const response = GenRes(200, newData, null, "Comment added successfully!");
     return res.status(200).json(response);
   } catch (error) {
@@ -176,19 +346,37 @@ const EditComment = async (req, res) => {
       return res.status(400).json(response);
     }
 
-    const updated = await Comment.findOneAndUpdate(
-      {
-        _id: uid,
-        "user.email": req?.user?.email,
-      },
-      { $set: { comment, edited: true } },
-      { new: true }
-    );
+    const updated = await Comment.findOne({
+      _id: uid,
+      "user.email": req?.user?.email,
+    });
 
     if (!updated) {
       throw new Error("Could not Edit the comment!");
     }
 
+    const mentioned = await resolveMentions(
+      comment,
+      req?.body?.mentions,
+      updated.user._id
+    );
+    const alreadyMentioned = new Set(
+      (updated.mentions || []).map((mention) => mention._id)
+    );
+
+    updated.comment = comment;
+    updated.edited = true;
+    updated.mentions = mentioned.map(({ _id, name }) => ({ _id, name }));
+    await updated.save();
+
+    // only people added by this edit hear about it
+    await notifyMentions(
+      updated,
+      mentioned.filter((target) => !alreadyMentioned.has(target._id)),
+      updated.user,
+      req.app.get("io")
+    );
+
     const response = GenRes(200, updated, null, "Updated Successfully!");
     return res.status(200).json(response);
   } catch (error) {
@@ -224,6 +412,14 @@ const DeleteComment = async (req, res) => {
       throw new Error("Could not Delete");
     }
 
+    if (deleted.parentId) {
+      await Comment.updateOne(
+        { _id: deleted.parentId, replyCount: { $gt: 0 } },
+        { $inc: { replyCount: -1 } }
+      );
+    }
+
+    // removes its replies, likes and notifications
     CleanUpAfterDeleteComment(_id);
 
     const response = GenRes(200, deleted, null, "Comment Deleted");
@@ -261,7 +457,9 @@ const GetComments = async (req, res) => {
       dbType = "video";
     }
 
-    const comments = await Comment.find({ uid, type: dbType })
+    // top-level comments only; replies are paged per thread
+    const comments = await Comment.find({ uid, type: dbType, parentId: null })
+      .sort({ createdAt: 1 })
       .skip(page * 20)
       .limit(20)
       .lean();
@@ -271,7 +469,7 @@ const GetComments = async (req, res) => {
 
     const response = GenRes(
       200,
-      comments,
+      await withLikeCounts(comments),
       null,
       `Responding ${comments?.length} no of comments`
     );
@@ -287,4 +485,44 @@ const GetComments = async (req, res) => {
   }
 };
 
-module.exports = { AddComment, EditComment, DeleteComment, GetComments };
+const GetReplies = async (req, res) => {
+  try {
+    const commentId = req?.params?.commentId;
+    const page = parseInt(req?.params?.page || "0") || 0;
+
+    if (!commentId || !isValidObjectId(commentId)) {
+      const response = GenRes(
+        400,
+        null,
+        { error: "Invalid Comment ID" },
+        "Invalid ID! "
+      );
+      return res.status(400).json(response);
+    }
+
+    const replies = await Comment.find({ parentId: commentId })
+      .sort({ createdAt: 1 })
+      .skip(page * 20)
+      .limit(20)
+      .lean();
+
+    const response = GenRes(
+      200,
+      await withLikeCounts(replies),
+      null,
+      `Responding ${replies?.length} no of replies`
+    );
+    return res.status(200).json(response);
+  } catch (error) {
+    const response = GenRes(500, null, error, error?.message);
+    return res.status(500).json(response);
+  }
+};
+
+module.exports = {
+  AddComment,
+  EditComment,
+  DeleteComment,
+  GetComments,
+  GetReplies,
+};
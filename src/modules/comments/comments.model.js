@@ -15,9 +15,25 @@ const CommentSchema = new Schema(
     }),
     comment: gen.required(String),
     edited: gen.required(Boolean, { default: false }),
+    // replies point at the top-level comment of their thread
+    parentId: { type: String, default: null },
+    replyTo: {
+      _id: String,
+      name: String,
+    },
+    replyCount: { type: Number, default: 0 },
+    mentions: [
+      {
+        _id: gen.required(String),
+        name: gen.required(String),
+      },
+    ],
   },
   { timeseries: true, timestamps: true }
 );
 
+CommentSchema.index({ uid: 1, type: 1, parentId: 1, createdAt: -1 });
+CommentSchema.index({ parentId: 1, createdAt: 1 });
+
 const Comment = models?.Comment || model("Comment", CommentSchema);
 module.exports = Comment;
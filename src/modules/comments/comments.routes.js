@@ -4,6 +4,7 @@ const {
   EditComment,
   DeleteComment,
   GetComments,
+  GetReplies,
 } = require("./comments.methods");
 
 const router = require("express").Router();
@@ -14,5 +15,6 @@ router.post("/update-comment/:uid", basicMiddleware, EditComment);
 router.delete("/delete-comment/:uid", basicMiddleware, DeleteComment);
 // get
 router.get("/get-comments/:page", GetComments);
+router.get("/get-replies/:commentId/:page", GetReplies);
 
 module.exports = router;
@@ -0,0 +1,117 @@
+const { isValidObjectId } = require("mongoose");
+const GenRes = require("../../utils/routers/GenRes");
+const Content = require("./contents.model");
+const {
+  normalizeHashtag,
+  isValidHashtag,
+} = require("../../utils/text/hashtags");
+const {
+  TRENDING_WINDOWS,
+  getTrendingHashtags,
+  getHashtagStats,
+} = require("./hashtag.tracker");
+const {
+  enrichContent,
+  optimizeFileUrls,
+  determineContentType,
+} = require("./contents.list");
+
+// Newest contents carrying the tag, with the tag's counts on every page
+const GetHashtagFeed = async (req, res) => {
+  try {
+    const tag = normalizeHashtag(req.params.tag);
+    if (!isValidHashtag(tag)) {
+      return res
+        .status(400)
+        .json(
+          GenRes(400, null, { error: "Invalid hashtag" }, "Invalid hashtag")
+        );
+    }
+
+    const { lastId, pageSize = 10, quality = "auto" } = req.query;
+    const limit = Math.min(parseInt(pageSize, 10) || 10, 20);
+
+    const filters = { hashtags: tag };
+    if (lastId && isValidObjectId(lastId)) filters._id = { $lt: lastId };
+
+    const [contents, stats] = await Promise.all([
+      Content.find(filters)
+        .select("-viewedBy")
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .lean(),
+      getHashtagStats(tag),
+    ]);
+
+    const hasMore = contents.length > limit;
+    const page = await Promise.all(
+      contents.slice(0, limit).map(async (content) => ({
+        ...content,
+        contentType: determineContentType(content.files),
+        optimizedFiles: await optimizeFileUrls(
+          content.files,
+          quality,
+          content.media
+        ),
+      }))
+    );
+    const content = await enrichContent(page, req.user.email);
+
+    return res.status(200).json(
+      GenRes(
+        200,
+        {
+          hashtag: stats,
+          content,
+          hasMore,
+          nextCursor: hasMore ? content[content.length - 1]._id : null,
+        },
+        null,
+        `Retrieved ${content.length} items for #${tag}`
+      )
+    );
+  } catch (error) {
+    console.error("Error in GetHashtagFeed:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Busiest tags over a rolling window (1h, 24h, 7d or 30d)
+const GetTrendingHashtags = async (req, res) => {
+  try {
+    const { window = "24h", limit = 10 } = req.query;
+    if (!TRENDING_WINDOWS[window]) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Invalid window" },
+            `Window must be one of ${Object.keys(TRENDING_WINDOWS).join(", ")}`
+          )
+        );
+    }
+
+    const hashtags = await getTrendingHashtags({
+      window,
+      limit: Math.min(parseInt(limit, 10) || 10, 50),
+    });
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          { window, hashtags },
+          null,
+          `Retrieved ${hashtags.length} trending hashtags`
+        )
+      );
+  } catch (error) {
+    console.error("Error in GetTrendingHashtags:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+module.exports = { GetHashtagFeed, GetTrendingHashtags };
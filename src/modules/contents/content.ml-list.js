@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const MLFeedService = require("../../services/mlFeedService");
 const GenRes = require("../../utils/routers/GenRes");
+const MediaServer = require("../../utils/media/mediaServer");
 const { isValidObjectId } = require("mongoose");
 const Content = require("./contents.model");
 const Like = require("../likes/likes.model");
@@ -398,7 +399,12 @@ async function enrichWithEngagementData(
   const userCommentsSet = new Set(userComments.map((comment) => comment.uid));
   const followedSet = new Set(followData.map((follow) => follow.following._id));
 
-  return content.map((item) => {
+  // Streams recorded for each video
+  const streams = isVideo
+    ? content.map((item) => MediaServer.describe(item.files?.[0], item.media))
+    : [];
+
+  return content.map((item, index) => {
     const enrichedItem = {
       ...item,
       likes: likesMap.get(item._id.toString()) || 0,
@@ -426,8 +432,9 @@ async function enrichWithEngagementData(
           loop: false,
           controls: true,
         },
-        thumbnailUrl: generateThumbnail(item.files?.[0]),
-        hlsUrl: generateHLSUrl(item.files?.[0]),
+        thumbnailUrl: streams[index]?.thumbnail || null,
+        hlsUrl: streams[index]?.hls || null,
+        streamingUrls: streams[index],
       };
     }
 
@@ -447,16 +454,4 @@ function estimateReadTime(text) {
   return Math.ceil(words / wordsPerMinute);
 }
 
-function generateThumbnail(fileUrl) {
-  if (!fileUrl) return null;
-  const basePath = fileUrl.replace(/\.[^/.]+$/, "");
-  return `${basePath}_thumbnail.jpg`;
-}
-
-function generateHLSUrl(fileUrl) {
-  if (!fileUrl) return null;
-  const basePath = fileUrl.replace(/\.[^/.]+$/, "");
-  return `${basePath}/playlist.m3u8`;
-}
-
 module.exports = { GetFeed };
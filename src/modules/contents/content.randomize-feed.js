@@ -3,7 +3,12 @@ const User = require("../user/user.model");
 const Follow = require("../follow/follow.model");
 const Like = require("../likes/likes.model");
 const Comment = require("../comments/comments.model");
+const {
+  getReactionCounts,
+  getViewerReactions,
+} = require("../likes/reactions");
 const GenRes = require("../../utils/routers/GenRes");
+const MediaServer = require("../../utils/media/mediaServer");
 const NodeCache = require("node-cache");
 
 // Cache for randomized feed optimization
@@ -744,17 +749,14 @@ const enrichContentWithEngagement = async (contents, userEmail) => {
   const contentIds = contents.map((c) => c._id.toString());
 
   const [
-    likesData,
+    reactionCounts,
     commentsData,
     sharesData,
-    userLikes,
+    userReactions,
     userComments,
     followData,
   ] = await Promise.all([
-    Like.aggregate([
-      { $match: { uid: { $in: contentIds }, type: "content" } },
-      { $group: { _id: "$uid", count: { $sum: 1 } } },
-    ]),
+    getReactionCounts(contentIds, "content"),
     Comment.aggregate([
       { $match: { uid: { $in: contentIds }, type: "content" } },
       { $group: { _id: "$uid", count: { $sum: 1 } } },
@@ -768,13 +770,7 @@ const enrichContentWithEngagement = async (contents, userEmail) => {
       },
       { $group: { _id: "$originalContent._id", count: { $sum: 1 } } },
     ]),
-    Like.find({
-      uid: { $in: contentIds },
-      type: "content",
-      "user.email": userEmail,
-    })
-      .select("uid")
-      .lean(),
+    getViewerReactions(contentIds, "content", userEmail),
     Comment.find({
       uid: { $in: contentIds },
       type: "content",
@@ -789,12 +785,10 @@ const enrichContentWithEngagement = async (contents, userEmail) => {
       .lean(),
   ]);
 
-  const likesMap = new Map(likesData.map((item) => [item._id, item.count]));
   const commentsMap = new Map(
     commentsData.map((item) => [item._id, item.count])
   );
   const sharesMap = new Map(sharesData.map((item) => [item._id, item.count]));
-  const userLikesSet = new Set(userLikes.map((like) => like.uid));
   const userCommentsSet = new Set(userComments.map((comment) => comment.uid));
   const followedEmailsSet = new Set(
     followData.map((follow) => follow.following.email)
@@ -805,7 +799,8 @@ const enrichContentWithEngagement = async (contents, userEmail) => {
 
   return contents.map((content) => {
     const contentId = content._id.toString();
-    const likes = likesMap.get(contentId) || 0;
+    const reactions = reactionCounts.get(contentId) || {};
+    const likes = Object.values(reactions).reduce((sum, n) => sum + n, 0);
     const comments = commentsMap.get(contentId) || 0;
     const shares = sharesMap.get(contentId) || 0;
     const views = content.views || 0;
@@ -819,7 +814,9 @@ const enrichContentWithEngagement = async (contents, userEmail) => {
       comments,
       shares,
       views,
-      liked: userLikesSet.has(contentId),
+      reactions,
+      liked: userReactions.has(contentId),
+      myReaction: userReactions.get(contentId) || null,
       commented: userCommentsSet.has(contentId),
       followed:
         followedEmailsSet.has(content.author.email) ||
@@ -831,7 +828,9 @@ const enrichContentWithEngagement = async (contents, userEmail) => {
         comments,
         shares,
         views,
-        liked: userLikesSet.has(contentId),
+        reactions,
+        liked: userReactions.has(contentId),
+        myReaction: userReactions.get(contentId) || null,
         commented: userCommentsSet.has(contentId),
         engagementScore: calculateEngagementScore(
           likes,
@@ -1004,6 +1003,11 @@ const GetRandomizedFeed = async (req, res) => {
     );
     const seenRatio = updatedSeenContent.size / Math.max(contentPool.length, 1);
 
+    // Which streams each video has (see MediaServer.describe)
+    const videoStreams = finalVideoContent.map((item) =>
+      MediaServer.describe(item.files?.[0], item.media)
+    );
+
     const response = {
       normalContent: finalNormalContent.map((item, index) => ({
         ...item,
@@ -1029,12 +1033,9 @@ const GetRandomizedFeed = async (req, res) => {
           loop: false,
           controls: true,
         },
-        thumbnailUrl: item.files?.[0]
-          ? item.files[0].replace(/\.[^/.]+$/, "") + "_thumbnail.jpg"
-          : null,
-        hlsUrl: item.files?.[0]
-          ? item.files[0].replace(/\.[^/.]+$/, "") + "/playlist.m3u8"
-          : null,
+        thumbnailUrl: videoStreams[index]?.thumbnail || null,
+        hlsUrl: videoStreams[index]?.hls || null,
+        streamingUrls: videoStreams[index],
       })),
       hasMore,
       nextCursor,
@@ -3,7 +3,12 @@ const Video = require("../video/video.model");
 const Like = require("../likes/likes.model");
 const Comment = require("../comments/comments.model");
 const Follow = require("../follow/follow.model");
+const {
+  getReactionCounts,
+  getViewerReactions,
+} = require("../likes/reactions");
 const GenRes = require("../../utils/routers/GenRes");
+const MediaServer = require("../../utils/media/mediaServer");
 const { isValidObjectId } = require("mongoose");
 
 // Helper function to check if content has video files
@@ -24,13 +29,6 @@ const hasImageFiles = (files) => {
   );
 };
 
-// Generate HLS URL for video streaming
-const generateHLSUrl = (videoUrl) => {
-  if (!videoUrl) return null;
-  const basePath = videoUrl.replace(/\.[^/.]+$/, "");
-  return `${basePath}/playlist.m3u8`;
-};
-
 // Generate thumbnail URL
 const generateThumbnailUrl = (fileUrl) => {
   if (!fileUrl) return null;
@@ -83,10 +81,17 @@ const GetContentById = async (req, res) => {
     let content = await Content.findById(id).lean();
     let isVideoContent = false;
 
-    // If not found in Content, try Video collection
+    // If not found in Content, try Video collection; videos that are
+    // still processing are only visible to their uploader
     if (!content) {
       content = await Video.findById(id).lean();
       isVideoContent = true;
+      if (
+        content?.processingStatus !== "completed" &&
+        content?.author._id !== user._id.toString()
+      ) {
+        content = null;
+      }
     }
 
     if (!content) {
@@ -113,22 +118,20 @@ const GetContentById = async (req, res) => {
 
     // Get engagement data
     const contentType = isVideoContent ? "video" : "content";
-    const [likes, comments, shares] = await Promise.all([
+    const contentId = content._id.toString();
+    const [likes, comments, shares, reactionCounts] = await Promise.all([
       Like.countDocuments({ uid: content._id, type: contentType }),
       Comment.countDocuments({ uid: content._id, type: contentType }),
       Content.countDocuments({
         "originalContent._id": content._id,
         isShared: true,
       }),
+      getReactionCounts([contentId], contentType),
     ]);
 
     // Check user interactions
-    const [liked, commented, following] = await Promise.all([
-      Like.findOne({
-        uid: content._id,
-        type: contentType,
-        "user.email": user.email,
-      }),
+    const [viewerReactions, commented, following] = await Promise.all([
+      getViewerReactions([contentId], contentType, user.email),
       Comment.findOne({
         uid: content._id,
         type: contentType,
@@ -145,6 +148,7 @@ const GetContentById = async (req, res) => {
 
     if (isVideoContent) {
       // Video content optimization
+      const streams = MediaServer.describeVideo(content);
       optimizedContent = {
         _id: content._id,
         title: content.title,
@@ -165,10 +169,8 @@ const GetContentById = async (req, res) => {
 
         // Streaming optimization
         streamingUrls: {
-          hls: generateHLSUrl(content.videoUrl),
-          original: content.videoUrl,
-          thumbnail:
-            content.thumbnail || generateThumbnailUrl(content.videoUrl),
+          ...streams,
+          thumbnail: content.thumbnail || streams.thumbnail,
         },
 
         // Playback settings
@@ -200,34 +202,37 @@ const GetContentById = async (req, res) => {
         shareText: content.shareText,
 
         // Optimized files with streaming support
-        optimizedFiles: content.files
-          ? content.files.map((file) => {
-              const isVideo = hasVideoFiles([file]);
-              const isImage = hasImageFiles([file]);
-
-              if (isVideo) {
-                return {
-                  url: file,
-                  type: "video",
-                  hls: generateHLSUrl(file),
-                  thumbnail: generateThumbnailUrl(file),
-                  streaming: true,
-                };
-              } else if (isImage) {
-                return {
-                  url: file,
-                  type: "image",
-                  thumbnail: generateThumbnailUrl(file),
-                  compressed: true,
-                };
-              }
+        optimizedFiles: await Promise.all(
+          (content.files || []).map(async (file) => {
+            const isVideo = hasVideoFiles([file]);
+            const isImage = hasImageFiles([file]);
 
+            if (isVideo) {
+              const streams = MediaServer.describe(file, content.media);
+              return {
+                url: file,
+                type: "video",
+                format: streams.format,
+                hls: streams.hls,
+                qualities: streams.qualities,
+                thumbnail: streams.thumbnail,
+                streaming: true,
+              };
+            } else if (isImage) {
               return {
                 url: file,
-                type: "other",
+                type: "image",
+                thumbnail: generateThumbnailUrl(file),
+                compressed: true,
               };
-            })
-          : [],
+            }
+
+            return {
+              url: file,
+              type: "other",
+            };
+          })
+        ),
 
         contentType: contentTypeDetected,
       };
@@ -238,7 +243,9 @@ const GetContentById = async (req, res) => {
       likes,
       comments,
       shares,
-      liked: !!liked,
+      reactions: reactionCounts.get(contentId) || {},
+      liked: viewerReactions.has(contentId),
+      myReaction: viewerReactions.get(contentId) || null,
       commented: !!commented,
       following: !!following,
       engagementRate: calculateEngagementRate(
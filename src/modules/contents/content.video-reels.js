@@ -4,6 +4,7 @@ const Follow = require("../follow/follow.model");
 const Like = require("../likes/likes.model");
 const Comment = require("../comments/comments.model");
 const GenRes = require("../../utils/routers/GenRes");
+const MediaServer = require("../../utils/media/mediaServer");
 const { isValidObjectId } = require("mongoose");
 const NodeCache = require("node-cache");
 
@@ -20,22 +21,6 @@ const hasVideoFiles = (files) => {
   );
 };
 
-// Generate HLS URL for video streaming
-const generateHLSUrl = (videoUrl) => {
-  if (!videoUrl) return null;
-  const basePath = videoUrl.replace(/\.[^/.]+$/, "");
-  return `${basePath}/playlist.m3u8`;
-};
-
-// Generate thumbnail URL
-const generateThumbnailUrl = (fileUrl) => {
-  if (!fileUrl) return null;
-  const basePath = fileUrl.replace(/\.[^/.]+$/, "");
-  const pathParts = basePath.split("/");
-  pathParts.splice(-1, 0, "thumbnails");
-  return `${pathParts.join("/")}_thumb.jpg`;
-};
-
 // Calculate engagement rate
 const calculateEngagementRate = (likes, comments, shares, views) => {
   if (views === 0) return 0;
@@ -262,11 +247,7 @@ const GetVideoContentReel = async (req, res) => {
       following: !!followStatus,
 
       // Video streaming optimization
-      streamingUrls: {
-        hls: generateHLSUrl(videoFile),
-        original: videoFile,
-        thumbnail: generateThumbnailUrl(videoFile),
-      },
+      streamingUrls: MediaServer.describe(videoFile, videoContent.media),
 
       // Playback settings for reel-style viewing
       playbackSettings: {
@@ -426,11 +407,7 @@ const GetVideoContentById = async (req, res) => {
       following: !!following,
 
       // Video streaming optimization
-      streamingUrls: {
-        hls: generateHLSUrl(videoFile),
-        original: videoFile,
-        thumbnail: generateThumbnailUrl(videoFile),
-      },
+      streamingUrls: MediaServer.describe(videoFile, videoContent.media),
 
       // Playback settings
       playbackSettings: {
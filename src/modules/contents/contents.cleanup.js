@@ -1,5 +1,94 @@
-const CleanUpAfterDeleteContent = async (uid) => {
-  return;
+const Content = require("./contents.model");
+const Like = require("../likes/likes.model");
+const Comment = require("../comments/comments.model");
+const Notification = require("../notifications/notification.model");
+const { CleanUpAfterDeleteComment } = require("../comments/comments.cleanup");
+const { syncHashtags } = require("./hashtag.tracker");
+const {
+  removeUploadedFile,
+} = require("../../utils/fileProcessor/uploadCleanup");
+const JobQueue = require("../../utils/queue/jobQueue");
+
+// Remove everything that points at a deleted content: likes, comments and
+// their notifications, the embedded copy inside shares, and uploaded files.
+// Safe to run more than once for the same content; throws so a queued run
+// is retried.
+const removeContentTraces = async (contentId, files = []) => {
+  await Like.deleteMany({ type: "content", uid: contentId });
+
+  const comments = await Comment.find({ type: "content", uid: contentId })
+    .select("_id")
+    .lean();
+  await Comment.deleteMany({ type: "content", uid: contentId });
+  for (const comment of comments) {
+    await CleanUpAfterDeleteComment(comment._id);
+  }
+
+  await Notification.deleteMany({ "metadata.itemId": contentId });
+
+  // shares keep their own text but lose the removed original
+  await Content.updateMany(
+    { "originalContent._id": contentId },
+    {
+      $set: {
+        "originalContent.files": [],
+        "originalContent.status": "This content is no longer available",
+        "originalContent.removed": true,
+      },
+    }
+  );
+
+  for (const file of files || []) {
+    // another post may still reference the same upload
+    const inUse = await Content.exists({ files: file });
+    if (inUse) continue;
+
+    const removed = await removeUploadedFile(file);
+    if (!removed) {
+      console.warn(`Could not remove file for content ${contentId}:`, file);
+    }
+  }
+};
+
+// removeContentTraces plus lowering the counts of the content's hashtags,
+// which must only happen once per content
+const CleanUpAfterDeleteContent = async (uid, files = [], hashtags = []) => {
+  try {
+    const contentId = uid?.toString();
+    if (!contentId) return;
+
+    await syncHashtags(hashtags, []);
+    await removeContentTraces(contentId, files);
+  } catch (error) {
+    console.error("Error in CleanUpAfterDeleteContent:", error);
+  }
+};
+
+JobQueue.registerHandler("content.cleanup", async ({ contentId, files }) => {
+  await removeContentTraces(contentId, files);
+  return { contentId };
+});
+
+// Run the cleanup off the request path, on the worker with retries. The
+// tag counts move here, once, instead of in the retried job.
+const ScheduleContentCleanup = async (uid, files = [], hashtags = []) => {
+  const contentId = uid?.toString();
+  if (!contentId) return;
+
+  await syncHashtags(hashtags, []);
+  try {
+    await JobQueue.enqueue(
+      "content.cleanup",
+      { contentId, files: files || [] },
+      {
+        jobId: `content-cleanup-${contentId}`,
+        attempts: 5,
+        backoffMs: 60 * 1000,
+      }
+    );
+  } catch (error) {
+    console.error("Error queueing the content cleanup:", error);
+  }
 };
 
-module.exports = { CleanUpAfterDeleteContent };
+module.exports = { CleanUpAfterDeleteContent, ScheduleContentCleanup };
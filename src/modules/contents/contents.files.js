@@ -1,6 +1,8 @@
-const path = require("path");
 const GenRes = require("../../utils/routers/GenRes");
-const fs = require("fs");
+const Storage = require("../../utils/storage/storage");
+const {
+  removeUploadedFile,
+} = require("../../utils/fileProcessor/uploadCleanup");
 
 const MultipleFiles = async (req, res) => {
   try {
@@ -52,13 +54,13 @@ const DeleteFiles = async (req, res) => {
 
     const failedFile = [];
 
+    // users can only remove their own uploads
+    const ownFolder = `uploads/${req.user.email}/`;
     for (const file of filesList) {
-      try {
-        fs.unlinkSync(path.join(process.cwd(), file.slice(1)));
-      } catch (error) {
-        console.log(error?.message);
-        failedFile.push(file);
-      }
+      const removed =
+        Storage.keyFromUrl(file)?.startsWith(ownFolder) &&
+        (await removeUploadedFile(file));
+      if (!removed) failedFile.push(file);
     }
 
     const response = GenRes(
@@ -3,7 +3,12 @@ const User = require("../user/user.model");
 const Follow = require("../follow/follow.model");
 const Likes = require("../likes/likes.model");
 const Comment = require("../comments/comments.model");
+const {
+  getReactionCounts,
+  getViewerReactions,
+} = require("../likes/reactions");
 const GenRes = require("../../utils/routers/GenRes");
+const MediaServer = require("../../utils/media/mediaServer");
 const NodeCache = require("node-cache");
 const mongoose = require("mongoose");
 
@@ -34,13 +39,6 @@ const isImageFile = (file) => {
   return imageExtensions.some((ext) => file.toLowerCase().endsWith(ext));
 };
 
-// Generate HLS playlist URL for videos
-const generateHLSUrl = (videoUrl) => {
-  if (!videoUrl) return null;
-  const basePath = videoUrl.replace(/\.[^/.]+$/, "");
-  return `${basePath}/playlist.m3u8`;
-};
-
 // Generate thumbnail URL
 const generateThumbnailUrl = (fileUrl) => {
   if (!fileUrl) return null;
@@ -50,92 +48,87 @@ const generateThumbnailUrl = (fileUrl) => {
   return `${pathParts.join("/")}_thumb.jpg`;
 };
 
-// Optimized file URL generation with HLS support
-const optimizeFileUrls = (files, quality = "auto") => {
+// Optimized file URL generation with HLS support; `media` is the post's
+// recorded video streams
+const optimizeFileUrls = (files, quality = "auto", media = []) => {
   if (!files || files.length === 0) return [];
 
-  return files.map((file) => {
-    const isVideo = isVideoFile(file);
-    const isImage = isImageFile(file);
-
-    if (isVideo) {
-      const hlsUrl = generateHLSUrl(file);
-      const thumbnailUrl = generateThumbnailUrl(file);
+  return Promise.all(
+    files.map(async (file) => {
+      const isVideo = isVideoFile(file);
+      const isImage = isImageFile(file);
 
-      // Return different qualities based on request
-      const qualities = {
-        low: {
-          url: thumbnailUrl, // Just thumbnail for low quality
-          type: "image",
-          isVideoThumbnail: true,
-        },
-        medium: {
-          url: hlsUrl || file,
+      if (isVideo) {
+        const streams = MediaServer.describe(file, media);
+        const stream = {
+          url: streams.url,
           type: "video",
-          format: "hls",
-          qualities: ["360p", "480p"],
-        },
-        high: {
-          url: hlsUrl || file,
-          type: "video",
-          format: "hls",
-          qualities: ["480p", "720p", "1080p"],
-        },
-        auto: {
-          url: hlsUrl || file,
-          type: "video",
-          format: "hls",
-          qualities: ["360p", "480p", "720p"],
-        },
-      };
+          format: streams.format,
+          qualities: streams.qualities,
+        };
+
+        // Return different qualities based on request
+        const qualities = {
+          low: streams.thumbnail
+            ? {
+                url: streams.thumbnail, // Just thumbnail for low quality
+                type: "image",
+                isVideoThumbnail: true,
+              }
+            : stream,
+          medium: stream,
+          high: stream,
+          auto: stream,
+        };
+
+        return {
+          ...(qualities[quality] || qualities.auto),
+          thumbnail: streams.thumbnail,
+          original: file,
+          hls: streams.hls,
+          fileSize: "streaming", // Indicate streaming content
+        };
+      } else if (isImage) {
+        const thumbnailUrl = generateThumbnailUrl(file);
+
+        const qualities = {
+          low: {
+            url: thumbnailUrl,
+            width: 300,
+            height: 200,
+          },
+          medium: {
+            url: thumbnailUrl,
+            width: 600,
+            height: 400,
+          },
+          high: {
+            url: file,
+            width: "original",
+            height: "original",
+          },
+          auto: {
+            url: thumbnailUrl,
+            width: 400,
+            height: 300,
+          },
+        };
 
-      return {
-        ...(qualities[quality] || qualities.auto),
-        thumbnail: thumbnailUrl,
-        original: file,
-        hls: hlsUrl,
-        fileSize: "streaming", // Indicate streaming content
-      };
-    } else if (isImage) {
-      const thumbnailUrl = generateThumbnailUrl(file);
-
-      const qualities = {
-        low: {
-          url: thumbnailUrl,
-          width: 300,
-          height: 200,
-        },
-        medium: {
-          url: thumbnailUrl,
-          width: 600,
-          height: 400,
-        },
-        high: {
-          url: file,
-          width: "original",
-          height: "original",
-        },
-        auto: {
-          url: thumbnailUrl,
-          width: 400,
-          height: 300,
-        },
-      };
+        return {
+          ...(qualities[quality] || qualities.auto),
+          type: "image",
+          original: file,
+          thumbnail: thumbnailUrl,
+        };
+      }
 
       return {
-        ...(qualities[quality] || qualities.auto),
-        type: "image",
+        url: file,
         original: file,
-        thumbnail: thumbnailUrl,
+        type: "other",
       };
-    }
-
-    return {
-      url: file,
-      original: file,
-      type: "other",
-    };
-  });
+    })
+  );
 };
 
 // Determine content type based on files
@@ -405,7 +398,7 @@ const fetchAndScoreContent = async (
         (0.8 + Math.random() * 0.4);
 
       // Optimize files with minimal processing
-      const optimizedFiles = optimizeFileUrls(c.files, quality);
+      const optimizedFiles = await optimizeFileUrls(c.files, quality, c.media);
 
       return {
         ...c,
@@ -471,29 +464,20 @@ const enrichContent = async (contents, userEmail) => {
   const contentIds = contents.map((c) => c._id.toString());
 
   // Get engagement data and user interactions
-  const [likesData, commentsData, userLikes] = await Promise.all([
-    Likes.aggregate([
-      { $match: { uid: { $in: contentIds }, type: "content" } },
-      { $group: { _id: "$uid", count: { $sum: 1 } } },
-    ]),
+  const [reactionCounts, commentsData, userReactions] = await Promise.all([
+    getReactionCounts(contentIds, "content"),
     Comment.aggregate([
       { $match: { uid: { $in: contentIds }, type: "content" } },
       { $group: { _id: "$uid", count: { $sum: 1 } } },
     ]),
-    Likes.find({
-      uid: { $in: contentIds },
-      type: "content",
-      "user.email": userEmail,
-    })
-      .select("uid")
-      .lean(),
+    getViewerReactions(contentIds, "content", userEmail),
   ]);
 
-  const likesMap = new Map(likesData.map((item) => [item._id, item.count]));
   const commentsMap = new Map(
     commentsData.map((item) => [item._id, item.count])
   );
-  const userLikesSet = new Set(userLikes.map((like) => like.uid));
+  const totalOf = (counts = {}) =>
+    Object.values(counts).reduce((sum, count) => sum + count, 0);
 
   // Return enriched data with proper engagement counts
   return contents.map((content) => ({
@@ -513,10 +497,13 @@ const enrichContent = async (contents, userEmail) => {
     views: content.views || 0,
     isShared: content.isShared,
     originalContent: content.originalContent,
-    liked: userLikesSet.has(content._id.toString()),
+    hashtags: content.hashtags || [],
+    liked: userReactions.has(content._id.toString()),
+    myReaction: userReactions.get(content._id.toString()) || null,
     loadPriority: content.loadPriority,
-    // Proper engagement counts
-    likes: likesMap.get(content._id.toString()) || 0,
+    // Proper engagement counts (likes counts every reaction type)
+    likes: totalOf(reactionCounts.get(content._id.toString())),
+    reactions: reactionCounts.get(content._id.toString()) || {},
     comments: commentsMap.get(content._id.toString()) || 0,
     engagementLoaded: true,
   }));
@@ -641,7 +628,7 @@ const LoadEngagementData = async (req, res) => {
         .json(GenRes(400, null, null, "Content IDs required"));
     }
 
-    const [likesData, commentsData] = await Promise.all([
+    const [likesData, commentsData, reactionCounts] = await Promise.all([
       Likes.aggregate([
         { $match: { uid: { $in: contentIds }, type: "content" } },
         { $group: { _id: "$uid", count: { $sum: 1 } } },
@@ -650,6 +637,7 @@ const LoadEngagementData = async (req, res) => {
         { $match: { uid: { $in: contentIds }, type: "content" } },
         { $group: { _id: "$uid", count: { $sum: 1 } } },
       ]),
+      getReactionCounts(contentIds, "content"),
     ]);
 
     const engagement = {};
@@ -657,6 +645,7 @@ const LoadEngagementData = async (req, res) => {
       engagement[id] = {
         likes: likesData.find((item) => item._id === id)?.count || 0,
         comments: commentsData.find((item) => item._id === id)?.count || 0,
+        reactions: reactionCounts.get(id) || {},
       };
     });
 
@@ -668,4 +657,10 @@ const LoadEngagementData = async (req, res) => {
   }
 };
 
-module.exports = { ListContents, LoadEngagementData };
+module.exports = {
+  ListContents,
+  LoadEngagementData,
+  enrichContent,
+  optimizeFileUrls,
+  determineContentType,
+};
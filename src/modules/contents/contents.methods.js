@@ -1,12 +1,16 @@
-const path = require("path");
 const GenRes = require("../../utils/routers/GenRes");
 const User = require("../user/user.model");
 const Content = require("./contents.model");
-const Notification = require("../notifications/notification.model");
-const fs = require("fs");
-const { CleanUpAfterDeleteContent } = require("./contents.cleanup");
-const transporter = require("../../config/Mailer");
+const {
+  notify,
+  notifyMany,
+} = require("../notifications/notification.dispatch");
+const { ScheduleContentCleanup } = require("./contents.cleanup");
+const { syncHashtags } = require("./hashtag.tracker");
+const { extractHashtags } = require("../../utils/text/hashtags");
+const { queueEmail } = require("../../utils/notification/emailQueue");
 const Follow = require("../follow/follow.model");
+const { hasPermission } = require("../../utils/auth/permissions");
 
 const AddContent = async (req, res) => {
   try {
@@ -59,9 +63,13 @@ const AddContent = async (req, res) => {
       };
     }
 
+    // tags always come from the text, never from the client
+    data.hashtags = extractHashtags(data.status, data.shareText);
+
     // save data
     const newData = new Content({ ...data, author: author });
     await newData.save();
+    await syncHashtags([], newData.hashtags);
 
     // Create notification for followers
     const followers = await Follow.find({ "following.email": author.email });
@@ -89,24 +97,15 @@ const AddContent = async (req, res) => {
       },
     }));
 
+    const io = req.app.get("io");
     if (notifications.length > 0) {
-      await Notification.insertMany(notifications);
-
-      // Emit notifications to online users
-      const io = req.app.get("io");
-      if (io) {
-        notifications.forEach((notification) => {
-          io.to(notification.recipient._id).emit(
-            "new_notification",
-            notification
-          );
-        });
-      }
+      await notifyMany(notifications, { io });
     }
 
     // If this is a share, notify the original content author
     if (data.isShared) {
-      const shareNotification = new Notification({
+      await notify({
+        io,
         recipient: {
           _id: data.originalContent.author._id,
           email: data.originalContent.author.email,
@@ -125,15 +124,6 @@ const AddContent = async (req, res) => {
           itemType: "content",
         },
       });
-
-      await shareNotification.save();
-
-      if (io) {
-        io.to(data.originalContent.author._id).emit(
-          "new_notification",
-          shareNotification
-        );
-      }
     }
 
     const response = GenRes(
@@ -161,6 +151,21 @@ const UpdateContents = async (req, res) => {
 
     delete data?._id;
     delete data?.author;
+    delete data?.hashtags;
+
+    const existing = await Content.findOne({ _id, "author.email": userEmail })
+      .select("status shareText hashtags")
+      .lean();
+    if (!existing) {
+      throw new Error("Could not save or no document found!");
+    }
+
+    if (data.status !== undefined || data.shareText !== undefined) {
+      data.hashtags = extractHashtags(
+        data.status ?? existing.status,
+        data.shareText ?? existing.shareText
+      );
+    }
 
     const saved = await Content.findOneAndUpdate(
       { _id, "author.email": userEmail },
@@ -174,6 +179,10 @@ const UpdateContents = async (req, res) => {
       throw new Error("Could not save or no document found!");
     }
 
+    if (data.hashtags) {
+      await syncHashtags(existing.hashtags, saved.hashtags);
+    }
+
     const response = GenRes(200, saved, null, "Data successfully updated!");
     return res.status(200).json(response);
   } catch (error) {
@@ -186,34 +195,33 @@ const UpdateContents = async (req, res) => {
 const DeleteContent = async (req, res) => {
   try {
     const _id = req?.params?.id;
-    const deletedData = await Content.findOneAndDelete({
-      _id,
-      "author.email": req?.user?.email,
-    });
-
-    const images = Array.isArray(deletedData?.files)
-      ? [...deletedData.files]
-      : [];
-
-    const failed = [];
-
-    console.log(images);
-    for (const image of images) {
-      try {
-        const fullpath = path.join(process.cwd(), image.slice(1));
-        fs.unlinkSync(fullpath);
-      } catch (err) {
-        console.log(err?.message);
-        failed.push(image);
-      }
+
+    // Moderators may delete anyone's content, others only their own
+    const filters = { _id };
+    if (!hasPermission(req?.user?.role, "content:moderate")) {
+      filters["author.email"] = req?.user?.email;
+    }
+    const deletedData = await Content.findOneAndDelete(filters);
+    if (!deletedData) {
+      return res
+        .status(404)
+        .json(
+          GenRes(
+            404,
+            null,
+            { error: "Content not found" },
+            "Content not found or not yours"
+          )
+        );
     }
 
-    // run a cleanup functions
-    CleanUpAfterDeleteContent(_id);
+    // tag counts drop now; likes, comments, notifications, shares and
+    // files are cleaned up by the worker
+    await ScheduleContentCleanup(_id, deletedData.files, deletedData.hashtags);
 
     if (req?.admin && req?.admin === "admin") {
       // Send email
-      await transporter.sendMail({
+      await queueEmail({
         from: process.env.MAIL,
         to: email,
         subject: "Content Removed - Policy Violation on Innovator",
@@ -239,13 +247,8 @@ const DeleteContent = async (req, res) => {
       });
     }
 
-    const response = GenRes(
-      failed?.length > 0 ? 207 : 200,
-      { failures: failed },
-      null,
-      "Deleted Data"
-    );
-    return res.status(response?.status).json(response);
+    const response = GenRes(200, { _id }, null, "Deleted Data");
+    return res.status(200).json(response);
   } catch (error) {
     const response = GenRes(500, null, error, error?.message);
     return res.status(500).json(response);
@@ -31,9 +31,11 @@ const contentSchema = new Schema(
     isShared: { type: Boolean, default: false },
     originalContent: {
       _id: String,
-      type: String,
+      // nested "type" must be wrapped or mongoose reads it as the path type
+      type: { type: String },
       files: [String],
       status: String,
+      removed: Boolean,
       author: {
         name: String,
         picture: String,
@@ -43,10 +45,29 @@ const contentSchema = new Schema(
       createdAt: Date,
     },
     shareText: String,
+    // lowercased tags without "#", derived from status and shareText
+    hashtags: [String],
+    // streams of the videos in `files`, recorded by the media.process job
+    // once their renditions are encoded (see MediaServer.describe)
+    media: [
+      {
+        _id: false,
+        file: String,
+        hls: String, // master playlist
+        qualities: [String], // e.g. ["360p", "480p"]
+        thumbnail: String,
+      },
+    ],
   },
   { timestamps: true, timeseries: true }
 );
 
+contentSchema.index({ hashtags: 1, _id: -1 });
+contentSchema.index(
+  { status: "text", shareText: "text", hashtags: "text" },
+  { name: "content_search", weights: { hashtags: 5, status: 2, shareText: 1 } }
+);
+
 contentSchema.pre("save", function (next) {
   if (!this.author?._id) {
     return next(new Error("Author details must include user_id or uid!"));
@@ -1,4 +1,5 @@
 const basicMiddleware = require("../../middlewares/basicMiddleware");
+const { requirePermission } = require("../../middlewares/permissionMiddleware");
 const rateLimit = require("express-rate-limit");
 const UserFiles = require("../../utils/fileProcessor/multer.users.js");
 const { MultipleFiles, SingleFile, DeleteFiles } = require("./contents.files");
@@ -20,6 +21,10 @@ const {
 } = require("./content.video-reels.js");
 const { GetFeed } = require("./content.ml-list.js");
 const { GetContentById } = require("./content.single.js");
+const {
+  GetHashtagFeed,
+  GetTrendingHashtags,
+} = require("./content.hashtags.js");
 const {
   GetRandomizedFeed,
   ClearSeenContent,
@@ -169,6 +174,15 @@ router.get(
   GetRandomizedFeed
 );
 
+// Hashtags
+router.get(
+  "/hashtags/:tag",
+  basicMiddleware,
+  feedRateLimiter,
+  GetHashtagFeed
+);
+router.get("/trending", basicMiddleware, GetTrendingHashtags);
+
 router.post("/clear-seen-content", basicMiddleware, ClearSeenContent);
 router.get("/seen-content-stats", basicMiddleware, GetSeenContentStats);
 
@@ -177,10 +191,16 @@ router.get("/list-contents", basicMiddleware, feedRateLimiter, ListContents);
 router.post("/load-engagement", basicMiddleware, LoadEngagementData);
 
 // Admin routes (no rate limiting for admins)
-router.get("/list-admin-contents/:page", basicMiddleware, ListContents);
+router.get(
+  "/list-admin-contents/:page",
+  basicMiddleware,
+  requirePermission("content:moderate"),
+  ListContents
+);
 router.delete(
   "/admin-delete-content/:id",
   basicMiddleware,
+  requirePermission("content:moderate"),
   async (req, res, next) => {
     const { id } = req.params;
     viewCountCache.del(`views_${id}`);
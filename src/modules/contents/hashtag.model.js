@@ -0,0 +1,21 @@
+const { Schema, model, models } = require("mongoose");
+const ModelGenerator = require("../../utils/database/modelGenerator");
+
+const gen = new ModelGenerator();
+
+// One document per tag. `postCount` is the number of live contents using
+// the tag; `totalUses` only ever grows.
+const HashtagSchema = new Schema(
+  {
+    tag: gen.unique(String, { lowercase: true, trim: true }),
+    postCount: { type: Number, default: 0, min: 0 },
+    totalUses: { type: Number, default: 0 },
+    lastUsedAt: Date,
+  },
+  { timestamps: true }
+);
+
+HashtagSchema.index({ postCount: -1 });
+
+const Hashtag = models?.Hashtag || model("Hashtag", HashtagSchema);
+module.exports = Hashtag;
@@ -0,0 +1,144 @@
+const { isValidObjectId } = require("mongoose");
+const Content = require("./contents.model");
+const Hashtag = require("./hashtag.model");
+const HashtagUsage = require("./hashtagUsage.model");
+
+// Rolling windows available for trending, in hours
+const TRENDING_WINDOWS = { "1h": 1, "24h": 24, "7d": 24 * 7, "30d": 24 * 30 };
+
+const hourOf = (date) => {
+  const hour = new Date(date);
+  hour.setUTCMinutes(0, 0, 0);
+  return hour;
+};
+
+// Update the index after a content's tags changed from `previous` to `next`.
+// New tags count as a use in the current hour; dropped tags only lower the
+// live post count. Failures are logged so saving content never fails on them.
+const syncHashtags = async (previous = [], next = [], at = new Date()) => {
+  try {
+    const before = new Set(previous || []);
+    const after = new Set(next || []);
+    const added = [...after].filter((tag) => !before.has(tag));
+    const removed = [...before].filter((tag) => !after.has(tag));
+    if (added.length === 0 && removed.length === 0) return;
+
+    const hour = hourOf(at);
+    await Hashtag.bulkWrite([
+      ...added.map((tag) => ({
+        updateOne: {
+          filter: { tag },
+          update: {
+            $inc: { postCount: 1, totalUses: 1 },
+            $set: { lastUsedAt: at },
+          },
+          upsert: true,
+        },
+      })),
+      ...removed.map((tag) => ({
+        updateOne: {
+          filter: { tag, postCount: { $gt: 0 } },
+          update: { $inc: { postCount: -1 } },
+        },
+      })),
+    ]);
+
+    if (added.length > 0) {
+      await HashtagUsage.bulkWrite(
+        added.map((tag) => ({
+          updateOne: {
+            filter: { tag, hour },
+            update: { $inc: { count: 1 } },
+            upsert: true,
+          },
+        }))
+      );
+    }
+  } catch (error) {
+    console.error("Error syncing hashtags:", error);
+  }
+};
+
+// Most used tags within the window, busiest first
+const getTrendingHashtags = async ({ window = "24h", limit = 10 } = {}) => {
+  const hours = TRENDING_WINDOWS[window] || TRENDING_WINDOWS["24h"];
+  const since = new Date(Date.now() - hours * 3600 * 1000);
+
+  return HashtagUsage.aggregate([
+    { $match: { hour: { $gte: hourOf(since) } } },
+    {
+      $group: {
+        _id: "$tag",
+        uses: { $sum: "$count" },
+        lastUsedAt: { $max: "$hour" },
+      },
+    },
+    { $sort: { uses: -1, lastUsedAt: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: "$_id", uses: 1, lastUsedAt: 1 } },
+  ]);
+};
+
+// Live post count plus uses in every rolling window for one tag
+const getHashtagStats = async (tag) => {
+  const longest = Math.max(...Object.values(TRENDING_WINDOWS));
+  const [hashtag, buckets] = await Promise.all([
+    Hashtag.findOne({ tag }).lean(),
+    HashtagUsage.find({
+      tag,
+      hour: { $gte: hourOf(Date.now() - longest * 3600 * 1000) },
+    })
+      .select("hour count")
+      .lean(),
+  ]);
+
+  const uses = {};
+  for (const [window, hours] of Object.entries(TRENDING_WINDOWS)) {
+    const since = hourOf(Date.now() - hours * 3600 * 1000);
+    uses[window] = buckets
+      .filter((bucket) => bucket.hour >= since)
+      .reduce((sum, bucket) => sum + bucket.count, 0);
+  }
+
+  return {
+    tag,
+    postCount: hashtag?.postCount || 0,
+    totalUses: hashtag?.totalUses || 0,
+    lastUsedAt: hashtag?.lastUsedAt || null,
+    uses,
+  };
+};
+
+// How strongly a user leans towards each tag, from the contents they
+// interacted with. Values are relative to their most used tag (0-1).
+const buildHashtagAffinity = async (contentIds = []) => {
+  const ids = contentIds.filter((id) => isValidObjectId(id));
+  if (ids.length === 0) return {};
+
+  const contents = await Content.find({
+    _id: { $in: ids },
+    hashtags: { $exists: true, $ne: [] },
+  })
+    .select("hashtags")
+    .lean();
+
+  const counts = {};
+  for (const content of contents) {
+    for (const tag of content.hashtags) {
+      counts[tag] = (counts[tag] || 0) + 1;
+    }
+  }
+
+  const max = Math.max(0, ...Object.values(counts));
+  return Object.fromEntries(
+    Object.entries(counts).map(([tag, count]) => [tag, count / max])
+  );
+};
+
+module.exports = {
+  TRENDING_WINDOWS,
+  syncHashtags,
+  getTrendingHashtags,
+  getHashtagStats,
+  buildHashtagAffinity,
+};
@@ -0,0 +1,27 @@
+const { Schema, model, models } = require("mongoose");
+const ModelGenerator = require("../../utils/database/modelGenerator");
+
+const gen = new ModelGenerator();
+
+const USAGE_RETENTION_DAYS = 30;
+
+// Hourly usage buckets per tag, summed to get counts over rolling windows.
+// Buckets older than the longest window expire on their own.
+const HashtagUsageSchema = new Schema(
+  {
+    tag: gen.required(String),
+    hour: gen.required(Date),
+    count: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+HashtagUsageSchema.index({ tag: 1, hour: 1 }, { unique: true });
+HashtagUsageSchema.index(
+  { hour: 1 },
+  { expireAfterSeconds: USAGE_RETENTION_DAYS * 24 * 3600 }
+);
+
+const HashtagUsage =
+  models?.HashtagUsage || model("HashtagUsage", HashtagUsageSchema);
+module.exports = HashtagUsage;
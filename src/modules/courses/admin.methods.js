@@ -3,27 +3,23 @@ const Category = require("./category.model");
 const GenRes = require("../../utils/routers/GenRes");
 const { isValidObjectId } = require("mongoose");
 const VideoDurationExtractor = require("../../utils/media/videoDurationExtractor");
-const path = require("path");
-const fs = require("fs");
+const Storage = require("../../utils/storage/storage");
+
+// Duration and metadata of an uploaded course video, or null when the
+// file isn't there
+const probeVideo = async (fileUrl) => {
+  const key = Storage.keyFromUrl(fileUrl);
+  if (!key || !(await Storage.stat(key))) return null;
+  return Storage.withLocalCopy(key, (videoPath) =>
+    VideoDurationExtractor.extractVideoInfo(videoPath)
+  );
+};
 
 // ==================== CATEGORY MANAGEMENT ====================
 
 // Create Category
 const CreateCategory = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can create categories"
-          )
-        );
-    }
-
     const { name, description, icon, color } = req.body;
 
     if (!name) {
@@ -86,19 +82,6 @@ const CreateCategory = async (req, res) => {
 // Update Category
 const UpdateCategory = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can update categories"
-          )
-        );
-    }
-
     const { categoryId } = req.params;
     const updateData = req.body;
 
@@ -152,19 +135,6 @@ const UpdateCategory = async (req, res) => {
 // Delete Category
 const DeleteCategory = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can delete categories"
-          )
-        );
-    }
-
     const { categoryId } = req.params;
 
     if (!isValidObjectId(categoryId)) {
@@ -228,19 +198,6 @@ const DeleteCategory = async (req, res) => {
 // Create Course (Udemy-like)
 const CreateCourse = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can create courses"
-          )
-        );
-    }
-
     const data = req.body;
     const files = req.file_locations || [];
     const thumbnailFile = files.find((f) => f.includes("thumbnail"));
@@ -292,14 +249,8 @@ const CreateCourse = async (req, res) => {
     let overviewVideoDuration = "00:00:00";
     if (overviewVideoFile) {
       try {
-        const videoPath = path.join(
-          process.cwd(),
-          overviewVideoFile.substring(1)
-        );
-        if (fs.existsSync(videoPath)) {
-          const videoInfo = await VideoDurationExtractor.extractVideoInfo(
-            videoPath
-          );
+        const videoInfo = await probeVideo(overviewVideoFile);
+        if (videoInfo) {
           overviewVideoDuration = videoInfo.duration;
           console.log(
             `Overview video duration extracted: ${overviewVideoDuration}`
@@ -350,19 +301,6 @@ const CreateCourse = async (req, res) => {
 // Update Course
 const UpdateCourse = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can update courses"
-          )
-        );
-    }
-
     const { courseId } = req.params;
     const data = req.body;
     const files = req.file_locations || [];
@@ -396,8 +334,7 @@ const UpdateCourse = async (req, res) => {
     if (thumbnailFile) {
       if (course.thumbnail) {
         try {
-          const oldPath = path.join(process.cwd(), course.thumbnail.slice(1));
-          fs.unlinkSync(oldPath);
+          await Storage.deleteUrl(course.thumbnail);
         } catch (error) {
           console.log(`Failed to delete old thumbnail: ${error?.message}`);
         }
@@ -408,11 +345,7 @@ const UpdateCourse = async (req, res) => {
     if (overviewVideoFile) {
       if (course.overviewVideo) {
         try {
-          const oldPath = path.join(
-            process.cwd(),
-            course.overviewVideo.slice(1)
-          );
-          fs.unlinkSync(oldPath);
+          await Storage.deleteUrl(course.overviewVideo);
         } catch (error) {
           console.log(`Failed to delete old overview video: ${error?.message}`);
         }
@@ -421,14 +354,8 @@ const UpdateCourse = async (req, res) => {
 
       // Extract new overview video duration
       try {
-        const videoPath = path.join(
-          process.cwd(),
-          overviewVideoFile.substring(1)
-        );
-        if (fs.existsSync(videoPath)) {
-          const videoInfo = await VideoDurationExtractor.extractVideoInfo(
-            videoPath
-          );
+        const videoInfo = await probeVideo(overviewVideoFile);
+        if (videoInfo) {
           data.overviewVideoDuration = videoInfo.duration;
           console.log(
             `Updated overview video duration: ${data.overviewVideoDuration}`
@@ -460,19 +387,6 @@ const UpdateCourse = async (req, res) => {
 // Delete Course
 const DeleteCourse = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can delete courses"
-          )
-        );
-    }
-
     const { courseId } = req.params;
 
     if (!isValidObjectId(courseId)) {
@@ -512,8 +426,7 @@ const DeleteCourse = async (req, res) => {
       const failedFiles = [];
       for (const file of allFiles) {
         try {
-          const filePath = path.join(process.cwd(), file.slice(1));
-          fs.unlinkSync(filePath);
+          await Storage.deleteUrl(file);
         } catch (error) {
           console.log(`Failed to delete file ${file}:`, error?.message);
           failedFiles.push(file);
@@ -543,19 +456,6 @@ const DeleteCourse = async (req, res) => {
 // Add lesson to course
 const AddLesson = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can add lessons"
-          )
-        );
-    }
-
     const { courseId } = req.params;
     const { title, description, duration, sortOrder } = req.body;
 
@@ -607,19 +507,6 @@ const AddLesson = async (req, res) => {
 // Update lesson
 const UpdateLesson = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can update lessons"
-          )
-        );
-    }
-
     const { courseId, lessonId } = req.params;
     const updateData = req.body;
 
@@ -675,19 +562,6 @@ const UpdateLesson = async (req, res) => {
 // Delete lesson
 const DeleteLesson = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can delete lessons"
-          )
-        );
-    }
-
     const { courseId, lessonId } = req.params;
 
     if (!isValidObjectId(courseId) || !isValidObjectId(lessonId)) {
@@ -735,8 +609,7 @@ const DeleteLesson = async (req, res) => {
     if (allFiles.length > 0) {
       for (const file of allFiles) {
         try {
-          const filePath = path.join(process.cwd(), file.slice(1));
-          fs.unlinkSync(filePath);
+          await Storage.deleteUrl(file);
         } catch (error) {
           console.log(`Failed to delete file ${file}:`, error?.message);
         }
@@ -761,19 +634,6 @@ const DeleteLesson = async (req, res) => {
 // Add content (notes/videos) to lesson
 const AddLessonContent = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can add lesson content"
-          )
-        );
-    }
-
     const { courseId, lessonId } = req.params;
     const { contentType, title, description, sortOrder } = req.body;
     const files = req.file_locations || [];
@@ -905,11 +765,8 @@ const AddLessonContent = async (req, res) => {
 
         // Extract video duration and metadata
         try {
-          const videoPath = path.join(process.cwd(), file.substring(1));
-          if (fs.existsSync(videoPath)) {
-            const videoInfo = await VideoDurationExtractor.extractVideoInfo(
-              videoPath
-            );
+          const videoInfo = await probeVideo(file);
+          if (videoInfo) {
             duration = videoInfo.duration;
             metadata = {
               ...metadata,
@@ -964,19 +821,6 @@ const AddLessonContent = async (req, res) => {
 // Update lesson content (video or note)
 const UpdateLessonContent = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can update lesson content"
-          )
-        );
-    }
-
     const { courseId, lessonId, contentId } = req.params;
     const { contentType, title, description } = req.body;
     const files = req.file_locations || [];
@@ -1047,11 +891,7 @@ const UpdateLessonContent = async (req, res) => {
         // Delete old file
         if (contentItem.fileUrl) {
           try {
-            const oldPath = path.join(
-              process.cwd(),
-              contentItem.fileUrl.slice(1)
-            );
-            fs.unlinkSync(oldPath);
+            await Storage.deleteUrl(contentItem.fileUrl);
           } catch (error) {
             console.log(`Failed to delete old note file: ${error?.message}`);
           }
@@ -1085,11 +925,7 @@ const UpdateLessonContent = async (req, res) => {
         // Delete old video file
         if (contentItem.videoUrl) {
           try {
-            const oldPath = path.join(
-              process.cwd(),
-              contentItem.videoUrl.slice(1)
-            );
-            fs.unlinkSync(oldPath);
+            await Storage.deleteUrl(contentItem.videoUrl);
           } catch (error) {
             console.log(`Failed to delete old video file: ${error?.message}`);
           }
@@ -1099,11 +935,8 @@ const UpdateLessonContent = async (req, res) => {
 
         // Extract new video duration and metadata
         try {
-          const videoPath = path.join(process.cwd(), videoFile.substring(1));
-          if (fs.existsSync(videoPath)) {
-            const videoInfo = await VideoDurationExtractor.extractVideoInfo(
-              videoPath
-            );
+          const videoInfo = await probeVideo(videoFile);
+          if (videoInfo) {
             contentItem.duration = videoInfo.duration;
             contentItem.metadata = {
               ...contentItem.metadata,
@@ -1128,11 +961,7 @@ const UpdateLessonContent = async (req, res) => {
         // Delete old thumbnail
         if (contentItem.thumbnail) {
           try {
-            const oldPath = path.join(
-              process.cwd(),
-              contentItem.thumbnail.slice(1)
-            );
-            fs.unlinkSync(oldPath);
+            await Storage.deleteUrl(contentItem.thumbnail);
           } catch (error) {
             console.log(`Failed to delete old thumbnail: ${error?.message}`);
           }
@@ -1157,19 +986,6 @@ const UpdateLessonContent = async (req, res) => {
 // Delete content from lesson
 const DeleteLessonContent = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can delete lesson content"
-          )
-        );
-    }
-
     const { courseId, lessonId, contentId } = req.params;
     const { contentType } = req.query;
 
@@ -1222,11 +1038,7 @@ const DeleteLessonContent = async (req, res) => {
       if (contentItem) {
         // Delete file from filesystem
         try {
-          const filePath = path.join(
-            process.cwd(),
-            contentItem.fileUrl.slice(1)
-          );
-          fs.unlinkSync(filePath);
+          await Storage.deleteUrl(contentItem.fileUrl);
         } catch (error) {
           console.log(`Failed to delete note file:`, error?.message);
         }
@@ -1242,8 +1054,7 @@ const DeleteLessonContent = async (req, res) => {
         ].filter(Boolean);
         for (const file of filesToDelete) {
           try {
-            const filePath = path.join(process.cwd(), file.slice(1));
-            fs.unlinkSync(filePath);
+            await Storage.deleteUrl(file);
           } catch (error) {
             console.log(`Failed to delete video file:`, error?.message);
           }
@@ -1281,19 +1092,6 @@ const DeleteLessonContent = async (req, res) => {
 // Add video directly to course (not lesson-specific)
 const AddCourseVideo = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can add course videos"
-          )
-        );
-    }
-
     const { courseId } = req.params;
     const { title, description, sortOrder } = req.body;
     const files = req.file_locations || [];
@@ -1354,11 +1152,8 @@ const AddCourseVideo = async (req, res) => {
 
       // Extract video duration and metadata
       try {
-        const videoPath = path.join(process.cwd(), file.substring(1));
-        if (fs.existsSync(videoPath)) {
-          const videoInfo = await VideoDurationExtractor.extractVideoInfo(
-            videoPath
-          );
+        const videoInfo = await probeVideo(file);
+        if (videoInfo) {
           duration = videoInfo.duration;
           metadata = {
             ...metadata,
@@ -1418,19 +1213,6 @@ const AddCourseVideo = async (req, res) => {
 // Add PDF directly to course (not lesson-specific)
 const AddCoursePDF = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can add course PDFs"
-          )
-        );
-    }
-
     const { courseId } = req.params;
     const { title, description, sortOrder } = req.body;
     const files = req.file_locations || [];
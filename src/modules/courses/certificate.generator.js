@@ -1,6 +1,6 @@
 const fs = require("fs").promises;
 const path = require("path");
-const fsSync = require("fs");
+const Storage = require("../../utils/storage/storage");
 
 class CertificateGenerator {
   constructor() {
@@ -359,21 +359,18 @@ class CertificateGenerator {
   async saveCertificate(certificateData, certificateType = "course") {
     try {
       const html = this.generateHTMLCertificate(certificateData);
-      const filename = `${certificateData.certificateId}.html`;
-
-      // Create type-specific directory
-      const typeDir = path.join(this.outputPath, certificateType);
-      await fs.mkdir(typeDir, { recursive: true });
-
-      const filepath = path.join(typeDir, filename);
+      const key = this.getCertificateKey(
+        certificateData.certificateId,
+        certificateType
+      );
 
-      await fs.writeFile(filepath, html, "utf8");
+      await Storage.put(key, html, { contentType: "text/html" });
 
       return {
         success: true,
-        filepath,
-        url: `/certificates/generated/${certificateType}/${filename}`,
-        downloadUrl: `/certificates/generated/${certificateType}/${filename}`,
+        key,
+        url: Storage.url(key),
+        downloadUrl: Storage.url(key),
       };
     } catch (error) {
       console.error("Error saving certificate:", error);
@@ -384,7 +381,8 @@ class CertificateGenerator {
     }
   }
 
-  // Save certificate file with proper directory structure
+  // Save certificate file under `outputDir`, a folder inside
+  // certificates/generated
   async saveCertificateFile(
     certificateData,
     outputDir,
@@ -394,25 +392,19 @@ class CertificateGenerator {
       const html = this.generateHTMLCertificate(certificateData);
       const filename = `${certificateData.certificateId}.html`;
 
-      // Ensure output directory exists
-      if (!fsSync.existsSync(outputDir)) {
-        fsSync.mkdirSync(outputDir, { recursive: true });
-      }
+      const folder = path
+        .relative(process.cwd(), outputDir)
+        .replace(/\\/g, "/");
+      const key = Storage.keyFromUrl(`/${folder}/${filename}`);
+      if (!key) throw new Error(`Invalid certificate folder: ${outputDir}`);
 
-      const filepath = path.join(outputDir, filename);
-
-      // Write file synchronously for immediate availability
-      fsSync.writeFileSync(filepath, html, "utf8");
-
-      // Generate relative URL path
-      const relativePath = path.relative(process.cwd(), filepath);
-      const url = `/${relativePath.replace(/\\/g, "/")}`;
+      await Storage.put(key, html, { contentType: "text/html" });
 
       return {
         success: true,
-        filepath,
-        url,
-        downloadUrl: url,
+        key,
+        url: Storage.url(key),
+        downloadUrl: Storage.url(key),
         filename,
       };
     } catch (error) {
@@ -433,29 +425,23 @@ class CertificateGenerator {
     return `/verify-certificate/${verificationCode}`;
   }
 
-  // Get certificate file path
-  getCertificateFilePath(certificateId, certificateType = "course") {
-    return path.join(this.outputPath, certificateType, `${certificateId}.html`);
+  // Get certificate storage key
+  getCertificateKey(certificateId, certificateType = "course") {
+    return `certificates/generated/${certificateType}/${certificateId}.html`;
   }
 
   // Check if certificate file exists
-  certificateExists(certificateId, certificateType = "course") {
-    const filepath = this.getCertificateFilePath(
-      certificateId,
-      certificateType
-    );
-    return fsSync.existsSync(filepath);
+  async certificateExists(certificateId, certificateType = "course") {
+    const key = this.getCertificateKey(certificateId, certificateType);
+    return Boolean(await Storage.stat(key));
   }
 
   // Delete certificate file
   async deleteCertificate(certificateId, certificateType = "course") {
     try {
-      const filepath = this.getCertificateFilePath(
-        certificateId,
-        certificateType
-      );
-      if (fsSync.existsSync(filepath)) {
-        await fs.unlink(filepath);
+      const key = this.getCertificateKey(certificateId, certificateType);
+      if (await Storage.stat(key)) {
+        await Storage.delete(key);
         return { success: true };
       }
       return { success: false, error: "Certificate file not found" };
@@ -0,0 +1,95 @@
+const path = require("path");
+const Certificate = require("./certificate.model");
+const Enrollment = require("./enrollment.model");
+const CertificateGenerator = require("./certificate.generator");
+const JobQueue = require("../../utils/queue/jobQueue");
+const { notify } = require("../notifications/notification.dispatch");
+
+// The certificate.render job: write the certificate page of an issued
+// certificate, point the certificate and enrollment at it and congratulate
+// the student. Queued by issueCertificate once the course is completed.
+const renderCertificate = async ({
+  certificateData,
+  enrollmentId,
+  student,
+  course,
+}) => {
+  const certificateDir = path.join(
+    process.cwd(),
+    "certificates",
+    "generated",
+    "course",
+    student._id
+  );
+  const result = await CertificateGenerator.saveCertificateFile(
+    certificateData,
+    certificateDir,
+    "course"
+  );
+  if (!result.success) {
+    throw new Error(`Failed to generate certificate file: ${result.error}`);
+  }
+
+  const certificate = await Certificate.findOneAndUpdate(
+    { certificateId: certificateData.certificateId },
+    {
+      $set: {
+        "certificate.certificateUrl": result.url,
+        "certificate.downloadUrl": result.url,
+      },
+    },
+    { new: true }
+  );
+  if (!certificate) {
+    throw new Error(`Certificate ${certificateData.certificateId} not found`);
+  }
+  await Enrollment.updateOne(
+    { _id: enrollmentId },
+    { $set: { "completion.certificateUrl": result.url } }
+  );
+
+  await notify({
+    push: {
+      title: "Certificate Earned! 🎉",
+      body: `Congratulations! You've completed ${course.title}`,
+      type: "certificate_earned",
+      data: {
+        courseId: course._id,
+        certificateId: certificate.certificateId,
+        certificateUrl: certificate.certificate.certificateUrl,
+        verificationUrl: certificate.verification.verificationUrl,
+      },
+    },
+    recipient: {
+      _id: student._id,
+      email: student.email,
+    },
+    sender: {
+      _id: "system",
+      email: "system@platform.com",
+      name: "System",
+    },
+    type: "course",
+    content: `Congratulations! You've completed ${course.title} and earned a certificate.`,
+    metadata: {
+      itemId: course._id,
+      itemType: "certificate",
+      certificateId: certificate.certificateId,
+      certificateUrl: certificate.certificate.certificateUrl,
+      verificationCode: certificate.certificate.verificationCode,
+    },
+  });
+
+  console.log(`Certificate generated successfully: ${result.key}`);
+  return { url: result.url };
+};
+
+JobQueue.registerHandler("certificate.render", renderCertificate);
+
+const queueCertificateRender = (data) =>
+  JobQueue.enqueue("certificate.render", data, {
+    jobId: `certificate-${data.certificateData.certificateId}`,
+    userId: data.student._id,
+  });
+
+module.exports = { queueCertificateRender };
@@ -1,5 +1,5 @@
 const path = require("path");
-const fs = require("fs");
+const Storage = require("../../utils/storage/storage");
 const CertificateGenerator = require("./certificate.generator");
 const Certificate = require("./certificate.model");
 const GenRes = require("../../utils/routers/GenRes");
@@ -8,23 +8,11 @@ async function serveCertificate(req, res) {
   try {
     const { type, userId, filename } = req.params;
 
-    const safePath = path.join(
-      process.cwd(),
-      "certificates",
-      "generated",
-      type,
-      userId,
-      filename
-    );
-
-    const normalizedPath = path.normalize(safePath);
-    const certificatesDir = path.join(
-      process.cwd(),
-      "certificates",
-      "generated"
+    const key = Storage.keyFromUrl(
+      `/certificates/generated/${type}/${userId}/${filename}`
     );
 
-    if (!normalizedPath.startsWith(certificatesDir)) {
+    if (!key?.startsWith("certificates/generated/")) {
       return res
         .status(403)
         .json(
@@ -37,7 +25,7 @@ async function serveCertificate(req, res) {
         );
     }
 
-    if (!fs.existsSync(normalizedPath)) {
+    if (!(await Storage.stat(key))) {
       return res
         .status(404)
         .json(
@@ -52,7 +40,7 @@ async function serveCertificate(req, res) {
 
     res.setHeader("Content-Type", "text/html");
     res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
-    res.sendFile(normalizedPath);
+    (await Storage.get(key)).pipe(res);
   } catch (error) {
     console.error("Error serving certificate:", error);
     res.status(500).json(GenRes(500, null, error, error.message));
@@ -61,19 +49,6 @@ async function serveCertificate(req, res) {
 
 async function uploadTemplate(req, res) {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can upload templates"
-          )
-        );
-    }
-
     const templateFile = req.file_location;
     if (!templateFile) {
       return res
@@ -106,19 +81,6 @@ async function uploadTemplate(req, res) {
 
 async function generateCertificate(req, res) {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can generate certificates"
-          )
-        );
-    }
-
     const { studentId, certificateData, certificateType = "course" } = req.body;
 
     if (!studentId || !certificateData) {
@@ -172,19 +134,6 @@ async function generateCertificate(req, res) {
 
 async function deleteCertificate(req, res) {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can delete certificates"
-          )
-        );
-    }
-
     const { certificateId } = req.params;
     const { certificateType = "course" } = req.query;
 
@@ -228,19 +177,6 @@ async function deleteCertificate(req, res) {
 
 async function getCertificateStats(req, res) {
   try {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can view certificate stats"
-          )
-        );
-    }
-
     const stats = await Certificate.aggregate([
       {
         $group: {
@@ -1,5 +1,6 @@
 const router = require("express").Router();
 const basicMiddleware = require("../../middlewares/basicMiddleware");
+const { requirePermission } = require("../../middlewares/permissionMiddleware");
 const CertificateFiles = require("../../utils/fileProcessor/multer.certificates");
 const {
   serveCertificate,
@@ -13,19 +14,27 @@ router.get("/certificates/generated/:type/:userId/:filename", serveCertificate);
 router.post(
   "/admin/certificates/template",
   basicMiddleware,
+  requirePermission("certificates:write"),
   CertificateFiles.single("template"),
   uploadTemplate
 );
 router.post(
   "/admin/certificates/generate",
   basicMiddleware,
+  requirePermission("certificates:write"),
   generateCertificate
 );
 router.delete(
   "/admin/certificates/:certificateId",
   basicMiddleware,
+  requirePermission("certificates:write"),
   deleteCertificate
 );
-router.get("/admin/certificates/stats", basicMiddleware, getCertificateStats);
+router.get(
+  "/admin/certificates/stats",
+  basicMiddleware,
+  requirePermission("certificates:write"),
+  getCertificateStats
+);
 
 module.exports = router;
@@ -1,5 +1,6 @@
 const router = require("express").Router();
 const basicMiddleware = require("../../middlewares/basicMiddleware");
+const { requirePermission } = require("../../middlewares/permissionMiddleware");
 const AdminFiles = require("../../utils/fileProcessor/multer.courses");
 
 // Import methods
@@ -25,6 +26,7 @@ const {
   AddCourseVideo,
   AddCoursePDF,
 } = require("./admin.methods");
+const { GetPrivateFileUrl } = require("../private-file/access");
 
 // ==================== PUBLIC ROUTES ====================
 
@@ -37,16 +39,34 @@ router.get("/category/:categoryId/courses", GetCoursesByCategory);
 // Get course details with lessons
 router.get("/courses/:courseId", basicMiddleware, GetCourseDetails);
 
+// Signed, expiring url for one of the course's private files
+router.get("/courses/:courseId/files/url", basicMiddleware, GetPrivateFileUrl);
+
 // ==================== ADMIN CATEGORY MANAGEMENT ====================
 
 // Create category
-router.post("/admin/categories", basicMiddleware, CreateCategory);
+router.post(
+  "/admin/categories",
+  basicMiddleware,
+  requirePermission("courses:write"),
+  CreateCategory
+);
 
 // Update category
-router.put("/admin/categories/:categoryId", basicMiddleware, UpdateCategory);
+router.put(
+  "/admin/categories/:categoryId",
+  basicMiddleware,
+  requirePermission("courses:write"),
+  UpdateCategory
+);
 
 // Delete category
-router.delete("/admin/categories/:categoryId", basicMiddleware, DeleteCategory);
+router.delete(
+  "/admin/categories/:categoryId",
+  basicMiddleware,
+  requirePermission("courses:write"),
+  DeleteCategory
+);
 
 // ==================== ADMIN COURSE MANAGEMENT ====================
 
@@ -54,6 +74,7 @@ router.delete("/admin/categories/:categoryId", basicMiddleware, DeleteCategory);
 router.post(
   "/admin/courses",
   basicMiddleware,
+  requirePermission("courses:write"),
   AdminFiles("public").fields([
     { name: "thumbnail", maxCount: 1 },
     { name: "overviewVideo", maxCount: 1 },
@@ -65,6 +86,7 @@ router.post(
 router.put(
   "/admin/courses/:courseId",
   basicMiddleware,
+  requirePermission("courses:write"),
   AdminFiles("public").fields([
     { name: "thumbnail", maxCount: 1 },
     { name: "overviewVideo", maxCount: 1 },
@@ -73,17 +95,28 @@ router.put(
 );
 
 // Delete course
-router.delete("/admin/courses/:courseId", basicMiddleware, DeleteCourse);
+router.delete(
+  "/admin/courses/:courseId",
+  basicMiddleware,
+  requirePermission("courses:write"),
+  DeleteCourse
+);
 
 // ==================== LESSON MANAGEMENT ====================
 
 // Add lesson to course
-router.post("/admin/courses/:courseId/lessons", basicMiddleware, AddLesson);
+router.post(
+  "/admin/courses/:courseId/lessons",
+  basicMiddleware,
+  requirePermission("courses:write"),
+  AddLesson
+);
 
 // Update lesson
 router.put(
   "/admin/courses/:courseId/lessons/:lessonId",
   basicMiddleware,
+  requirePermission("courses:write"),
   UpdateLesson
 );
 
@@ -91,6 +124,7 @@ router.put(
 router.delete(
   "/admin/courses/:courseId/lessons/:lessonId",
   basicMiddleware,
+  requirePermission("courses:write"),
   DeleteLesson
 );
 
@@ -98,6 +132,7 @@ router.delete(
 router.post(
   "/admin/courses/:courseId/lessons/:lessonId/content",
   basicMiddleware,
+  requirePermission("courses:write"),
   AdminFiles("public").any(),
   AddLessonContent
 );
@@ -106,6 +141,7 @@ router.post(
 router.put(
   "/admin/courses/:courseId/lessons/:lessonId/content/:contentId",
   basicMiddleware,
+  requirePermission("courses:write"),
   AdminFiles("public").any(),
   UpdateLessonContent
 );
@@ -114,6 +150,7 @@ router.put(
 router.delete(
   "/admin/courses/:courseId/lessons/:lessonId/content/:contentId",
   basicMiddleware,
+  requirePermission("courses:write"),
   DeleteLessonContent
 );
 
@@ -123,6 +160,7 @@ router.delete(
 router.post(
   "/admin/courses/:courseId/videos",
   basicMiddleware,
+  requirePermission("courses:write"),
   AdminFiles("public").fields([
     { name: "video", maxCount: 5 },
     { name: "thumbnail", maxCount: 5 },
@@ -134,6 +172,7 @@ router.post(
 router.post(
   "/admin/courses/:courseId/pdfs",
   basicMiddleware,
+  requirePermission("courses:write"),
   AdminFiles("public").any(),
   AddCoursePDF
 );
@@ -144,6 +183,7 @@ router.post(
 router.post(
   "/admin/upload-public-files",
   basicMiddleware,
+  requirePermission("courses:write"),
   AdminFiles("public").any(),
   (req, res) => {
     const GenRes = require("../../utils/routers/GenRes");
@@ -158,6 +198,7 @@ router.post(
 router.post(
   "/admin/upload-private-files",
   basicMiddleware,
+  requirePermission("courses:write"),
   AdminFiles("private").any(),
   (req, res) => {
     const GenRes = require("../../utils/routers/GenRes");
@@ -169,49 +210,54 @@ router.post(
 );
 
 // Delete course files
-router.delete("/admin/delete-files", basicMiddleware, (req, res) => {
-  const GenRes = require("../../utils/routers/GenRes");
-  const path = require("path");
-  const fs = require("fs");
-
-  try {
-    const filesList = req?.body;
-
-    if (!filesList || !Array.isArray(filesList) || filesList.length === 0) {
-      return res
-        .status(400)
-        .json(
-          GenRes(
-            400,
-            null,
-            new Error("Files location must be provided in array"),
-            "Please provide location in valid format"
-          )
-        );
-    }
+router.delete(
+  "/admin/delete-files",
+  basicMiddleware,
+  requirePermission("courses:write"),
+  async (req, res) => {
+    const GenRes = require("../../utils/routers/GenRes");
+    const Storage = require("../../utils/storage/storage");
+    const {
+      removeUploadedFile,
+    } = require("../../utils/fileProcessor/uploadCleanup");
+
+    try {
+      const filesList = req?.body;
+
+      if (!filesList || !Array.isArray(filesList) || filesList.length === 0) {
+        return res
+          .status(400)
+          .json(
+            GenRes(
+              400,
+              null,
+              new Error("Files location must be provided in array"),
+              "Please provide location in valid format"
+            )
+          );
+      }
 
-    const failedFile = [];
+      const failedFile = [];
 
-    for (const file of filesList) {
-      try {
-        fs.unlinkSync(path.join(process.cwd(), file.slice(1)));
-      } catch (error) {
-        console.log(error?.message);
-        failedFile.push(file);
+      for (const file of filesList) {
+        const removed =
+          Storage.keyFromUrl(file)?.startsWith("courses/") &&
+          (await removeUploadedFile(file));
+        if (!removed) failedFile.push(file);
       }
-    }
 
-    const response = GenRes(
-      failedFile?.length > 0 ? 207 : 200,
-      { failedFile },
-      null,
-      "Files Deleted"
-    );
+      const response = GenRes(
+        failedFile?.length > 0 ? 207 : 200,
+        { failedFile },
+        null,
+        "Files Deleted"
+      );
 
-    return res.status(response?.status).json(response);
-  } catch (error) {
-    return res.status(500).json(GenRes(500, null, error, error?.message));
+      return res.status(response?.status).json(response);
+    } catch (error) {
+      return res.status(500).json(GenRes(500, null, error, error?.message));
+    }
   }
-});
+);
 
 module.exports = router;
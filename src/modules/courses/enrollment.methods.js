@@ -1,14 +1,56 @@
 const Enrollment = require("./enrollment.model");
 const Certificate = require("./certificate.model");
-const EnhancedCourse = require("./course.enhanced.model");
+const Course = require("./courses.model");
 const User = require("../user/user.model");
-const Notification = require("../notifications/notification.model");
+const { notify } = require("../notifications/notification.dispatch");
+const { queueCertificateRender } = require("./certificate.jobs");
 const GenRes = require("../../utils/routers/GenRes");
+const { hasPermission } = require("../../utils/auth/permissions");
 const { isValidObjectId } = require("mongoose");
-const FCMHandler = require("../../utils/notification/fcmHandler");
 const CertificateGenerator = require("./certificate.generator");
+const PaymentGateway = require("../../utils/payment/paymentGateway");
 const path = require("path");
 
+// Count the enrollment and let the course author know
+const announceEnrollment = async (enrollment, course, userDetails) => {
+  const courseId = course._id.toString();
+
+  // Update course enrollment count
+  await Course.findByIdAndUpdate(courseId, {
+    $inc: { enrollmentCount: 1 },
+  });
+
+  // Send notification to course author
+  await notify({
+    push: {
+      title: "New Course Enrollment",
+      body: `${userDetails.name} enrolled in ${course.title}`,
+      type: "course_enrollment",
+      data: {
+        courseId: courseId,
+        enrollmentId: enrollment._id.toString(),
+      },
+    },
+    recipient: {
+      _id: course.author._id,
+      email: course.author.email,
+    },
+    sender: {
+      _id: userDetails._id,
+      email: userDetails.email,
+      name: userDetails.name,
+      picture: userDetails.picture,
+    },
+    type: "course",
+    content: `${userDetails.name} enrolled in your course: ${course.title}`,
+    metadata: {
+      itemId: courseId,
+      itemType: "course",
+      enrollmentId: enrollment._id.toString(),
+    },
+  });
+};
+
 // Enroll in a course
 const EnrollInCourse = async (req, res) => {
   try {
@@ -38,7 +80,7 @@ const EnrollInCourse = async (req, res) => {
     }
 
     // Get course details
-    const course = await EnhancedCourse.findById(courseId).lean();
+    const course = await Course.findById(courseId);
     if (!course) {
       return res
         .status(404)
@@ -66,7 +108,10 @@ const EnrollInCourse = async (req, res) => {
       "course._id": courseId,
     });
 
-    if (existingEnrollment) {
+    // A failed payment leaves the enrollment behind, allow trying again
+    if (existingEnrollment?.paymentInfo?.paymentStatus === "failed") {
+      await Enrollment.deleteOne({ _id: existingEnrollment._id });
+    } else if (existingEnrollment) {
       return res
         .status(409)
         .json(
@@ -105,17 +150,24 @@ const EnrollInCourse = async (req, res) => {
         isFree,
       },
       progress: {
-        totalLessons: course.lessons?.length || 0,
-        totalVideos: course.videos?.length || 0,
-        totalNotes: course.notes?.length || 0,
+        totalLessons: course.lessonCount,
+        totalVideos: course.totalVideoCount,
+        totalNotes: course.totalPDFCount,
       },
+      // paid enrollments stay suspended until the payment is confirmed
+      status: isFree ? "active" : "suspended",
       paymentInfo: isFree
         ? {
             amount: 0,
             currency: "USD",
             paymentStatus: "completed",
           }
-        : paymentInfo,
+        : {
+            amount: course.price.usd,
+            currency: "USD",
+            paymentMethod: paymentInfo?.paymentMethod,
+            paymentStatus: "pending",
+          },
       metadata: {
         enrollmentSource: "website",
         deviceInfo: req.headers["user-agent"],
@@ -125,47 +177,26 @@ const EnrollInCourse = async (req, res) => {
 
     await enrollment.save();
 
-    // Update course enrollment count
-    await EnhancedCourse.findByIdAndUpdate(courseId, {
-      $inc: { enrollmentCount: 1 },
-    });
-
-    // Send notification to course author
-    const notification = new Notification({
-      recipient: {
-        _id: course.author._id,
-        email: course.author.email,
-      },
-      sender: {
-        _id: userDetails._id,
-        email: userDetails.email,
-        name: userDetails.name,
-        picture: userDetails.picture,
-      },
-      type: "course",
-      content: `${userDetails.name} enrolled in your course: ${course.title}`,
-      metadata: {
-        itemId: courseId,
-        itemType: "course",
-        enrollmentId: enrollment._id.toString(),
-      },
-    });
-
-    await notification.save();
-
-    // Send FCM notification
-    try {
-      await FCMHandler.sendToUser(course.author._id, {
-        title: "New Course Enrollment",
-        body: `${userDetails.name} enrolled in ${course.title}`,
-        type: "course_enrollment",
-        data: {
-          courseId: courseId,
-          enrollmentId: enrollment._id.toString(),
-        },
-      });
-    } catch (fcmError) {
-      console.error("Failed to send FCM notification:", fcmError);
+    let payment = null;
+    if (isFree) {
+      await announceEnrollment(enrollment, course, userDetails);
+    } else {
+      try {
+        payment = await PaymentGateway.createPayment({
+          purpose: "course",
+          referenceId: enrollment._id,
+          amount: course.price.usd,
+          currency: "USD",
+          payer: userDetails,
+          description: `Enrollment in ${course.title}`,
+        });
+      } catch (error) {
+        // so enrolling again isn't refused as "already enrolled"
+        await Enrollment.deleteOne({ _id: enrollment._id });
+        throw error;
+      }
+      enrollment.paymentInfo.transactionId = payment.providerRef;
+      await enrollment.save();
     }
 
     return res.status(201).json(
@@ -173,9 +204,16 @@ const EnrollInCourse = async (req, res) => {
         201,
         {
           enrollment: enrollment.toObject(),
+          payment: payment && {
+            _id: payment._id,
+            provider: payment.provider,
+            status: payment.status,
+            checkoutUrl: payment.checkoutUrl,
+            clientSecret: payment.clientSecret,
+          },
           message: isFree
             ? "Successfully enrolled in free course"
-            : "Enrollment completed with payment",
+            : "Complete the payment to access the course",
         },
         null,
         "Course enrollment successful"
@@ -210,6 +248,7 @@ const UpdateProgress = async (req, res) => {
     const enrollment = await Enrollment.findOne({
       _id: enrollmentId,
       "student._id": user._id,
+      "paymentInfo.paymentStatus": "completed",
     });
 
     if (!enrollment) {
@@ -349,9 +388,7 @@ const GetEnrollmentAnalytics = async (req, res) => {
     const userId = req.user._id;
 
     // Verify user is the course author or admin
-    const course = await EnhancedCourse.findById(courseId).select(
-      "author title"
-    );
+    const course = await Course.findById(courseId).select("author title");
     if (!course) {
       return res
         .status(404)
@@ -360,7 +397,10 @@ const GetEnrollmentAnalytics = async (req, res) => {
         );
     }
 
-    if (course.author._id !== userId && req.user.role !== "admin") {
+    if (
+      course.author._id !== userId.toString() &&
+      !hasPermission(req.user.role, "courses:analytics")
+    ) {
       return res
         .status(403)
         .json(
@@ -501,9 +541,16 @@ const GetCourseProgress = async (req, res) => {
     }
 
     // Get course details for structure
-    const course = await EnhancedCourse.findById(courseId)
-      .select("lessons videos notes")
+    const course = await Course.findById(courseId)
+      .select("lessons courseVideos coursePDFs")
       .lean();
+    if (!course) {
+      return res
+        .status(404)
+        .json(
+          GenRes(404, null, { error: "Course not found" }, "Course not found")
+        );
+    }
 
     // Organize progress by lessons
     const progressByLesson = {};
@@ -514,14 +561,26 @@ const GetCourseProgress = async (req, res) => {
       notes: [],
     };
 
+    // Every video and note by id, with the lesson it belongs to
+    const items = new Map();
+    const addItems = (list, type, target) =>
+      list?.forEach((item) =>
+        items.set(`${type}:${item._id}`, { item, target })
+      );
+    addItems(course.courseVideos, "video", progressByLesson.general);
+    addItems(course.coursePDFs, "note", progressByLesson.general);
+
     // Progress for each lesson
     course.lessons?.forEach((lesson) => {
-      progressByLesson[lesson._id.toString()] = {
+      const lessonProgress = {
         lesson: lesson,
         videos: [],
         notes: [],
         completed: false,
       };
+      progressByLesson[lesson._id.toString()] = lessonProgress;
+      addItems(lesson.videos, "video", lessonProgress);
+      addItems(lesson.notes, "note", lessonProgress);
     });
 
     // Map progress items to lessons
@@ -531,30 +590,13 @@ const GetCourseProgress = async (req, res) => {
         if (lessonProgress) {
           lessonProgress.completed = item.completed;
         }
-      } else if (item.itemType === "video") {
-        const video = course.videos?.find(
-          (v) => v._id.toString() === item.itemId
-        );
-        if (video) {
-          const lessonId = video.lessonId?.toString() || "general";
-          const target = progressByLesson[lessonId] || progressByLesson.general;
-          target.videos.push({
-            ...video,
-            progress: item,
-          });
-        }
-      } else if (item.itemType === "note") {
-        const note = course.notes?.find(
-          (n) => n._id.toString() === item.itemId
-        );
-        if (note) {
-          const lessonId = note.lessonId?.toString() || "general";
-          const target = progressByLesson[lessonId] || progressByLesson.general;
-          target.notes.push({
-            ...note,
-            progress: item,
-          });
-        }
+        return;
+      }
+
+      const found = items.get(`${item.itemType}:${item.itemId}`);
+      if (found) {
+        const list = item.itemType === "video" ? "videos" : "notes";
+        found.target[list].push({ ...found.item, progress: item });
       }
     });
 
@@ -586,7 +628,7 @@ const GetCourseProgress = async (req, res) => {
 const issueCertificate = async (enrollment) => {
   try {
     // Get course details
-    const course = await EnhancedCourse.findById(enrollment.course._id).lean();
+    const course = await Course.findById(enrollment.course._id).lean();
     if (!course) return;
 
     // Create certificate record in database
@@ -622,93 +664,26 @@ const issueCertificate = async (enrollment) => {
       issuer: certificate.metadata.issuer.name,
     };
 
-    // Create certificate directory structure similar to multer
-    const certificateDir = path.join(
-      process.cwd(),
-      "certificates",
-      "generated",
-      "course",
-      enrollment.student._id
-    );
-
-    // Generate and save the certificate HTML file
-    const certificateResult = await CertificateGenerator.saveCertificateFile(
-      certificateData,
-      certificateDir,
-      "course"
-    );
-
-    if (certificateResult.success) {
-      // Update certificate record with file URLs
-      certificate.certificate.certificateUrl = certificateResult.url;
-      certificate.certificate.downloadUrl = certificateResult.url;
-      await certificate.save();
-
-      // Update enrollment with certificate info
-      enrollment.completion.certificateIssued = true;
-      enrollment.completion.certificateId = certificate.certificateId;
-      enrollment.completion.certificateUrl = certificateResult.url;
-      await enrollment.save();
-
-      console.log(
-        `Certificate generated successfully: ${certificateResult.filepath}`
-      );
-    } else {
-      console.error(
-        `Failed to generate certificate file: ${certificateResult.error}`
+    // The page is rendered by the worker, which then notifies the student
+    enrollment.completion.certificateIssued = true;
+    enrollment.completion.certificateId = certificate.certificateId;
+    enrollment.completion.certificateUrl =
+      CertificateGenerator.getCertificateUrl(
+        certificate.certificateId,
+        "course"
       );
-      // Still update enrollment even if file generation fails
-      enrollment.completion.certificateIssued = true;
-      enrollment.completion.certificateId = certificate.certificateId;
-      enrollment.completion.certificateUrl =
-        CertificateGenerator.getCertificateUrl(
-          certificate.certificateId,
-          "course"
-        );
-      await enrollment.save();
-    }
+    await enrollment.save();
 
-    // Send notification to student
-    const notification = new Notification({
-      recipient: {
+    await queueCertificateRender({
+      certificateData,
+      enrollmentId: enrollment._id.toString(),
+      student: {
         _id: enrollment.student._id,
         email: enrollment.student.email,
       },
-      sender: {
-        _id: "system",
-        email: "system@platform.com",
-        name: "System",
-      },
-      type: "course",
-      content: `Congratulations! You've completed ${course.title} and earned a certificate.`,
-      metadata: {
-        itemId: course._id.toString(),
-        itemType: "certificate",
-        certificateId: certificate.certificateId,
-        certificateUrl: certificate.certificate.certificateUrl,
-        verificationCode: certificate.certificate.verificationCode,
-      },
+      course: { _id: course._id.toString(), title: course.title },
     });
 
-    await notification.save();
-
-    // Send FCM notification
-    try {
-      await FCMHandler.sendToUser(enrollment.student._id, {
-        title: "Certificate Earned! 🎉",
-        body: `Congratulations! You've completed ${course.title}`,
-        type: "certificate_earned",
-        data: {
-          courseId: course._id.toString(),
-          certificateId: certificate.certificateId,
-          certificateUrl: certificate.certificate.certificateUrl,
-          verificationUrl: certificate.verification.verificationUrl,
-        },
-      });
-    } catch (fcmError) {
-      console.error("Failed to send certificate FCM notification:", fcmError);
-    }
-
     console.log(
       `Certificate issued for ${enrollment.student.name} - Course: ${course.title} - Certificate ID: ${certificate.certificateId}`
     );
@@ -732,20 +707,22 @@ const GetUserCertificates = async (req, res) => {
       .lean();
 
     // Add view URLs for each certificate
-    const certificatesWithUrls = certificates.map((cert) => ({
-      ...cert,
-      viewUrl: CertificateGenerator.getCertificateUrl(
-        cert.certificateId,
-        "course"
-      ),
-      verificationUrl: CertificateGenerator.getVerificationUrl(
-        cert.certificate.verificationCode
-      ),
-      fileExists: CertificateGenerator.certificateExists(
-        cert.certificateId,
-        "course"
-      ),
-    }));
+    const certificatesWithUrls = await Promise.all(
+      certificates.map(async (cert) => ({
+        ...cert,
+        viewUrl: CertificateGenerator.getCertificateUrl(
+          cert.certificateId,
+          "course"
+        ),
+        verificationUrl: CertificateGenerator.getVerificationUrl(
+          cert.certificate.verificationCode
+        ),
+        fileExists: await CertificateGenerator.certificateExists(
+          cert.certificateId,
+          "course"
+        ),
+      }))
+    );
 
     return res
       .status(200)
@@ -840,7 +817,7 @@ const DownloadCertificate = async (req, res) => {
     }
 
     // Check if certificate file exists
-    const fileExists = CertificateGenerator.certificateExists(
+    const fileExists = await CertificateGenerator.certificateExists(
       certificateId,
       "course"
     );
@@ -1002,6 +979,58 @@ const RegenerateCertificate = async (req, res) => {
   }
 };
 
+PaymentGateway.registerFulfillment("course", {
+  onSucceeded: async (payment) => {
+    const enrollment = await Enrollment.findById(payment.referenceId);
+    if (!enrollment) return;
+
+    enrollment.status = "active";
+    enrollment.paymentInfo.paymentStatus = "completed";
+    enrollment.paymentInfo.paymentMethod =
+      enrollment.paymentInfo.paymentMethod || payment.provider;
+    enrollment.paymentInfo.transactionId = payment.providerRef;
+    enrollment.paymentInfo.paymentDate = payment.paidAt || new Date();
+    await enrollment.save();
+
+    const [course, userDetails] = await Promise.all([
+      Course.findById(enrollment.course._id).lean(),
+      User.findById(enrollment.student._id).select("name email picture").lean(),
+    ]);
+    if (course && userDetails) {
+      await announceEnrollment(enrollment, course, userDetails);
+    }
+  },
+
+  onFailed: async (payment) => {
+    await Enrollment.updateOne(
+      { _id: payment.referenceId },
+      {
+        $set: {
+          status: "cancelled",
+          "paymentInfo.paymentStatus": "failed",
+        },
+      }
+    );
+  },
+
+  onRefunded: async (payment) => {
+    const enrollment = await Enrollment.findOneAndUpdate(
+      { _id: payment.referenceId, "paymentInfo.paymentStatus": "completed" },
+      {
+        $set: {
+          status: "cancelled",
+          "paymentInfo.paymentStatus": "refunded",
+        },
+      }
+    );
+    if (enrollment) {
+      await Course.findByIdAndUpdate(enrollment.course._id, {
+        $inc: { enrollmentCount: -1 },
+      });
+    }
+  },
+});
+
 module.exports = {
   EnrollInCourse,
   UpdateProgress,
@@ -4,8 +4,7 @@ const CourseRating = require("./rating.model");
 const Course = require("./courses.model");
 const Enrollment = require("./enrollment.model");
 const User = require("../user/user.model");
-const Notification = require("../notifications/notification.model");
-const FCMHandler = require("../../utils/notification/fcmHandler");
+const { notify } = require("../notifications/notification.dispatch");
 
 // Submit course rating and review
 const SubmitCourseRating = async (req, res) => {
@@ -58,6 +57,7 @@ const SubmitCourseRating = async (req, res) => {
     const enrollment = await Enrollment.findOne({
       "student._id": userId,
       "course._id": courseId,
+      "paymentInfo.paymentStatus": "completed",
     });
 
     if (!enrollment) {
@@ -158,7 +158,18 @@ const SubmitCourseRating = async (req, res) => {
     await updateCourseRatingStats(courseId);
 
     // Create notification for course author
-    const notification = new Notification({
+    await notify({
+      io: req.app.get("io"),
+      push: {
+        title: "New Course Rating",
+        body: `${user.name} gave ${rating} stars to "${course.title}"`,
+        type: "course_rating",
+        data: {
+          courseId,
+          ratingId: courseRating._id.toString(),
+          rating: rating.toString(),
+        },
+      },
       recipient: {
         _id: course.author._id,
         email: course.author.email,
@@ -179,24 +190,6 @@ const SubmitCourseRating = async (req, res) => {
       },
     });
 
-    await notification.save();
-
-    // Send FCM notification to course author
-    try {
-      await FCMHandler.sendToUser(course.author._id, {
-        title: "New Course Rating",
-        body: `${user.name} gave ${rating} stars to "${course.title}"`,
-        type: "course_rating",
-        data: {
-          courseId,
-          ratingId: courseRating._id.toString(),
-          rating: rating.toString(),
-        },
-      });
-    } catch (fcmError) {
-      console.error("Failed to send FCM notification:", fcmError);
-    }
-
     return res
       .status(200)
       .json(GenRes(200, courseRating, null, "Rating submitted successfully"));
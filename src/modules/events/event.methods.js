@@ -1,28 +1,16 @@
 const Event = require("./event.model");
 const User = require("../user/user.model");
-const Notification = require("../notifications/notification.model");
+const { notifyMany } = require("../notifications/notification.dispatch");
 const GenRes = require("../../utils/routers/GenRes");
+const { hasPermission } = require("../../utils/auth/permissions");
 const { isValidObjectId } = require("mongoose");
-const path = require("path");
-const fs = require("fs");
+const {
+  deleteUploadedFile,
+} = require("../../utils/fileProcessor/uploadCleanup");
 
 // Create new event (Admin only)
 const CreateEvent = async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can create events"
-          )
-        );
-    }
-
     const data = req.body;
     const images = req.file_locations || [];
 
@@ -146,7 +134,7 @@ const CreateEvent = async (req, res) => {
       }));
 
       if (notifications.length > 0) {
-        await Notification.insertMany(notifications);
+        await notifyMany(notifications, { io: req.app.get("io") });
       }
     }
 
@@ -160,7 +148,7 @@ const CreateEvent = async (req, res) => {
     if (req.file_locations?.length > 0) {
       for (const file of req.file_locations) {
         try {
-          fs.unlinkSync(path.join(process.cwd(), file.slice(1)));
+          await deleteUploadedFile(file);
         } catch (cleanupError) {
           console.log(
             `Failed to clean up file ${file}:`,
@@ -294,7 +282,10 @@ const GetEventById = async (req, res) => {
     }
 
     // Check if user can view this event
-    if (!event.isPublic && req.user?.role !== "admin") {
+    if (
+      !event.isPublic &&
+      !hasPermission(req.user?.role, "events:write")
+    ) {
       return res
         .status(403)
         .json(
@@ -317,20 +308,6 @@ const UpdateEvent = async (req, res) => {
     const { id } = req.params;
     const data = req.body;
 
-    // Check if user is admin
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can update events"
-          )
-        );
-    }
-
     if (!isValidObjectId(id)) {
       return res
         .status(400)
@@ -419,7 +396,7 @@ const UpdateEvent = async (req, res) => {
       if (event.images?.length > 0) {
         for (const oldImage of event.images) {
           try {
-            fs.unlinkSync(path.join(process.cwd(), oldImage.slice(1)));
+            await deleteUploadedFile(oldImage);
           } catch (error) {
             console.log(
               `Failed to delete old image ${oldImage}:`,
@@ -447,7 +424,7 @@ const UpdateEvent = async (req, res) => {
     if (req.file_locations?.length > 0) {
       for (const file of req.file_locations) {
         try {
-          fs.unlinkSync(path.join(process.cwd(), file.slice(1)));
+          await deleteUploadedFile(file);
         } catch (cleanupError) {
           console.log(
             `Failed to clean up file ${file}:`,
@@ -466,20 +443,6 @@ const DeleteEvent = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Check if user is admin
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can delete events"
-          )
-        );
-    }
-
     if (!isValidObjectId(id)) {
       return res
         .status(400)
@@ -502,7 +465,7 @@ const DeleteEvent = async (req, res) => {
     if (event.images?.length > 0) {
       for (const image of event.images) {
         try {
-          fs.unlinkSync(path.join(process.cwd(), image.slice(1)));
+          await deleteUploadedFile(image);
         } catch (error) {
           console.log(`Failed to delete image ${image}:`, error?.message);
         }
@@ -523,20 +486,6 @@ const DeleteEvent = async (req, res) => {
 // Get events by admin (Admin only)
 const GetAdminEvents = async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can view admin events"
-          )
-        );
-    }
-
     const { page = 0, limit = 20, status, search } = req.query;
 
     const pageNum = parseInt(page, 10) || 0;
@@ -596,20 +545,6 @@ const UpdateEventStatus = async (req, res) => {
     const { id } = req.params;
     const { status } = req.body;
 
-    // Check if user is admin
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can update event status"
-          )
-        );
-    }
-
     if (!isValidObjectId(id)) {
       return res
         .status(400)
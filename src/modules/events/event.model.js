@@ -206,6 +206,18 @@ EventSchema.index({ "eventMaker._id": 1 });
 EventSchema.index({ featured: 1, startDate: 1 });
 EventSchema.index({ "location.city": 1, startDate: 1 });
 EventSchema.index({ tags: 1 });
+EventSchema.index(
+  {
+    title: "text",
+    tags: "text",
+    "location.city": "text",
+    description: "text",
+  },
+  {
+    name: "event_search",
+    weights: { title: 10, tags: 5, "location.city": 3, description: 1 },
+  }
+);
 
 const Event = models?.Event || model("Event", EventSchema);
 module.exports = Event;
@@ -1,5 +1,6 @@
 const router = require("express").Router();
 const basicMiddleware = require("../../middlewares/basicMiddleware");
+const { requirePermission } = require("../../middlewares/permissionMiddleware");
 const UserFiles = require("../../utils/fileProcessor/multer.users");
 const {
   CreateEvent,
@@ -33,41 +34,61 @@ router.delete(
   CancelRegistration
 );
 
-// Admin routes (require authentication)
+// Event management routes
 router.post(
   "/admin/events",
   basicMiddleware,
+  requirePermission("events:write"),
   UserFiles.array("images", 5),
   CreateEvent
 );
 
-router.get("/admin/events", basicMiddleware, GetAdminEvents);
+router.get(
+  "/admin/events",
+  basicMiddleware,
+  requirePermission("events:write"),
+  GetAdminEvents
+);
 
 router.put(
   "/admin/events/:id",
   basicMiddleware,
+  requirePermission("events:write"),
   UserFiles.array("images", 5),
   UpdateEvent
 );
 
-router.delete("/admin/events/:id", basicMiddleware, DeleteEvent);
+router.delete(
+  "/admin/events/:id",
+  basicMiddleware,
+  requirePermission("events:write"),
+  DeleteEvent
+);
 
-router.patch("/admin/events/:id/status", basicMiddleware, UpdateEventStatus);
+router.patch(
+  "/admin/events/:id/status",
+  basicMiddleware,
+  requirePermission("events:write"),
+  UpdateEventStatus
+);
 
-// Event Registration Management (Admin only)
+// Event Registration Management
 router.get(
   "/admin/events/:eventId/registrations",
   basicMiddleware,
+  requirePermission("events:registrations"),
   GetEventRegistrations
 );
 router.patch(
   "/admin/registrations/:registrationId/status",
   basicMiddleware,
+  requirePermission("events:registrations"),
   UpdateRegistrationStatus
 );
 router.post(
   "/admin/registrations/:registrationId/checkin",
   basicMiddleware,
+  requirePermission("events:registrations"),
   CheckInAttendee
 );
 
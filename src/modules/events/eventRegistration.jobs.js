@@ -0,0 +1,49 @@
+const EventRegistration = require("./eventRegistration.model");
+const JobQueue = require("../../utils/queue/jobQueue");
+const PaymentGateway = require("../../utils/payment/paymentGateway");
+
+// How long an unpaid registration holds its seat
+const PAYMENT_HOLD_MINUTES =
+  parseInt(process.env.EVENT_PAYMENT_HOLD_MINUTES) || 30;
+
+// The event.payment-hold job: give up the seat of a registration still
+// unpaid when its hold runs out. The payment is marked failed, so the
+// event fulfillment's onFailed cancels the registration and promotes the
+// waitlist, and a late success for it is refunded.
+const expirePaymentHold = async ({ registrationId }) => {
+  const registration = await EventRegistration.findById(registrationId)
+    .select("registrationDetails")
+    .lean();
+  if (
+    registration?.registrationDetails.status !== "pending" ||
+    registration.registrationDetails.paymentStatus !== "pending"
+  ) {
+    return { expired: false };
+  }
+
+  const payment = await PaymentGateway.findLatest("event", registrationId);
+  if (payment?.status !== "pending") return { expired: false };
+
+  const { applied } = await PaymentGateway.applyEvent(payment.provider, {
+    type: "failed",
+    providerRef: payment.providerRef,
+    reason: "Payment window expired",
+    payload: { expired: true },
+  });
+  return { expired: applied };
+};
+
+JobQueue.registerHandler("event.payment-hold", expirePaymentHold);
+
+// Hold a seat for an unpaid registration; returns when the hold ends
+const queuePaymentHold = async (registration) => {
+  const delayMs = PAYMENT_HOLD_MINUTES * 60 * 1000;
+  await JobQueue.enqueue(
+    "event.payment-hold",
+    { registrationId: registration._id.toString() },
+    { jobId: `event-hold-${registration._id}`, delayMs }
+  );
+  return new Date(Date.now() + delayMs);
+};
+
+module.exports = { queuePaymentHold };
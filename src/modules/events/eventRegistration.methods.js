@@ -1,11 +1,13 @@
 const EventRegistration = require("./eventRegistration.model");
 const Event = require("./event.model");
 const User = require("../user/user.model");
-const Notification = require("../notifications/notification.model");
-const transporter = require("../../config/Mailer");
+const { notify } = require("../notifications/notification.dispatch");
+const { queueEmail } = require("../../utils/notification/emailQueue");
 const GenRes = require("../../utils/routers/GenRes");
+const { hasPermission } = require("../../utils/auth/permissions");
 const { isValidObjectId } = require("mongoose");
-const FCMHandler = require("../../utils/notification/fcmHandler");
+const PaymentGateway = require("../../utils/payment/paymentGateway");
+const { queuePaymentHold } = require("./eventRegistration.jobs");
 
 // Register for an event
 const RegisterForEvent = async (req, res) => {
@@ -85,7 +87,10 @@ const RegisterForEvent = async (req, res) => {
       "registrationDetails.status": { $in: ["confirmed", "pending"] },
     });
 
-    let registrationStatus = "confirmed";
+    // Paid registrations hold a seat as pending until the payment settles
+    const isPaid = !event.price?.isFree && event.price?.amount > 0;
+
+    let registrationStatus = isPaid ? "pending" : "confirmed";
     if (event.maxAttendees && currentRegistrations >= event.maxAttendees) {
       registrationStatus = "waitlisted";
     }
@@ -136,6 +141,7 @@ const RegisterForEvent = async (req, res) => {
       },
       registrationDetails: {
         status: registrationStatus,
+        paymentStatus: isPaid ? "pending" : "waived",
         paymentAmount: event.price?.amount || 0,
         specialRequirements: registrationData.specialRequirements || "",
         dietaryRestrictions: registrationData.dietaryRestrictions || "",
@@ -152,8 +158,36 @@ const RegisterForEvent = async (req, res) => {
 
     await registration.save();
 
-    // Send confirmation email to registrant
-    await sendRegistrationConfirmationEmail(registration, event);
+    let payment = null;
+    if (isPaid) {
+      try {
+        payment = await PaymentGateway.createPayment({
+          purpose: "event",
+          referenceId: registration._id,
+          amount: event.price.amount,
+          currency: event.price.currency,
+          payer: {
+            _id: user?._id || registration.registrant.email,
+            email: registration.registrant.email,
+            name: registration.registrant.name,
+          },
+          description: `Registration for ${event.title}`,
+        });
+      } catch (error) {
+        // give the seat back, so registering again isn't refused
+        await EventRegistration.deleteOne({ _id: registration._id });
+        throw error;
+      }
+      // waitlisted registrations get their hold once they are promoted
+      if (registrationStatus === "pending") {
+        registration.registrationDetails.paymentDueAt =
+          await queuePaymentHold(registration);
+        await registration.save();
+      }
+    } else {
+      // Send confirmation email to registrant
+      await sendRegistrationConfirmationEmail(registration, event);
+    }
 
     // Send notification email to admin
     await sendAdminNotificationEmail(registration, event);
@@ -161,7 +195,17 @@ const RegisterForEvent = async (req, res) => {
     // Create notification for event organizer
     const eventOrganizer = await User.findById(event.eventMaker._id);
     if (eventOrganizer) {
-      const notification = new Notification({
+      await notify({
+        io: req.app.get("io"),
+        push: {
+          title: "New Event Registration",
+          body: `${registration.registrant.name} registered for ${event.title}`,
+          type: "event_registration",
+          data: {
+            eventId: event._id.toString(),
+            registrationId: registration._id.toString(),
+          },
+        },
         recipient: {
           _id: eventOrganizer._id,
           email: eventOrganizer.email,
@@ -180,23 +224,6 @@ const RegisterForEvent = async (req, res) => {
           registrationStatus,
         },
       });
-
-      await notification.save();
-
-      // Send FCM notification to event organizer
-      try {
-        await FCMHandler.sendToUser(eventOrganizer._id, {
-          title: "New Event Registration",
-          body: `${registration.registrant.name} registered for ${event.title}`,
-          type: "event_registration",
-          data: {
-            eventId: event._id.toString(),
-            registrationId: registration._id.toString(),
-          },
-        });
-      } catch (fcmError) {
-        console.error("Failed to send FCM notification:", fcmError);
-      }
     }
 
     return res.status(201).json(
@@ -211,10 +238,18 @@ const RegisterForEvent = async (req, res) => {
             event: registration.event,
             registrant: registration.registrant,
           },
-          message:
-            registrationStatus === "waitlisted"
-              ? "You have been added to the waitlist"
-              : "Registration confirmed",
+          payment: payment && {
+            _id: payment._id,
+            provider: payment.provider,
+            status: payment.status,
+            checkoutUrl: payment.checkoutUrl,
+            clientSecret: payment.clientSecret,
+          },
+          message: payment
+            ? "Complete the payment to confirm your registration"
+            : registrationStatus === "waitlisted"
+            ? "You have been added to the waitlist"
+            : "Registration confirmed",
         },
         null,
         "Registration successful"
@@ -268,8 +303,8 @@ const GetEventRegistrations = async (req, res) => {
     const { eventId } = req.params;
     const { status, page = 0, limit = 50, search } = req.query;
 
-    // Check if user is admin or event organizer
-    if (req.user.role !== "admin") {
+    // Check if user can manage registrations or organizes the event
+    if (!hasPermission(req.user.role, "events:registrations")) {
       const event = await Event.findById(eventId);
       if (!event || event.eventMaker._id !== req.user._id) {
         return res
@@ -379,20 +414,6 @@ const UpdateRegistrationStatus = async (req, res) => {
     const { registrationId } = req.params;
     const { status, notes } = req.body;
 
-    // Check if user is admin
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can update registration status"
-          )
-        );
-    }
-
     if (!isValidObjectId(registrationId)) {
       return res
         .status(400)
@@ -468,20 +489,6 @@ const CheckInAttendee = async (req, res) => {
   try {
     const { registrationId } = req.params;
 
-    // Check if user is admin
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json(
-          GenRes(
-            403,
-            null,
-            { error: "Not authorized" },
-            "Only admins can check-in attendees"
-          )
-        );
-    }
-
     const registration = await EventRegistration.findByIdAndUpdate(
       registrationId,
       {
@@ -553,7 +560,7 @@ const CancelRegistration = async (req, res) => {
 
     // Check if user can cancel (own registration or admin)
     if (
-      req.user.role !== "admin" &&
+      !hasPermission(req.user.role, "events:registrations") &&
       registration.registrant.email !== req.user.email
     ) {
       return res
@@ -568,6 +575,31 @@ const CancelRegistration = async (req, res) => {
         );
     }
 
+    // Refund the registration fee if it was paid
+    if (registration.registrationDetails.paymentStatus === "paid") {
+      const payment = await PaymentGateway.findLatest(
+        "event",
+        registration._id
+      );
+      if (payment?.status === "succeeded") {
+        await PaymentGateway.refund(payment, {
+          reason: reason || "Registration cancelled",
+        });
+      }
+      registration.registrationDetails.paymentStatus = "refunded";
+    } else if (registration.registrationDetails.paymentStatus === "pending") {
+      // so paying for it afterwards gets the money back
+      const payment = await PaymentGateway.findLatest(
+        "event",
+        registration._id
+      );
+      if (payment?.status === "pending") {
+        await PaymentGateway.cancel(payment, {
+          reason: reason || "Registration cancelled",
+        });
+      }
+    }
+
     // Update registration status
     registration.registrationDetails.status = "cancelled";
     registration.registrationDetails.cancellationReason = reason || "";
@@ -648,7 +680,7 @@ async function sendRegistrationConfirmationEmail(registration, event) {
       </div>
     `;
 
-    await transporter.sendMail({
+    await queueEmail({
       from: process.env.EMAIL,
       to: registration.registrant.email,
       subject: `Registration Confirmation - ${event.title}`,
@@ -734,7 +766,7 @@ async function sendAdminNotificationEmail(registration, event) {
     `;
 
     // Send to event organizer
-    await transporter.sendMail({
+    await queueEmail({
       from: process.env.EMAIL,
       to: event.eventMaker.email,
       subject: `New Registration - ${event.title}`,
@@ -746,7 +778,7 @@ async function sendAdminNotificationEmail(registration, event) {
       process.env.ADMIN_EMAIL &&
       process.env.ADMIN_EMAIL !== event.eventMaker.email
     ) {
-      await transporter.sendMail({
+      await queueEmail({
         from: process.env.EMAIL,
         to: process.env.ADMIN_EMAIL,
         subject: `New Registration - ${event.title}`,
@@ -765,7 +797,10 @@ async function sendStatusUpdateEmail(registration, newStatus) {
       confirmed: "Your registration has been confirmed!",
       cancelled: "Your registration has been cancelled.",
       waitlisted: "You have been moved to the waitlist.",
-      pending: "Your registration is pending review.",
+      pending:
+        registration.registrationDetails.paymentStatus === "pending"
+          ? "A seat is being held for you. Complete your payment to confirm your registration."
+          : "Your registration is pending review.",
     };
 
     const emailHtml = `
@@ -789,7 +824,7 @@ async function sendStatusUpdateEmail(registration, newStatus) {
       </div>
     `;
 
-    await transporter.sendMail({
+    await queueEmail({
       from: process.env.EMAIL,
       to: registration.registrant.email,
       subject: `Registration Status Update - ${registration.event.title}`,
@@ -828,7 +863,7 @@ async function sendCancellationEmail(registration) {
       </div>
     `;
 
-    await transporter.sendMail({
+    await queueEmail({
       from: process.env.EMAIL,
       to: registration.registrant.email,
       subject: `Registration Cancelled - ${registration.event.title}`,
@@ -845,23 +880,32 @@ async function promoteFromWaitlist(eventId) {
     const event = await Event.findById(eventId);
     if (!event || !event.maxAttendees) return;
 
-    const confirmedCount = await EventRegistration.countDocuments({
+    // unpaid pending registrations hold their seat too
+    const takenSeats = await EventRegistration.countDocuments({
       "event._id": eventId,
-      "registrationDetails.status": "confirmed",
+      "registrationDetails.status": { $in: ["confirmed", "pending"] },
     });
 
-    if (confirmedCount < event.maxAttendees) {
+    if (takenSeats < event.maxAttendees) {
       const waitlistedRegistration = await EventRegistration.findOne({
         "event._id": eventId,
         "registrationDetails.status": "waitlisted",
       }).sort({ "registrationDetails.registrationDate": 1 });
 
       if (waitlistedRegistration) {
-        waitlistedRegistration.registrationDetails.status = "confirmed";
+        const details = waitlistedRegistration.registrationDetails;
+        // a registration that still owes its fee only gets a seat on hold;
+        // the payment confirms it (onSucceeded)
+        if (details.paymentStatus === "pending") {
+          details.status = "pending";
+          details.paymentDueAt = await queuePaymentHold(waitlistedRegistration);
+        } else {
+          details.status = "confirmed";
+        }
         await waitlistedRegistration.save();
 
         // Send promotion email
-        await sendStatusUpdateEmail(waitlistedRegistration, "confirmed");
+        await sendStatusUpdateEmail(waitlistedRegistration, details.status);
       }
     }
   } catch (error) {
@@ -869,6 +913,62 @@ async function promoteFromWaitlist(eventId) {
   }
 }
 
+PaymentGateway.registerFulfillment("event", {
+  onSucceeded: async (payment) => {
+    const registration = await EventRegistration.findById(payment.referenceId);
+    if (!registration) return;
+
+    const event = await Event.findById(registration.event._id);
+    registration.registrationDetails.paymentStatus = "paid";
+    registration.registrationDetails.paymentDueAt = undefined;
+
+    if (registration.registrationDetails.status === "pending") {
+      const confirmedCount = await EventRegistration.countDocuments({
+        "event._id": registration.event._id,
+        "registrationDetails.status": "confirmed",
+      });
+      registration.registrationDetails.status =
+        event?.maxAttendees && confirmedCount >= event.maxAttendees
+          ? "waitlisted"
+          : "confirmed";
+    }
+    await registration.save();
+
+    if (event) {
+      await sendRegistrationConfirmationEmail(registration, event);
+    }
+  },
+
+  onFailed: async (payment) => {
+    const registration = await EventRegistration.findById(payment.referenceId);
+    if (!registration) return;
+
+    registration.registrationDetails.status = "cancelled";
+    registration.registrationDetails.cancellationReason = "Payment failed";
+    registration.registrationDetails.cancellationDate = new Date();
+    await registration.save();
+
+    await promoteFromWaitlist(registration.event._id);
+  },
+
+  onRefunded: async (payment) => {
+    const registration = await EventRegistration.findById(payment.referenceId);
+    if (!registration) return;
+
+    registration.registrationDetails.paymentStatus = "refunded";
+    if (registration.registrationDetails.status !== "cancelled") {
+      registration.registrationDetails.status = "cancelled";
+      registration.registrationDetails.cancellationReason = "Payment refunded";
+      registration.registrationDetails.cancellationDate = new Date();
+      await registration.save();
+      await sendCancellationEmail(registration);
+      await promoteFromWaitlist(registration.event._id);
+    } else {
+      await registration.save();
+    }
+  },
+});
+
 module.exports = {
   RegisterForEvent,
   GetUserRegistrations,
@@ -59,6 +59,8 @@ const EventRegistrationSchema = new Schema(
         type: Number,
         default: 0,
       },
+      // an unpaid registration's seat is given up after this
+      paymentDueAt: Date,
       specialRequirements: String,
       dietaryRestrictions: String,
       accessibilityNeeds: String,
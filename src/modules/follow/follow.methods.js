@@ -3,6 +3,7 @@ const User = require("../user/user.model");
 const Follow = require("./follow.model");
 const { isValidObjectId } = require("mongoose");
 const ChatMessage = require("../chat/chat.model");
+const { notify } = require("../notifications/notification.dispatch");
 
 // Generate unique chat topic for two users
 const getChatTopic = (user1Id, user2Id) => {
@@ -131,6 +132,33 @@ const UpdateFollow = async (req, res) => {
       });
       await newFollow.save();
 
+      // Grouped per profile: "Alice and 4 others started following you"
+      const content = `${follower.name} started following you`;
+      await notify({
+        io: req.app.get("io"),
+        push: { title: "New follower" },
+        recipient: { _id: following._id, email: following.email },
+        sender: {
+          _id: follower._id,
+          email: follower.email,
+          name: follower.name,
+          picture: follower.picture,
+        },
+        type: "follow",
+        content,
+        metadata: {
+          itemId: follower._id.toString(),
+          itemType: "profile",
+          redirectType: "profile",
+        },
+        actionData: {
+          action: "follow",
+          targetType: "profile",
+          targetId: following._id.toString(),
+          contextText: content,
+        },
+      }).catch((error) => console.error("Failed to notify follow:", error));
+
       // Notify both users of follow status update
       if (aedes) {
         const mutualFollow = await Follow.findOne({
@@ -179,6 +207,7 @@ const UpdateFollow = async (req, res) => {
           read: false,
         });
         await welcomeMessage.save();
+        const welcomeText = await welcomeMessage.decryptMessage();
 
         if (aedes) {
           const chatTopic = getChatTopic(
@@ -198,7 +227,7 @@ const UpdateFollow = async (req, res) => {
               },
               lastMessage: {
                 ...welcomeMessage.toObject(),
-                message: welcomeMessage.decryptMessage(),
+                message: welcomeText,
               },
               unreadCount: 0,
             },
@@ -214,7 +243,7 @@ const UpdateFollow = async (req, res) => {
               },
               lastMessage: {
                 ...welcomeMessage.toObject(),
-                message: welcomeMessage.decryptMessage(),
+                message: welcomeText,
               },
               unreadCount: 1,
             },
@@ -0,0 +1,114 @@
+const GenRes = require("../../utils/routers/GenRes");
+const JobQueue = require("../../utils/queue/jobQueue");
+const { hasPermission } = require("../../utils/auth/permissions");
+
+const LISTABLE_STATUSES = ["queued", "delayed", "active", "dead"];
+
+// What the owner of a job sees; the payload can hold other people's data
+// (email bodies, push targets) so only job managers get it, and even they
+// only get an email's envelope: bodies can carry one-time codes and links
+const describeJob = (job, { full = false } = {}) => {
+  const { data, ...rest } = job;
+  if (!full) return rest;
+  if (job.type === "email.send" && data) {
+    return { ...rest, data: { to: data.to, subject: data.subject } };
+  }
+  return job;
+};
+
+const jobNotFound = (res) =>
+  res
+    .status(404)
+    .json(GenRes(404, null, { error: "Job not found" }, "Job not found"));
+
+// GET /jobs/:id, for the user who queued it (e.g. media-<filename> for
+// an upload's processing) or a job manager
+const GetJob = async (req, res) => {
+  try {
+    const job = await JobQueue.getJob(req.params.id);
+    const canManage = hasPermission(req.user.role, "jobs:manage");
+    if (!job || (!canManage && job.userId !== req.user._id.toString())) {
+      return jobNotFound(res);
+    }
+
+    return res
+      .status(200)
+      .json(
+        GenRes(200, describeJob(job, { full: canManage }), null, job.status)
+      );
+  } catch (error) {
+    console.error("Error in GetJob:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// GET /jobs?status=dead&page=0 — the dead-letter list by default
+const ListJobs = async (req, res) => {
+  try {
+    const status = req.query.status || "dead";
+    if (!LISTABLE_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Invalid status" },
+            `status must be one of ${LISTABLE_STATUSES.join(", ")}`
+          )
+        );
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 0, 0);
+    const limit = 20;
+    const [jobs, counts] = await Promise.all([
+      JobQueue.listJobs(status, { skip: page * limit, limit }),
+      JobQueue.countJobs(),
+    ]);
+
+    return res.status(200).json(
+      GenRes(
+        200,
+        {
+          jobs: jobs.map((job) => describeJob(job, { full: true })),
+          counts,
+          page,
+          hasMore: (page + 1) * limit < counts[status],
+        },
+        null,
+        `${counts[status]} ${status} jobs`
+      )
+    );
+  } catch (error) {
+    console.error("Error in ListJobs:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// POST /jobs/:id/retry — put a dead-lettered job back on the queue
+const RetryJob = async (req, res) => {
+  try {
+    const job = await JobQueue.retryJob(req.params.id);
+    if (!job) {
+      return res
+        .status(404)
+        .json(
+          GenRes(
+            404,
+            null,
+            { error: "Job not found" },
+            "Only dead-lettered jobs can be retried"
+          )
+        );
+    }
+
+    return res
+      .status(200)
+      .json(GenRes(200, describeJob(job, { full: true }), null, "Job queued"));
+  } catch (error) {
+    console.error("Error in RetryJob:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+module.exports = { GetJob, ListJobs, RetryJob };
@@ -0,0 +1,21 @@
+const router = require("express").Router();
+const basicMiddleware = require("../../middlewares/basicMiddleware");
+const { requirePermission } = require("../../middlewares/permissionMiddleware");
+const { GetJob, ListJobs, RetryJob } = require("./jobs.methods");
+
+// Background job status; listing and retrying are for job managers
+router.get(
+  "/jobs",
+  basicMiddleware,
+  requirePermission("jobs:manage"),
+  ListJobs
+);
+router.get("/jobs/:id", basicMiddleware, GetJob);
+router.post(
+  "/jobs/:id/retry",
+  basicMiddleware,
+  requirePermission("jobs:manage"),
+  RetryJob
+);
+
+module.exports = router;
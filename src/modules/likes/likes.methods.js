@@ -4,8 +4,10 @@ const Like = require("./likes.model");
 const User = require("../user/user.model");
 const Content = require("../contents/contents.model");
 const Video = require("../../modules/video/video.model");
-const Notification = require("../notifications/notification.model");
+const { notify } = require("../notifications/notification.dispatch");
 const Course = require("../courses/courses.model");
+const Comment = require("../comments/comments.model");
+const { REACTIONS, describeReaction } = require("./reactions");
 
 const LikeHandler = async (req, res) => {
   try {
@@ -31,19 +33,29 @@ const LikeHandler = async (req, res) => {
     const notifications = [];
 
     for (const data of body) {
-      const { uid, type } = data;
+      const { uid, type, reaction } = data;
 
       if (
         !uid ||
         !isValidObjectId(uid) ||
         !type ||
-        !["content", "course", "video", "reel"].includes(type)
+        !["content", "course", "video", "reel", "comment"].includes(type)
       ) {
         const response = GenRes(
           400,
           null,
           { error: "INVALID DATA TYPE" },
-          "Invalid data. 'type' must be 'content', 'course', 'video', or 'reel', and valid 'uid' required!"
+          "Invalid data. 'type' must be 'content', 'course', 'video', 'reel', or 'comment', and valid 'uid' required!"
+        );
+        return res.status(400).json(response);
+      }
+
+      if (reaction !== undefined && !REACTIONS.includes(reaction)) {
+        const response = GenRes(
+          400,
+          null,
+          { error: "INVALID REACTION" },
+          `Invalid reaction. Use one of: ${REACTIONS.join(", ")}`
         );
         return res.status(400).json(response);
       }
@@ -60,31 +72,54 @@ const LikeHandler = async (req, res) => {
         itemExists = await Video.findById(uid);
         // For videos and reels, we'll store the like type as "video" in the database
         itemType = "video";
+      } else if (type === "comment") {
+        itemExists = await Comment.findById(uid);
       }
 
       if (!itemExists) {
         throw new Error(`This ${type} no longer exists!`);
       }
 
-      const deleted = await Like.findOneAndDelete({
+      const existing = await Like.findOne({
         uid,
         "user.email": userEmail,
         type: itemType,
       });
 
-      if (!deleted) {
+      // Same reaction again (or none given) toggles it off; a different
+      // reaction replaces the old one without a new notification
+      const current = existing?.reaction || "like";
+      if (existing && (!reaction || current === reaction)) {
+        await existing.deleteOne();
+      } else if (existing) {
+        existing.reaction = reaction;
+        await existing.save();
+      } else {
         const newLike = new Like({
           type: itemType,
           uid,
           user: getUser.toObject(),
+          reaction: reaction || "like",
         });
         await newLike.save();
+        const contextText = describeReaction(
+          getUser.name,
+          newLike.reaction,
+          type
+        );
+
+        // Comment likes notify the commenter and open the commented post
+        const owner = type === "comment" ? itemExists.user : itemExists.author;
+        const target =
+          type === "comment"
+            ? { itemId: itemExists.uid, itemType: itemExists.type }
+            : { itemId: uid, itemType: type };
 
         // Create notification object with enhanced metadata for redirection
-        const notification = new Notification({
+        const notification = await notify({
           recipient: {
-            _id: itemExists.author._id,
-            email: itemExists.author.email,
+            _id: owner._id,
+            email: owner.email,
           },
           sender: {
             _id: getUser._id,
@@ -93,30 +128,28 @@ const LikeHandler = async (req, res) => {
             picture: getUser.picture,
           },
           type: "like",
-          content: `${getUser.name} liked your ${type}`,
+          content: contextText,
           priority: "medium",
           metadata: {
-            itemId: uid,
-            itemType: type,
+            ...target,
+            commentId: type === "comment" ? uid : undefined,
             contentTitle: itemExists.title || itemExists.status || "content",
-            redirectUrl: generateRedirectUrl(type, uid),
+            redirectUrl: generateRedirectUrl(target.itemType, target.itemId),
             redirectType: "post",
             additionalInfo: {
               likeId: newLike._id.toString(),
+              reaction: newLike.reaction,
               timestamp: new Date(),
             },
           },
           actionData: {
-            action: "like",
+            action: newLike.reaction,
             targetType: type,
             targetId: uid,
-            contextText: `${getUser.name} liked your ${type}`,
+            contextText,
           },
         });
-
-        // Save notification
-        await notification.save();
-        notifications.push(notification);
+        if (notification) notifications.push(notification);
       }
     }
 
@@ -147,7 +180,7 @@ const LikeHandler = async (req, res) => {
       200,
       null,
       null,
-      "Like/Unlike operation completed!"
+      "Reaction updated!"
     );
     return res.status(200).json(response);
   } catch (error) {
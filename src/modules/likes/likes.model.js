@@ -5,7 +5,9 @@ const gen = new ModelGenerator();
 
 const LikeSchema = new Schema(
   {
-    type: gen.required(String, { enum: ["content", "course", "video"] }),
+    type: gen.required(String, {
+      enum: ["content", "course", "video", "comment"],
+    }),
     uid: gen.required(String),
     user: gen.required({
       _id: gen.required(String),
@@ -13,9 +15,17 @@ const LikeSchema = new Schema(
       email: gen.required(String),
       picture: gen.required(String),
     }),
+    // older records have no reaction and count as "like"
+    reaction: {
+      type: String,
+      enum: ["like", "love", "insightful", "celebrate", "support", "funny"],
+      default: "like",
+    },
   },
   { timeseries: true, timestamps: true }
 );
 
+LikeSchema.index({ uid: 1, type: 1, reaction: 1 });
+
 const Like = models?.Like || model("Like", LikeSchema);
 module.exports = Like;
@@ -0,0 +1,67 @@
+const Like = require("./likes.model");
+
+const REACTIONS = Like.schema.path("reaction").enumValues;
+
+// Notification wording, e.g. "Asha found your content insightful"
+const describeReaction = (name, reaction, itemType) => {
+  switch (reaction) {
+    case "love":
+      return `${name} loved your ${itemType}`;
+    case "insightful":
+      return `${name} found your ${itemType} insightful`;
+    case "celebrate":
+      return `${name} celebrated your ${itemType}`;
+    case "support":
+      return `${name} supports your ${itemType}`;
+    case "funny":
+      return `${name} found your ${itemType} funny`;
+    default:
+      return `${name} liked your ${itemType}`;
+  }
+};
+
+// Per-reaction counts for a batch of items: Map(uid -> { like: 3, love: 1 })
+const getReactionCounts = async (uids, type) => {
+  const ids = uids.map((uid) => uid.toString());
+  if (ids.length === 0) return new Map();
+
+  const rows = await Like.aggregate([
+    { $match: { uid: { $in: ids }, type } },
+    {
+      $group: {
+        _id: { uid: "$uid", reaction: { $ifNull: ["$reaction", "like"] } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const counts = new Map();
+  for (const row of rows) {
+    const summary = counts.get(row._id.uid) || {};
+    summary[row._id.reaction] = row.count;
+    counts.set(row._id.uid, summary);
+  }
+  return counts;
+};
+
+// The viewer's own reaction per item: Map(uid -> "love")
+const getViewerReactions = async (uids, type, userEmail) => {
+  const ids = uids.map((uid) => uid.toString());
+  if (ids.length === 0 || !userEmail) return new Map();
+
+  const likes = await Like.find({
+    uid: { $in: ids },
+    type,
+    "user.email": userEmail,
+  })
+    .select("uid reaction")
+    .lean();
+  return new Map(likes.map((like) => [like.uid, like.reaction || "like"]));
+};
+
+module.exports = {
+  REACTIONS,
+  describeReaction,
+  getReactionCounts,
+  getViewerReactions,
+};
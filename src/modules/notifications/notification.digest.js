@@ -0,0 +1,307 @@
+const crypto = require("crypto");
+const JobQueue = require("../../utils/queue/jobQueue");
+const { queueEmail } = require("../../utils/notification/emailQueue");
+const User = require("../user/user.model");
+const Follow = require("../follow/follow.model");
+const Course = require("../courses/courses.model");
+const Enrollment = require("../courses/enrollment.model");
+const EventRegistration = require("../events/eventRegistration.model");
+const Notification = require("./notification.model");
+const NotificationPreference = require("./notificationPreference.model");
+const { describeGroup } = require("./notification.groups");
+const {
+  renderDigest,
+  renderUnsubscribed,
+} = require("./notification.digestTemplate");
+
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+// the hourly sweep may come round a little before a period is over
+const DUE_SLACK_MS = 30 * 60 * 1000;
+const PREVIEW_SIZE = 5;
+const EVENT_HORIZON_MS = 7 * 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+const appUrl = () =>
+  process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Digest links change the frequency without logging in, so they carry an
+// HMAC of the user and the frequency they switch to
+const signDigestLink = (userId, frequency) =>
+  crypto
+    .createHmac("sha256", process.env.DIGEST_SECRET || process.env.JWT_SECRET)
+    .update(`${userId}:${frequency}`)
+    .digest("base64url");
+
+const verifyDigestLink = (userId, frequency, token) => {
+  if (!userId || typeof token !== "string") return false;
+  const expected = Buffer.from(signDigestLink(userId, frequency));
+  const given = Buffer.from(token);
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+};
+
+const digestLink = (userId, frequency) => {
+  const params = new URLSearchParams({
+    user: userId,
+    frequency,
+    token: signDigestLink(userId, frequency),
+  });
+  return `${appUrl()}/api/v1/notifications/digest/unsubscribe?${params}`;
+};
+
+// Course videos and notes uploaded since the last digest
+const newCourseItems = (course, since) => {
+  const lessonItems = (course.lessons || [])
+    .filter((lesson) => lesson.isPublished !== false)
+    .flatMap((lesson) => [...(lesson.videos || []), ...(lesson.notes || [])]);
+  return [
+    ...(course.courseVideos || []),
+    ...(course.coursePDFs || []),
+    ...lessonItems,
+  ].filter((item) => item.metadata?.uploadedAt >= since);
+};
+
+// Everything worth mailing a user about since `since`
+const collectDigest = async (user, since, now = new Date()) => {
+  const userId = user._id.toString();
+  const unread = {
+    "recipient._id": userId,
+    read: false,
+    updatedAt: { $gte: since },
+  };
+  const newFollowers = {
+    "following._id": userId,
+    createdAt: { $gte: since },
+  };
+
+  const [
+    notifications,
+    unreadCount,
+    followers,
+    followerCount,
+    enrollments,
+    registrations,
+  ] = await Promise.all([
+    Notification.find(unread)
+      .sort({ updatedAt: -1 })
+      .limit(PREVIEW_SIZE)
+      .lean(),
+    Notification.countDocuments(unread),
+    Follow.find(newFollowers)
+      .sort({ createdAt: -1 })
+      .limit(PREVIEW_SIZE)
+      .select("follower.name")
+      .lean(),
+    Follow.countDocuments(newFollowers),
+    Enrollment.find({ "student._id": userId, status: "active" })
+      .select("course._id")
+      .lean(),
+    EventRegistration.find({
+      "registrant.email": user.email,
+      "registrationDetails.status": { $in: ["pending", "confirmed"] },
+      "event.startDate": {
+        $gte: now,
+        $lte: new Date(now.getTime() + EVENT_HORIZON_MS),
+      },
+    })
+      .sort({ "event.startDate": 1 })
+      .select("event")
+      .lean(),
+  ]);
+
+  const courses = await Course.find({
+    _id: { $in: enrollments.map((enrollment) => enrollment.course._id) },
+  })
+    .select("title lessons courseVideos coursePDFs")
+    .lean();
+
+  return {
+    notifications: notifications.map((notification) => ({
+      _id: notification._id,
+      text: describeGroup(notification),
+    })),
+    unreadCount,
+    followers: followers.map((follow) => ({ name: follow.follower.name })),
+    followerCount,
+    courses: courses
+      .map((course) => ({
+        _id: course._id,
+        title: course.title,
+        items: newCourseItems(course, since).map((item) => ({
+          title: item.title,
+        })),
+      }))
+      .filter((course) => course.items.length > 0),
+    events: registrations.map((registration) => ({
+      _id: registration.event._id,
+      title: registration.event.title,
+      startDate: registration.event.startDate,
+      venue: registration.event.location?.venue,
+    })),
+  };
+};
+
+const isEmptyDigest = (digest) =>
+  digest.unreadCount === 0 &&
+  digest.followerCount === 0 &&
+  digest.courses.length === 0 &&
+  digest.events.length === 0;
+
+const sendDigest = async (user, frequency, since, now) => {
+  const digest = await collectDigest(user, since, now);
+  if (isEmptyDigest(digest)) return false;
+
+  const userId = user._id.toString();
+  const unsubscribe = digestLink(userId, "off");
+  await queueEmail({
+    from: process.env.EMAIL,
+    to: user.email,
+    subject:
+      frequency === "daily" ? "Your daily summary" : "Your weekly summary",
+    html: renderDigest({
+      user,
+      frequency,
+      digest,
+      links: {
+        unsubscribe,
+        weekly: frequency === "daily" ? digestLink(userId, "weekly") : null,
+      },
+    }),
+    headers: {
+      "List-Unsubscribe": `<${unsubscribe}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  });
+  return true;
+};
+
+// Send the digests that are due. A user's first sweep only starts their
+// schedule, so nobody gets a digest right after signing up.
+const processDueDigests = async (now = new Date()) => {
+  let sent = 0;
+
+  const deliverBatch = async (users) => {
+    const preferences = await NotificationPreference.find({
+      "user._id": { $in: users.map((user) => user._id.toString()) },
+    })
+      .select("user digest")
+      .lean();
+    const byUser = new Map(preferences.map((p) => [p.user._id, p]));
+
+    for (const user of users) {
+      const userId = user._id.toString();
+      const digest = byUser.get(userId)?.digest;
+      const frequency = digest?.frequency || "weekly";
+      if (frequency === "off") continue;
+
+      const period = DIGEST_PERIODS[frequency];
+      const lastSentAt = digest?.lastSentAt;
+      if (lastSentAt && now - lastSentAt < period - DUE_SLACK_MS) continue;
+
+      try {
+        if (lastSentAt) {
+          const delivered = await sendDigest(user, frequency, lastSentAt, now);
+          if (delivered) sent++;
+        }
+        await NotificationPreference.updateOne(
+          { "user._id": userId },
+          { $set: { "digest.lastSentAt": now } },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error(`Error sending digest to ${userId}:`, error);
+      }
+    }
+  };
+
+  const cursor = User.find({
+    banned: { $ne: true },
+    "deletion.scheduledFor": { $exists: false },
+  })
+    .select("_id name email")
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let batch = [];
+  for await (const user of cursor) {
+    batch.push(user);
+    if (batch.length === BATCH_SIZE) {
+      await deliverBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await deliverBatch(batch);
+
+  return sent;
+};
+
+JobQueue.registerHandler("notification.digest", async () => {
+  const sent = await processDueDigests();
+  if (sent > 0) console.log(`Sent ${sent} notification digests`);
+  return { sent };
+});
+
+// Hourly check for digests that are due. Every API process schedules it,
+// but under one job id per hour, so the worker runs each sweep once.
+const startDigestSchedule = (intervalMs = 60 * 60 * 1000) => {
+  const queueSweep = () => {
+    const slot = Math.floor(Date.now() / intervalMs);
+    JobQueue.enqueue("notification.digest", null, {
+      jobId: `notification-digest-${slot}`,
+      attempts: 1,
+    }).catch((error) =>
+      console.error("Error queueing the digest sweep:", error)
+    );
+  };
+  setTimeout(queueSweep, 5 * 60 * 1000);
+  return setInterval(queueSweep, intervalMs);
+};
+
+// Target of the links in digest emails (GET) and of one-click
+// unsubscribe from mail clients (POST)
+// /notifications/digest/unsubscribe?user=<id>&frequency=off&token=<sig>
+const UnsubscribeDigest = async (req, res) => {
+  try {
+    const { user: userId, frequency, token } = req.query;
+    if (
+      !["off", "weekly"].includes(frequency) ||
+      !verifyDigestLink(userId, frequency, token)
+    ) {
+      return res
+        .status(400)
+        .send(renderUnsubscribed("This link is invalid or has expired."));
+    }
+
+    await NotificationPreference.updateOne(
+      { "user._id": userId },
+      { $set: { "digest.frequency": frequency } },
+      { upsert: true }
+    );
+
+    return res
+      .status(200)
+      .send(
+        renderUnsubscribed(
+          frequency === "off"
+            ? "You won't get digest emails anymore. You can turn them back on in your notification settings."
+            : "You'll get the digest once a week from now on."
+        )
+      );
+  } catch (error) {
+    console.error("Error in UnsubscribeDigest:", error);
+    return res
+      .status(500)
+      .send(renderUnsubscribed("Something went wrong, please try again."));
+  }
+};
+
+module.exports = {
+  collectDigest,
+  processDueDigests,
+  startDigestSchedule,
+  UnsubscribeDigest,
+};
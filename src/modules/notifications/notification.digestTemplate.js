@@ -0,0 +1,97 @@
+// HTML for the notification digest email. Everything user-written is
+// escaped; styles are inline because mail clients drop <style> blocks.
+
+const escapeHtml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatDate = (date) =>
+  new Date(date).toLocaleString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: "UTC",
+    timeZoneName: "short",
+  });
+
+const section = (title, rows, more = 0) => {
+  if (rows.length === 0) return "";
+  return `
+    <h3 style="margin: 24px 0 8px; color: #333;">${escapeHtml(title)}</h3>
+    <ul style="padding-left: 20px; margin: 0; color: #444;">
+      ${rows.map((row) => `<li style="margin-bottom: 6px;">${row}</li>`).join("")}
+    </ul>
+    ${more > 0 ? `<p style="color: #888; margin: 4px 0 0;">and ${more} more</p>` : ""}
+  `;
+};
+
+// `digest` is what collectDigest gathered for one user
+const renderDigest = ({ user, frequency, digest, links }) => {
+  const period = frequency === "daily" ? "today" : "this week";
+
+  const notifications = section(
+    `${digest.unreadCount} unread notification${digest.unreadCount === 1 ? "" : "s"}`,
+    digest.notifications.map((notification) => escapeHtml(notification.text)),
+    digest.unreadCount - digest.notifications.length
+  );
+  const followers = section(
+    "New followers",
+    digest.followers.map((follower) => escapeHtml(follower.name)),
+    digest.followerCount - digest.followers.length
+  );
+  const courses = section(
+    "New in your courses",
+    digest.courses.map(
+      (course) =>
+        `<strong>${escapeHtml(course.title)}</strong>: ${course.items
+          .map((item) => escapeHtml(item.title))
+          .join(", ")}`
+    )
+  );
+  const events = section(
+    "Your upcoming events",
+    digest.events.map(
+      (event) =>
+        `<strong>${escapeHtml(event.title)}</strong>, ${escapeHtml(
+          formatDate(event.startDate)
+        )}${event.venue ? ` at ${escapeHtml(event.venue)}` : ""}`
+    )
+  );
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+      <h2>Here's what you missed ${period}</h2>
+      <p>Dear ${escapeHtml(user.name)},</p>
+      ${notifications}
+      ${followers}
+      ${courses}
+      ${events}
+      <p style="margin-top: 24px;">Best regards,<br>Your App Team</p>
+      <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0 12px;">
+      <p style="color: #888; font-size: 12px;">
+        You get this ${escapeHtml(frequency)} digest because of your notification settings.
+        <a href="${escapeHtml(links.unsubscribe)}" style="color: #888;">Unsubscribe</a>${
+          links.weekly
+            ? ` or <a href="${escapeHtml(links.weekly)}" style="color: #888;">get it weekly instead</a>`
+            : ""
+        }.
+      </p>
+    </div>
+  `;
+};
+
+// Page shown after following an unsubscribe link
+const renderUnsubscribed = (message) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; padding: 20px; text-align: center;">
+    <h2>Email digest</h2>
+    <p>${escapeHtml(message)}</p>
+  </div>
+`;
+
+module.exports = { escapeHtml, renderDigest, renderUnsubscribed };
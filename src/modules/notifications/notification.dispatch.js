@@ -0,0 +1,122 @@
+const Notification = require("./notification.model");
+const FCMHandler = require("../../utils/notification/fcmHandler");
+const { queueEmail } = require("../../utils/notification/emailQueue");
+const {
+  preloadPreferences,
+  getDeliveryPlan,
+} = require("./notification.preferences");
+const {
+  isGroupable,
+  actorOf,
+  addToGroup,
+  describeGroup,
+} = require("./notification.groups");
+const { escapeHtml } = require("./notification.digestTemplate");
+
+const withoutEmpty = (data) =>
+  Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined)
+  );
+
+const sendPush = async (notification, push) => {
+  try {
+    await FCMHandler.queueToUser(notification.recipient._id.toString(), {
+      title: push.title,
+      body: push.body || describeGroup(notification),
+      type: push.type || notification.type,
+      image: push.image,
+      data: withoutEmpty({
+        notificationId: notification._id?.toString(),
+        itemId: notification.metadata?.itemId,
+        itemType: notification.metadata?.itemType,
+        commentId: notification.metadata?.commentId,
+        redirectUrl: notification.metadata?.redirectUrl,
+        ...push.data,
+      }),
+    });
+  } catch (error) {
+    console.error("Failed to send push notification:", error);
+  }
+};
+
+const sendEmail = async (notification, push) => {
+  try {
+    await queueEmail({
+      from: process.env.EMAIL,
+      to: notification.recipient.email,
+      subject: push?.title || "You have a new notification",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+          <p>${escapeHtml(describeGroup(notification))}</p>
+          <p style="color: #888; font-size: 12px;">You can change which emails you get in your notification settings.</p>
+        </div>
+      `,
+    });
+  } catch (error) {
+    console.error("Failed to send notification email:", error);
+  }
+};
+
+// Deliver one notification on the channels the recipient chose for its
+// type: store it and emit it to the socket room (in-app), send a push and
+// an email. Likes, comments and follows update a recent notification on
+// the same target instead of adding one. `push` holds the FCM title/body
+// (and optionally type/data); without it no push is sent. Returns the
+// stored notification or null.
+const notify = async ({ io, push, ...data }) => {
+  const recipientId = data.recipient._id.toString();
+  const plan = await getDeliveryPlan(recipientId, data.type);
+
+  let notification = null;
+  if (plan.inApp) {
+    const groupable = isGroupable(data);
+    notification = groupable ? await addToGroup(data) : null;
+    if (!notification) {
+      notification = new Notification(
+        groupable ? { ...data, actors: [actorOf(data.sender)] } : data
+      );
+      await notification.save();
+    }
+    if (io) {
+      io.to(recipientId).emit("new_notification", notification);
+    }
+  }
+
+  const delivered = notification || data;
+  if (push && plan.push) await sendPush(delivered, push);
+  if (plan.email) await sendEmail(delivered, push);
+
+  return notification;
+};
+
+// notify for a batch of notifications (e.g. one per follower), storing
+// the in-app ones with a single insert
+const notifyMany = async (notifications, { io, push } = {}) => {
+  await preloadPreferences(notifications.map((n) => n.recipient._id));
+  const plans = await Promise.all(
+    notifications.map((data) =>
+      getDeliveryPlan(data.recipient._id.toString(), data.type)
+    )
+  );
+
+  const stored = await Notification.insertMany(
+    notifications.filter((data, i) => plans[i].inApp)
+  );
+  if (io) {
+    stored.forEach((notification) =>
+      io
+        .to(notification.recipient._id.toString())
+        .emit("new_notification", notification)
+    );
+  }
+
+  let next = 0;
+  for (const [i, data] of notifications.entries()) {
+    const delivered = plans[i].inApp ? stored[next++] : data;
+    if (push && plans[i].push) await sendPush(delivered, push);
+    if (plans[i].email) await sendEmail(delivered, push);
+  }
+  return stored;
+};
+
+module.exports = { notify, notifyMany };
@@ -0,0 +1,89 @@
+const Notification = require("./notification.model");
+
+// Likes, comments and follows on the same target are folded into one
+// notification ("Alice and 12 others liked your post") while it is young
+const GROUPED_TYPES = ["like", "comment", "follow"];
+const GROUP_WINDOW_HOURS =
+  parseInt(process.env.NOTIFICATION_GROUP_WINDOW_HOURS) || 24;
+// most recent actors kept on a group; actorCount holds the full total
+const MAX_GROUP_ACTORS = 10;
+
+const isGroupable = (data) =>
+  GROUPED_TYPES.includes(data.type) && !!data.actionData?.targetId;
+
+const actorOf = (sender) => ({
+  _id: sender._id.toString(),
+  name: sender.name,
+  picture: sender.picture,
+});
+
+// Fold `data` into the recipient's open group for the same target and
+// action. Returns the updated group, or null when a new one is needed.
+const addToGroup = async (data) => {
+  const actor = actorOf(data.sender);
+  const filter = {
+    "recipient._id": data.recipient._id.toString(),
+    type: data.type,
+    "actionData.targetId": data.actionData.targetId,
+    "actionData.action": data.actionData.action,
+    // notifications from before grouping have no actor list to extend
+    "actors.0": { $exists: true },
+    createdAt: {
+      $gte: new Date(Date.now() - GROUP_WINDOW_HOURS * 60 * 60 * 1000),
+    },
+  };
+  const latest = {
+    sender: data.sender,
+    content: data.content,
+    metadata: data.metadata,
+    actionData: data.actionData,
+    read: false,
+    readAt: null,
+  };
+
+  const grown = await Notification.findOneAndUpdate(
+    { ...filter, "actors._id": { $ne: actor._id } },
+    {
+      $set: latest,
+      $push: {
+        actors: { $each: [actor], $position: 0, $slice: MAX_GROUP_ACTORS },
+      },
+      $inc: { actorCount: 1 },
+    },
+    { new: true, sort: { createdAt: -1 } }
+  );
+  if (grown) return grown;
+
+  // someone already in the group acted again (e.g. a second comment)
+  return Notification.findOneAndUpdate(
+    { ...filter, "actors._id": actor._id },
+    { $set: latest },
+    { new: true, sort: { createdAt: -1 } }
+  );
+};
+
+// "Alice liked your post" becomes "Alice and Bob liked your post" or
+// "Alice and 12 others liked your post" once others joined the group
+const describeGroup = (notification) => {
+  const count = notification.actorCount || 1;
+  const name = notification.sender?.name;
+  const content = notification.content;
+  if (count < 2 || !name || !content.startsWith(name)) return content;
+
+  const rest = content.slice(name.length);
+  const other = notification.actors?.find(
+    (actor) => actor._id !== notification.sender._id?.toString()
+  );
+  if (count === 2 && other?.name) {
+    return `${name} and ${other.name}${rest}`;
+  }
+  return `${name} and ${count - 1} other${count > 2 ? "s" : ""}${rest}`;
+};
+
+module.exports = {
+  GROUPED_TYPES,
+  isGroupable,
+  actorOf,
+  addToGroup,
+  describeGroup,
+};
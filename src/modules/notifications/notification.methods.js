@@ -2,6 +2,7 @@ const Notification = require("./notification.model");
 const Content = require("../contents/contents.model");
 const Video = require("../video/video.model");
 const GenRes = require("../../utils/routers/GenRes");
+const { actorOf, describeGroup } = require("./notification.groups");
 
 const GetNotifications = async (req, res) => {
   try {
@@ -31,6 +32,13 @@ const GetNotifications = async (req, res) => {
       results.map(async (notification) => {
         const notificationObj = notification.toObject();
 
+        // Grouped form: "Alice and 12 others liked your post". Ungrouped
+        // notifications read as a group of one.
+        notificationObj.content = describeGroup(notification);
+        if (!notificationObj.actors?.length) {
+          notificationObj.actors = [actorOf(notification.sender)];
+        }
+
         // Generate redirect URL based on notification type and metadata
         if (notification.metadata?.itemId && notification.metadata?.itemType) {
           notificationObj.redirectUrl = generateRedirectUrl(
@@ -83,14 +91,14 @@ const generateRedirectUrl = (itemType, itemId, notificationType, metadata) => {
 
   switch (itemType) {
     case "content":
-      if (notificationType === "comment" && metadata.commentId) {
+      if (metadata.commentId) {
         return `${baseUrl}/content/${itemId}?comment=${metadata.commentId}`;
       }
       return `${baseUrl}/content/${itemId}`;
 
     case "video":
     case "reel":
-      if (notificationType === "comment" && metadata.commentId) {
+      if (metadata.commentId) {
         return `${baseUrl}/video/${itemId}?comment=${metadata.commentId}`;
       }
       return `${baseUrl}/video/${itemId}`;
@@ -117,15 +125,24 @@ const generateContextText = (notification) => {
   const senderName = notification.sender.name;
   const type = notification.type;
 
+  if (notification.actorCount > 1) {
+    return describeGroup(notification);
+  }
+
   switch (type) {
     case "like":
-      return `${senderName} liked your post`;
+      // reaction notifications already carry their own wording
+      return notification.metadata?.additionalInfo?.reaction
+        ? notification.content
+        : `${senderName} liked your post`;
     case "comment":
       return `${senderName} commented on your post`;
     case "share":
       return `${senderName} shared your post`;
     case "follow":
       return `${senderName} started following you`;
+    case "mention":
+      return `${senderName} mentioned you in a comment`;
     case "message":
       return `New message from ${senderName}`;
     default:
@@ -27,6 +27,11 @@ const NotificationSchema = new Schema(
         "reel",
         "share",
         "follow",
+        "mention",
+        "event",
+        "profile_view",
+        // account and security notices, always delivered
+        "account",
       ],
     }),
     content: gen.required(String),
@@ -55,6 +60,16 @@ const NotificationSchema = new Schema(
       targetId: String, // ID of the target
       contextText: String, // Additional context
     },
+    // Grouped likes, comments and follows: the latest actors first and
+    // how many acted in total; `sender` is whoever acted last
+    actors: [
+      {
+        _id: String,
+        name: String,
+        picture: String,
+      },
+    ],
+    actorCount: { type: Number, default: 1 },
   },
   {
     timestamps: true,
@@ -66,6 +81,14 @@ const NotificationSchema = new Schema(
   }
 );
 
+// open groups are looked up by target on every like, comment and follow
+NotificationSchema.index({
+  "recipient._id": 1,
+  type: 1,
+  "actionData.targetId": 1,
+  createdAt: -1,
+});
+
 const Notification =
   models?.Notification || model("Notification", NotificationSchema);
 module.exports = Notification;
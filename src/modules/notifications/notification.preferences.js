@@ -0,0 +1,226 @@
+const NodeCache = require("node-cache");
+const GenRes = require("../../utils/routers/GenRes");
+const Notification = require("./notification.model");
+const NotificationPreference = require("./notificationPreference.model");
+
+// Types users can configure. Notifications of any other type (account and
+// security notices) are always delivered.
+const NOTIFICATION_TYPES = Notification.schema
+  .path("type")
+  .enumValues.filter((type) => type !== "account");
+const CHANNELS = ["in_app", "push", "email"];
+const DEFAULT_CHANNELS = ["in_app", "push"];
+const DIGEST_FREQUENCIES = NotificationPreference.schema.path(
+  "digest.frequency"
+).enumValues;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// preferences are read for every notification, so keep them briefly
+const preferenceCache = new NodeCache({ stdTTL: 60 });
+
+// Load the preferences of many recipients with one query
+const preloadPreferences = async (userIds) => {
+  const missing = [...new Set(userIds.map(String))].filter(
+    (userId) => preferenceCache.get(userId) === undefined
+  );
+  if (missing.length === 0) return;
+
+  const found = await NotificationPreference.find({
+    "user._id": { $in: missing },
+  }).lean();
+  const byUser = new Map(found.map((p) => [p.user._id, p]));
+  for (const userId of missing) {
+    preferenceCache.set(userId, byUser.get(userId) || null);
+  }
+};
+
+const getPreferences = async (userId) => {
+  await preloadPreferences([userId]);
+  return preferenceCache.get(userId.toString());
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Whether `at` falls inside the quiet hours, which may span midnight
+const isQuietTime = (quietHours, at = new Date()) => {
+  if (!quietHours?.enabled) return false;
+
+  const now = new Intl.DateTimeFormat("en-GB", {
+    timeZone: quietHours.timezone || "UTC",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(at);
+  const { start, end } = quietHours;
+
+  if (start === end) return false;
+  return start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+};
+
+// Channels a notification of this type reaches the user on right now
+const getDeliveryPlan = async (userId, type, at = new Date()) => {
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    return { inApp: true, push: true, email: false };
+  }
+
+  const preferences = await getPreferences(userId);
+  const channels = preferences?.channels?.[type] || DEFAULT_CHANNELS;
+  return {
+    inApp: channels.includes("in_app"),
+    push:
+      channels.includes("push") && !isQuietTime(preferences?.quietHours, at),
+    email: channels.includes("email"),
+  };
+};
+
+// Preferences with every type filled in, as the settings screen shows them
+const describePreferences = (preferences) => ({
+  channels: Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [
+      type,
+      preferences?.channels?.[type] || DEFAULT_CHANNELS,
+    ])
+  ),
+  quietHours: {
+    enabled: false,
+    start: "22:00",
+    end: "07:00",
+    timezone: "UTC",
+    ...preferences?.quietHours,
+  },
+  digest: {
+    frequency: preferences?.digest?.frequency || "weekly",
+    lastSentAt: preferences?.digest?.lastSentAt || null,
+  },
+  availableChannels: CHANNELS,
+});
+
+const GetNotificationPreferences = async (req, res) => {
+  try {
+    const preferences = await NotificationPreference.findOne({
+      "user._id": req.user._id.toString(),
+    }).lean();
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          describePreferences(preferences),
+          null,
+          "Notification preferences"
+        )
+      );
+  } catch (error) {
+    console.error("Error in GetNotificationPreferences:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Partial update: { channels: { like: ["in_app"], follow: [] },
+// quietHours: { enabled: true, start: "22:00", end: "07:00",
+// timezone: "Asia/Kathmandu" }, digest: { frequency: "daily" } }
+const UpdateNotificationPreferences = async (req, res) => {
+  try {
+    const { channels, quietHours, digest } = req.body || {};
+    const update = {};
+    const invalid = (message) =>
+      res
+        .status(400)
+        .json(GenRes(400, null, { error: "Invalid preferences" }, message));
+
+    if (channels !== undefined) {
+      if (typeof channels !== "object" || channels === null) {
+        return invalid("channels must map notification types to channels");
+      }
+      for (const [type, list] of Object.entries(channels)) {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+          return invalid(`Unknown notification type: ${type}`);
+        }
+        if (
+          !Array.isArray(list) ||
+          list.some((channel) => !CHANNELS.includes(channel))
+        ) {
+          return invalid(`Channels must be a list of ${CHANNELS.join(", ")}`);
+        }
+        update[`channels.${type}`] = [...new Set(list)];
+      }
+    }
+
+    if (quietHours !== undefined) {
+      const { enabled, start, end, timezone } = quietHours || {};
+      if (enabled !== undefined) {
+        if (typeof enabled !== "boolean") {
+          return invalid("quietHours.enabled must be true or false");
+        }
+        update["quietHours.enabled"] = enabled;
+      }
+      for (const [field, value] of Object.entries({ start, end })) {
+        if (value === undefined) continue;
+        if (!TIME_PATTERN.test(value)) {
+          return invalid(`quietHours.${field} must look like HH:MM`);
+        }
+        update[`quietHours.${field}`] = value;
+      }
+      if (timezone !== undefined) {
+        if (!isValidTimezone(timezone)) {
+          return invalid("quietHours.timezone must be an IANA timezone");
+        }
+        update["quietHours.timezone"] = timezone;
+      }
+    }
+
+    if (digest !== undefined) {
+      if (!DIGEST_FREQUENCIES.includes(digest?.frequency)) {
+        return invalid(
+          `digest.frequency must be one of ${DIGEST_FREQUENCIES.join(", ")}`
+        );
+      }
+      update["digest.frequency"] = digest.frequency;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return invalid("Nothing to update");
+    }
+
+    const userId = req.user._id.toString();
+    const preferences = await NotificationPreference.findOneAndUpdate(
+      { "user._id": userId },
+      { $set: update },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+    preferenceCache.del(userId);
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          describePreferences(preferences),
+          null,
+          "Notification preferences updated"
+        )
+      );
+  } catch (error) {
+    console.error("Error in UpdateNotificationPreferences:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  preloadPreferences,
+  getDeliveryPlan,
+  isQuietTime,
+  GetNotificationPreferences,
+  UpdateNotificationPreferences,
+};
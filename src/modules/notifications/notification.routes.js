@@ -8,13 +8,31 @@ const {
   DeleteNotification,
   DeleteAllNotifications,
 } = require("./notification.methods");
+const {
+  GetNotificationPreferences,
+  UpdateNotificationPreferences,
+} = require("./notification.preferences");
+const { UnsubscribeDigest } = require("./notification.digest");
 
 router.get("/notifications", basicMiddleware, GetNotifications);
+router.get(
+  "/notifications/preferences",
+  basicMiddleware,
+  GetNotificationPreferences
+);
+router.patch(
+  "/notifications/preferences",
+  basicMiddleware,
+  UpdateNotificationPreferences
+);
 router.post(
   "/notifications/:notificationId/click",
   basicMiddleware,
   HandleNotificationClick
 );
+// opened from digest emails, authorized by the signed link instead
+router.get("/notifications/digest/unsubscribe", UnsubscribeDigest);
+router.post("/notifications/digest/unsubscribe", UnsubscribeDigest);
 router.post("/notifications/mark-read", basicMiddleware, MarkAsRead);
 router.post("/notifications/mark-all-read", basicMiddleware, MarkAllAsRead);
 router.delete("/notifications/:id", basicMiddleware, DeleteNotification);
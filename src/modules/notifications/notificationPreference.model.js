@@ -0,0 +1,41 @@
+const { Schema, model, models } = require("mongoose");
+const ModelGenerator = require("../../utils/database/modelGenerator");
+
+const gen = new ModelGenerator();
+
+// How a user wants to hear about each notification type. A type missing
+// from `channels` uses the defaults; an empty list turns the type off.
+const NotificationPreferenceSchema = new Schema(
+  {
+    user: {
+      _id: gen.unique(String),
+    },
+    channels: {
+      type: Map,
+      of: [{ type: String, enum: ["in_app", "push", "email"] }],
+      default: {},
+    },
+    // no pushes between start and end ("HH:MM") in the user's timezone
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: "22:00" },
+      end: { type: String, default: "07:00" },
+      timezone: { type: String, default: "UTC" },
+    },
+    // email summary of unread notifications and activity
+    digest: {
+      frequency: {
+        type: String,
+        enum: ["off", "daily", "weekly"],
+        default: "weekly",
+      },
+      lastSentAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+const NotificationPreference =
+  models?.NotificationPreference ||
+  model("NotificationPreference", NotificationPreferenceSchema);
+module.exports = NotificationPreference;
@@ -0,0 +1,130 @@
+const GenRes = require("../../utils/routers/GenRes");
+const Payment = require("./payment.model");
+const PaymentGateway = require("../../utils/payment/paymentGateway");
+const { isValidObjectId } = require("mongoose");
+const { hasPermission } = require("../../utils/auth/permissions");
+
+// Provider callbacks, authenticated by the provider signature only
+const PaymentWebhook = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { payment, applied } = await PaymentGateway.handleWebhook(
+      provider,
+      req
+    );
+
+    return res.status(200).json(
+      GenRes(
+        200,
+        { paymentId: payment._id, status: payment.status, applied },
+        null,
+        "Webhook processed"
+      )
+    );
+  } catch (error) {
+    console.error("Error in PaymentWebhook:", error);
+    return res.status(400).json(GenRes(400, null, error, error?.message));
+  }
+};
+
+const GetPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res
+        .status(400)
+        .json(GenRes(400, null, null, "Invalid payment ID"));
+    }
+
+    const filters = { _id: id };
+    if (!hasPermission(req.user.role, "payments:manage")) {
+      filters["payer._id"] = req.user._id.toString();
+    }
+
+    const payment = await Payment.findOne(filters)
+      .select("-events -clientSecret")
+      .lean();
+    if (!payment) {
+      return res.status(404).json(GenRes(404, null, null, "Payment not found"));
+    }
+
+    return res
+      .status(200)
+      .json(GenRes(200, payment, null, "Payment retrieved successfully"));
+  } catch (error) {
+    console.error("Error in GetPayment:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Refund a settled payment, fully or partially
+const RefundPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body || {};
+
+    if (!isValidObjectId(id)) {
+      return res
+        .status(400)
+        .json(GenRes(400, null, null, "Invalid payment ID"));
+    }
+
+    const payment = await Payment.findById(id);
+    if (!payment) {
+      return res.status(404).json(GenRes(404, null, null, "Payment not found"));
+    }
+
+    // a full refund undoes the enrollment, registration or order as well
+    const refunded = await PaymentGateway.refund(payment, {
+      amount: amount !== undefined ? Number(amount) : undefined,
+      reason,
+      fulfill: true,
+    });
+
+    return res
+      .status(200)
+      .json(GenRes(200, refunded, null, "Payment refunded successfully"));
+  } catch (error) {
+    console.error("Error in RefundPayment:", error);
+    return res.status(400).json(GenRes(400, null, error, error?.message));
+  }
+};
+
+// Settles a fake-provider intent without a real gateway; only there when
+// the fake provider is switched on (PAYMENT_FAKE_PROVIDER=true)
+const CompleteFakePayment = async (req, res) => {
+  try {
+    if (!PaymentGateway.hasProvider("fake")) {
+      return res.status(404).json(GenRes(404, null, null, "Not found"));
+    }
+
+    const { providerRef } = req.params;
+    const outcome = req.body?.outcome === "failed" ? "failed" : "succeeded";
+
+    const payment = await Payment.findOne({ provider: "fake", providerRef });
+    if (!payment || payment.payer._id !== req.user._id.toString()) {
+      return res.status(404).json(GenRes(404, null, null, "Payment not found"));
+    }
+
+    const result = await PaymentGateway.applyEvent("fake", {
+      type: outcome,
+      providerRef,
+      reason: outcome === "failed" ? "Declined by fake provider" : undefined,
+      payload: { simulated: true },
+    });
+
+    return res
+      .status(200)
+      .json(GenRes(200, result.payment, null, `Payment ${outcome}`));
+  } catch (error) {
+    console.error("Error in CompleteFakePayment:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+module.exports = {
+  PaymentWebhook,
+  GetPayment,
+  RefundPayment,
+  CompleteFakePayment,
+};
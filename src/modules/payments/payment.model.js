@@ -0,0 +1,56 @@
+const { Schema, model, models } = require("mongoose");
+const ModelGenerator = require("../../utils/database/modelGenerator");
+
+const gen = new ModelGenerator();
+
+const PaymentSchema = new Schema(
+  {
+    // what is being paid for, e.g. course enrollment, event registration, order checkout
+    purpose: gen.required(String, { enum: ["course", "event", "order"] }),
+    referenceId: gen.required(String),
+    description: String,
+    payer: {
+      _id: gen.required(String),
+      email: gen.required(String),
+      name: String,
+    },
+    amount: gen.required(Number, { min: 0 }),
+    currency: gen.required(String, { default: "NPR" }),
+    provider: gen.required(String),
+    providerRef: gen.unique(String),
+    checkoutUrl: String,
+    clientSecret: String,
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed", "cancelled", "refunded"],
+      default: "pending",
+    },
+    refundedAmount: { type: Number, default: 0 },
+    refunds: [
+      {
+        refundRef: String,
+        amount: Number,
+        reason: String,
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    paidAt: Date,
+    failureReason: String,
+    // raw provider events, kept for auditing
+    events: [
+      {
+        type: { type: String },
+        receivedAt: { type: Date, default: Date.now },
+        payload: Schema.Types.Mixed,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+PaymentSchema.index({ purpose: 1, referenceId: 1 });
+PaymentSchema.index({ "payer._id": 1, createdAt: -1 });
+
+const Payment = models?.Payment || model("Payment", PaymentSchema);
+
+module.exports = Payment;
@@ -0,0 +1,29 @@
+const router = require("express").Router();
+const basicMiddleware = require("../../middlewares/basicMiddleware");
+const { requirePermission } = require("../../middlewares/permissionMiddleware");
+const {
+  PaymentWebhook,
+  GetPayment,
+  RefundPayment,
+  CompleteFakePayment,
+} = require("./payment.methods");
+
+// Provider webhooks (verified by signature, no user auth)
+router.post("/payments/webhook/:provider", PaymentWebhook);
+
+// Local fake provider checkout
+router.post(
+  "/payments/fake/:providerRef/complete",
+  basicMiddleware,
+  CompleteFakePayment
+);
+
+router.get("/payments/:id", basicMiddleware, GetPayment);
+router.post(
+  "/payments/:id/refund",
+  basicMiddleware,
+  requirePermission("payments:manage"),
+  RefundPayment
+);
+
+module.exports = router;
@@ -1,34 +1,136 @@
-const path = require("path");
-const fs = require("fs");
-const mime = require("mime-types");
+const { isValidObjectId } = require("mongoose");
 const GenRes = require("../../utils/routers/GenRes");
+const Storage = require("../../utils/storage/storage");
+const Course = require("../courses/courses.model");
+const Enrollment = require("../courses/enrollment.model");
+const { hasPermission } = require("../../utils/auth/permissions");
 
+const PRIVATE_PREFIX = "courses/private/";
+const URL_TTL_SECONDS = 60 * 60;
+
+// Every file a course points at: overview, course-level and lesson
+// videos and notes
+const courseFileUrls = (course) => {
+  const videos = [
+    ...(course.courseVideos || []),
+    ...(course.lessons || []).flatMap((lesson) => lesson.videos || []),
+  ];
+  const notes = [
+    ...(course.coursePDFs || []),
+    ...(course.lessons || []).flatMap((lesson) => lesson.notes || []),
+  ];
+  return new Set(
+    [
+      course.overviewVideo,
+      ...videos.flatMap((video) => [video.videoUrl, video.thumbnail]),
+      ...notes.map((note) => note.fileUrl),
+    ].filter(Boolean)
+  );
+};
+
+// A short-lived signed url for one of a course's private files, for
+// students enrolled in the course and course editors
+// /courses/:courseId/files/url?path=/courses/private/<subfolder>/<file>
+const GetPrivateFileUrl = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const key = Storage.keyFromUrl(req.query.path);
+
+    if (!isValidObjectId(courseId) || !key?.startsWith(PRIVATE_PREFIX)) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Invalid course or file path" },
+            "Invalid course or file path"
+          )
+        );
+    }
+
+    const course = await Course.findById(courseId)
+      .select("overviewVideo courseVideos coursePDFs lessons")
+      .lean();
+    if (!course || !courseFileUrls(course).has(Storage.url(key))) {
+      return res
+        .status(404)
+        .json(GenRes(404, null, { error: "File not found" }, "File not found"));
+    }
+
+    if (!hasPermission(req.user.role, "courses:write")) {
+      const enrollment = await Enrollment.exists({
+        "student._id": req.user._id.toString(),
+        "course._id": courseId,
+        status: { $in: ["active", "completed"] },
+        "paymentInfo.paymentStatus": "completed",
+      });
+      if (!enrollment) {
+        return res
+          .status(403)
+          .json(
+            GenRes(
+              403,
+              null,
+              { error: "Not enrolled" },
+              "Enroll in the course to access its files"
+            )
+          );
+      }
+    }
+
+    const url = await Storage.signedUrl(key, { expiresIn: URL_TTL_SECONDS });
+    const expiresAt = new Date(Date.now() + URL_TTL_SECONDS * 1000);
+
+    return res
+      .status(200)
+      .json(GenRes(200, { url, expiresAt }, null, "File url created"));
+  } catch (error) {
+    console.error("Error in GetPrivateFileUrl:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Serves the urls GetPrivateFileUrl signs (local storage; S3 serves its
+// presigned urls itself)
+// /courses/private/:subfolder/:filename?expires=<unix time>&signature=<sig>
 const AccessPrivateFiles = async (req, res) => {
   try {
     const { subfolder, filename } = req.params;
-    const filePath = path.join(
-      process.cwd(),
-      "courses",
-      "private",
-      subfolder,
-      filename
+    const { expires, signature } = req.query;
+    const key = Storage.keyFromUrl(
+      `/${PRIVATE_PREFIX}${subfolder}/${filename}`
     );
 
-    // Security check: prevent path traversal
-    const normalizedPath = path.normalize(filePath);
-    if (!normalizedPath.startsWith(path.join(process.cwd(), "courses", "private"))) {
-      throw new Error("Unauthorized access to file.");
+    if (
+      !key?.startsWith(PRIVATE_PREFIX) ||
+      !Storage.verifySignedUrl(key, expires, signature)
+    ) {
+      return res
+        .status(403)
+        .json(
+          GenRes(
+            403,
+            null,
+            { error: "Invalid or expired link" },
+            "This link is invalid or has expired"
+          )
+        );
     }
 
-    const file = await fs.promises.readFile(normalizedPath);
-    const mimeType = mime.lookup(filename) || "application/octet-stream";
-
-    res.setHeader("Content-Type", mimeType);
-    res.status(200).send(file);
+    // the link is only good until it expires, so nothing may keep a copy
+    res.setHeader("Cache-Control", "private, no-store");
+    const sent = await Storage.send(req, res, key);
+    if (!sent) {
+      return res
+        .status(404)
+        .json(GenRes(404, null, { error: "File not found" }, "File not found"));
+    }
   } catch (error) {
-    const response = GenRes.errorResponse(error.message, 500);
-    res.status(500).json(response);
+    console.error("Error in AccessPrivateFiles:", error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json(GenRes(500, null, error, error?.message));
   }
 };
 
-module.exports = { AccessPrivateFiles };
+module.exports = { GetPrivateFileUrl, AccessPrivateFiles };
@@ -0,0 +1,254 @@
+const GenRes = require("../../utils/routers/GenRes");
+const Block = require("../user/block.model");
+const Hashtag = require("../contents/hashtag.model");
+const { SEARCH_SOURCES, SEARCH_TYPES } = require("./search.sources");
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+// results per type when searching everything at once
+const PREVIEW_SIZE = 5;
+const SUGGESTION_LIMIT = 10;
+// how much popularity can lift a result's text score
+const POPULARITY_WEIGHT = 0.1;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const readQuery = (req) =>
+  String(req.query.q || "")
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH);
+
+const invalidQuery = (res) =>
+  res
+    .status(400)
+    .json(
+      GenRes(
+        400,
+        null,
+        { error: "Query too short" },
+        `Search needs at least ${MIN_QUERY_LENGTH} characters`
+      )
+    );
+
+// Users the viewer blocked or was blocked by; their results are hidden
+const getBlockedIds = async (userId) => {
+  const blocks = await Block.find({
+    $or: [{ "blocker._id": userId }, { "blocked._id": userId }],
+  })
+    .select("blocker._id blocked._id")
+    .lean();
+  return [
+    ...new Set(
+      blocks.map((block) =>
+        block.blocker._id === userId ? block.blocked._id : block.blocker._id
+      )
+    ),
+  ];
+};
+
+const searchFilter = (source, query, viewer) => ({
+  $text: { $search: query },
+  ...source.filter(viewer),
+});
+
+// Text score, lifted logarithmically by the source's popularity field
+const scoreExpression = (source) => {
+  const textScore = { $meta: "textScore" };
+  if (!source.popularity) return textScore;
+  return {
+    $multiply: [
+      textScore,
+      {
+        $add: [
+          1,
+          {
+            $multiply: [
+              POPULARITY_WEIGHT,
+              { $ln: { $add: [1, { $ifNull: [source.popularity, 0] }] } },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+};
+
+const searchSource = async (source, query, viewer, { skip, limit }) => {
+  const [result] = await source.model.aggregate([
+    { $match: searchFilter(source, query, viewer) },
+    { $addFields: { score: scoreExpression(source) } },
+    { $sort: { score: -1, _id: -1 } },
+    {
+      $facet: {
+        items: [
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { ...source.project, score: 1 } },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return {
+    items: result.items.map((item) => ({ ...item, type: source.type })),
+    total: result.total[0]?.count || 0,
+  };
+};
+
+// Search all types at once, or page through one with ?type=.
+// GET /search?q=robot&type=courses&page=0&limit=20
+const Search = async (req, res) => {
+  try {
+    const query = readQuery(req);
+    if (query.length < MIN_QUERY_LENGTH) return invalidQuery(res);
+
+    const type = req.query.type || "all";
+    if (type !== "all" && !SEARCH_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Invalid type" },
+            `type must be all or one of ${SEARCH_TYPES.join(", ")}`
+          )
+        );
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 0, 0);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const viewer = {
+      userId: req.user._id.toString(),
+      blockedIds: await getBlockedIds(req.user._id.toString()),
+    };
+
+    const results = {};
+    const facets = {};
+    await Promise.all(
+      SEARCH_SOURCES.map(async (source) => {
+        if (type === "all" || type === source.type) {
+          const { items, total } = await searchSource(source, query, viewer, {
+            skip: type === "all" ? 0 : page * limit,
+            limit: type === "all" ? PREVIEW_SIZE : limit,
+          });
+          results[source.type] = items;
+          facets[source.type] = total;
+        } else {
+          // other types only report how many results they have
+          facets[source.type] = await source.model.countDocuments(
+            searchFilter(source, query, viewer)
+          );
+        }
+      })
+    );
+
+    const total = type === "all" ? null : facets[type];
+    return res.status(200).json(
+      GenRes(
+        200,
+        {
+          query,
+          type,
+          results,
+          facets,
+          page: type === "all" ? 0 : page,
+          hasMore: type === "all" ? false : (page + 1) * limit < total,
+        },
+        null,
+        `Found ${Object.values(facets).reduce((a, b) => a + b, 0)} results`
+      )
+    );
+  } catch (error) {
+    console.error("Error in Search:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Autocomplete for partial input: names and titles starting with the
+// query, plus hashtags when it starts with "#"
+// GET /search/suggest?q=rob
+const SearchSuggestions = async (req, res) => {
+  try {
+    const query = readQuery(req);
+    if (query.length < MIN_QUERY_LENGTH) return invalidQuery(res);
+
+    if (query.startsWith("#")) {
+      const tag = query.slice(1).toLowerCase();
+      const hashtags = await Hashtag.find({
+        tag: { $regex: `^${escapeRegex(tag)}` },
+        postCount: { $gt: 0 },
+      })
+        .sort({ postCount: -1 })
+        .limit(SUGGESTION_LIMIT)
+        .select("tag postCount")
+        .lean();
+
+      return res.status(200).json(
+        GenRes(
+          200,
+          hashtags.map((hashtag) => ({
+            type: "hashtags",
+            _id: hashtag._id,
+            text: `#${hashtag.tag}`,
+            count: hashtag.postCount,
+          })),
+          null,
+          `Found ${hashtags.length} suggestions`
+        )
+      );
+    }
+
+    const viewer = {
+      userId: req.user._id.toString(),
+      blockedIds: await getBlockedIds(req.user._id.toString()),
+    };
+    const prefix = new RegExp(`^${escapeRegex(query)}`, "i");
+    const sources = SEARCH_SOURCES.filter((source) => source.suggest);
+
+    const matches = await Promise.all(
+      sources.map((source) =>
+        source.model
+          .find({ [source.suggest]: prefix, ...source.filter(viewer) })
+          .select(source.suggest)
+          .limit(SUGGESTION_LIMIT)
+          .lean()
+          .then((docs) =>
+            docs.map((doc) => ({
+              type: source.type,
+              _id: doc._id,
+              text: doc[source.suggest],
+            }))
+          )
+      )
+    );
+
+    // shortest completions first, so "rob" ranks "Robot" above "Robotics"
+    const suggestions = matches
+      .flat()
+      .sort((a, b) => a.text.length - b.text.length)
+      .slice(0, SUGGESTION_LIMIT);
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          suggestions,
+          null,
+          `Found ${suggestions.length} suggestions`
+        )
+      );
+  } catch (error) {
+    console.error("Error in SearchSuggestions:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+module.exports = { Search, SearchSuggestions };
@@ -0,0 +1,10 @@
+const router = require("express").Router();
+const basicMiddleware = require("../../middlewares/basicMiddleware");
+const { Search, SearchSuggestions } = require("./search.methods");
+
+// Full-text search across users, contents, videos, courses, events and
+// products
+router.get("/search", basicMiddleware, Search);
+router.get("/search/suggest", basicMiddleware, SearchSuggestions);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const { Types, isValidObjectId } = require("mongoose");
+const User = require("../user/user.model");
+const Content = require("../contents/contents.model");
+const Video = require("../video/video.model");
+const Course = require("../courses/courses.model");
+const Event = require("../events/event.model");
+const Shop = require("../shop/shop.model");
+
+// Everything /search can return. `filter` limits a source to what the
+// viewer may see (public, not blocked); `popularity` nudges the text score
+// of popular results up; `suggest` is the field prefix suggestions use.
+const SEARCH_SOURCES = [
+  {
+    type: "users",
+    model: User,
+    filter: ({ blockedIds }) => ({
+      _id: {
+        $nin: blockedIds
+          .filter(isValidObjectId)
+          .map((id) => new Types.ObjectId(id)),
+      },
+      banned: { $ne: true },
+      "deletion.scheduledFor": { $exists: false },
+    }),
+    project: {
+      name: 1,
+      picture: 1,
+      profession: 1,
+      businessName: 1,
+      isVerified: 1,
+    },
+    suggest: "name",
+  },
+  {
+    type: "contents",
+    model: Content,
+    filter: ({ blockedIds }) => ({ "author._id": { $nin: blockedIds } }),
+    popularity: "$views",
+    project: {
+      status: 1,
+      shareText: 1,
+      files: 1,
+      type: 1,
+      author: 1,
+      hashtags: 1,
+      views: 1,
+      isShared: 1,
+      createdAt: 1,
+    },
+  },
+  {
+    type: "videos",
+    model: Video,
+    filter: ({ blockedIds }) => ({
+      isPublic: true,
+      processingStatus: "completed",
+      "author._id": { $nin: blockedIds },
+    }),
+    popularity: "$views",
+    project: {
+      title: 1,
+      thumbnail: 1,
+      duration: 1,
+      type: 1,
+      tags: 1,
+      author: 1,
+      views: 1,
+      createdAt: 1,
+    },
+    suggest: "title",
+  },
+  {
+    type: "courses",
+    model: Course,
+    filter: ({ blockedIds }) => ({
+      isPublished: true,
+      "author._id": { $nin: blockedIds },
+    }),
+    popularity: "$enrollmentCount",
+    project: {
+      title: 1,
+      description: 1,
+      thumbnail: 1,
+      price: 1,
+      level: 1,
+      rating: 1,
+      enrollmentCount: 1,
+      instructor: 1,
+    },
+    suggest: "title",
+  },
+  {
+    type: "events",
+    model: Event,
+    filter: ({ blockedIds }) => ({
+      isPublic: true,
+      status: { $ne: "cancelled" },
+      "eventMaker._id": { $nin: blockedIds },
+    }),
+    popularity: "$currentAttendees",
+    project: {
+      title: 1,
+      category: 1,
+      images: 1,
+      startDate: 1,
+      endDate: 1,
+      status: 1,
+      location: 1,
+      price: 1,
+      currentAttendees: 1,
+    },
+    suggest: "title",
+  },
+  {
+    type: "products",
+    model: Shop,
+    // same visibility as the public shop listing
+    filter: ({ blockedIds }) => ({
+      "category._id": { $exists: true, $ne: "" },
+      "category.name": { $exists: true, $ne: "" },
+      "vendor._id": { $nin: blockedIds },
+    }),
+    project: {
+      name: 1,
+      price: 1,
+      images: 1,
+      stock: 1,
+      category: 1,
+      "vendor.businessName": 1,
+    },
+    suggest: "name",
+  },
+];
+
+const SEARCH_TYPES = SEARCH_SOURCES.map((source) => source.type);
+
+module.exports = { SEARCH_SOURCES, SEARCH_TYPES };
@@ -0,0 +1,38 @@
+const JobQueue = require("../../utils/queue/jobQueue");
+const PaymentGateway = require("../../utils/payment/paymentGateway");
+
+// How long unpaid orders keep their stock reserved
+const PAYMENT_HOLD_MINUTES =
+  parseInt(process.env.ORDER_PAYMENT_HOLD_MINUTES) || 30;
+
+// The order.payment-hold job: give up a checkout still unpaid when its
+// hold runs out. The payment is marked failed, so the order fulfillment's
+// onFailed cancels the placed orders and puts their stock back, and a
+// late success for it is refunded.
+const expirePaymentHold = async ({ checkoutId }) => {
+  const payment = await PaymentGateway.findLatest("order", checkoutId);
+  if (payment?.status !== "pending") return { expired: false };
+
+  const { applied } = await PaymentGateway.applyEvent(payment.provider, {
+    type: "failed",
+    providerRef: payment.providerRef,
+    reason: "Payment window expired",
+    payload: { expired: true },
+  });
+  return { expired: applied };
+};
+
+JobQueue.registerHandler("order.payment-hold", expirePaymentHold);
+
+// Reserve a checkout's stock until its payment is due
+const queuePaymentHold = (checkoutId) =>
+  JobQueue.enqueue(
+    "order.payment-hold",
+    { checkoutId },
+    {
+      jobId: `order-hold-${checkoutId}`,
+      delayMs: PAYMENT_HOLD_MINUTES * 60 * 1000,
+    }
+  );
+
+module.exports = { queuePaymentHold };
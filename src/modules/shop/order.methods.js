@@ -0,0 +1,590 @@
+const crypto = require("crypto");
+const GenRes = require("../../utils/routers/GenRes");
+const Order = require("./order.model");
+const Cart = require("./cart.model");
+const Shop = require("./shop.model");
+const User = require("../user/user.model");
+const { notify } = require("../notifications/notification.dispatch");
+const PaymentGateway = require("../../utils/payment/paymentGateway");
+const { queuePaymentHold } = require("./order.jobs");
+const { isValidObjectId } = require("mongoose");
+
+// Give back stock reserved by an order, at most once per order
+const restoreStock = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockRestored: false },
+    { $set: { stockRestored: true } }
+  );
+  if (!claimed) return;
+
+  await Promise.all(
+    order.items.map((item) =>
+      Shop.updateOne({ _id: item.product }, { $inc: { stock: item.quantity } })
+    )
+  );
+};
+
+const notifyOrderParty = async (recipient, sender, order, content, title) => {
+  try {
+    await notify({
+      push: {
+        title,
+        data: {
+          orderId: order._id.toString(),
+          orderNumber: order.orderNumber,
+          status: order.status,
+        },
+      },
+      recipient: { _id: recipient._id, email: recipient.email },
+      sender: {
+        _id: sender._id,
+        email: sender.email,
+        name: sender.name || sender.businessName || sender.email,
+      },
+      type: "shop",
+      content,
+      metadata: {
+        itemId: order._id.toString(),
+        itemType: "order",
+        additionalInfo: {
+          orderNumber: order.orderNumber,
+          status: order.status,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Failed to send order notification:", error);
+  }
+};
+
+const Checkout = async (req, res) => {
+  const reserved = [];
+  const checkoutId = crypto.randomUUID();
+  try {
+    const { shippingAddress, note } = req.body || {};
+    const user = await User.findById(req.user._id)
+      .select("_id email name phone")
+      .lean();
+
+    const cartItems = await Cart.find({ email: req.user.email }).populate(
+      "product"
+    );
+
+    if (cartItems.length === 0) {
+      return res
+        .status(400)
+        .json(GenRes(400, null, { error: "Cart is empty" }, "Cart is empty"));
+    }
+
+    const unavailable = cartItems.filter((item) => !item.product);
+    if (unavailable.length > 0) {
+      return res.status(400).json(
+        GenRes(
+          400,
+          { cartItems: unavailable.map((item) => item._id) },
+          { error: "Product no longer available" },
+          "Some products in your cart are no longer available"
+        )
+      );
+    }
+
+    // Reserve stock atomically, rolling back on the first shortage
+    for (const item of cartItems) {
+      const quantity = Math.max(1, parseInt(item.quantity) || 1);
+      const updated = await Shop.findOneAndUpdate(
+        { _id: item.product._id, stock: { $gte: quantity } },
+        { $inc: { stock: -quantity } },
+        { new: true }
+      );
+
+      if (!updated) {
+        await Promise.all(
+          reserved.map((r) =>
+            Shop.updateOne(
+              { _id: r.product._id },
+              { $inc: { stock: r.quantity } }
+            )
+          )
+        );
+        reserved.length = 0;
+        return res.status(409).json(
+          GenRes(
+            409,
+            { product: item.product._id, available: item.product.stock },
+            { error: "Insufficient stock" },
+            `Not enough stock for ${item.product.name}`
+          )
+        );
+      }
+
+      reserved.push({ product: updated, quantity });
+    }
+
+    // One order per vendor, prices snapshotted from the product
+    const byVendor = new Map();
+    for (const { product, quantity } of reserved) {
+      const vendorId = product.vendor._id;
+      if (!byVendor.has(vendorId)) {
+        byVendor.set(vendorId, { vendor: product.vendor, items: [] });
+      }
+      byVendor.get(vendorId).items.push({
+        product: product._id,
+        name: product.name,
+        image: product.images?.[0],
+        price: product.price,
+        quantity,
+        subtotal: product.price * quantity,
+      });
+    }
+
+    const orders = [];
+    for (const { vendor, items } of byVendor.values()) {
+      const order = new Order({
+        checkoutId,
+        buyer: {
+          _id: user._id.toString(),
+          email: user.email,
+          name: user.name,
+          phone: user.phone,
+        },
+        vendor: {
+          _id: vendor._id,
+          email: vendor.email,
+          businessName: vendor.businessName,
+        },
+        items,
+        totalAmount: items.reduce((sum, item) => sum + item.subtotal, 0),
+        shippingAddress,
+        note,
+        statusHistory: [{ status: "placed", changedBy: user._id.toString() }],
+      });
+      await order.save();
+      orders.push(order);
+    }
+
+    // Orders stay "placed" until the provider confirms the payment, and
+    // give their stock back if it doesn't come in time
+    const totalAmount = orders.reduce((sum, o) => sum + o.totalAmount, 0);
+    await queuePaymentHold(checkoutId);
+    const payment = await PaymentGateway.createPayment({
+      purpose: "order",
+      referenceId: checkoutId,
+      amount: totalAmount,
+      currency: orders[0].currency,
+      payer: user,
+      description: `Shop checkout ${checkoutId}`,
+    });
+    reserved.length = 0;
+
+    await Cart.deleteMany({
+      _id: { $in: cartItems.map((item) => item._id) },
+    });
+
+    return res.status(201).json(
+      GenRes(
+        201,
+        {
+          checkoutId,
+          orders,
+          totalAmount,
+          payment: {
+            _id: payment._id,
+            provider: payment.provider,
+            status: payment.status,
+            checkoutUrl: payment.checkoutUrl,
+            clientSecret: payment.clientSecret,
+          },
+        },
+        null,
+        "Order placed, awaiting payment"
+      )
+    );
+  } catch (error) {
+    console.error("Error in Checkout:", error);
+    if (reserved.length > 0) {
+      await Promise.all([
+        Order.deleteMany({ checkoutId }),
+        ...reserved.map((r) =>
+          Shop.updateOne(
+            { _id: r.product._id },
+            { $inc: { stock: r.quantity } }
+          )
+        ),
+      ]).catch((rollbackError) =>
+        console.error("Failed to roll back stock:", rollbackError)
+      );
+    }
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const GetMyOrders = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 0;
+    const limit = 20;
+    const filters = { "buyer._id": req.user._id.toString() };
+    if (req.query.status) filters.status = req.query.status;
+
+    const [orders, total] = await Promise.all([
+      Order.find(filters)
+        .sort({ createdAt: -1 })
+        .skip(page * limit)
+        .limit(limit)
+        .lean(),
+      Order.countDocuments(filters),
+    ]);
+
+    return res.status(200).json(
+      GenRes(
+        200,
+        { orders, total, page, hasMore: (page + 1) * limit < total },
+        null,
+        "Orders retrieved successfully"
+      )
+    );
+  } catch (error) {
+    console.error("Error in GetMyOrders:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const GetMyOrderById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(GenRes(400, null, null, "Invalid order ID"));
+    }
+
+    const order = await Order.findOne({
+      _id: id,
+      "buyer._id": req.user._id.toString(),
+    }).lean();
+    if (!order) {
+      return res.status(404).json(GenRes(404, null, null, "Order not found"));
+    }
+
+    return res
+      .status(200)
+      .json(GenRes(200, order, null, "Order retrieved successfully"));
+  } catch (error) {
+    console.error("Error in GetMyOrderById:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const CancelMyOrder = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(GenRes(400, null, null, "Invalid order ID"));
+    }
+
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: id,
+        "buyer._id": req.user._id.toString(),
+        status: "placed",
+      },
+      {
+        $set: { status: "cancelled" },
+        $push: {
+          statusHistory: {
+            status: "cancelled",
+            changedBy: req.user._id.toString(),
+            note: req.body?.reason,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!order) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Order cannot be cancelled" },
+            "Only placed orders can be cancelled"
+          )
+        );
+    }
+
+    await restoreStock(order);
+
+    notifyOrderParty(
+      order.vendor,
+      order.buyer,
+      order,
+      `Order ${order.orderNumber} was cancelled by the buyer`,
+      "Order Cancelled"
+    );
+
+    return res
+      .status(200)
+      .json(GenRes(200, order, null, "Order cancelled successfully"));
+  } catch (error) {
+    console.error("Error in CancelMyOrder:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const VendorListOrders = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 0;
+    const limit = 20;
+    const filters = { "vendor._id": req.vendor._id.toString() };
+    if (req.query.status) filters.status = req.query.status;
+
+    const [orders, total] = await Promise.all([
+      Order.find(filters)
+        .sort({ createdAt: -1 })
+        .skip(page * limit)
+        .limit(limit)
+        .lean(),
+      Order.countDocuments(filters),
+    ]);
+
+    return res.status(200).json(
+      GenRes(
+        200,
+        { orders, total, page, hasMore: (page + 1) * limit < total },
+        null,
+        "Orders retrieved successfully"
+      )
+    );
+  } catch (error) {
+    console.error("Error in VendorListOrders:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const VendorGetOrder = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(GenRes(400, null, null, "Invalid order ID"));
+    }
+
+    const order = await Order.findOne({
+      _id: id,
+      "vendor._id": req.vendor._id.toString(),
+    }).lean();
+    if (!order) {
+      return res.status(404).json(GenRes(404, null, null, "Order not found"));
+    }
+
+    return res
+      .status(200)
+      .json(GenRes(200, order, null, "Order retrieved successfully"));
+  } catch (error) {
+    console.error("Error in VendorGetOrder:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const VendorUpdateOrderStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body || {};
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(GenRes(400, null, null, "Invalid order ID"));
+    }
+
+    const order = await Order.findOne({
+      _id: id,
+      "vendor._id": req.vendor._id.toString(),
+    });
+    if (!order) {
+      return res.status(404).json(GenRes(404, null, null, "Order not found"));
+    }
+
+    if (status === "paid") {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Invalid status transition" },
+            "Orders are marked paid when the payment is confirmed"
+          )
+        );
+    }
+
+    if (!Order.canTransition(order.status, status)) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Invalid status transition" },
+            `Cannot change order from ${order.status} to ${status}`
+          )
+        );
+    }
+
+    // Guard against a concurrent change between the read and the write
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        $set: { status },
+        $push: {
+          statusHistory: {
+            status,
+            changedBy: req.vendor._id.toString(),
+            note,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res
+        .status(409)
+        .json(GenRes(409, null, null, "Order was modified, please retry"));
+    }
+
+    // Money already taken for this order goes back to the buyer. Only the
+    // request that made the transition refunds; if the refund fails the
+    // order keeps its previous status so it can be retried.
+    if (
+      ["cancelled", "refunded"].includes(status) &&
+      order.status !== "placed"
+    ) {
+      const payment = await PaymentGateway.findLatest(
+        "order",
+        order.checkoutId
+      );
+      if (payment?.status === "succeeded") {
+        try {
+          await PaymentGateway.refund(payment, {
+            amount: order.totalAmount,
+            reason: note || `Order ${order.orderNumber} ${status}`,
+          });
+        } catch (error) {
+          await Order.updateOne(
+            { _id: order._id, status },
+            { $set: { status: order.status }, $pop: { statusHistory: 1 } }
+          );
+          throw error;
+        }
+      }
+    }
+
+    // Goods that never left the vendor go back on the shelf
+    if (
+      ["cancelled", "refunded"].includes(status) &&
+      ["placed", "paid"].includes(order.status)
+    ) {
+      await restoreStock(updated);
+    }
+
+    notifyOrderParty(
+      updated.buyer,
+      req.vendor,
+      updated,
+      `Your order ${updated.orderNumber} is now ${status}`,
+      "Order Update"
+    );
+
+    return res
+      .status(200)
+      .json(GenRes(200, updated, null, "Order status updated"));
+  } catch (error) {
+    console.error("Error in VendorUpdateOrderStatus:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const markCheckoutOrders = async (checkoutId, fromStatuses, status, note) => {
+  const orders = await Order.find({
+    checkoutId,
+    status: { $in: fromStatuses },
+  });
+
+  const changed = [];
+  for (const order of orders) {
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        $set: { status },
+        $push: { statusHistory: { status, changedBy: "payment", note } },
+      },
+      { new: true }
+    );
+    if (updated) changed.push({ previous: order.status, order: updated });
+  }
+  return changed;
+};
+
+PaymentGateway.registerFulfillment("order", {
+  onSucceeded: async (payment) => {
+    const paid = await markCheckoutOrders(
+      payment.referenceId,
+      ["placed"],
+      "paid",
+      "Payment confirmed"
+    );
+
+    for (const { order } of paid) {
+      notifyOrderParty(
+        order.vendor,
+        order.buyer,
+        order,
+        `New order ${order.orderNumber} from ${order.buyer.name}`,
+        "New Order"
+      );
+    }
+
+    // Orders cancelled while the payment was in flight are refunded
+    const cancelled = await Order.find({
+      checkoutId: payment.referenceId,
+      status: "cancelled",
+    }).lean();
+    const refundAmount = cancelled.reduce((sum, o) => sum + o.totalAmount, 0);
+    if (refundAmount > 0) {
+      await PaymentGateway.refund(payment, {
+        amount: refundAmount,
+        reason: "Order cancelled before payment settled",
+      });
+    }
+  },
+
+  onFailed: async (payment) => {
+    const cancelled = await markCheckoutOrders(
+      payment.referenceId,
+      ["placed"],
+      "cancelled",
+      "Payment failed"
+    );
+    for (const { order } of cancelled) {
+      await restoreStock(order);
+    }
+  },
+
+  onRefunded: async (payment) => {
+    const refunded = await markCheckoutOrders(
+      payment.referenceId,
+      ["paid", "shipped", "delivered"],
+      "refunded",
+      "Payment refunded by provider"
+    );
+    for (const { previous, order } of refunded) {
+      if (previous === "paid") await restoreStock(order);
+    }
+  },
+});
+
+module.exports = {
+  Checkout,
+  GetMyOrders,
+  GetMyOrderById,
+  CancelMyOrder,
+  VendorListOrders,
+  VendorGetOrder,
+  VendorUpdateOrderStatus,
+};
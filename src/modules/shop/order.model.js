@@ -0,0 +1,110 @@
+const { Schema, model, models } = require("mongoose");
+const ModelGenerator = require("../../utils/database/modelGenerator");
+
+const gen = new ModelGenerator();
+
+const ORDER_STATUSES = [
+  "placed",
+  "paid",
+  "shipped",
+  "delivered",
+  "cancelled",
+  "refunded",
+];
+
+// Allowed status transitions, keyed by the current status
+const ORDER_TRANSITIONS = {
+  placed: ["paid", "cancelled"],
+  paid: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
+
+const OrderItemSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Shop", required: true },
+    // snapshot of the product at checkout time
+    name: gen.required(String),
+    image: String,
+    price: gen.required(Number),
+    quantity: gen.required(Number, { min: 1 }),
+    subtotal: gen.required(Number),
+  },
+  { _id: false }
+);
+
+const OrderSchema = new Schema(
+  {
+    orderNumber: gen.unique(String),
+    // orders created from the same cart share a checkoutId
+    checkoutId: gen.required(String),
+    buyer: {
+      _id: gen.required(String),
+      email: gen.required(String),
+      name: String,
+      phone: String,
+    },
+    vendor: {
+      _id: gen.required(String),
+      email: gen.required(String),
+      businessName: gen.required(String),
+    },
+    items: {
+      type: [OrderItemSchema],
+      validate: [(items) => items.length > 0, "Order must have items"],
+    },
+    totalAmount: gen.required(Number),
+    currency: { type: String, default: "NPR" },
+    shippingAddress: {
+      fullName: String,
+      phone: String,
+      address: String,
+      city: String,
+      state: String,
+      country: String,
+      zipCode: String,
+    },
+    note: String,
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      default: "placed",
+    },
+    statusHistory: [
+      {
+        status: { type: String, enum: ORDER_STATUSES },
+        changedAt: { type: Date, default: Date.now },
+        changedBy: String,
+        note: String,
+      },
+    ],
+    stockRestored: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+// Generate a human readable order number
+OrderSchema.pre("validate", function (next) {
+  if (!this.orderNumber) {
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.floor(Math.random() * 10000)
+      .toString()
+      .padStart(4, "0");
+    this.orderNumber = `ORD${timestamp}${random}`;
+  }
+  next();
+});
+
+OrderSchema.index({ "buyer._id": 1, createdAt: -1 });
+OrderSchema.index({ "vendor._id": 1, status: 1, createdAt: -1 });
+OrderSchema.index({ checkoutId: 1 });
+
+OrderSchema.statics.canTransition = function (from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+};
+
+const Order = models?.Order || model("Order", OrderSchema);
+
+module.exports = Order;
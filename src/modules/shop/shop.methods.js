@@ -1,10 +1,11 @@
-const path = require("path");
 const GenRes = require("../../utils/routers/GenRes");
 const Shop = require("./shop.model");
 const Cart = require("./cart.model");
 const Category = require("./category.model");
 const { isValidObjectId } = require("mongoose");
-const fs = require("fs");
+const {
+  deleteUploadedFile,
+} = require("../../utils/fileProcessor/uploadCleanup");
 
 function shuffleArray(array) {
   for (let i = array.length - 1; i > 0; i--) {
@@ -271,7 +272,7 @@ const AddShop = async (req, res) => {
     if (req.file_locations?.length > 0) {
       for (const file of req.file_locations) {
         try {
-          fs.unlinkSync(path.join(process.cwd(), file.slice(1)));
+          await deleteUploadedFile(file);
         } catch (cleanupError) {
           console.log(
             `Failed to clean up file ${file}:`,
@@ -427,7 +428,7 @@ const UpdateProduct = async (req, res) => {
         const failedFiles = [];
         for (const oldImage of product.images) {
           try {
-            fs.unlinkSync(path.join(process.cwd(), oldImage.slice(1)));
+            await deleteUploadedFile(oldImage);
           } catch (error) {
             console.log(`Failed to delete image ${oldImage}:`, error?.message);
             failedFiles.push(oldImage);
@@ -451,7 +452,7 @@ const UpdateProduct = async (req, res) => {
     if (req?.file_locations?.length > 0) {
       for (const file of req.file_locations) {
         try {
-          fs.unlinkSync(path.join(process.cwd(), file.slice(1)));
+          await deleteUploadedFile(file);
         } catch (cleanupError) {
           console.log(
             `Failed to clean up file ${file}:`,
@@ -530,7 +531,7 @@ const DeleteProduct = async (req, res) => {
       const failedFiles = [];
       for (const image of product.images) {
         try {
-          fs.unlinkSync(path.join(process.cwd(), image.slice(1)));
+          await deleteUploadedFile(image);
         } catch (error) {
           console.log(`Failed to delete image ${image}:`, error?.message);
           failedFiles.push(image);
@@ -566,10 +567,15 @@ const DeleteFiles = async (req, res) => {
       return res.status(400).json(response);
     }
 
+    // vendors can only remove their own product images
+    const ownFolder = `/uploads/${req.vendor.email}/shop/`;
     const failedFile = [];
     for (const file of filesList) {
       try {
-        fs.unlinkSync(path.join(process.cwd(), file.slice(1)));
+        if (typeof file !== "string" || !file.startsWith(ownFolder)) {
+          throw new Error("Not one of your files");
+        }
+        await deleteUploadedFile(file);
       } catch (error) {
         console.log(`Failed to delete file ${file}:`, error?.message);
         failedFile.push(file);
@@ -21,6 +21,14 @@ const ShopSchema = new Schema({
   },
 });
 
+ShopSchema.index(
+  { name: "text", "category.name": "text", description: "text" },
+  {
+    name: "product_search",
+    weights: { name: 10, "category.name": 3, description: 1 },
+  }
+);
+
 const Shop = models?.Shop || model("Shop", ShopSchema);
 
 module.exports = Shop;
@@ -22,6 +22,15 @@ const {
   DeleteCategory,
   UpdateCategory,
 } = require("./category.methods");
+const {
+  Checkout,
+  GetMyOrders,
+  GetMyOrderById,
+  CancelMyOrder,
+  VendorListOrders,
+  VendorGetOrder,
+  VendorUpdateOrderStatus,
+} = require("./order.methods");
 
 // Category routes for vendors
 router.post("/vendor-add-category", vendorMiddleware, AddCategory);
@@ -57,4 +66,19 @@ router.get("/list-carts", basicMiddleware, GetCart);
 router.post("/add-to-cart", basicMiddleware, AddToCart);
 router.delete("/delete-cart/:id", basicMiddleware, RemoveFromCart);
 
+// Order routes for buyers
+router.post("/checkout", basicMiddleware, Checkout);
+router.get("/my-orders", basicMiddleware, GetMyOrders);
+router.get("/my-orders/:id", basicMiddleware, GetMyOrderById);
+router.patch("/my-orders/:id/cancel", basicMiddleware, CancelMyOrder);
+
+// Order routes for vendors
+router.get("/vendor-orders", vendorMiddleware, VendorListOrders);
+router.get("/vendor-orders/:id", vendorMiddleware, VendorGetOrder);
+router.patch(
+  "/vendor-orders/:id/status",
+  vendorMiddleware,
+  VendorUpdateOrderStatus
+);
+
 module.exports = router;
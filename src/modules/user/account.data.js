@@ -0,0 +1,435 @@
+const User = require("./user.model");
+const Session = require("./session.model");
+const Block = require("./block.model");
+const Report = require("./report.model");
+const Support = require("./support.model");
+const DataExport = require("./dataExport.model");
+const Content = require("../contents/contents.model");
+const Comment = require("../comments/comments.model");
+const Like = require("../likes/likes.model");
+const Follow = require("../follow/follow.model");
+const ChatMessage = require("../chat/chat.model");
+const Conversation = require("../chat/conversation.model");
+const { decryptOrNull } = require("../chat/chat.message");
+const Notification = require("../notifications/notification.model");
+const NotificationPreference = require("../notifications/notificationPreference.model");
+const Video = require("../video/video.model");
+const Enrollment = require("../courses/enrollment.model");
+const Certificate = require("../courses/certificate.model");
+const CourseRating = require("../courses/rating.model");
+const EventRegistration = require("../events/eventRegistration.model");
+const Cart = require("../shop/cart.model");
+const Shop = require("../shop/shop.model");
+const Order = require("../shop/order.model");
+const Payment = require("../payments/payment.model");
+const { CleanUpAfterDeleteContent } = require("../contents/contents.cleanup");
+const { CleanUpAfterDeleteComment } = require("../comments/comments.cleanup");
+const { createZip } = require("../../utils/archive/zipWriter");
+const {
+  removeUploadedFile,
+} = require("../../utils/fileProcessor/uploadCleanup");
+const JobQueue = require("../../utils/queue/jobQueue");
+const Storage = require("../../utils/storage/storage");
+const StorageQuota = require("../../utils/storage/storageQuota");
+
+const DELETION_GRACE_DAYS =
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const EXPORT_TTL_DAYS = 7;
+// storage folder of the archives; not one of the served roots
+const exportsPrefix = (userId) => `exports/${userId}/`;
+
+// Stand-in identity for records that must outlive the account (payments,
+// orders, other people's chats and event attendance)
+const placeholder = (id) => ({
+  _id: id,
+  email: `deleted-${id}@deleted.invalid`,
+  name: "Deleted User",
+});
+
+// Every collection holding personal data. `filter` selects the user's
+// records; `erase` is "remove" or an update that anonymizes them.
+const USER_DATA = [
+  {
+    key: "contents",
+    model: Content,
+    filter: (user) => ({ "author._id": user._id }),
+    erase: "remove",
+  },
+  {
+    key: "videos",
+    model: Video,
+    filter: (user) => ({ "author._id": user._id }),
+    erase: "remove",
+  },
+  {
+    key: "comments",
+    model: Comment,
+    filter: (user) => ({ "user._id": user._id }),
+    erase: "remove",
+  },
+  {
+    key: "likes",
+    model: Like,
+    filter: (user) => ({ "user._id": user._id }),
+    erase: "remove",
+  },
+  {
+    key: "follows",
+    model: Follow,
+    filter: (user) => ({
+      $or: [{ "follower._id": user._id }, { "following._id": user._id }],
+    }),
+    erase: "remove",
+  },
+  {
+    key: "blocks",
+    model: Block,
+    filter: (user) => ({
+      $or: [{ "blocker._id": user._id }, { "blocked._id": user._id }],
+    }),
+    erase: "remove",
+  },
+  {
+    key: "sentMessages",
+    model: ChatMessage,
+    filter: (user) => ({ "sender._id": user._id }),
+    erase: (user) => ({
+      $set: { sender: placeholder(user._id), deletedBySender: true },
+    }),
+    transform: async (message) => ({
+      ...message,
+      message: await decryptOrNull(message),
+    }),
+  },
+  {
+    key: "receivedMessages",
+    model: ChatMessage,
+    filter: (user) => ({ "receiver._id": user._id }),
+    erase: (user) => ({
+      $set: { receiver: placeholder(user._id), deletedByReceiver: true },
+    }),
+    transform: async (message) => ({
+      ...message,
+      message: await decryptOrNull(message),
+    }),
+  },
+  {
+    key: "conversations",
+    model: Conversation,
+    filter: (user) => ({ "members._id": user._id }),
+    // other members' details are theirs, not part of this user's export
+    select: "name avatar description isPublic createdAt",
+    erase: (user) => ({ $pull: { members: { _id: user._id } } }),
+  },
+  {
+    key: "notifications",
+    model: Notification,
+    filter: (user) => ({
+      $or: [{ "recipient._id": user._id }, { "sender._id": user._id }],
+    }),
+    erase: "remove",
+  },
+  {
+    key: "notificationPreferences",
+    model: NotificationPreference,
+    filter: (user) => ({ "user._id": user._id }),
+    erase: "remove",
+  },
+  {
+    key: "enrollments",
+    model: Enrollment,
+    filter: (user) => ({ "student._id": user._id }),
+    erase: "remove",
+  },
+  {
+    key: "certificates",
+    model: Certificate,
+    filter: (user) => ({ "student._id": user._id }),
+    erase: "remove",
+  },
+  {
+    key: "courseRatings",
+    model: CourseRating,
+    filter: (user) => ({ "student._id": user._id }),
+    erase: (user) => ({
+      $set: { student: placeholder(user._id) },
+    }),
+  },
+  {
+    key: "eventRegistrations",
+    model: EventRegistration,
+    filter: (user) => ({ "registrant.email": user.email }),
+    erase: (user) => ({
+      $set: {
+        "registrant.name": placeholder(user._id).name,
+        "registrant.email": placeholder(user._id).email,
+        "registrant.phone": "",
+      },
+      $unset: {
+        "registrant.organization": "",
+        "registrant.designation": "",
+        "registrant.location.address": "",
+        "registrant.location.state": "",
+        "registrant.location.zipCode": "",
+        "registrant.emergencyContact": "",
+        "metadata.userAgent": "",
+        "metadata.ipAddress": "",
+      },
+    }),
+  },
+  {
+    key: "cart",
+    model: Cart,
+    filter: (user) => ({ email: user.email }),
+    erase: "remove",
+  },
+  {
+    key: "products",
+    model: Shop,
+    filter: (user) => ({ "vendor._id": user._id }),
+    erase: "remove",
+  },
+  {
+    key: "orders",
+    model: Order,
+    filter: (user) => ({ "buyer._id": user._id }),
+    erase: (user) => ({
+      $set: {
+        "buyer.email": placeholder(user._id).email,
+        "buyer.name": placeholder(user._id).name,
+        "buyer.phone": "",
+      },
+      $unset: { shippingAddress: "", note: "" },
+    }),
+  },
+  {
+    key: "payments",
+    model: Payment,
+    filter: (user) => ({ "payer._id": user._id }),
+    select: "-events -clientSecret",
+    erase: (user) => ({
+      $set: {
+        "payer.email": placeholder(user._id).email,
+        "payer.name": placeholder(user._id).name,
+      },
+    }),
+  },
+  {
+    key: "reports",
+    model: Report,
+    filter: (user) => ({ "reporter._id": user._id }),
+    erase: (user) => ({ $set: { reporter: placeholder(user._id) } }),
+  },
+  {
+    key: "supportTickets",
+    model: Support,
+    filter: (user) => ({ "user._id": user._id }),
+    erase: "remove",
+  },
+  {
+    key: "sessions",
+    model: Session,
+    filter: (user) => ({ "user._id": user._id }),
+    select: "-tokenHash",
+    erase: "remove",
+  },
+];
+
+// ids are stored as strings everywhere outside the users collection
+const ownerOf = (user) => ({ _id: user._id.toString(), email: user.email });
+
+const collectUserData = async (user) => {
+  const owner = ownerOf(user);
+  const profile = await User.findById(owner._id)
+    .select("-password -fcmTokens")
+    .lean();
+
+  const data = { profile };
+  for (const entry of USER_DATA) {
+    const records = await entry.model
+      .find(entry.filter(owner))
+      .select(entry.select || "")
+      .lean();
+    data[entry.key] = entry.transform
+      ? await Promise.all(records.map(entry.transform))
+      : records;
+  }
+  return data;
+};
+
+const removeExportFiles = async (userId) => {
+  await Storage.deletePrefix(exportsPrefix(userId));
+  await DataExport.deleteMany({ "user._id": userId });
+};
+
+// Irreversibly remove or anonymize everything the user owns
+const eraseUser = async (user) => {
+  const owner = ownerOf(user);
+
+  // other people's likes, comments and shares on the user's posts go too
+  const contents = await Content.find({ "author._id": owner._id })
+    .select("_id files hashtags")
+    .lean();
+  for (const content of contents) {
+    await CleanUpAfterDeleteContent(
+      content._id,
+      content.files,
+      content.hashtags
+    );
+  }
+  // the files of their videos, renditions included
+  const videos = await Video.find({ "author._id": owner._id })
+    .select("videoUrl thumbnail")
+    .lean();
+  for (const video of videos) {
+    for (const file of [video.videoUrl, video.thumbnail]) {
+      if (file) await removeUploadedFile(file);
+    }
+  }
+  const comments = await Comment.find({ "user._id": owner._id })
+    .select("_id")
+    .lean();
+  for (const comment of comments) {
+    await CleanUpAfterDeleteComment(comment._id);
+  }
+
+  for (const entry of USER_DATA) {
+    if (entry.erase === "remove") {
+      await entry.model.deleteMany(entry.filter(owner));
+    } else {
+      await entry.model.updateMany(entry.filter(owner), entry.erase(owner));
+    }
+  }
+
+  await removeExportFiles(owner._id);
+  await Storage.deletePrefix(`uploads/${owner.email}/`);
+  await StorageQuota.reset(owner.email);
+  await User.deleteOne({ _id: owner._id });
+};
+
+// The account.data-export job: build the archive of an export, one JSON
+// file per collection. A run cut short by a stopped worker starts over.
+const runDataExport = async ({ exportId }) => {
+  const job = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: { $in: ["pending", "processing"] } },
+    { $set: { status: "processing" } },
+    { new: true }
+  );
+  if (!job) return { status: "gone" };
+
+  try {
+    const data = await collectUserData(job.user);
+    const entries = Object.entries(data).map(([key, value]) => ({
+      name: `${key}.json`,
+      data: JSON.stringify(value, null, 2),
+    }));
+    entries.unshift({
+      name: "README.txt",
+      data: `Data export for ${job.user.email}\nGenerated at ${new Date().toISOString()}\nEach file holds the records of one part of the platform.\n`,
+    });
+
+    const key = `${exportsPrefix(job.user._id)}${job._id}.zip`;
+    const archive = createZip(entries);
+    await Storage.put(key, archive, { contentType: "application/zip" });
+
+    job.status = "ready";
+    job.fileKey = key;
+    job.fileSize = archive.length;
+    job.completedAt = new Date();
+    job.expiresAt = new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 3600 * 1000);
+    await job.save();
+  } catch (error) {
+    console.error("Error building data export:", error);
+    job.status = "failed";
+    job.failureReason = error?.message;
+    await job.save();
+  }
+  return { status: job.status };
+};
+
+// An export whose worker kept stopping would otherwise stay "processing"
+// and block new requests
+const failStalledExport = ({ exportId }, job) =>
+  DataExport.updateOne(
+    { _id: exportId, status: { $in: ["pending", "processing"] } },
+    { $set: { status: "failed", failureReason: job.error } }
+  );
+
+JobQueue.registerHandler("account.data-export", runDataExport, {
+  onStalled: failStalledExport,
+});
+
+const queueDataExport = (dataExport) =>
+  JobQueue.enqueue(
+    "account.data-export",
+    { exportId: dataExport._id.toString() },
+    {
+      jobId: `data-export-${dataExport._id}`,
+      userId: dataExport.user._id,
+      attempts: 2,
+    }
+  );
+
+const purgeExpiredExports = async () => {
+  const expired = await DataExport.find({
+    status: "ready",
+    expiresAt: { $lte: new Date() },
+  });
+  for (const job of expired) {
+    if (job.fileKey) await Storage.delete(job.fileKey);
+    job.status = "expired";
+    job.fileKey = undefined;
+    await job.save();
+  }
+  return expired.length;
+};
+
+const processDueDeletions = async () => {
+  const due = await User.find({
+    "deletion.scheduledFor": { $lte: new Date() },
+  }).select("_id email");
+
+  for (const user of due) {
+    try {
+      await eraseUser(user);
+      console.log(`Account ${user._id} erased after deletion grace period`);
+    } catch (error) {
+      console.error(`Error erasing account ${user._id}:`, error);
+    }
+  }
+  return due.length;
+};
+
+// The account.maintenance job: erase accounts past their grace period,
+// then expire stale exports
+JobQueue.registerHandler("account.maintenance", async () => {
+  const erased = await processDueDeletions();
+  const expired = await purgeExpiredExports();
+  return { erased, expired };
+});
+
+// Hourly account sweep. Every API process schedules it, but under one job
+// id per hour, so the worker runs each sweep once.
+const startAccountMaintenance = (intervalMs = 60 * 60 * 1000) => {
+  const queueSweep = () => {
+    const slot = Math.floor(Date.now() / intervalMs);
+    JobQueue.enqueue("account.maintenance", null, {
+      jobId: `account-maintenance-${slot}`,
+      attempts: 1,
+    }).catch((error) =>
+      console.error("Error queueing the account maintenance:", error)
+    );
+  };
+  setTimeout(queueSweep, 60 * 1000);
+  return setInterval(queueSweep, intervalMs);
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  collectUserData,
+  eraseUser,
+  queueDataExport,
+  purgeExpiredExports,
+  processDueDeletions,
+  startAccountMaintenance,
+};
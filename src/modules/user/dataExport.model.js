@@ -0,0 +1,31 @@
+const { Schema, model, models } = require("mongoose");
+const ModelGenerator = require("../../utils/database/modelGenerator");
+
+const gen = new ModelGenerator();
+
+// A user's request for a copy of their data. The archive is stored outside
+// the served folders (under exports/) and can only be fetched by its owner.
+const DataExportSchema = new Schema(
+  {
+    user: {
+      _id: gen.required(String),
+      email: gen.required(String),
+    },
+    status: gen.required(String, {
+      enum: ["pending", "processing", "ready", "failed", "expired"],
+      default: "pending",
+    }),
+    fileKey: String,
+    fileSize: Number,
+    completedAt: Date,
+    expiresAt: Date,
+    failureReason: String,
+  },
+  { timestamps: true }
+);
+
+DataExportSchema.index({ "user._id": 1, createdAt: -1 });
+DataExportSchema.index({ status: 1, expiresAt: 1 });
+
+const DataExport = models?.DataExport || model("DataExport", DataExportSchema);
+module.exports = DataExport;
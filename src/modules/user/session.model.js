@@ -0,0 +1,42 @@
+const { Schema, model, models } = require("mongoose");
+const ModelGenerator = require("../../utils/database/modelGenerator");
+
+const gen = new ModelGenerator();
+
+// One document per signed-in device. The refresh token is rotated on every
+// use; only the hash of the latest token id is kept.
+const SessionSchema = new Schema(
+  {
+    user: {
+      _id: gen.required(String),
+      email: gen.required(String),
+    },
+    tokenHash: gen.required(String),
+    deviceName: String,
+    userAgent: String,
+    ipAddress: String,
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: gen.required(Date),
+    rotationCount: { type: Number, default: 0 },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "revoked",
+        "reuse_detected",
+        "password_changed",
+        "password_reset",
+        "account_deletion",
+      ],
+    },
+  },
+  { timestamps: true }
+);
+
+SessionSchema.index({ "user._id": 1, revokedAt: 1, lastUsedAt: -1 });
+// drop sessions a while after they can no longer be refreshed
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 3600 });
+
+const Session = models?.Session || model("Session", SessionSchema);
+module.exports = Session;
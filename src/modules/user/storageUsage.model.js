@@ -0,0 +1,31 @@
+const { Schema, model, models } = require("mongoose");
+const ModelGenerator = require("../../utils/database/modelGenerator");
+
+const gen = new ModelGenerator();
+
+// Bytes a user keeps in their upload folder (uploads/<email>/), counted
+// as files are uploaded and deleted. Generated renditions and thumbnails
+// aren't counted.
+const StorageUsageSchema = new Schema(
+  {
+    owner: {
+      email: gen.unique(String),
+      _id: String,
+    },
+    usedBytes: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // set by an admin to replace the quota of the user's role
+    quotaBytes: {
+      type: Number,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const StorageUsage =
+  models?.StorageUsage || model("StorageUsage", StorageUsageSchema);
+module.exports = StorageUsage;
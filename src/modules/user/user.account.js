@@ -0,0 +1,287 @@
+const bcrypt = require("bcryptjs");
+const { isValidObjectId } = require("mongoose");
+const GenRes = require("../../utils/routers/GenRes");
+const { queueEmail } = require("../../utils/notification/emailQueue");
+const { revokeSessions } = require("../../utils/auth/tokenHandler");
+const StorageQuota = require("../../utils/storage/storageQuota");
+const User = require("./user.model");
+const DataExport = require("./dataExport.model");
+const Storage = require("../../utils/storage/storage");
+const { DELETION_GRACE_DAYS, queueDataExport } = require("./account.data");
+
+// Schedule the account for erasure after the grace period and sign out
+// every device. Logging back in and cancelling keeps the account.
+const RequestAccountDeletion = async (req, res) => {
+  try {
+    const { password, reason } = req.body || {};
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json(GenRes(404, null, null, "User not found"));
+    }
+
+    if (user.deletion?.scheduledFor) {
+      return res
+        .status(409)
+        .json(
+          GenRes(
+            409,
+            user.deletion,
+            { error: "Deletion already scheduled" },
+            "Account deletion is already scheduled"
+          )
+        );
+    }
+
+    if (user.password) {
+      const isCorrectPassword = await bcrypt.compare(
+        password || "",
+        user.password
+      );
+      if (!isCorrectPassword) {
+        return res
+          .status(401)
+          .json(
+            GenRes(
+              401,
+              null,
+              { error: "Incorrect password" },
+              "Incorrect credentials"
+            )
+          );
+      }
+    }
+
+    const now = new Date();
+    const deletion = {
+      requestedAt: now,
+      scheduledFor: new Date(
+        now.getTime() + DELETION_GRACE_DAYS * 24 * 3600 * 1000
+      ),
+      reason,
+    };
+    await User.updateOne({ _id: user._id }, { $set: { deletion } });
+    await revokeSessions(
+      { "user._id": user._id.toString() },
+      "account_deletion"
+    );
+
+    try {
+      await queueEmail({
+        from: process.env.EMAIL,
+        to: user.email,
+        subject: "Your account is scheduled for deletion",
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+            <h2>Account Deletion Scheduled</h2>
+            <p>Dear ${user.name},</p>
+            <p>Your account and all of its data will be permanently deleted on <strong>${deletion.scheduledFor.toLocaleDateString()}</strong>.</p>
+            <p>If you change your mind, log in before then and cancel the deletion from your account settings.</p>
+            <p>Best regards,<br>Your App Team</p>
+          </div>
+        `,
+      });
+    } catch (mailError) {
+      console.error("Failed to send deletion email:", mailError);
+    }
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          deletion,
+          null,
+          `Account will be deleted in ${DELETION_GRACE_DAYS} days`
+        )
+      );
+  } catch (error) {
+    console.error("Error in RequestAccountDeletion:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const CancelAccountDeletion = async (req, res) => {
+  try {
+    const updated = await User.findOneAndUpdate(
+      { _id: req.user._id, "deletion.scheduledFor": { $exists: true } },
+      { $unset: { deletion: "" } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res
+        .status(404)
+        .json(
+          GenRes(
+            404,
+            null,
+            { error: "No deletion scheduled" },
+            "Account is not scheduled for deletion"
+          )
+        );
+    }
+
+    return res
+      .status(200)
+      .json(GenRes(200, null, null, "Account deletion cancelled"));
+  } catch (error) {
+    console.error("Error in CancelAccountDeletion:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const GetAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("deletion").lean();
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          { scheduled: !!user?.deletion?.scheduledFor, ...user?.deletion },
+          null,
+          "Deletion status"
+        )
+      );
+  } catch (error) {
+    console.error("Error in GetAccountDeletion:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Queue a copy of everything the user has on the platform
+const RequestDataExport = async (req, res) => {
+  try {
+    const userId = req.user._id.toString();
+
+    const inProgress = await DataExport.findOne({
+      "user._id": userId,
+      status: { $in: ["pending", "processing"] },
+    }).lean();
+    if (inProgress) {
+      return res
+        .status(409)
+        .json(
+          GenRes(
+            409,
+            inProgress,
+            { error: "Export in progress" },
+            "An export is already being prepared"
+          )
+        );
+    }
+
+    const job = await DataExport.create({
+      user: { _id: userId, email: req.user.email },
+    });
+
+    // built by the worker; the client polls the export status
+    try {
+      await queueDataExport(job);
+    } catch (error) {
+      await DataExport.deleteOne({ _id: job._id });
+      throw error;
+    }
+
+    return res
+      .status(202)
+      .json(
+        GenRes(202, job, null, "Export started, check back shortly to download")
+      );
+  } catch (error) {
+    console.error("Error in RequestDataExport:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const ListDataExports = async (req, res) => {
+  try {
+    const exports = await DataExport.find({
+      "user._id": req.user._id.toString(),
+    })
+      .select("-fileKey")
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+
+    return res
+      .status(200)
+      .json(GenRes(200, exports, null, `Retrieved ${exports.length} exports`));
+  } catch (error) {
+    console.error("Error in ListDataExports:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const DownloadDataExport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(GenRes(400, null, null, "Invalid export ID"));
+    }
+
+    const job = await DataExport.findOne({
+      _id: id,
+      "user._id": req.user._id.toString(),
+    }).lean();
+    if (!job) {
+      return res.status(404).json(GenRes(404, null, null, "Export not found"));
+    }
+
+    if (job.status !== "ready" || !job.fileKey) {
+      return res
+        .status(409)
+        .json(
+          GenRes(
+            409,
+            { status: job.status },
+            { error: "Export not ready" },
+            `Export is ${job.status}`
+          )
+        );
+    }
+
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="data-export-${job._id}.zip"`
+    );
+    const sent = await Storage.send(req, res, job.fileKey, {
+      contentType: "application/zip",
+      cacheControl: "private, no-store",
+    });
+    if (!sent) {
+      res.removeHeader("Content-Disposition");
+      return res
+        .status(404)
+        .json(GenRes(404, null, null, "Export file not found"));
+    }
+  } catch (error) {
+    console.error("Error in DownloadDataExport:", error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// How much of their upload storage the user has used
+const GetStorageUsage = async (req, res) => {
+  try {
+    const usage = await StorageQuota.usage(req.user);
+    return res
+      .status(200)
+      .json(GenRes(200, usage, null, "Storage usage retrieved"));
+  } catch (error) {
+    console.error("Error in GetStorageUsage:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+module.exports = {
+  RequestAccountDeletion,
+  CancelAccountDeletion,
+  GetAccountDeletion,
+  RequestDataExport,
+  ListDataExports,
+  DownloadDataExport,
+  GetStorageUsage,
+};
@@ -2,6 +2,7 @@ const bcrypt = require("bcryptjs");
 const GenRes = require("../../utils/routers/GenRes");
 const User = require("./user.model");
 const FCMHandler = require("../../utils/notification/fcmHandler");
+const { revokeSessions } = require("../../utils/auth/tokenHandler");
 
 const ChangePassword = async (req, res) => {
   try {
@@ -111,18 +112,21 @@ const ChangePassword = async (req, res) => {
     // Update password
     await User.findOneAndUpdate(
       { email: userEmail },
+      { $set: { password: hashedNewPassword } }
+    );
+
+    // Revoke other sessions to force re-login on other devices
+    await revokeSessions(
       {
-        $set: {
-          password: hashedNewPassword,
-          // Clear refresh token to force re-login on other devices
-          refreshToken: null,
-        },
-      }
+        "user._id": user._id.toString(),
+        _id: { $ne: req.user.sessionId },
+      },
+      "password_changed"
     );
 
     // Send FCM notification
     try {
-      await FCMHandler.sendToUser(user._id, {
+      await FCMHandler.queueToUser(user._id, {
         title: "Password Changed",
         body: "Your password has been successfully changed",
         type: "password_change",
@@ -1,10 +1,77 @@
-const { tokenGen } = require("../../utils/auth/tokenHandler");
+const { createSession } = require("../../utils/auth/tokenHandler");
+const { setCode } = require("../../utils/auth/changePass");
 const GenRes = require("../../utils/routers/GenRes");
+const redis = require("../../config/connectRedis");
 const User = require("./user.model");
+const { SECRET_FIELDS, verifySecondFactor } = require("./user.twoFactor");
 const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const path = require("path");
 const fs = require("fs");
 
+const CHALLENGE_TTL_SECONDS = 300;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const SECOND_FACTOR_METHODS = ["totp", "recovery_code", "email"];
+
+// Challenge tokens use their own key so they can never pass as access tokens
+const challengeKey = () =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update("2fa-challenge")
+    .digest("hex");
+
+const issueChallenge = (user) =>
+  jwt.sign({ _id: user._id, email: user.email }, challengeKey(), {
+    expiresIn: CHALLENGE_TTL_SECONDS,
+    jwtid: crypto.randomUUID(),
+  });
+
+const readChallenge = (token) => {
+  try {
+    return jwt.verify(token, challengeKey());
+  } catch {
+    return null;
+  }
+};
+
+// Record the sign-in and start a session for this device
+const completeLogin = async (userData, req, res) => {
+  // Update FCM token
+  if (process.env.DEFAULT_FCM_TOKEN) {
+    if (!userData.fcmTokens) {
+      userData.fcmTokens = [];
+    }
+    if (!userData.fcmTokens.includes(process.env.DEFAULT_FCM_TOKEN)) {
+      userData.fcmTokens.push(process.env.DEFAULT_FCM_TOKEN);
+    }
+  }
+
+  // Update signedIn dates
+  userData.signedIn = [...(userData?.signedIn || []), new Date()];
+
+  await userData.save();
+
+  const { refreshToken, accessToken, sessionId } = await createSession(
+    userData,
+    req
+  );
+
+  // Prepare response data
+  const obj = userData.toObject();
+  delete obj.password;
+  delete obj.refreshToken;
+  delete obj.signedIn;
+  delete obj.twoFactor;
+
+  return res.status(200).json({
+    ...GenRes(200, obj, null, "Logged in successfully"),
+    accessToken,
+    refreshToken,
+    sessionId,
+  });
+};
+
 const loginUser = async (req, res) => {
   try {
     const email = req?.body?.email?.toLowerCase() || req?.user?.email;
@@ -141,44 +208,151 @@ const loginUser = async (req, res) => {
       }
     }
 
-    // Update FCM token
-    if (process.env.DEFAULT_FCM_TOKEN) {
-      if (!userData.fcmTokens) {
-        userData.fcmTokens = [];
-      }
-      if (!userData.fcmTokens.includes(process.env.DEFAULT_FCM_TOKEN)) {
-        userData.fcmTokens.push(process.env.DEFAULT_FCM_TOKEN);
-      }
+    // Password logins with 2FA enabled need a second step
+    if (!isFirebaseAuth && userData.twoFactor?.enabled) {
+      return res.status(200).json(
+        GenRes(
+          200,
+          {
+            twoFactorRequired: true,
+            challengeToken: issueChallenge(userData),
+            methods: SECOND_FACTOR_METHODS,
+          },
+          null,
+          "Two-factor authentication required"
+        )
+      );
     }
 
-    // Update signedIn dates
-    userData.signedIn = [...(userData?.signedIn || []), new Date()];
-
-    // Generate tokens
-    const genData = {
-      email: userData.email,
-      _id: userData._id.toString(),
-      phone: userData.phone,
-      date: new Date(),
-    };
-    const { refreshToken, accessToken } = tokenGen(genData);
-    userData.refreshToken = refreshToken;
-    await userData.save();
-
-    // Prepare response data
-    const obj = userData.toObject();
-    delete obj.password;
-    delete obj.refreshToken;
-    delete obj.signedIn;
-
-    return res.status(200).json({
-      ...GenRes(200, obj, null, "Logged in successfully"),
-      accessToken,
-      refreshToken,
+    return await completeLogin(userData, req, res);
+  } catch (error) {
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Second login step for accounts with two-factor authentication
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, method = "totp" } = req.body || {};
+
+    if (!SECOND_FACTOR_METHODS.includes(method)) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            {
+              error: `method must be one of ${SECOND_FACTOR_METHODS.join(", ")}`,
+            },
+            "Invalid verification method"
+          )
+        );
+    }
+
+    const challenge = readChallenge(challengeToken);
+    if (!challenge) {
+      return res
+        .status(401)
+        .json(
+          GenRes(
+            401,
+            null,
+            { error: "Invalid or expired challenge" },
+            "Please login again"
+          )
+        );
+    }
+
+    const attemptsKey = `2fa:attempts:${challenge.jti}`;
+    const attempts = await redis.incr(attemptsKey);
+    if (attempts === 1) {
+      await redis.expire(attemptsKey, CHALLENGE_TTL_SECONDS);
+    }
+    if (attempts > MAX_CHALLENGE_ATTEMPTS) {
+      return res
+        .status(429)
+        .json(
+          GenRes(
+            429,
+            null,
+            { error: "Too many attempts" },
+            "Too many incorrect codes, please login again"
+          )
+        );
+    }
+
+    const userData = await User.findById(challenge._id).select(SECRET_FIELDS);
+    if (!userData?.twoFactor?.enabled) {
+      return res
+        .status(401)
+        .json(
+          GenRes(401, null, { error: "Invalid challenge" }, "Please login again")
+        );
+    }
+
+    if (!(await verifySecondFactor(userData, method, code))) {
+      return res
+        .status(401)
+        .json(
+          GenRes(
+            401,
+            { attemptsLeft: MAX_CHALLENGE_ATTEMPTS - attempts },
+            { error: "Invalid code" },
+            "Invalid verification code"
+          )
+        );
+    }
+
+    // A challenge can only complete one login
+    const consumed = await redis.set(`2fa:used:${challenge.jti}`, "1", {
+      NX: true,
+      EX: CHALLENGE_TTL_SECONDS,
     });
+    if (!consumed) {
+      return res
+        .status(401)
+        .json(
+          GenRes(
+            401,
+            null,
+            { error: "Challenge already used" },
+            "Please login again"
+          )
+        );
+    }
+    await redis.del(attemptsKey);
+
+    return await completeLogin(userData, req, res);
+  } catch (error) {
+    console.error("Error in loginTwoFactor:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Email fallback for users without access to their authenticator
+const sendLoginEmailCode = async (req, res) => {
+  try {
+    const challenge = readChallenge(req.body?.challengeToken);
+    if (!challenge) {
+      return res
+        .status(401)
+        .json(
+          GenRes(
+            401,
+            null,
+            { error: "Invalid or expired challenge" },
+            "Please login again"
+          )
+        );
+    }
+
+    const result = await setCode(challenge.email, "login");
+    return res.status(result.status).json(result);
   } catch (error) {
+    console.error("Error in sendLoginEmailCode:", error);
     return res.status(500).json(GenRes(500, null, error, error?.message));
   }
 };
 
-module.exports = loginUser;
+module.exports = { loginUser, loginTwoFactor, sendLoginEmailCode };
@@ -10,6 +10,27 @@ const Like = require("../likes/likes.model");
 const Comment = require("../comments/comments.model");
 const { isValidObjectId } = require("mongoose");
 const FCMHandler = require("../../utils/notification/fcmHandler");
+const { revokeSessions } = require("../../utils/auth/tokenHandler");
+const { notify } = require("../notifications/notification.dispatch");
+
+const SYSTEM_SENDER = {
+  _id: "system",
+  email: "system@platform.com",
+  name: "System",
+};
+
+// A notice to `user` from the platform, kept in-app and pushed as
+// `push.type` (e.g. "password_update"). `type` is a Notification type:
+// "account" notices are always delivered, others follow the user's
+// preferences.
+const notifyUser = (user, push, type = "account") =>
+  notify({
+    push,
+    recipient: { _id: user._id.toString(), email: user.email },
+    sender: SYSTEM_SENDER,
+    type,
+    content: push.body,
+  });
 
 // Get user content
 const GetUserContent = async (req, res) => {
@@ -126,7 +147,9 @@ const UserExist = async (req, res) => {
 const GetAllUsers = async (req, res) => {
   try {
     const data = await User.find()
-      .select("-password -refreshToken -role -signedIn -createdAt")
+      .select(
+        "-password -refreshToken -role -signedIn -lastSeen -privacy -createdAt"
+      )
       .lean();
 
     if (!data || data.length === 0) {
@@ -225,8 +248,13 @@ const SetPassword = async (req, res) => {
       throw new Error("Update Failed!");
     }
 
-    // Send FCM notification for password change
-    await FCMHandler.sendToUser(updatedResponse._id, {
+    // A reset may follow a compromise: sign out every device
+    await revokeSessions(
+      { "user._id": updatedResponse._id.toString() },
+      "password_reset"
+    );
+
+    await notifyUser(updatedResponse, {
       title: "Password Updated",
       body: "Your password has been successfully updated",
       type: "password_update",
@@ -260,8 +288,7 @@ const SetAvatar = async (req, res) => {
       throw new Error("Failed to upload Picture.");
     }
 
-    // Send FCM notification for avatar update
-    await FCMHandler.sendToUser(uploaded._id, {
+    await notifyUser(uploaded, {
       title: "Profile Picture Updated",
       body: "Your profile picture has been successfully updated",
       type: "avatar_update",
@@ -297,7 +324,10 @@ const SetDetails = async (req, res) => {
       return res.status(400).json(response);
     }
 
-    const deletes = "email,_id,uid,password,avatar,refreshToken".split(",");
+    const deletes =
+      "email,_id,uid,password,avatar,refreshToken,twoFactor,deletion,lastSeen,privacy".split(
+        ","
+      );
 
     for (const keys of deletes) {
       delete data?.[keys];
@@ -312,8 +342,7 @@ const SetDetails = async (req, res) => {
       throw new Error("500 | Could not save");
     }
 
-    // Send FCM notification for profile update
-    await FCMHandler.sendToUser(updated._id, {
+    await notifyUser(updated, {
       title: "Profile Updated",
       body: "Your profile details have been successfully updated",
       type: "profile_update",
@@ -341,7 +370,9 @@ const StalkProfile = async (req, res) => {
     }
 
     const profile = await User.findOne({ _id })
-      .select("-uid -password -refreshToken -role -signedIn -createdAt")
+      .select(
+        "-uid -password -refreshToken -role -signedIn -lastSeen -privacy -createdAt"
+      )
       .lean();
     if (!profile) {
       const response = GenRes(
@@ -375,12 +406,18 @@ const StalkProfile = async (req, res) => {
     profile.followers = followers;
     profile.followings = followings;
 
-    // Send FCM notification for profile view
-    await FCMHandler.sendToUser(profile._id, {
-      title: "Profile Viewed",
-      body: "Someone viewed your profile",
-      type: "profile_view",
-    });
+    // the viewer stays anonymous; nobody is told about their own visits
+    if (profile._id.toString() !== req.user?._id?.toString()) {
+      await notifyUser(
+        profile,
+        {
+          title: "Profile Viewed",
+          body: "Someone viewed your profile",
+          type: "profile_view",
+        },
+        "profile_view"
+      );
+    }
 
     const response = GenRes(200, profile, null, "Responding User Profile");
     return res.status(200).json(response);
@@ -461,17 +498,15 @@ const SubmitReport = async (req, res) => {
     await report.save();
 
     // Notify admins
-    const admins = await User.find({ role: "admin" });
-    for (const admin of admins) {
-      await FCMHandler.sendToUser(admin._id, {
-        title: "New User Report",
-        body: `New report submitted against ${reportedUser.name}`,
-        type: "new_report",
-        data: {
-          reportId: report._id.toString(),
-        },
-      });
-    }
+    const admins = await User.find({ role: "admin" }).select("_id");
+    await FCMHandler.queueToMultipleUsers(admins.map((admin) => admin._id), {
+      title: "New User Report",
+      body: `New report submitted against ${reportedUser.name}`,
+      type: "new_report",
+      data: {
+        reportId: report._id.toString(),
+      },
+    });
 
     return res
       .status(200)
@@ -512,17 +547,15 @@ const SubmitSupport = async (req, res) => {
     await ticket.save();
 
     // Notify admins
-    const admins = await User.find({ role: "admin" });
-    for (const admin of admins) {
-      await FCMHandler.sendToUser(admin._id, {
-        title: "New Support Ticket",
-        body: `New support ticket: ${subject}`,
-        type: "new_support_ticket",
-        data: {
-          ticketId: ticket._id.toString(),
-        },
-      });
-    }
+    const admins = await User.find({ role: "admin" }).select("_id");
+    await FCMHandler.queueToMultipleUsers(admins.map((admin) => admin._id), {
+      title: "New Support Ticket",
+      body: `New support ticket: ${subject}`,
+      type: "new_support_ticket",
+      data: {
+        ticketId: ticket._id.toString(),
+      },
+    });
 
     return res
       .status(200)
@@ -607,9 +640,8 @@ const VerifyEmail = async (req, res) => {
         .json(GenRes(404, null, { error: "User not found" }, "User not found"));
     }
 
-    // Send FCM notification for successful verification
     try {
-      await FCMHandler.sendToUser(updatedUser._id, {
+      await notifyUser(updatedUser, {
         title: "Email Verified! 🎉",
         body: "Your email has been successfully verified. You can now login.",
         type: "email_verification",
@@ -27,9 +27,25 @@ const UserSchema = new Schema(
     email: { type: String, required: true, unique: true },
     uid: gen.unique(String, { required: false }),
     password: String,
-    refreshToken: String,
     fcmTokens: [String],
 
+    // two-factor authentication (secrets are stored encrypted)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false },
+      lastUsedStep: { type: Number, select: false },
+      enabledAt: Date,
+    },
+
+    // account deletion (data is erased once the grace period ends)
+    deletion: {
+      requestedAt: Date,
+      scheduledFor: Date,
+      reason: String,
+    },
+
     // ban status
     banned: { type: Boolean, default: false },
     banEndDate: Date,
@@ -49,6 +65,18 @@ const UserSchema = new Schema(
 
     // activity
     signedIn: [Date],
+    lastSeen: Date,
+
+    // who can see the user's online status and last seen time, and
+    // whether others are told when the user read their messages
+    privacy: {
+      lastSeen: {
+        type: String,
+        enum: ["everyone", "followers", "nobody"],
+        default: "everyone",
+      },
+      readReceipts: { type: Boolean, default: true },
+    },
   },
   { timeseries: true, timestamps: true }
 );
@@ -72,6 +100,17 @@ UserSchema.pre("save", async function (next) {
   }
 });
 
+UserSchema.index({ "deletion.scheduledFor": 1 });
+// names are matched as written, without English stemming
+UserSchema.index(
+  { name: "text", businessName: "text", profession: "text", bio: "text" },
+  {
+    name: "user_search",
+    default_language: "none",
+    weights: { name: 10, businessName: 5, profession: 2, bio: 1 },
+  }
+);
+
 const User = models?.User || model("User", UserSchema);
 
 module.exports = User;
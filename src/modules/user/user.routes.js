@@ -4,7 +4,11 @@ const {
   optionalFirebaseMiddleware,
 } = require("../../middlewares/firebaseMiddleware");
 const UserFiles = require("../../utils/fileProcessor/multer.users");
-const LoginUser = require("./user.login");
+const {
+  loginUser: LoginUser,
+  loginTwoFactor: LoginTwoFactor,
+  sendLoginEmailCode: SendLoginEmailCode,
+} = require("./user.login");
 const ChangePassword = require("./user.changePassword");
 const {
   UserExist,
@@ -32,6 +36,29 @@ const {
   GetUsersWhoBlockedMe,
 } = require("./block.methods");
 const RegisterUser = require("./user.register");
+const {
+  RefreshToken,
+  ListSessions,
+  RevokeSession,
+  RevokeOtherSessions,
+  Logout,
+} = require("./user.sessions");
+const {
+  SetupTwoFactor,
+  EnableTwoFactor,
+  DisableTwoFactor,
+  RegenerateRecoveryCodes,
+  GetTwoFactorStatus,
+} = require("./user.twoFactor");
+const {
+  RequestAccountDeletion,
+  CancelAccountDeletion,
+  GetAccountDeletion,
+  RequestDataExport,
+  ListDataExports,
+  DownloadDataExport,
+  GetStorageUsage,
+} = require("./user.account");
 
 // get request
 router.get("/user-exist", UserExist);
@@ -49,6 +76,35 @@ router.post("/register-user", RegisterUser);
 router.post("/send-otp", NewOtp);
 router.post("/forget-password", SetPassword);
 router.post("/login", optionalFirebaseMiddleware, LoginUser);
+router.post("/login/2fa", LoginTwoFactor);
+router.post("/login/2fa/email-code", SendLoginEmailCode);
+
+// Session management
+router.post("/refresh", RefreshToken);
+router.post("/logout", basicMiddleware, Logout);
+router.get("/sessions", basicMiddleware, ListSessions);
+router.delete("/sessions", basicMiddleware, RevokeOtherSessions);
+router.delete("/sessions/:id", basicMiddleware, RevokeSession);
+
+// Two-factor authentication
+router.get("/2fa", basicMiddleware, GetTwoFactorStatus);
+router.post("/2fa/setup", basicMiddleware, SetupTwoFactor);
+router.post("/2fa/enable", basicMiddleware, EnableTwoFactor);
+router.post("/2fa/disable", basicMiddleware, DisableTwoFactor);
+router.post("/2fa/recovery-codes", basicMiddleware, RegenerateRecoveryCodes);
+
+// Account deletion and data export
+router.get("/account/deletion", basicMiddleware, GetAccountDeletion);
+router.post("/account/deletion", basicMiddleware, RequestAccountDeletion);
+router.delete("/account/deletion", basicMiddleware, CancelAccountDeletion);
+router.post("/account/exports", basicMiddleware, RequestDataExport);
+router.get("/account/exports", basicMiddleware, ListDataExports);
+router.get(
+  "/account/exports/:id/download",
+  basicMiddleware,
+  DownloadDataExport
+);
+router.get("/storage-usage", basicMiddleware, GetStorageUsage);
 
 // update reqs
 router.post(
@@ -0,0 +1,139 @@
+const GenRes = require("../../utils/routers/GenRes");
+const Session = require("./session.model");
+const User = require("./user.model");
+const {
+  rotateSession,
+  revokeSessions,
+} = require("../../utils/auth/tokenHandler");
+const { isValidObjectId } = require("mongoose");
+
+// Exchange a refresh token for a new access/refresh pair
+const RefreshToken = async (req, res) => {
+  try {
+    const refreshToken = req.body?.refreshToken;
+    if (!refreshToken) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Refresh token required" },
+            "Please provide a refresh token"
+          )
+        );
+    }
+
+    const tokens = await rotateSession(refreshToken, req);
+
+    const session = await Session.findById(tokens.sessionId).lean();
+    const user = await User.findById(session.user._id)
+      .select("banned banEndDate")
+      .lean();
+    if (!user || (user.banned && user.banEndDate > new Date())) {
+      await revokeSessions({ _id: session._id });
+      throw new Error("Account is not allowed to sign in.");
+    }
+
+    return res
+      .status(200)
+      .json(GenRes(200, tokens, null, "Tokens refreshed successfully"));
+  } catch (error) {
+    return res.status(401).json(GenRes(401, null, error, error?.message));
+  }
+};
+
+const ListSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      "user._id": req.user._id.toString(),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("deviceName userAgent ipAddress lastUsedAt createdAt expiresAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    const currentId = req.user.sessionId?.toString();
+    const data = sessions.map((session) => ({
+      ...session,
+      current: session._id.toString() === currentId,
+    }));
+
+    return res
+      .status(200)
+      .json(GenRes(200, data, null, "Sessions retrieved successfully"));
+  } catch (error) {
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const RevokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res
+        .status(400)
+        .json(GenRes(400, null, null, "Invalid session ID"));
+    }
+
+    const result = await revokeSessions({
+      _id: id,
+      "user._id": req.user._id.toString(),
+    });
+    if (!result.modifiedCount) {
+      return res.status(404).json(GenRes(404, null, null, "Session not found"));
+    }
+
+    return res
+      .status(200)
+      .json(GenRes(200, { _id: id }, null, "Session revoked successfully"));
+  } catch (error) {
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Sign out everywhere except the current device
+const RevokeOtherSessions = async (req, res) => {
+  try {
+    const result = await revokeSessions({
+      "user._id": req.user._id.toString(),
+      _id: { $ne: req.user.sessionId },
+    });
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          { revoked: result.modifiedCount },
+          null,
+          "Other sessions revoked successfully"
+        )
+      );
+  } catch (error) {
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const Logout = async (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      await revokeSessions({ _id: req.user.sessionId }, "logout");
+    }
+
+    return res
+      .status(200)
+      .json(GenRes(200, null, null, "Logged out successfully"));
+  } catch (error) {
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+module.exports = {
+  RefreshToken,
+  ListSessions,
+  RevokeSession,
+  RevokeOtherSessions,
+  Logout,
+};
@@ -0,0 +1,345 @@
+const crypto = require("crypto");
+const CryptoJS = require("crypto-js");
+const bcrypt = require("bcryptjs");
+const GenRes = require("../../utils/routers/GenRes");
+const User = require("./user.model");
+const totp = require("../../utils/auth/totp");
+const { verifyCode } = require("../../utils/auth/changePass");
+
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+const RECOVERY_CODE_COUNT = 10;
+
+const encryptionKey = () =>
+  process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+const encryptSecret = (secret) =>
+  CryptoJS.AES.encrypt(secret, encryptionKey()).toString();
+
+const decryptSecret = (encrypted) =>
+  CryptoJS.AES.decrypt(encrypted, encryptionKey()).toString(CryptoJS.enc.Utf8);
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Checks a second factor for a user loaded with SECRET_FIELDS and persists
+// whatever makes the code single-use. Returns true when the code is valid.
+const verifySecondFactor = async (user, method, code) => {
+  if (!code) return false;
+
+  if (method === "recovery_code") {
+    const hash = hashRecoveryCode(code);
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (method === "email") {
+    const result = await verifyCode(user.email, code, "login");
+    return result.status === 200;
+  }
+
+  if (!user.twoFactor?.secret) return false;
+  const step = totp.verifyCode(decryptSecret(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  // a code may only be used once, even within its own time window
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { "twoFactor.lastUsedStep": { $exists: false } },
+        { "twoFactor.lastUsedStep": { $lt: step } },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Start enrollment: hand out a new secret to scan into an authenticator app
+const SetupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json(GenRes(404, null, null, "User not found"));
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(409)
+        .json(
+          GenRes(
+            409,
+            null,
+            { error: "Two-factor already enabled" },
+            "Two-factor authentication is already enabled"
+          )
+        );
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } }
+    );
+
+    return res.status(200).json(
+      GenRes(
+        200,
+        { secret, otpauthUrl: totp.keyUri(secret, user.email) },
+        null,
+        "Scan the code with your authenticator app and confirm with a code"
+      )
+    );
+  } catch (error) {
+    console.error("Error in SetupTwoFactor:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Finish enrollment by proving the app produces valid codes
+const EnableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (!user?.twoFactor?.pendingSecret) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "No pending setup" },
+            "Start two-factor setup first"
+          )
+        );
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = totp.verifyCode(secret, code);
+    if (step === null) {
+      return res
+        .status(401)
+        .json(
+          GenRes(
+            401,
+            null,
+            { error: "Invalid code" },
+            "Invalid verification code"
+          )
+        );
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.enabled": true,
+          "twoFactor.secret": user.twoFactor.pendingSecret,
+          "twoFactor.recoveryCodes": hashes,
+          "twoFactor.lastUsedStep": step,
+          "twoFactor.enabledAt": new Date(),
+        },
+        $unset: { "twoFactor.pendingSecret": "" },
+      }
+    );
+
+    return res.status(200).json(
+      GenRes(
+        200,
+        { enabled: true, recoveryCodes: codes },
+        null,
+        "Two-factor authentication enabled. Store your recovery codes safely."
+      )
+    );
+  } catch (error) {
+    console.error("Error in EnableTwoFactor:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const DisableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, method = "totp" } = req.body || {};
+    const user = await User.findById(req.user._id).select(
+      `${SECRET_FIELDS} +password`
+    );
+
+    if (!user?.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Two-factor not enabled" },
+            "Two-factor authentication is not enabled"
+          )
+        );
+    }
+
+    if (user.password) {
+      const isCorrectPassword = await bcrypt.compare(
+        password || "",
+        user.password
+      );
+      if (!isCorrectPassword) {
+        return res
+          .status(401)
+          .json(
+            GenRes(
+              401,
+              null,
+              { error: "Incorrect password" },
+              "Incorrect credentials"
+            )
+          );
+      }
+    }
+
+    if (!(await verifySecondFactor(user, method, code))) {
+      return res
+        .status(401)
+        .json(
+          GenRes(
+            401,
+            null,
+            { error: "Invalid code" },
+            "Invalid verification code"
+          )
+        );
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { "twoFactor.enabled": false },
+        $unset: {
+          "twoFactor.secret": "",
+          "twoFactor.pendingSecret": "",
+          "twoFactor.recoveryCodes": "",
+          "twoFactor.lastUsedStep": "",
+          "twoFactor.enabledAt": "",
+        },
+      }
+    );
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          { enabled: false },
+          null,
+          "Two-factor authentication disabled"
+        )
+      );
+  } catch (error) {
+    console.error("Error in DisableTwoFactor:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+// Replace all recovery codes; requires a current authenticator code
+const RegenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (!user?.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json(
+          GenRes(
+            400,
+            null,
+            { error: "Two-factor not enabled" },
+            "Two-factor authentication is not enabled"
+          )
+        );
+    }
+
+    if (!(await verifySecondFactor(user, "totp", code))) {
+      return res
+        .status(401)
+        .json(
+          GenRes(
+            401,
+            null,
+            { error: "Invalid code" },
+            "Invalid verification code"
+          )
+        );
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.recoveryCodes": hashes } }
+    );
+
+    return res
+      .status(200)
+      .json(
+        GenRes(
+          200,
+          { recoveryCodes: codes },
+          null,
+          "Recovery codes regenerated"
+        )
+      );
+  } catch (error) {
+    console.error("Error in RegenerateRecoveryCodes:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+const GetTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select("twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes")
+      .lean();
+
+    return res.status(200).json(
+      GenRes(
+        200,
+        {
+          enabled: !!user?.twoFactor?.enabled,
+          enabledAt: user?.twoFactor?.enabledAt || null,
+          recoveryCodesLeft: user?.twoFactor?.recoveryCodes?.length || 0,
+        },
+        null,
+        "Two-factor status"
+      )
+    );
+  } catch (error) {
+    console.error("Error in GetTwoFactorStatus:", error);
+    return res.status(500).json(GenRes(500, null, error, error?.message));
+  }
+};
+
+module.exports = {
+  SECRET_FIELDS,
+  verifySecondFactor,
+  SetupTwoFactor,
+  EnableTwoFactor,
+  DisableTwoFactor,
+  RegenerateRecoveryCodes,
+  GetTwoFactorStatus,
+};
@@ -0,0 +1,220 @@
+const path = require("path");
+const Video = require("./video.model");
+const Follow = require("../follow/follow.model");
+const HLSProcessor = require("../../utils/media/hlsProcessor");
+const VideoDurationExtractor = require("../../utils/media/videoDurationExtractor");
+const JobQueue = require("../../utils/queue/jobQueue");
+const Storage = require("../../utils/storage/storage");
+const {
+  notify,
+  notifyMany,
+} = require("../notifications/notification.dispatch");
+
+const MAX_REEL_SECONDS = 60;
+
+// A failure retrying won't fix, e.g. a file ffprobe can't read
+const unprocessable = (message) =>
+  Object.assign(new Error(message), { retryable: false });
+
+const notifyUploader = (video, { title, content }) =>
+  notify({
+    push: {
+      title,
+      body: content,
+      type: video.type,
+      data: {
+        videoId: video._id.toString(),
+        processingStatus: video.processingStatus,
+      },
+    },
+    recipient: {
+      _id: video.author._id,
+      email: video.author.email,
+    },
+    sender: {
+      _id: "system",
+      email: "system@platform.com",
+      name: "System",
+    },
+    type: video.type,
+    content,
+    metadata: {
+      itemId: video._id.toString(),
+      itemType: video.type,
+      videoTitle: video.title,
+    },
+  });
+
+const notifyFailed = (video, reason) =>
+  notifyUploader(video, {
+    title: `Your ${video.type} couldn't be processed`,
+    content: `"${video.title}" couldn't be processed: ${reason}`,
+  });
+
+const notifyFollowers = async (video) => {
+  const { author } = video;
+  const followers = await Follow.find({ "following.email": author.email });
+
+  const notifications = followers.map((follower) => ({
+    recipient: {
+      _id: follower.follower._id,
+      email: follower.follower.email,
+    },
+    sender: {
+      _id: author._id,
+      email: author.email,
+      name: author.name,
+      picture: author.picture,
+    },
+    type: video.type,
+    content: `${author.name} uploaded a new ${video.type}: ${video.title}`,
+    metadata: {
+      itemId: video._id.toString(),
+      itemType: video.type,
+      videoTitle: video.title,
+    },
+  }));
+
+  if (notifications.length > 0) await notifyMany(notifications);
+};
+
+// The video.process job: probe an uploaded video, encode its HLS
+// renditions and a thumbnail (unless one was uploaded), then publish it.
+// `detectType` makes it a reel when it is short enough. The video is
+// failed, and the uploader told, once the job won't be retried.
+const processVideo = async ({ videoId, detectType }, job) => {
+  const video = await Video.findOneAndUpdate(
+    { _id: videoId, processingStatus: { $in: ["pending", "processing"] } },
+    { $set: { processingStatus: "processing" } },
+    { new: true }
+  ).lean();
+  // deleted, or already processed
+  if (!video) return null;
+
+  try {
+    const key = Storage.keyFromUrl(video.videoUrl);
+    if (!key) throw unprocessable("The video file is missing");
+
+    // outputs sit next to the upload, in hls/<name>/ and thumbnails/
+    const name = path.posix.basename(key, path.posix.extname(key));
+    const outputs = HLSProcessor.outputUrls(video.videoUrl);
+
+    const { info, type, renditions } = await Storage.withLocalCopy(
+      key,
+      async (videoPath) => {
+        const info = await VideoDurationExtractor.extractVideoInfo(videoPath);
+        if (!info.durationSeconds) {
+          throw unprocessable("The file is not a playable video");
+        }
+
+        let type = video.type;
+        if (detectType) {
+          type = info.durationSeconds <= MAX_REEL_SECONDS ? "reel" : "video";
+        }
+        if (type === "reel" && info.durationSeconds > MAX_REEL_SECONDS) {
+          throw unprocessable(
+            `Reels must be ${MAX_REEL_SECONDS} seconds or less`
+          );
+        }
+
+        const dir = path.dirname(videoPath);
+        await Promise.all([
+          HLSProcessor.generateMultiQualityHLS(
+            videoPath,
+            path.join(dir, "hls", name),
+            info
+          ),
+          video.thumbnail
+            ? null
+            : HLSProcessor.generateThumbnail(
+                videoPath,
+                path.join(dir, "thumbnails", `${name}_thumb.jpg`),
+                Math.floor(info.durationSeconds * 0.1)
+              ),
+        ]);
+
+        return { info, type, renditions: HLSProcessor.planRenditions(info) };
+      },
+      { saveOutputs: true }
+    );
+
+    const processed = await Video.findOneAndUpdate(
+      { _id: videoId, processingStatus: "processing" },
+      {
+        $set: {
+          processingStatus: "completed",
+          type,
+          duration: info.durationSeconds,
+          quality: renditions[renditions.length - 1].name,
+          renditions: renditions.map((rendition) => rendition.name),
+          hlsUrl: outputs.hls,
+          thumbnail: video.thumbnail || outputs.thumbnail,
+          aspectRatio:
+            info.aspectRatio !== "unknown"
+              ? info.aspectRatio
+              : video.aspectRatio,
+          fileSize: info.fileSize || video.fileSize,
+          processedAt: new Date(),
+        },
+        $unset: { processingError: "" },
+      },
+      { new: true }
+    ).lean();
+    // deleted while it was being encoded
+    if (!processed) return null;
+
+    await notifyUploader(processed, {
+      title: `Your ${type} is ready`,
+      content: `"${processed.title}" has been processed and is now live.`,
+    });
+    if (processed.isPublic) await notifyFollowers(processed);
+
+    return {
+      hlsUrl: processed.hlsUrl,
+      renditions: processed.renditions,
+      duration: processed.duration,
+    };
+  } catch (error) {
+    const willRetry =
+      error.retryable !== false && job.attempts < job.maxAttempts;
+    const failed = await Video.findOneAndUpdate(
+      { _id: videoId },
+      {
+        $set: willRetry
+          ? { processingError: error.message }
+          : { processingStatus: "failed", processingError: error.message },
+      },
+      { new: true }
+    ).lean();
+
+    if (failed && !willRetry) await notifyFailed(failed, error.message);
+    throw error;
+  }
+};
+
+// A video.process job dead-lettered because its worker kept stopping
+const failStalledVideo = async ({ videoId }, job) => {
+  const failed = await Video.findOneAndUpdate(
+    { _id: videoId, processingStatus: { $in: ["pending", "processing"] } },
+    { $set: { processingStatus: "failed", processingError: job.error } },
+    { new: true }
+  ).lean();
+  if (failed) await notifyFailed(failed, job.error);
+};
+
+JobQueue.registerHandler("video.process", processVideo, {
+  onStalled: failStalledVideo,
+});
+
+const queueVideoProcessing = (video, { detectType = false } = {}) =>
+  JobQueue.enqueue(
+    "video.process",
+    { videoId: video._id.toString(), detectType },
+    {
+      jobId: `video-${video._id}`,
+      userId: video.author._id,
+      backoffMs: 60 * 1000,
+    }
+  );
+
+module.exports = { MAX_REEL_SECONDS, queueVideoProcessing };
@@ -22,7 +22,11 @@ const ListVideos = async (req, res) => {
     const user = req.user;
     const pageSizeNum = parseInt(pageSize, 10) || 10;
 
-    const filters = { type: "video", isPublic: true };
+    const filters = {
+      type: "video",
+      isPublic: true,
+      processingStatus: "completed",
+    };
 
     if (search) {
       filters.$or = [
@@ -117,7 +121,11 @@ const ListReels = async (req, res) => {
     const user = req.user;
     const pageSizeNum = parseInt(pageSize, 10) || 20;
 
-    const filters = { type: "reel", isPublic: true };
+    const filters = {
+      type: "reel",
+      isPublic: true,
+      processingStatus: "completed",
+    };
 
     if (search) {
       filters.$or = [
@@ -220,7 +228,12 @@ const GetVideo = async (req, res) => {
     }
 
     const video = await Video.findById(id).lean();
-    if (!video) {
+    // the uploader can follow their video while it is processed
+    if (
+      !video ||
+      (video.processingStatus !== "completed" &&
+        video.author._id !== user._id.toString())
+    ) {
       return res
         .status(404)
         .json(
@@ -278,7 +291,11 @@ const GetUserVideos = async (req, res) => {
         .json(GenRes(404, null, { error: "User not found" }, "User not found"));
     }
 
+    // users also see their own videos that are still processing or failed
     const filters = { "author._id": userId, isPublic: true };
+    if (userId !== user._id.toString()) {
+      filters.processingStatus = "completed";
+    }
     if (type && ["video", "reel"].includes(type)) {
       filters.type = type;
     }
@@ -1,10 +1,10 @@
-const path = require("path");
 const GenRes = require("../../utils/routers/GenRes");
 const User = require("../user/user.model");
 const Video = require("./video.model");
-const Notification = require("../notifications/notification.model");
-const Follow = require("../follow/follow.model");
-const fs = require("fs");
+const { queueVideoProcessing } = require("./video.jobs");
+const {
+  removeUploadedFile,
+} = require("../../utils/fileProcessor/uploadCleanup");
 
 const AddVideo = async (req, res) => {
   try {
@@ -44,95 +44,53 @@ const AddVideo = async (req, res) => {
         );
     }
 
-    // Validate video type and duration
-    const duration = parseInt(data.duration) || 0;
-    let videoType = data.type || "video";
-
-    // Auto-determine type based on duration if not specified
-    if (!data.type) {
-      videoType = duration <= 60 ? "reel" : "video";
-    }
-
-    // Validate duration constraints
-    if (videoType === "reel" && duration > 60) {
-      return res
-        .status(400)
-        .json(
-          GenRes(
-            400,
-            null,
-            { error: "Reels must be 60 seconds or less" },
-            "Invalid reel duration"
-          )
-        );
-    }
+    // Duration, quality and aspect ratio come from probing the file in
+    // the video.process job; without a type it picks video or reel
+    const detectType = !["video", "reel"].includes(data.type);
+    const videoType = detectType ? "video" : data.type;
 
     const videoData = {
       title: data.title,
       description: data.description,
       videoUrl: videoFile,
       thumbnail: thumbnailFile || "",
-      duration,
+      duration: 0,
       type: videoType,
       tags: Array.isArray(data.tags) ? data.tags : [],
       category: data.category || "general",
       author: author,
-      quality: data.quality || "720p",
-      fileSize: data.fileSize || 0,
       aspectRatio: data.aspectRatio || (videoType === "reel" ? "9:16" : "16:9"),
       isPublic: data.isPublic !== false,
-      processingStatus: "completed",
+      processingStatus: "pending",
     };
 
     const newVideo = new Video(videoData);
     await newVideo.save();
 
-    // Create notification for followers
-    const followers = await Follow.find({ "following.email": author.email });
-
-    const notifications = followers.map((follower) => ({
-      recipient: {
-        _id: follower.follower._id,
-        email: follower.follower.email,
-      },
-      sender: {
-        _id: author._id,
-        email: author.email,
-        name: author.name,
-        picture: author.picture,
-      },
-      type: videoType,
-      content: `${author.name} uploaded a new ${videoType}: ${data.title}`,
-      metadata: {
-        itemId: newVideo._id.toString(),
-        itemType: videoType,
-        videoTitle: data.title,
-      },
-    }));
-
-    if (notifications.length > 0) {
-      await Notification.insertMany(notifications);
-
-      // Emit notifications to online users
-      const io = req.app.get("io");
-      if (io) {
-        notifications.forEach((notification) => {
-          io.to(notification.recipient._id).emit(
-            "new_notification",
-            notification
-          );
-        });
-      }
+    // Followers are notified once it has been processed
+    try {
+      await queueVideoProcessing(newVideo, { detectType });
+    } catch (error) {
+      await Video.updateOne(
+        { _id: newVideo._id },
+        {
+          $set: {
+            processingStatus: "failed",
+            processingError: "Could not queue the video for processing",
+          },
+        }
+      );
+      throw error;
     }
 
     return res
-      .status(200)
+      .status(202)
       .json(
         GenRes(
-          200,
+          202,
           newVideo.toObject(),
           null,
-          `${videoType} uploaded successfully`
+          `${videoType} uploaded, processing has started`
         )
       );
   } catch (error) {
@@ -149,7 +107,18 @@ const UpdateVideo = async (req, res) => {
 
     delete data?._id;
     delete data?.author;
-    delete data?.videoUrl; 
+    delete data?.videoUrl;
+    // set or checked by processing (a reel's length among them)
+    delete data?.processingStatus;
+    delete data?.processingError;
+    delete data?.processedAt;
+    delete data?.hlsUrl;
+    delete data?.renditions;
+    delete data?.duration;
+    delete data?.type;
+    delete data?.quality;
+    delete data?.aspectRatio;
+    delete data?.fileSize;
 
     const updated = await Video.findOneAndUpdate(
       { _id, "author.email": userEmail },
@@ -200,29 +169,11 @@ const DeleteVideo = async (req, res) => {
         );
     }
 
-    // Delete video file
-    if (deletedVideo.videoUrl) {
-      try {
-        const fullpath = path.join(
-          process.cwd(),
-          deletedVideo.videoUrl.slice(1)
-        );
-        fs.unlinkSync(fullpath);
-      } catch (err) {
-        console.log("Failed to delete video file:", err?.message);
-      }
-    }
-
-    // Delete thumbnail if exists
-    if (deletedVideo.thumbnail) {
-      try {
-        const fullpath = path.join(
-          process.cwd(),
-          deletedVideo.thumbnail.slice(1)
-        );
-        fs.unlinkSync(fullpath);
-      } catch (err) {
-        console.log("Failed to delete thumbnail:", err?.message);
+    // Delete the video with its HLS renditions and generated thumbnail,
+    // and the uploaded thumbnail if there was one
+    for (const file of [deletedVideo.videoUrl, deletedVideo.thumbnail]) {
+      if (file && !(await removeUploadedFile(file))) {
+        console.log("Failed to delete video file:", file);
       }
     }
 
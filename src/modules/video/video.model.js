@@ -32,11 +32,17 @@ const VideoSchema = new Schema(
     },
     fileSize: Number,
     aspectRatio: String, // e.g., "16:9", "9:16"
+    // set by the video.process job (video.jobs.js); only completed
+    // videos are listed
     processingStatus: {
       type: String,
       enum: ["pending", "processing", "completed", "failed"],
       default: "pending",
     },
+    hlsUrl: String, // master playlist of the HLS renditions
+    renditions: [String], // e.g. ["360p", "480p"]
+    processingError: String,
+    processedAt: Date,
   },
   { timestamps: true, timeseries: true }
 );
@@ -48,5 +54,12 @@ VideoSchema.pre("save", function (next) {
   next();
 });
 
+VideoSchema.index({ type: 1, processingStatus: 1, isPublic: 1, _id: -1 });
+
+VideoSchema.index(
+  { title: "text", tags: "text", description: "text" },
+  { name: "video_search", weights: { title: 10, tags: 5, description: 1 } }
+);
+
 const Video = models?.Video || model("Video", VideoSchema);
 module.exports = Video;
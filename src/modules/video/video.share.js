@@ -2,7 +2,10 @@ const GenRes = require("../../utils/routers/GenRes");
 const Video = require("./video.model");
 const Content = require("../contents/contents.model");
 const User = require("../user/user.model");
-const Notification = require("../notifications/notification.model");
+const {
+  notify,
+  notifyMany,
+} = require("../notifications/notification.dispatch");
 const Follow = require("../follow/follow.model");
 
 const ShareVideo = async (req, res) => {
@@ -20,7 +23,7 @@ const ShareVideo = async (req, res) => {
 
     // Find the original video
     const originalVideo = await Video.findById(videoId).lean();
-    if (!originalVideo) {
+    if (!originalVideo || originalVideo.processingStatus !== "completed") {
       return res
         .status(404)
         .json(
@@ -93,23 +96,14 @@ const ShareVideo = async (req, res) => {
       },
     }));
 
+    const io = req.app.get("io");
     if (notifications.length > 0) {
-      await Notification.insertMany(notifications);
-
-      // Emit notifications to online users
-      const io = req.app.get("io");
-      if (io) {
-        notifications.forEach((notification) => {
-          io.to(notification.recipient._id).emit(
-            "new_notification",
-            notification
-          );
-        });
-      }
+      await notifyMany(notifications, { io });
     }
 
     // Notify the original video author
-    const shareNotification = new Notification({
+    await notify({
+      io,
       recipient: {
         _id: originalVideo.author._id,
         email: originalVideo.author.email,
@@ -130,16 +124,6 @@ const ShareVideo = async (req, res) => {
       },
     });
 
-    await shareNotification.save();
-
-    const io = req.app.get("io");
-    if (io) {
-      io.to(originalVideo.author._id).emit(
-        "new_notification",
-        shareNotification
-      );
-    }
-
     return res.status(200).json(
       GenRes(
         200,
@@ -0,0 +1,203 @@
+// Chat key maintenance.
+//
+//   node src/scripts/rotateChatKeys.js --migrate
+//     encrypt legacy (CHAT_ENCRYPTION_KEY) messages with per-chat keys
+//   node src/scripts/rotateChatKeys.js --rotate [--chat <chatId>]
+//     start a new data key for every chat (or one) and re-encrypt its
+//     messages with it
+//   node src/scripts/rotateChatKeys.js --purge
+//     re-encrypt what is still left under retired keys, then delete them
+//   node src/scripts/rotateChatKeys.js --rewrap
+//     wrap all data keys with the current master key
+//
+// Retired keys are only purged PURGE_AFTER_MS after rotation, longer than
+// running servers cache a chat's active key version.
+require("dotenv").config();
+const fs = require("fs").promises;
+const path = require("path");
+const mongoose = require("mongoose");
+const ChatMessage = require("../modules/chat/chat.model");
+const ChatKey = require("../modules/chat/chatKey.model");
+const {
+  chatIdOf,
+  encryptText,
+  decryptText,
+  keyVersionOf,
+  rotateChatKey,
+  rewrapChatKeys,
+  deleteChatKeys,
+} = require("../modules/chat/chat.crypto");
+
+const PURGE_AFTER_MS = 10 * 60 * 1000;
+const CHAT_FILES_DIR = path.join(process.cwd(), "uploads", "chat");
+
+// Messages of one chat id as built by chatIdOf
+const chatFilter = (chatId) => {
+  const [first, second] = chatId.split("_");
+  return second
+    ? {
+        conversationId: { $exists: false },
+        $or: [
+          { "sender._id": first, "receiver._id": second },
+          { "sender._id": second, "receiver._id": first },
+        ],
+      }
+    : { conversationId: chatId };
+};
+
+const usesKeyVersion = (version) => {
+  const pattern = new RegExp(`^env1:${version}:`);
+  return { $or: [{ message: pattern }, { "editHistory.message": pattern }] };
+};
+
+const reencrypt = async (ciphertext, chatId) =>
+  encryptText(await decryptText(ciphertext, chatId), chatId);
+
+// Re-encrypt the text and edit history of matching messages whose
+// ciphertext `needsUpdate` selects. Updates bypass the save hook.
+const reencryptMessages = async (filter, needsUpdate) => {
+  let count = 0;
+  const cursor = ChatMessage.find(filter)
+    .select("sender receiver conversationId message editHistory")
+    .lean()
+    .cursor();
+
+  for await (const message of cursor) {
+    const chatId = chatIdOf(message);
+    const update = {};
+
+    if (message.message && needsUpdate(message.message, chatId)) {
+      update.message = await reencrypt(message.message, chatId);
+    }
+    const history = message.editHistory || [];
+    if (history.some((entry) => needsUpdate(entry.message || "", chatId))) {
+      update.editHistory = await Promise.all(
+        history.map(async (entry) => ({
+          ...entry,
+          message:
+            entry.message && needsUpdate(entry.message, chatId)
+              ? await reencrypt(entry.message, chatId)
+              : entry.message,
+        }))
+      );
+    }
+
+    if (Object.keys(update).length > 0) {
+      await ChatMessage.updateOne({ _id: message._id }, { $set: update });
+      count++;
+    }
+  }
+  return count;
+};
+
+// The JSON copy mqttHandler keeps of one-to-one chats
+const reencryptChatFile = async (chatId, needsUpdate) => {
+  const chatFile = path.join(CHAT_FILES_DIR, `${chatId}.json`);
+  let chatData;
+  try {
+    chatData = JSON.parse(await fs.readFile(chatFile, "utf8"));
+  } catch (error) {
+    return;
+  }
+
+  for (const entry of chatData.messages || []) {
+    if (entry.message && needsUpdate(entry.message, chatId)) {
+      entry.message = await reencrypt(entry.message, chatId);
+    }
+  }
+  await fs.writeFile(chatFile, JSON.stringify(chatData, null, 2));
+};
+
+const isLegacy = (ciphertext) => keyVersionOf(ciphertext) === null;
+
+const migrateLegacy = async () => {
+  const legacy = /^(?!env1:)./;
+  const count = await reencryptMessages(
+    { $or: [{ message: legacy }, { "editHistory.message": legacy }] },
+    isLegacy
+  );
+
+  const files = await fs.readdir(CHAT_FILES_DIR).catch(() => []);
+  for (const file of files.filter((name) => name.endsWith(".json"))) {
+    await reencryptChatFile(path.basename(file, ".json"), isLegacy);
+  }
+  console.log(`Migrated ${count} legacy messages`);
+};
+
+const rotate = async (onlyChatId) => {
+  const activeVersions = new Map();
+  const isStale = (ciphertext, chatId) =>
+    keyVersionOf(ciphertext) !== activeVersions.get(chatId);
+
+  // every chat that has messages gets a new key before its messages move
+  const cursor = ChatMessage.find(onlyChatId ? chatFilter(onlyChatId) : {})
+    .select("sender receiver conversationId")
+    .lean()
+    .cursor();
+  for await (const message of cursor) {
+    const chatId = chatIdOf(message);
+    if (!activeVersions.has(chatId)) {
+      activeVersions.set(chatId, await rotateChatKey(chatId));
+    }
+  }
+
+  let count = 0;
+  for (const chatId of activeVersions.keys()) {
+    count += await reencryptMessages(chatFilter(chatId), isStale);
+    if (chatId.includes("_")) await reencryptChatFile(chatId, isStale);
+  }
+  console.log(
+    `Rotated keys of ${activeVersions.size} chats, re-encrypted ${count} messages`
+  );
+};
+
+const purge = async () => {
+  const retired = await ChatKey.find({
+    retiredAt: { $lte: new Date(Date.now() - PURGE_AFTER_MS) },
+  })
+    .select("chatId version")
+    .lean();
+
+  for (const { chatId, version } of retired) {
+    const usesRetired = (ciphertext) => keyVersionOf(ciphertext) === version;
+    await reencryptMessages(
+      { ...chatFilter(chatId), ...usesKeyVersion(version) },
+      usesRetired
+    );
+    if (chatId.includes("_")) await reencryptChatFile(chatId, usesRetired);
+
+    const stillUsed = await ChatMessage.exists({
+      ...chatFilter(chatId),
+      ...usesKeyVersion(version),
+    });
+    if (!stillUsed) await deleteChatKeys(chatId, [version]);
+  }
+  console.log(`Checked ${retired.length} retired keys`);
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const chatIndex = args.indexOf("--chat");
+  const onlyChatId = chatIndex >= 0 ? args[chatIndex + 1] : null;
+
+  await mongoose.connect(process.env.DB_URL);
+  try {
+    if (args.includes("--migrate")) await migrateLegacy();
+    else if (args.includes("--rotate")) await rotate(onlyChatId);
+    else if (args.includes("--purge")) await purge();
+    else if (args.includes("--rewrap")) {
+      console.log(`Re-wrapped ${await rewrapChatKeys()} chat keys`);
+    } else {
+      console.log(
+        "Usage: rotateChatKeys.js --migrate | --rotate [--chat <id>] | --purge | --rewrap"
+      );
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error("Chat key maintenance failed:", error);
+  process.exitCode = 1;
+});
@@ -4,11 +4,16 @@ const Content = require("../modules/contents/contents.model");
 const Follow = require("../modules/follow/follow.model");
 const Like = require("../modules/likes/likes.model");
 const Comment = require("../modules/comments/comments.model");
+const {
+  getTrendingHashtags,
+  buildHashtagAffinity,
+} = require("../modules/contents/hashtag.tracker");
 const NodeCache = require("node-cache");
 
 // Import optimization components
 const ContentRanking = require("../utils/algorithms/contentRanking");
 const FeedOptimizer = require("../utils/performance/feedOptimizer");
+const MediaServer = require("../utils/media/mediaServer");
 
 // Enhanced caching with different TTLs
 const feedCache = new NodeCache({ stdTTL: 300 }); // 5 minutes
@@ -80,13 +85,6 @@ class MLFeedService {
     );
   }
 
-  // Generate HLS playlist URL for videos
-  generateHLSUrl(videoUrl) {
-    if (!videoUrl) return null;
-    const basePath = videoUrl.replace(/\.[^/.]+$/, "");
-    return `${basePath}/playlist.m3u8`;
-  }
-
   // Generate thumbnail URL
   generateThumbnailUrl(fileUrl) {
     if (!fileUrl) return null;
@@ -97,80 +95,72 @@ class MLFeedService {
   }
 
   // Optimized file URL generation with HLS support
-  optimizeFileUrls(files, quality = "auto") {
+  // `media` is the post's recorded video streams
+  async optimizeFileUrls(files, quality = "auto", media = []) {
     if (!files || files.length === 0) return [];
 
-    return files.map((file) => {
-      const isVideo = this.hasVideoFiles([file]);
-      const isImage = this.hasImageFiles([file]);
+    return Promise.all(
+      files.map(async (file) => {
+        const isVideo = this.hasVideoFiles([file]);
+        const isImage = this.hasImageFiles([file]);
 
-      if (isVideo) {
-        const hlsUrl = this.generateHLSUrl(file);
-        const thumbnailUrl = this.generateThumbnailUrl(file);
-
-        const qualities = {
-          low: {
-            url: thumbnailUrl,
-            type: "image",
-            isVideoThumbnail: true,
-          },
-          medium: {
-            url: hlsUrl || file,
-            type: "video",
-            format: "hls",
-            qualities: ["360p", "480p"],
-            preload: "metadata", // Instagram-like preload for videos
-          },
-          high: {
-            url: hlsUrl || file,
+        if (isVideo) {
+          const streams = MediaServer.describe(file, media);
+          const stream = {
+            url: streams.url,
             type: "video",
-            format: "hls",
-            qualities: ["480p", "720p", "1080p"],
-            preload: "auto", // Autoplay for high-priority videos
-          },
-          auto: {
-            url: hlsUrl || file,
-            type: "video",
-            format: "hls",
-            qualities: ["360p", "480p", "720p"],
-            preload: "metadata",
-          },
-        };
-
-        return {
-          ...(qualities[quality] || qualities.auto),
-          thumbnail: thumbnailUrl,
-          original: file,
-          hls: hlsUrl,
-          fileSize: "streaming",
-          autoplay: quality === "high" || quality === "auto", // Instagram-like autoplay
-          muted: true, // Videos autoplay muted
-        };
-      } else if (isImage) {
-        const thumbnailUrl = this.generateThumbnailUrl(file);
-
-        const qualities = {
-          low: { url: thumbnailUrl, width: 300, height: 200 },
-          medium: { url: thumbnailUrl, width: 600, height: 400 },
-          high: { url: file, width: "original", height: "original" },
-          auto: { url: thumbnailUrl, width: 400, height: 300 },
-        };
+            format: streams.format,
+            qualities: streams.qualities,
+          };
+
+          const qualities = {
+            low: streams.thumbnail
+              ? {
+                  url: streams.thumbnail,
+                  type: "image",
+                  isVideoThumbnail: true,
+                }
+              : { ...stream, preload: "none" },
+            medium: { ...stream, preload: "metadata" },
+            high: { ...stream, preload: "auto" },
+            auto: { ...stream, preload: "metadata" },
+          };
+
+          return {
+            ...(qualities[quality] || qualities.auto),
+            thumbnail: streams.thumbnail,
+            original: file,
+            hls: streams.hls,
+            fileSize: "streaming",
+            autoplay: quality === "high" || quality === "auto", // Instagram-like autoplay
+            muted: true, // Videos autoplay muted
+          };
+        } else if (isImage) {
+          const thumbnailUrl = this.generateThumbnailUrl(file);
+
+          const qualities = {
+            low: { url: thumbnailUrl, width: 300, height: 200 },
+            medium: { url: thumbnailUrl, width: 600, height: 400 },
+            high: { url: file, width: "original", height: "original" },
+            auto: { url: thumbnailUrl, width: 400, height: 300 },
+          };
+
+          return {
+            ...(qualities[quality] || qualities.auto),
+            type: "image",
+            original: file,
+            thumbnail: thumbnailUrl,
+            progressiveLoading: true, // Instagram-like progressive image loading
+          };
+        }
 
         return {
-          ...(qualities[quality] || qualities.auto),
-          type: "image",
+          url: file,
           original: file,
-          thumbnail: thumbnailUrl,
-          progressiveLoading: true, // Instagram-like progressive image loading
+          type: "other",
         };
-      }
-
-      return {
-        url: file,
-        original: file,
-        type: "other",
-      };
-    });
+      })
+    );
   }
 
   // Get comprehensive user profile for ML with optimization
@@ -206,6 +196,14 @@ class MLFeedService {
           .lean(),
       ]);
 
+    const contentInteractions = [...recentLikes, ...recentComments]
+      .filter((activity) => activity.type === "content")
+      .map((activity) => activity.uid);
+    const [hashtagAffinity, trendingHashtags] = await Promise.all([
+      buildHashtagAffinity(contentInteractions),
+      getTrendingHashtags({ window: "24h", limit: 20 }),
+    ]);
+
     const profile = {
       user,
       followingEmails: following.map((f) => f.following.email),
@@ -239,6 +237,8 @@ class MLFeedService {
         ? user.profession.toLowerCase().split(",")
         : [],
       location: user?.location || null,
+      hashtagAffinity,
+      trendingHashtags: trendingHashtags.map((trend) => trend.tag),
     };
 
     await this.feedOptimizer.cacheContent(cacheKey, profile, {
@@ -397,12 +397,17 @@ class MLFeedService {
       userProfile
     );
     const preferenceScore = this.calculatePreferenceScore(content, userProfile);
+    const hashtagScore = this.contentRanking.calculateHashtagScore(
+      content,
+      userProfile
+    );
 
     const score =
       this.contentWeights.recency * recencyScore +
       this.contentWeights.engagement * engagementScore +
       this.contentWeights.relationship * relationshipScore +
-      this.contentWeights.userPreference * preferenceScore;
+      this.contentWeights.userPreference * preferenceScore +
+      this.contentRanking.rankingFactors.hashtag.weight * hashtagScore;
 
     const boostedScore = this.applyInstagramBoosts(score, content, userProfile);
     await this.feedOptimizer.cacheContent(cacheKey, boostedScore, {
@@ -478,10 +483,14 @@ class MLFeedService {
   }
 
   // Optimize content files for performance
-  optimizeContentFiles(content, quality = "medium") {
+  async optimizeContentFiles(content, quality = "medium") {
     if (!content.files?.length) return content;
 
-    const optimizedFiles = this.optimizeFileUrls(content.files, quality);
+    const optimizedFiles = await this.optimizeFileUrls(
+      content.files,
+      quality,
+      content.media
+    );
     return {
       ...content,
       optimizedFiles,
@@ -652,7 +661,7 @@ class MLFeedService {
       userProfile,
       engagementMetrics
     );
-    const optimized = this.optimizeContentFiles(content, quality);
+    const optimized = await this.optimizeContentFiles(content, quality);
 
     return {
       ...optimized,
@@ -41,6 +41,15 @@ class ContentRankingAlgorithm {
           deviceTypePreference: 0.4,
         },
       },
+
+      // Hashtag factors (bonus on top of the weights above)
+      hashtag: {
+        weight: 0.1,
+        factors: {
+          interest: 1.0, // tags the user engaged with before
+          trending: 0.4, // tags trending right now
+        },
+      },
     };
 
     // Content quality indicators
@@ -147,6 +156,26 @@ class ContentRankingAlgorithm {
     return Math.min(1, score);
   }
 
+  // Match the content's tags against the user's tag affinity (0-1 per tag)
+  // and the currently trending tags
+  calculateHashtagScore(content, userProfile) {
+    const tags = content.hashtags || [];
+    if (tags.length === 0) return 0;
+
+    const factors = this.rankingFactors.hashtag.factors;
+    const affinity = userProfile.hashtagAffinity || {};
+    const trending = userProfile.trendingHashtags || [];
+
+    const interest = Math.max(0, ...tags.map((tag) => affinity[tag] || 0));
+    let score = interest * factors.interest;
+
+    if (tags.some((tag) => trending.includes(tag))) {
+      score += factors.trending;
+    }
+
+    return Math.min(1, score);
+  }
+
   // Calculate content quality score
   calculateQualityScore(content) {
     let score = 0.5; // Base score
@@ -192,6 +221,7 @@ class ContentRankingAlgorithm {
     );
     const behaviorScore = this.calculateUserBehaviorScore(content, userProfile);
     const qualityScore = this.calculateQualityScore(content);
+    const hashtagScore = this.calculateHashtagScore(content, userProfile);
 
     // Calculate weighted final score
     const finalScore =
@@ -199,7 +229,8 @@ class ContentRankingAlgorithm {
       engagementScore * this.rankingFactors.engagement.weight +
       relationshipScore * this.rankingFactors.relationship.weight +
       behaviorScore * this.rankingFactors.userBehavior.weight +
-      qualityScore * 0.1; // Quality bonus
+      qualityScore * 0.1 + // Quality bonus
+      hashtagScore * this.rankingFactors.hashtag.weight;
 
     // Add diversity factor (Instagram uses this to prevent echo chambers)
     const diversityBonus = this.calculateDiversityBonus(content, userProfile);
@@ -220,6 +251,7 @@ class ContentRankingAlgorithm {
         relationship: relationshipScore,
         behavior: behaviorScore,
         quality: qualityScore,
+        hashtag: hashtagScore,
         diversity: diversityBonus,
         newContentBoost,
       },
@@ -1,25 +1,48 @@
 const redis = require("../../config/connectRedis");
 const GenRes = require("../routers/GenRes");
-const transporter = require("../../config/Mailer");
+const { sendEmailNow } = require("../notification/emailQueue");
 
-const setCode = async (email) => {
+// Codes for different purposes live under separate keys so a sign-in code
+// can never be used to verify an email and vice versa
+const OTP_PURPOSES = {
+  verification: {
+    prefix: "otp",
+    subject: "Email Verification Code",
+    title: "Email Verification",
+    intro:
+      "Thank you for registering! Please use the following verification code to complete your registration:",
+  },
+  login: {
+    prefix: "otp:login",
+    subject: "Your Sign-in Code",
+    title: "Sign-in Verification",
+    intro:
+      "Someone is signing in to your account. Please use the following code to finish signing in:",
+  },
+};
+
+const otpKey = (email, purpose) =>
+  `${(OTP_PURPOSES[purpose] || OTP_PURPOSES.verification).prefix}:${email}`;
+
+const setCode = async (email, purpose = "verification") => {
   try {
+    const template = OTP_PURPOSES[purpose] || OTP_PURPOSES.verification;
     const otp = Math.floor(100000 + Math.random() * 900000);
-    const key = `otp:${email}`;
+    const key = otpKey(email, purpose);
     const value = JSON.stringify({ code: otp, count: 0 });
 
     // Set OTP with expiry
     await redis.setEx(key, 300, value);
 
     // Send email
-    await transporter.sendMail({
+    await sendEmailNow({
       from: process.env.EMAIL,
       to: email,
-      subject: "Email Verification Code",
+      subject: template.subject,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
-          <h2 style="color: #4A90E2;">Email Verification</h2>
-          <p>Thank you for registering! Please use the following verification code to complete your registration:</p>
+          <h2 style="color: #4A90E2;">${template.title}</h2>
+          <p>${template.intro}</p>
           <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0; text-align: center;">
             <h1 style="color: #4A90E2; font-size: 32px; margin: 0;">${otp}</h1>
           </div>
@@ -41,9 +64,9 @@ const setCode = async (email) => {
 };
 
 // Verify OTP
-const verifyCode = async (email, code) => {
+const verifyCode = async (email, code, purpose = "verification") => {
   try {
-    const key = `otp:${email}`;
+    const key = otpKey(email, purpose);
     const data = await redis.get(key);
 
     if (!data) {
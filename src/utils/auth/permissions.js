@@ -0,0 +1,22 @@
+// Role -> permission map. Anything not listed here is denied, including
+// unknown roles. "*" grants every permission.
+const ROLE_PERMISSIONS = {
+  admin: ["*"],
+  editor: [
+    "courses:write",
+    "courses:analytics",
+    "certificates:write",
+    "events:write",
+    "events:registrations",
+  ],
+  vendor: [],
+  user: [],
+};
+
+const hasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role];
+  if (!granted) return false;
+  return granted.includes("*") || granted.includes(permission);
+};
+
+module.exports = { ROLE_PERMISSIONS, hasPermission };
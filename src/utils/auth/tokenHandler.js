@@ -1,17 +1,28 @@
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const Session = require("../../modules/user/session.model");
 
-const tokenGen = (data) => {
+const REFRESH_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Emits "revoked" with the ids of the sessions just revoked, so open
+// connections that outlive a request (MQTT clients) can be dropped
+const sessionEvents = new EventEmitter();
+
+// sid/jti bind the tokens to a Session document when one exists
+const tokenGen = (data, session = {}) => {
   const refKey = process.env.JWT_REFRESH_SECRET;
   const accKey = process.env.JWT_SECRET;
+  const { sid, jti } = session;
 
   const refreshToken = jwt.sign(
-    { _id: data._id, email: data.email, phone: data.phone },
+    { _id: data._id, email: data.email, phone: data.phone, sid },
     refKey,
-    { expiresIn: "30d" }
+    { expiresIn: "30d", ...(jti && { jwtid: jti }) }
   );
 
   const accessToken = jwt.sign(
-    { _id: data._id, email: data.email, phone: data.phone },
+    { _id: data._id, email: data.email, phone: data.phone, sid },
     accKey,
     { expiresIn: "24h" }
   );
@@ -19,4 +30,116 @@ const tokenGen = (data) => {
   return { refreshToken, accessToken };
 };
 
-module.exports = { tokenGen };
+const hashTokenId = (jti) =>
+  crypto.createHash("sha256").update(jti).digest("hex");
+
+const getDeviceInfo = (req) => {
+  const userAgent = req?.headers?.["user-agent"] || "";
+  return {
+    deviceName:
+      req?.body?.deviceName ||
+      req?.headers?.["x-device-name"] ||
+      userAgent.split(" ")[0] ||
+      "Unknown device",
+    userAgent,
+    ipAddress: req?.ip,
+  };
+};
+
+// Start a new device session and return its first token pair
+const createSession = async (user, req) => {
+  const jti = crypto.randomUUID();
+  const session = await Session.create({
+    user: { _id: user._id.toString(), email: user.email },
+    tokenHash: hashTokenId(jti),
+    ...getDeviceInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TTL_MS),
+  });
+
+  const tokens = tokenGen(
+    { _id: user._id.toString(), email: user.email, phone: user.phone },
+    { sid: session._id.toString(), jti }
+  );
+  return { ...tokens, sessionId: session._id };
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was
+// already rotated away means it leaked, so the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw new Error("Invalid or expired refresh token.");
+  }
+
+  if (!decoded.sid || !decoded.jti) {
+    throw new Error("Refresh token is not bound to a session, login again.");
+  }
+
+  const nextJti = crypto.randomUUID();
+  const { userAgent, ipAddress } = getDeviceInfo(req);
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      "user._id": decoded._id,
+      revokedAt: null,
+      tokenHash: hashTokenId(decoded.jti),
+    },
+    {
+      $set: {
+        tokenHash: hashTokenId(nextJti),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TTL_MS),
+        userAgent,
+        ipAddress,
+      },
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const revoked = await Session.findOneAndUpdate(
+      { _id: decoded.sid, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "reuse_detected" } }
+    );
+    if (revoked) {
+      sessionEvents.emit("revoked", [revoked._id.toString()]);
+      console.warn(
+        `Refresh token reuse detected for user ${decoded._id}, session ${decoded.sid} revoked`
+      );
+    }
+    throw new Error("Refresh token is no longer valid, login again.");
+  }
+
+  const tokens = tokenGen(
+    { _id: decoded._id, email: decoded.email, phone: decoded.phone },
+    { sid: session._id.toString(), jti: nextJti }
+  );
+  return { ...tokens, sessionId: session._id };
+};
+
+const revokeSessions = async (filters, reason = "revoked") => {
+  const sessions = await Session.find({ ...filters, revokedAt: null })
+    .select("_id")
+    .lean();
+  const sessionIds = sessions.map((session) => session._id);
+
+  const result = await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  if (sessionIds.length > 0) {
+    sessionEvents.emit("revoked", sessionIds.map(String));
+  }
+  return result;
+};
+
+module.exports = {
+  tokenGen,
+  createSession,
+  rotateSession,
+  revokeSessions,
+  sessionEvents,
+};
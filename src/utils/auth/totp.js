@@ -0,0 +1,96 @@
+const crypto = require("crypto");
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30s steps),
+// compatible with Google Authenticator, Authy and friends.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+const currentStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+};
+
+// Returns the matched time step (to block replays) or null. `window` allows
+// for clock drift of that many steps either way.
+const verifyCode = (secret, code, { window = 1, time } = {}) => {
+  const token = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(token)) return null;
+
+  const step = currentStep(time);
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = Buffer.from(generateCode(secret, step + drift));
+    if (crypto.timingSafeEqual(expected, Buffer.from(token))) {
+      return step + drift;
+    }
+  }
+  return null;
+};
+
+const keyUri = (secret, accountName, issuer = "Innovator") =>
+  `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(
+    accountName
+  )}?secret=${secret}&issuer=${encodeURIComponent(
+    issuer
+  )}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  keyUri,
+  base32Encode,
+  base32Decode,
+};
@@ -0,0 +1,184 @@
+const path = require("path");
+
+// Bytes of a file needed to recognise it
+const SNIFF_BYTES = 4100;
+
+const startsWith = (head, bytes, offset = 0) =>
+  bytes.every((byte, index) => head[offset + index] === byte);
+const ascii = (head, text, offset = 0) =>
+  head.toString("latin1", offset, offset + text.length) === text;
+
+// Readable text: no NUL bytes and valid UTF-8, allowing for a character
+// cut in half at the end of the sample
+const isText = (head) => {
+  if (head.length === 0 || head.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(
+      head.subarray(0, Math.max(head.length - 3, 1))
+    );
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The ISO base media brand ("isom", "qt  ", "M4A ") of mp4/mov/m4a files
+const ftypBrand = (head) =>
+  ascii(head, "ftyp", 4) ? head.toString("latin1", 8, 12) : null;
+const IMAGE_BRANDS = ["heic", "heix", "hevc", "mif1", "msf1", "avif", "avis"];
+
+// What a file is, by its first bytes. `exts` are the extensions it may be
+// stored under (the first is the default) and `mimes` the types it may be
+// served as; containers used by several formats (zip for Office files, OLE
+// for old Office files) take the extension the client gave if it fits.
+const FILE_TYPES = [
+  {
+    exts: ["jpg", "jpeg"],
+    mimes: ["image/jpeg"],
+    test: (h) => startsWith(h, [0xff, 0xd8, 0xff]),
+  },
+  {
+    exts: ["png"],
+    mimes: ["image/png"],
+    test: (h) =>
+      startsWith(h, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    exts: ["gif"],
+    mimes: ["image/gif"],
+    test: (h) => ascii(h, "GIF87a") || ascii(h, "GIF89a"),
+  },
+  {
+    exts: ["webp"],
+    mimes: ["image/webp"],
+    test: (h) => ascii(h, "RIFF") && ascii(h, "WEBP", 8),
+  },
+  {
+    exts: ["bmp"],
+    mimes: ["image/bmp"],
+    // "BM", the file size, then four reserved zero bytes
+    test: (h) => ascii(h, "BM") && h.length >= 10 && h.readUInt32LE(6) === 0,
+  },
+  {
+    exts: ["mov"],
+    mimes: ["video/quicktime"],
+    test: (h) => ftypBrand(h) === "qt  ",
+  },
+  {
+    exts: ["m4a"],
+    mimes: ["audio/mp4", "audio/x-m4a"],
+    test: (h) => ["M4A ", "M4B "].includes(ftypBrand(h)),
+  },
+  {
+    exts: ["mp4", "m4v"],
+    mimes: ["video/mp4"],
+    // the same container holds HEIF/AVIF still images
+    test: (h) => ftypBrand(h) !== null && !IMAGE_BRANDS.includes(ftypBrand(h)),
+  },
+  {
+    exts: ["webm"],
+    mimes: ["video/webm", "audio/webm"],
+    test: (h) =>
+      startsWith(h, [0x1a, 0x45, 0xdf, 0xa3]) &&
+      h.includes("webm", 0, "latin1"),
+  },
+  {
+    exts: ["mkv"],
+    mimes: ["video/x-matroska"],
+    test: (h) => startsWith(h, [0x1a, 0x45, 0xdf, 0xa3]),
+  },
+  {
+    exts: ["avi"],
+    mimes: ["video/x-msvideo"],
+    test: (h) => ascii(h, "RIFF") && ascii(h, "AVI ", 8),
+  },
+  {
+    exts: ["wmv"],
+    mimes: ["video/x-ms-wmv"],
+    test: (h) =>
+      startsWith(h, [0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11]),
+  },
+  { exts: ["flv"], mimes: ["video/x-flv"], test: (h) => ascii(h, "FLV\x01") },
+  {
+    exts: ["wav"],
+    mimes: ["audio/wav", "audio/x-wav"],
+    test: (h) => ascii(h, "RIFF") && ascii(h, "WAVE", 8),
+  },
+  {
+    exts: ["opus"],
+    mimes: ["audio/ogg", "audio/opus"],
+    test: (h) => ascii(h, "OggS") && h.includes("OpusHead", 0, "latin1"),
+  },
+  {
+    exts: ["ogg", "oga"],
+    mimes: ["audio/ogg"],
+    test: (h) => ascii(h, "OggS"),
+  },
+  {
+    exts: ["aac"],
+    mimes: ["audio/aac"],
+    // ADTS frame header
+    test: (h) => h[0] === 0xff && (h[1] & 0xf6) === 0xf0,
+  },
+  {
+    exts: ["mp3"],
+    mimes: ["audio/mpeg"],
+    // ID3 tag or an MPEG audio frame header
+    test: (h) => ascii(h, "ID3") || (h[0] === 0xff && (h[1] & 0xe0) === 0xe0),
+  },
+  { exts: ["pdf"], mimes: ["application/pdf"], test: (h) => ascii(h, "%PDF-") },
+  {
+    exts: ["docx", "xlsx", "pptx", "zip"],
+    mimes: ["application/zip"],
+    test: (h) => ascii(h, "PK\x03\x04") || ascii(h, "PK\x05\x06"),
+  },
+  {
+    exts: ["doc", "xls", "ppt"],
+    mimes: ["application/msword"],
+    test: (h) =>
+      startsWith(h, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  },
+  {
+    exts: ["html", "htm"],
+    mimes: ["text/html"],
+    test: (h) =>
+      isText(h) &&
+      /^\uFEFF?\s*<(!doctype html|html|head|body)[\s>]/i.test(
+        h.toString("utf8")
+      ),
+  },
+  {
+    exts: ["txt", "csv"],
+    mimes: ["text/plain", "text/csv"],
+    test: isText,
+  },
+];
+
+// Office formats share their container's signature, so they are told
+// apart by extension once the container is confirmed
+const OFFICE_MIMES = {
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  doc: "application/msword",
+  xls: "application/vnd.ms-excel",
+  ppt: "application/vnd.ms-powerpoint",
+  csv: "text/csv",
+};
+
+// { ext, mime } of a file judged by its first bytes (SNIFF_BYTES of them),
+// or null when it isn't a type we know. The client's file name and type
+// only pick between formats that look the same on disk.
+const sniffFileType = (head, originalName = "", declaredMime = "") => {
+  const type = FILE_TYPES.find((candidate) => candidate.test(head));
+  if (!type) return null;
+
+  const claimedExt = path.extname(originalName).slice(1).toLowerCase();
+  const ext = type.exts.includes(claimedExt) ? claimedExt : type.exts[0];
+  const mime =
+    OFFICE_MIMES[ext] ||
+    (type.mimes.includes(declaredMime) ? declaredMime : type.mimes[0]);
+  return { ext: ext === "jpeg" ? "jpg" : ext, mime };
+};
+
+module.exports = { SNIFF_BYTES, sniffFileType };
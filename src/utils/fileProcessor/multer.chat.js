@@ -0,0 +1,45 @@
+const storageEngine = require("./storageEngine");
+const { uploader } = require("./uploader");
+
+// Images, documents and voice notes
+const ATTACHMENT_TYPES = [
+  ...["jpg", "png", "gif", "webp"],
+  ...["pdf", "doc", "docx", "xls", "xlsx", "ppt", "pptx", "txt", "csv", "zip"],
+  ...["m4a", "aac", "mp3", "ogg", "oga", "opus", "wav", "webm"],
+];
+
+// Create Multer storage engine
+const storage = storageEngine({
+  accept: ATTACHMENT_TYPES,
+  rejectMessage: "Only images, documents and voice notes can be sent",
+
+  owner: (req) => req.user,
+
+  destination: (req, file, cb) => {
+    const userEmail = req?.user?.email;
+
+    if (!userEmail) {
+      return cb(new Error("User email not provided in request."), null);
+    }
+
+    cb(null, `/uploads/${userEmail}/chat`);
+  },
+
+  stored: (req, file, fileLocation) => {
+    req.file_locations = Array.isArray(req.file_locations)
+      ? req.file_locations
+      : [];
+    req.file_locations.push(fileLocation);
+    file.location = fileLocation;
+  },
+});
+
+const ChatFiles = uploader({
+  storage,
+  limits: {
+    fileSize: 25 * 1024 * 1024, // 25MB per attachment
+    files: 5,
+  },
+});
+
+module.exports = ChatFiles;
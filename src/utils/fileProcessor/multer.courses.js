@@ -1,62 +1,36 @@
-const { mkdirSync } = require("fs");
-const multer = require("multer");
-const path = require("path");
+const storageEngine = require("./storageEngine");
+const { uploader } = require("./uploader");
 
-// Create Multer storage engine
-const storage = (folder) =>
-  multer.diskStorage({
-    destination: (req, file, cb) => {
-      const subfolder = req?.query?.subfolder || "";
+const VIDEO_TYPES = ["mp4", "mov", "avi", "webm", "mkv"];
+const IMAGE_TYPES = ["jpg", "png", "gif", "webp"];
+const DOCUMENT_TYPES = ["pdf", "doc", "docx", "txt"];
 
-      if (!folder) {
-        return cb(
-          new Error("User "),
-          null
-        );
-      }
+const subfolderOf = (ext) => {
+  if (VIDEO_TYPES.includes(ext)) return "videos";
+  if (IMAGE_TYPES.includes(ext)) return "images";
+  return "documents";
+};
 
-      // Full local path
-      const fullPath = path.join(process.cwd(), "courses", folder, subfolder);
+// Create Multer storage engine; course files don't count against anyone's
+// storage quota
+const storage = (folder) =>
+  storageEngine({
+    accept: [...VIDEO_TYPES, ...IMAGE_TYPES, ...DOCUMENT_TYPES],
+    rejectMessage: "Only videos, images and documents are allowed for courses",
 
-      try {
-        mkdirSync(fullPath, { recursive: true });
-      } catch (err) {
-        return cb(
-          new Error(`Failed to create directory: ${err.message}`),
-          null
-        );
+    destination: (req, file, cb) => {
+      if (!folder) {
+        return cb(new Error("Course folder not provided."), null);
       }
 
-      // Save server-relative destination path for use in filename
-      req.destination = `/courses/${folder}/${subfolder}`.replaceAll("//", "/");
-      cb(null, fullPath);
-    },
-
-    filename: (req, file, cb) => {
-      const timestamp = Date.now();
-      const random = Math.floor(Math.random() * 1e6);
-      const ext = path.extname(file.originalname);
-      const safeName =
-        req?.query?.filename ||
-        `${file.fieldname}-${timestamp}-${random}${ext}`;
-
-      // Save final full relative path for use later
-      req.file_location = `${req.destination}/${safeName}`.replaceAll("//", "/");
-
-      console.log(req?.file_locations);
-      const oldlocations = Array?.isArray(req?.file_locations)
-        ? req?.file_locations
-        : [];
-
-      console.log("Old locations : ", oldlocations);
-
-      oldlocations.push(`${req.destination}/${safeName}`.replaceAll("//", "/"));
-      req.file_locations = oldlocations;
-      cb(null, safeName);
+      cb(null, `/courses/${folder}/${subfolderOf(file.ext)}`);
     },
   });
 
 const AdminFiles = (folder) =>
-  multer({ storage: storage(folder), limits: 150 * 1024 * 1024 * 1024 });
+  uploader({
+    storage: storage(folder),
+    limits: { fileSize: 150 * 1024 * 1024 * 1024 },
+  });
 
 module.exports = AdminFiles;
@@ -0,0 +1,144 @@
+const crypto = require("crypto");
+const { PassThrough } = require("stream");
+const Storage = require("../storage/storage");
+const StorageQuota = require("../storage/storageQuota");
+const { SNIFF_BYTES, sniffFileType } = require("./fileType");
+const { uploadError } = require("./uploader");
+
+// At least the first `size` bytes of a stream (less if it is shorter),
+// leaving the stream paused after them. `ended` is set when that was the
+// whole stream.
+const readHead = (stream, size) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+
+    const finish = (ended) => {
+      stream.off("data", onData);
+      stream.off("end", onEnd);
+      stream.off("error", reject);
+      stream.pause();
+      resolve({ head: Buffer.concat(chunks), ended });
+    };
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= size) finish(false);
+    };
+    const onEnd = () => finish(true);
+
+    stream.on("data", onData);
+    stream.once("end", onEnd);
+    stream.once("error", reject);
+  });
+
+// The head followed by the rest of the stream
+const rejoin = (stream, head, ended) => {
+  const body = new PassThrough();
+  if (ended) return body.end(head);
+  body.write(head);
+  stream.on("error", (error) => body.destroy(error));
+  return stream.pipe(body);
+};
+
+// Record where an upload was stored on the request, for the handler
+const rememberLocation = (req, file, url) => {
+  req.file_location = url;
+  req.file_locations = Array.isArray(req.file_locations)
+    ? req.file_locations
+    : [];
+  req.file_locations.push(url);
+};
+
+// Multer storage engine that writes uploads through Storage, so they end
+// up wherever STORAGE_DRIVER says. Files are judged by their content, not
+// the name or type the client sent, and stored under a name made here:
+// - accept: extensions ("jpg", "mp4") of the file types taken; file.ext
+//   and file.mimetype are the detected type by the time destination runs
+// - destination(req, file, cb): calls back with the folder's url
+//   ("/uploads/<email>/videos"), as in multer.diskStorage
+// - owner(req): the user whose storage quota the upload counts against,
+//   or nothing for uploads that don't count
+// - stored(req, file, url): records the stored file's url on the request
+//   (req.file_location and req.file_locations by default)
+class StorageEngine {
+  constructor({ accept, rejectMessage, destination, owner, stored }) {
+    this.accept = accept;
+    this.rejectMessage = rejectMessage || "This type of file isn't allowed";
+    this.destination = destination;
+    this.owner = owner || (() => null);
+    this.stored = stored || rememberLocation;
+  }
+
+  _handleFile(req, file, cb) {
+    this.store(req, file).then((info) => cb(null, info), cb);
+  }
+
+  async store(req, file) {
+    const { head, ended } = await readHead(file.stream, SNIFF_BYTES);
+    const type = sniffFileType(head, file.originalname, file.mimetype);
+    if (!type || !this.accept.includes(type.ext)) {
+      file.stream.resume();
+      throw uploadError(415, "UNSUPPORTED_FILE_TYPE", this.rejectMessage);
+    }
+    file.ext = type.ext;
+    file.mimetype = type.mime;
+
+    const owner = this.owner(req);
+    if (owner && !(await StorageQuota.hasRoom(owner))) {
+      file.stream.resume();
+      throw uploadError(413, "QUOTA_EXCEEDED", "Your storage is full");
+    }
+
+    const folder = await new Promise((resolve, reject) =>
+      this.destination(req, file, (error, folder) =>
+        error ? reject(error) : resolve(folder)
+      )
+    );
+    // the field name stays in front, handlers pick files out by it
+    const field = file.fieldname.replace(/[^\w-]/g, "").slice(0, 32) || "file";
+    const random = crypto.randomBytes(12).toString("hex");
+    const filename = `${field}-${Date.now()}-${random}.${type.ext}`;
+    const key = Storage.keyFromUrl(`${folder}/${filename}`);
+    if (!key) throw new Error("Invalid upload location");
+
+    const { size } = await Storage.put(
+      key,
+      rejoin(file.stream, head, ended),
+      { contentType: type.mime }
+    );
+
+    if (owner && !(await StorageQuota.reserve(owner, size))) {
+      await Storage.delete(key);
+      throw uploadError(
+        413,
+        "QUOTA_EXCEEDED",
+        "This file doesn't fit in your remaining storage"
+      );
+    }
+
+    const url = Storage.url(key);
+    this.stored(req, file, url);
+    return {
+      destination: folder,
+      filename,
+      path: url,
+      size,
+      mimetype: type.mime,
+    };
+  }
+
+  // multer calls this for the files already stored when a later one in
+  // the same request fails
+  _removeFile(req, file, cb) {
+    const key = Storage.keyFromUrl(file.path);
+    if (!key) return cb(null);
+    Storage.delete(key)
+      .then(() => StorageQuota.release(key, file.size))
+      .then(() => cb(null), cb);
+  }
+}
+
+const storageEngine = (options) => new StorageEngine(options);
+
+module.exports = storageEngine;
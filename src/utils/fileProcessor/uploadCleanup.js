@@ -0,0 +1,42 @@
+const path = require("path");
+const Storage = require("../storage/storage");
+const StorageQuota = require("../storage/storageQuota");
+
+// Delete an uploaded file together with the renditions generated next to it
+// by media processing (hls/<name>/, thumbnails/<name>_thumb.jpg,
+// compressed/<name>_compressed.jpg), and give its size back to the
+// uploader's storage quota. Throws if the url isn't an upload or the file
+// couldn't be deleted.
+const deleteUploadedFile = async (fileUrl) => {
+  const key = Storage.keyFromUrl(fileUrl);
+  if (!key) throw new Error(`Not a stored file: ${fileUrl}`);
+
+  const dir = path.posix.dirname(key);
+  const base = path.posix.basename(key, path.posix.extname(key));
+
+  const stat = await Storage.stat(key);
+  const [removed] = await Promise.allSettled([
+    Storage.delete(key),
+    Storage.deletePrefix(`${dir}/hls/${base}/`),
+    Storage.delete(`${dir}/thumbnails/${base}_thumb.jpg`),
+    Storage.delete(`${dir}/compressed/${base}_compressed.jpg`),
+  ]);
+  if (removed.status === "rejected") throw removed.reason;
+
+  if (stat) await StorageQuota.release(key, stat.size);
+};
+
+// deleteUploadedFile that reports failure instead of throwing. Returns
+// false if the url isn't an upload or the file couldn't be removed.
+const removeUploadedFile = async (fileUrl) => {
+  if (!Storage.keyFromUrl(fileUrl)) return false;
+  try {
+    await deleteUploadedFile(fileUrl);
+    return true;
+  } catch (error) {
+    console.error(`Failed to remove ${fileUrl}:`, error);
+    return false;
+  }
+};
+
+module.exports = { deleteUploadedFile, removeUploadedFile };
@@ -0,0 +1,72 @@
+const multer = require("multer");
+const GenRes = require("../routers/GenRes");
+
+// An upload rejected for the client's reasons; `status` is what they get
+// back and `code` goes in the response's error field
+const uploadError = (status, code, message) =>
+  Object.assign(new Error(message), { status, code });
+
+const MB = 1024 * 1024;
+
+// What to tell the client about a failed upload
+const describeError = (error, limits = {}) => {
+  if (error instanceof multer.MulterError) {
+    switch (error.code) {
+      case "LIMIT_FILE_SIZE":
+        return uploadError(
+          413,
+          "FILE_TOO_LARGE",
+          `Files can be at most ${Math.floor(limits.fileSize / MB)}MB`
+        );
+      case "LIMIT_FILE_COUNT":
+        return uploadError(
+          400,
+          "TOO_MANY_FILES",
+          `At most ${limits.files} files can be uploaded at once`
+        );
+      case "LIMIT_UNEXPECTED_FILE":
+        return uploadError(
+          400,
+          "UNEXPECTED_FILE",
+          `Unexpected file field: ${error.field}`
+        );
+      default:
+        return uploadError(400, error.code, error.message);
+    }
+  }
+  if (error.status) return error;
+  return uploadError(500, "UPLOAD_FAILED", error.message);
+};
+
+// multer(options) whose middlewares answer failed uploads themselves, the
+// same way for every upload route, instead of passing the error on
+const uploader = (options) => {
+  const upload = multer(options);
+
+  const respond = (middleware) => (req, res, next) =>
+    middleware(req, res, (error) => {
+      if (!error) return next();
+      const rejection = describeError(error, options.limits);
+      if (rejection.status >= 500) console.error("Upload failed:", error);
+      return res
+        .status(rejection.status)
+        .json(
+          GenRes(
+            rejection.status,
+            null,
+            { error: rejection.code },
+            rejection.message
+          )
+        );
+    });
+
+  return {
+    single: (name) => respond(upload.single(name)),
+    array: (name, maxCount) => respond(upload.array(name, maxCount)),
+    fields: (fields) => respond(upload.fields(fields)),
+    any: () => respond(upload.any()),
+    none: () => respond(upload.none()),
+  };
+};
+
+module.exports = { uploader, uploadError };
@@ -1,6 +1,17 @@
 const ffmpeg = require("fluent-ffmpeg");
 const path = require("path");
 const fs = require("fs").promises;
+const JobQueue = require("../queue/jobQueue");
+const Storage = require("../storage/storage");
+const Content = require("../../modules/contents/contents.model");
+
+const VIDEO_EXTENSIONS = /\.(mp4|mov|avi|webm|mkv)$/i;
+const IMAGE_EXTENSIONS = /\.(jpg|jpeg|png|gif|bmp|webp)$/i;
+const QUALITY_LADDER = [
+  { name: "360p", width: 640, height: 360, bitrate: "800k" },
+  { name: "480p", width: 854, height: 480, bitrate: "1400k" },
+  { name: "720p", width: 1280, height: 720, bitrate: "2800k" },
+];
 
 class HLSProcessor {
   static async generateHLSPlaylist(videoPath, outputDir) {
@@ -37,15 +48,34 @@ class HLSProcessor {
     }
   }
 
-  static async generateMultiQualityHLS(videoPath, outputDir) {
+  // Renditions to encode for a source of `width`x`height`: the standard
+  // ladder up to the source's resolution (always at least the lowest
+  // rung), scaled to keep its aspect ratio so portrait reels aren't
+  // squashed. Without the source size the ladder is used as is.
+  static planRenditions({ width, height } = {}) {
+    if (!width || !height) return QUALITY_LADDER;
+
+    const shortSide = Math.min(width, height);
+    const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+    const fitting = QUALITY_LADDER.filter((q) => q.height <= shortSide);
+    return (fitting.length > 0 ? fitting : QUALITY_LADDER.slice(0, 1)).map(
+      (quality) => {
+        const scale = quality.height / shortSide;
+        return {
+          ...quality,
+          width: even(width * scale),
+          height: even(height * scale),
+        };
+      }
+    );
+  }
+
+  // `source` is the size of the video, when known (see planRenditions)
+  static async generateMultiQualityHLS(videoPath, outputDir, source = {}) {
     try {
       await fs.mkdir(outputDir, { recursive: true });
 
-      const qualities = [
-        { name: "360p", width: 640, height: 360, bitrate: "800k" },
-        { name: "480p", width: 854, height: 480, bitrate: "1400k" },
-        { name: "720p", width: 1280, height: 720, bitrate: "2800k" },
-      ];
+      const qualities = this.planRenditions(source);
 
       const promises = qualities.map((quality) => {
         const qualityDir = path.join(outputDir, quality.name);
@@ -133,6 +163,59 @@ class HLSProcessor {
     }
   }
 
+  // Where the outputs for an uploaded file go: next to it, in hls/<name>/,
+  // thumbnails/ and compressed/
+  static outputUrls(fileUrl) {
+    const dir = path.posix.dirname(fileUrl);
+    const name = path.posix.basename(fileUrl, path.posix.extname(fileUrl));
+    return {
+      hls: `${dir}/hls/${name}/master.m3u8`,
+      thumbnail: `${dir}/thumbnails/${name}_thumb.jpg`,
+      compressed: `${dir}/compressed/${name}_compressed.jpg`,
+    };
+  }
+
+  // The media.process job: HLS renditions and a thumbnail for an uploaded
+  // video, a compressed copy and a thumbnail for an image (see outputUrls)
+  static async processUpload({ filePath }) {
+    const key = Storage.keyFromUrl(filePath);
+    if (!key) throw new Error(`Not a stored file: ${filePath}`);
+
+    const ext = path.posix.extname(key);
+    const name = path.posix.basename(key, ext);
+    const isVideo = VIDEO_EXTENSIONS.test(ext);
+    if (!isVideo && !IMAGE_EXTENSIONS.test(ext)) return null;
+    const { hls, thumbnail, compressed } = this.outputUrls(filePath);
+
+    return Storage.withLocalCopy(
+      key,
+      async (fullPath) => {
+        const dir = path.dirname(fullPath);
+        const thumbnailPath = path.join(dir, "thumbnails", `${name}_thumb.jpg`);
+
+        if (isVideo) {
+          await Promise.all([
+            this.generateMultiQualityHLS(fullPath, path.join(dir, "hls", name)),
+            this.generateThumbnail(fullPath, thumbnailPath),
+          ]);
+          const qualities = this.planRenditions().map((q) => q.name);
+          return { hls, qualities, thumbnail };
+        }
+
+        await Promise.all([
+          this.compressImage(
+            fullPath,
+            path.join(dir, "compressed", `${name}_compressed.jpg`),
+            75
+          ),
+          this.compressImage(fullPath, thumbnailPath, 60),
+        ]);
+        return { compressed, thumbnail };
+      },
+      { saveOutputs: true }
+    );
+  }
+
   static async compressImage(imagePath, outputPath, quality = 80) {
     try {
       const outputDir = path.dirname(outputPath);
@@ -160,4 +243,19 @@ class HLSProcessor {
   }
 }
 
+// Record a processed video's streams on the posts that use it, so feeds
+// can describe them without looking in storage. Reprocessing the same
+// file yields the same outputs, so an existing record is kept.
+const recordStreams = (file, { hls, qualities, thumbnail }) =>
+  Content.updateMany(
+    { files: file, "media.file": { $ne: file } },
+    { $push: { media: { file, hls, qualities, thumbnail } } }
+  );
+
+JobQueue.registerHandler("media.process", async (data) => {
+  const outputs = await HLSProcessor.processUpload(data);
+  if (outputs?.hls) await recordStreams(data.filePath, outputs);
+  return outputs;
+});
+
 module.exports = HLSProcessor;
@@ -0,0 +1,85 @@
+const path = require("path");
+const Storage = require("../storage/storage");
+
+// Playlists can be rewritten when a video is reprocessed; uploads and
+// segments never change under the same name
+const PLAYLIST_CACHE_CONTROL = "public, max-age=60";
+const MEDIA_CACHE_CONTROL = "public, max-age=86400";
+// mime-types maps .mp4 to application/mp4, which some players won't play
+const CONTENT_TYPES = { ".mp4": "video/mp4" };
+
+// Uploaded media as clients play it: the HLS renditions recorded for a
+// video once they were encoded, falling back to the file itself for
+// progressive playback, and byte-serving of the files with Range, ETag
+// and caching headers.
+class MediaServer {
+  // { url, format, hls, qualities, thumbnail, original } for an uploaded
+  // video. `url` is what to play: the HLS master playlist when there is
+  // one, the file otherwise, with `format` "hls" or its extension ("mp4").
+  // `media` is what processing recorded: a post's `media` list or a
+  // single { file, hls, qualities, thumbnail }. Nothing is read from
+  // storage, so feeds can describe every item.
+  static describe(fileUrl, media = []) {
+    if (!fileUrl) return null;
+    const streams = [].concat(media || []).find((m) => m?.file === fileUrl);
+
+    const hasHls = !!streams?.hls && streams.qualities?.length > 0;
+    return {
+      url: hasHls ? streams.hls : fileUrl,
+      format: hasHls
+        ? "hls"
+        : path.posix.extname(fileUrl).slice(1).toLowerCase() || "mp4",
+      hls: hasHls ? streams.hls : null,
+      qualities: hasHls ? streams.qualities : [],
+      thumbnail: streams?.thumbnail || null,
+      original: fileUrl,
+    };
+  }
+
+  // describe() for a video document, whose streams the video.process job
+  // stores in hlsUrl, renditions and thumbnail
+  static describeVideo(video) {
+    return this.describe(video?.videoUrl, {
+      file: video?.videoUrl,
+      hls: video?.hlsUrl,
+      qualities: video?.renditions,
+      thumbnail: video?.thumbnail,
+    });
+  }
+
+  // Serve the files under a root folder ("uploads", "courses/public")
+  static serve(folder) {
+    return async (req, res, next) => {
+      if (!["GET", "HEAD"].includes(req.method)) return next();
+      let filePath;
+      try {
+        filePath = decodeURIComponent(req.path);
+      } catch {
+        // malformed escapes such as "%E0%A4%A" name no file
+        return res.status(400).end();
+      }
+      try {
+        // only files under the folder itself: "..%2F" would otherwise
+        // reach private course files and certificates
+        if (filePath.split("/").some((segment) => segment === "..")) {
+          return next();
+        }
+        const key = Storage.keyFromUrl(`/${folder}${filePath}`);
+        if (!key?.startsWith(`${folder}/`)) return next();
+
+        const sent = await Storage.send(req, res, key, {
+          contentType: CONTENT_TYPES[path.posix.extname(key).toLowerCase()],
+          cacheControl: key.endsWith(".m3u8")
+            ? PLAYLIST_CACHE_CONTROL
+            : MEDIA_CACHE_CONTROL,
+        });
+        if (!sent) return next();
+      } catch (error) {
+        if (res.headersSent) return res.end();
+        return next(error);
+      }
+    };
+  }
+}
+
+module.exports = MediaServer;
@@ -1,15 +1,56 @@
 const aedes = require("aedes")();
 const jwt = require("jsonwebtoken");
+const { isValidObjectId } = require("mongoose");
 const fs = require("fs").promises;
 const path = require("path");
 const Follow = require("../../modules/follow/follow.model");
+const Block = require("../../modules/user/block.model");
 const ChatMessage = require("../../modules/chat/chat.model");
-const Notification = require("../../modules/notifications/notification.model");
+const Conversation = require("../../modules/chat/conversation.model");
+const {
+  conversationTopic,
+  publishToConversation,
+} = require("../../modules/chat/conversation.realtime");
+const {
+  sanitizeAttachments,
+  resolveReplyTo,
+  serializeMessage,
+  withReplyPreviews,
+} = require("../../modules/chat/chat.message");
+const {
+  RECEIPT_STATUSES,
+  applyReceipt,
+  markConversationRead,
+} = require("../../modules/chat/chat.receipts");
+const { notify } = require("../../modules/notifications/notification.dispatch");
+const User = require("../../modules/user/user.model");
+const Session = require("../../modules/user/session.model");
+const { sessionEvents } = require("../auth/tokenHandler");
 
 // Store online clients and their active chats
 const onlineClients = new Map();
 const userChats = new Map();
 
+// REST handlers reach connected clients through the broker instance
+aedes.onlineClients = onlineClients;
+aedes.userChats = userChats;
+
+// The only topics clients may use: their own user topics and the chat
+// topics they take part in (chat/<smallerId>/<largerId>, conversation/<id>)
+const USER_TOPIC = /^user\/([a-f0-9]{24})\/(messages|notifications|presence)$/;
+const CHAT_TOPIC = /^chat\/([a-f0-9]{24})\/([a-f0-9]{24})$/;
+const CONVERSATION_TOPIC = /^conversation\/([a-f0-9]{24})$/;
+
+// Publish-only topics for typing and receipts. Nobody subscribes to them;
+// the server relays the events on user/<id>/messages or conversation/<id>.
+const CHAT_EVENT_TOPIC =
+  /^(chat\/[a-f0-9]{24}\/[a-f0-9]{24})\/(typing|receipts)$/;
+const CONVERSATION_EVENT_TOPIC =
+  /^conversation\/([a-f0-9]{24})\/(typing|receipts)$/;
+
+// Clients should drop a typing indicator that is not refreshed in time
+const TYPING_TIMEOUT_MS = 6000;
+
 // Create base chat directory during initialization
 (async () => {
   try {
@@ -32,6 +73,45 @@ function generateChatId(...userIds) {
   return userIds.sort().join("_");
 }
 
+// Chat topic shared by two users, same format as the follow module uses
+function getChatTopic(user1Id, user2Id) {
+  const ids = [user1Id, user2Id].sort();
+  return `chat/${ids[0]}/${ids[1]}`;
+}
+
+// The other participant of a chat topic, or null when the topic is not a
+// chat topic or the user is not part of it
+function getChatPeer(topic, userId) {
+  const match = CHAT_TOPIC.exec(topic);
+  if (!match) return null;
+
+  const [, first, second] = match;
+  if (first === second || topic !== getChatTopic(first, second)) return null;
+  if (userId === first) return second;
+  if (userId === second) return first;
+  return null;
+}
+
+// Check if either user has blocked the other
+async function isBlockedBetween(user1Id, user2Id) {
+  const block = await Block.exists({
+    $or: [
+      { "blocker._id": user1Id, "blocked._id": user2Id },
+      { "blocker._id": user2Id, "blocked._id": user1Id },
+    ],
+  });
+  return !!block;
+}
+
+// The group's member entry for the user, or null when not a member
+async function getConversationMember(conversationId, userId) {
+  const conversation = await Conversation.findOne(
+    { _id: conversationId, "members._id": userId },
+    { "members.$": 1 }
+  ).lean();
+  return conversation?.members?.[0] || null;
+}
+
 // Check if users are mutual followers
 async function checkMutualFollow(user1Id, user2Id) {
   try {
@@ -86,7 +166,7 @@ async function saveChatData(senderId, receiverId, message) {
 
     chatData.messages.push({
       senderId,
-      message: ChatMessage.encryptMessage(message),
+      message: await ChatMessage.encryptMessage(message, chatId),
       timestamp: new Date(),
     });
 
@@ -109,6 +189,15 @@ aedes.authenticate = async (client, username, password, callback) => {
     console.log(`Authenticating client with username: ${username}`);
     const token = password.toString();
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens bound to a device session die with it, as in basicMiddleware
+    if (decoded.sid) {
+      const session = await Session.exists({
+        _id: decoded.sid,
+        revokedAt: null,
+      });
+      if (!session) throw new Error("Session has been revoked");
+    }
     client.user = decoded;
     console.log(`Client authenticated successfully: ${decoded._id}`);
     callback(null, true);
@@ -122,6 +211,275 @@ aedes.authenticate = async (client, username, password, callback) => {
   }
 };
 
+// Drop the clients of sessions revoked while they are connected (logout,
+// sign out everywhere, refresh token reuse)
+sessionEvents.on("revoked", (sessionIds) => {
+  const revoked = new Set(sessionIds);
+  for (const client of Object.values(aedes.clients)) {
+    if (client.user?.sid && revoked.has(client.user.sid)) {
+      console.log(`Closing MQTT client ${client.id}: session revoked`);
+      client.close();
+    }
+  }
+});
+
+// Topic ACL for subscriptions. Denied subscriptions are negated (SUBACK
+// 0x80) instead of dropping the connection. Also applies to the server-side
+// client.subscribe calls made on connect and after a mutual follow.
+aedes.authorizeSubscribe = async (client, subscription, callback) => {
+  const userId = client?.user?._id?.toString();
+  const deny = (reason) => {
+    console.warn(
+      `Subscription to ${subscription.topic} denied for ${userId}: ${reason}`
+    );
+    callback(null, null);
+  };
+
+  try {
+    if (!userId) return deny("not authenticated");
+
+    // no wildcards, so nobody can listen in on a whole topic tree
+    if (/[#+]/.test(subscription.topic)) return deny("wildcards not allowed");
+
+    const userTopic = USER_TOPIC.exec(subscription.topic);
+    if (userTopic) {
+      return userTopic[1] === userId
+        ? callback(null, subscription)
+        : deny("not the topic owner");
+    }
+
+    const conversationTopicMatch = CONVERSATION_TOPIC.exec(subscription.topic);
+    if (conversationTopicMatch) {
+      const member = await getConversationMember(
+        conversationTopicMatch[1],
+        userId
+      );
+      return member ? callback(null, subscription) : deny("not a member");
+    }
+
+    const peerId = getChatPeer(subscription.topic, userId);
+    if (!peerId) return deny("topic not allowed");
+
+    if (await isBlockedBetween(userId, peerId)) return deny("user blocked");
+
+    callback(null, subscription);
+  } catch (error) {
+    console.error(
+      `Error authorizing subscription for ${userId}:`,
+      error.message,
+      error.stack
+    );
+    deny("authorization failed");
+  }
+};
+
+// Topic ACL for publishes. A rejected publish closes the client connection
+// (MQTT-3.3.5-2). Chat messages must go to the topic shared with the
+// receiver, who has to be a mutual follower and must not be blocked.
+aedes.authorizePublish = async (client, packet, callback) => {
+  const userId = client?.user?._id?.toString();
+  const deny = (reason) => {
+    console.warn(`Publish to ${packet.topic} denied for ${userId}: ${reason}`);
+    callback(new Error(`Not authorized to publish to ${packet.topic}`));
+  };
+
+  try {
+    if (!userId) return deny("not authenticated");
+
+    const userTopic = USER_TOPIC.exec(packet.topic);
+    if (userTopic) {
+      return userTopic[1] === userId ? callback(null) : deny("not the owner");
+    }
+
+    const conversationTopicMatch = CONVERSATION_TOPIC.exec(packet.topic);
+    if (conversationTopicMatch) {
+      const member = await getConversationMember(
+        conversationTopicMatch[1],
+        userId
+      );
+      if (!member) return deny("not a member");
+
+      // marks the packet as client sent so authorizeForward holds it back
+      packet.clientId = client.id;
+      return callback(null);
+    }
+
+    const chatEvent = CHAT_EVENT_TOPIC.exec(packet.topic);
+    if (chatEvent) {
+      const eventPeerId = getChatPeer(chatEvent[1], userId);
+      if (!eventPeerId) return deny("topic not allowed");
+      if (await isBlockedBetween(userId, eventPeerId)) {
+        return deny("user blocked");
+      }
+      return callback(null);
+    }
+
+    const conversationEvent = CONVERSATION_EVENT_TOPIC.exec(packet.topic);
+    if (conversationEvent) {
+      const member = await getConversationMember(conversationEvent[1], userId);
+      return member ? callback(null) : deny("not a member");
+    }
+
+    const peerId = getChatPeer(packet.topic, userId);
+    if (!peerId) return deny("topic not allowed");
+
+    let messageData;
+    try {
+      messageData = JSON.parse(packet.payload.toString());
+    } catch (error) {
+      return deny("invalid payload");
+    }
+    if (messageData?.receiver?._id?.toString() !== peerId) {
+      return deny("receiver does not match topic");
+    }
+
+    const [areMutualFollowers, blocked] = await Promise.all([
+      checkMutualFollow(userId, peerId),
+      isBlockedBetween(userId, peerId),
+    ]);
+    if (!areMutualFollowers) return deny("not mutual followers");
+    if (blocked) return deny("user blocked");
+
+    callback(null);
+  } catch (error) {
+    console.error(
+      `Error authorizing publish for ${userId}:`,
+      error.message,
+      error.stack
+    );
+    deny("authorization failed");
+  }
+};
+
+// Members only get group messages after they are stored, from the server's
+// own publish in handleConversationMessage, never the raw client packet
+aedes.authorizeForward = (client, packet) => {
+  if (packet.clientId && CONVERSATION_TOPIC.test(packet.topic)) return null;
+  return packet;
+};
+
+// Store a group message and fan it out to the members
+async function handleConversationMessage(packet, client) {
+  const userId = client.user._id.toString();
+  const conversationId = CONVERSATION_TOPIC.exec(packet.topic)[1];
+
+  const messageData = JSON.parse(packet.payload.toString());
+  const attachments = sanitizeAttachments(
+    messageData?.attachments,
+    client.user.email
+  );
+  const text =
+    typeof messageData?.message === "string" ? messageData.message : "";
+  if (!text && attachments.length === 0) {
+    console.warn("Invalid group message data: missing message");
+    return;
+  }
+
+  // sender details come from the membership, not from the payload
+  const member = await getConversationMember(conversationId, userId);
+  if (!member) return;
+
+  const chatMessage = new ChatMessage({
+    sender: {
+      _id: userId,
+      email: member.email,
+      name: member.name,
+      picture: member.picture || "",
+    },
+    conversationId,
+    message: text,
+    attachments,
+    replyTo: await resolveReplyTo(messageData.replyTo, { conversationId }),
+    read: false,
+  });
+  await chatMessage.save();
+
+  await Conversation.updateOne(
+    { _id: conversationId, "members._id": userId },
+    {
+      $set: {
+        lastMessageAt: chatMessage.createdAt,
+        "members.$.lastReadAt": chatMessage.createdAt,
+        "members.$.lastReadMessageId": chatMessage._id.toString(),
+      },
+    }
+  );
+
+  const [message] = await withReplyPreviews([
+    await serializeMessage(chatMessage),
+  ]);
+  publishToConversation(aedes, conversationId, {
+    type: "new_message",
+    conversationId,
+    clientMessageId: messageData.clientMessageId,
+    message,
+  });
+}
+
+// Relay typing and receipt events. The ACL already checked that the user
+// takes part in the chat; the payload only carries the event itself.
+async function handleChatEvent(packet, client) {
+  const userId = client.user._id.toString();
+  const data = JSON.parse(packet.payload.toString());
+
+  const chatEvent = CHAT_EVENT_TOPIC.exec(packet.topic);
+  if (chatEvent) {
+    const [, chatTopic, event] = chatEvent;
+    const peerId = getChatPeer(chatTopic, userId);
+
+    if (event === "typing") {
+      aedes.publish({
+        topic: `user/${peerId}/messages`,
+        payload: JSON.stringify({
+          type: "typing",
+          chatTopic,
+          userId,
+          typing: data?.typing !== false,
+          expiresIn: TYPING_TIMEOUT_MS,
+        }),
+        qos: 0,
+      });
+      return;
+    }
+
+    if (!RECEIPT_STATUSES.includes(data?.status)) return;
+    if (!Array.isArray(data.messageIds)) return;
+    await applyReceipt(aedes, data.status, {
+      userId,
+      peerId,
+      messageIds: data.messageIds,
+    });
+    return;
+  }
+
+  const [, conversationId, event] = CONVERSATION_EVENT_TOPIC.exec(
+    packet.topic
+  );
+
+  if (event === "typing") {
+    publishToConversation(aedes, conversationId, {
+      type: "typing",
+      conversationId,
+      userId,
+      typing: data?.typing !== false,
+      expiresIn: TYPING_TIMEOUT_MS,
+    });
+    return;
+  }
+
+  // groups only track reads, through each member's read pointer
+  if (data?.status !== "read" || !isValidObjectId(data.messageId)) return;
+  const message = await ChatMessage.findOne({
+    _id: data.messageId,
+    conversationId,
+  })
+    .select("_id createdAt")
+    .lean();
+  if (message) {
+    await markConversationRead(aedes, conversationId, userId, message);
+  }
+}
+
 // Handle client connections
 aedes.on("client", async (client) => {
   if (!client.user?._id) {
@@ -156,6 +514,24 @@ aedes.on("client", async (client) => {
     );
   }
 
+  // Group conversations the user is a member of
+  try {
+    const conversations = await Conversation.find({ "members._id": userId })
+      .select("_id")
+      .lean();
+    personalTopics.push(
+      ...conversations.map((conversation) =>
+        conversationTopic(conversation._id)
+      )
+    );
+  } catch (error) {
+    console.error(
+      `Error loading conversations for ${userId}:`,
+      error.message,
+      error.stack
+    );
+  }
+
   for (const topic of personalTopics) {
     console.log(`Subscribing client ${userId} to topic: ${topic}`);
     client.subscribe({ topic, qos: 0 }, () => {});
@@ -182,8 +558,22 @@ aedes.on("clientDisconnect", (client) => {
 
   const userId = client.user._id;
   console.log(`Client disconnected: ${userId}, client ID: ${client.id}`);
+
+  // the user stays online while another of their devices is connected
+  const otherClient = Object.values(aedes.clients).find(
+    (other) => other !== client && other.user?._id === userId
+  );
+  if (otherClient) {
+    onlineClients.set(userId, otherClient.id);
+    return;
+  }
   onlineClients.delete(userId);
 
+  const lastSeen = new Date();
+  User.updateOne({ _id: userId }, { $set: { lastSeen } }).catch((error) =>
+    console.error(`Error saving last seen for ${userId}:`, error.message)
+  );
+
   // Publish offline status
   console.log(`Publishing offline status for ${userId}`);
   aedes.publish({
@@ -191,7 +581,7 @@ aedes.on("clientDisconnect", (client) => {
     payload: JSON.stringify({
       userId,
       status: "offline",
-      timestamp: new Date(),
+      timestamp: lastSeen,
     }),
   });
 });
@@ -207,30 +597,39 @@ aedes.on("publish", async (packet, client) => {
   console.log(`Processing publish from ${userId} on topic: ${packet.topic}`);
 
   // Handle chat messages
-  if (packet.topic.startsWith("chat/")) {
+  if (CHAT_TOPIC.test(packet.topic)) {
     try {
       console.log(`Parsing chat message payload: ${packet.payload.toString()}`);
       const messageData = JSON.parse(packet.payload.toString());
 
-      if (!messageData?.receiver?._id || !messageData?.message) {
+      // a message needs text, attachments or both
+      const attachments = sanitizeAttachments(
+        messageData?.attachments,
+        client.user.email
+      );
+      const text =
+        typeof messageData?.message === "string" ? messageData.message : "";
+      if (!messageData?.receiver?._id || (!text && attachments.length === 0)) {
         console.warn("Invalid message data: missing receiver ID or message");
         return;
       }
 
+      // authorizePublish already checked the topic, follows and blocks
       const receiverId = messageData.receiver._id;
       console.log(`Processing message from ${userId} to ${receiverId}`);
 
-      // Check mutual follow before processing message
-      const areMutualFollowers = await checkMutualFollow(userId, receiverId);
-      if (!areMutualFollowers) {
-        console.warn(
-          `Users ${userId} and ${receiverId} are not mutual followers, message rejected`
-        );
+      // the receiver's details come from their account, not the payload:
+      // the notification email goes to this address
+      const receiver = await User.findById(receiverId)
+        .select("email name picture")
+        .lean();
+      if (!receiver) {
+        console.warn(`Message receiver ${receiverId} not found`);
         return;
       }
 
       // Save message to file
-      await saveChatData(userId, receiverId, messageData.message);
+      await saveChatData(userId, receiverId, text);
       console.log(`Chat data saved for ${userId} to ${receiverId}`);
 
       // Create chat message in database
@@ -243,22 +642,27 @@ aedes.on("publish", async (packet, client) => {
         },
         receiver: {
           _id: receiverId,
-          email: messageData.receiver.email,
-          name: messageData.receiver.name || "",
-          picture: messageData.receiver.picture || "",
+          email: receiver.email,
+          name: receiver.name || "",
+          picture: receiver.picture || "",
         },
-        message: messageData.message,
+        message: text,
+        attachments,
+        replyTo: await resolveReplyTo(messageData.replyTo, {
+          userIds: [userId.toString(), receiverId],
+        }),
         read: false,
       });
 
       await chatMessage.save();
       console.log(`Chat message saved to database, ID: ${chatMessage._id}`);
 
-      // Create notification
-      const notification = new Notification({
+      // Create notification, unless the receiver turned message
+      // notifications off
+      const notification = await notify({
         recipient: {
           _id: receiverId,
-          email: messageData.receiver.email,
+          email: receiver.email,
         },
         sender: {
           _id: userId,
@@ -274,25 +678,26 @@ aedes.on("publish", async (packet, client) => {
         },
       });
 
-      await notification.save();
-      console.log(
-        `Notification created for ${receiverId}, ID: ${notification._id}`
-      );
+      if (notification) {
+        console.log(
+          `Notification created for ${receiverId}, ID: ${notification._id}`
+        );
 
-      // Publish notification
-      console.log(`Publishing notification to ${receiverId}`);
-      aedes.publish({
-        topic: `user/${receiverId}/notifications`,
-        payload: JSON.stringify(notification),
-      });
+        // Publish notification
+        console.log(`Publishing notification to ${receiverId}`);
+        aedes.publish({
+          topic: `user/${receiverId}/notifications`,
+          payload: JSON.stringify(notification),
+        });
+      }
 
       // Send message update
+      const [message] = await withReplyPreviews([
+        await serializeMessage(chatMessage),
+      ]);
       const messageUpdate = {
         type: "new_message",
-        message: {
-          ...chatMessage.toObject(),
-          message: messageData.message,
-        },
+        message,
       };
 
       [userId, receiverId].forEach((id) => {
@@ -310,6 +715,35 @@ aedes.on("publish", async (packet, client) => {
       );
     }
   }
+
+  // Handle typing indicators and receipts
+  if (
+    CHAT_EVENT_TOPIC.test(packet.topic) ||
+    CONVERSATION_EVENT_TOPIC.test(packet.topic)
+  ) {
+    try {
+      await handleChatEvent(packet, client);
+    } catch (error) {
+      console.error(
+        `Error processing chat event from ${userId} on topic ${packet.topic}:`,
+        error.message,
+        error.stack
+      );
+    }
+  }
+
+  // Handle group messages
+  if (CONVERSATION_TOPIC.test(packet.topic)) {
+    try {
+      await handleConversationMessage(packet, client);
+    } catch (error) {
+      console.error(
+        `Error processing group message from ${userId} on topic ${packet.topic}:`,
+        error.message,
+        error.stack
+      );
+    }
+  }
 });
 
 module.exports = aedes;
@@ -0,0 +1,15 @@
+const transporter = require("../../config/Mailer");
+const JobQueue = require("../queue/jobQueue");
+
+JobQueue.registerHandler("email.send", (mail) => transporter.sendMail(mail));
+
+// Hand an email (nodemailer message options) to the worker, which retries
+// it if the mail server is unavailable
+const queueEmail = (mail) =>
+  JobQueue.enqueue("email.send", mail, { attempts: 5, backoffMs: 30 * 1000 });
+
+// Send an email right away, for mail that must not sit in the queue
+// (one-time codes)
+const sendEmailNow = (mail) => transporter.sendMail(mail);
+
+module.exports = { queueEmail, sendEmailNow };
@@ -1,5 +1,10 @@
 const { firebaseAdmin } = require("../../config/firebaseAdmin");
 const User = require("../../modules/user/user.model");
+const JobQueue = require("../queue/jobQueue");
+
+// users per push.multicast job, keeping each multicast well under FCM's
+// 500 tokens per request
+const MULTICAST_BATCH = 100;
 
 class FCMHandler {
   static async sendToUser(userId, notification) {
@@ -107,6 +112,30 @@ class FCMHandler {
     }
   }
 
+  // Send from the worker instead of the request; same arguments as
+  // sendToUser
+  static async queueToUser(userId, notification) {
+    return JobQueue.enqueue("push.user", {
+      userId: userId.toString(),
+      notification,
+    });
+  }
+
+  // Fan a push out to many users as jobs of MULTICAST_BATCH users each
+  static async queueToMultipleUsers(userIds, notification) {
+    const ids = userIds.map((id) => id.toString());
+    const jobs = [];
+    for (let i = 0; i < ids.length; i += MULTICAST_BATCH) {
+      jobs.push(
+        await JobQueue.enqueue("push.multicast", {
+          userIds: ids.slice(i, i + MULTICAST_BATCH),
+          notification,
+        })
+      );
+    }
+    return jobs;
+  }
+
   static _getChannelId(type) {
     const highPriorityTypes = ["message", "like", "comment"];
     return highPriorityTypes.includes(type)
@@ -305,4 +334,11 @@ class FCMHandler {
   }
 }
 
+JobQueue.registerHandler("push.user", ({ userId, notification }) =>
+  FCMHandler.sendToUser(userId, notification)
+);
+JobQueue.registerHandler("push.multicast", ({ userIds, notification }) =>
+  FCMHandler.sendToMultipleUsers(userIds, notification)
+);
+
 module.exports = FCMHandler;
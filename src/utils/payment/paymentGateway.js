@@ -0,0 +1,282 @@
+const Payment = require("../../modules/payments/payment.model");
+const FakePaymentProvider = require("./providers/fakeProvider");
+
+const providers = new Map();
+const fulfillments = new Map();
+
+// A provider implements:
+//   createIntent({ amount, currency, referenceId, description, payer })
+//     -> { providerRef, checkoutUrl?, clientSecret? }
+//   verifyWebhook(req) -> { type: "succeeded" | "failed" | "refunded", providerRef, amount?, reason? }
+//   refund({ providerRef, amount, reason }) -> { refundRef, amount, status }
+//   cancelIntent({ providerRef }) (optional) -> stops the intent being paid
+//
+// A fulfillment is registered per payment purpose by the module that owns it
+// and is called once per state change: onSucceeded, onFailed, onRefunded.
+class PaymentGateway {
+  static registerProvider(provider) {
+    providers.set(provider.name, provider);
+  }
+
+  static hasProvider(name) {
+    return providers.has(name);
+  }
+
+  static getProvider(name) {
+    const providerName = name || process.env.PAYMENT_PROVIDER;
+    if (!providerName) {
+      throw new Error("No payment provider configured (PAYMENT_PROVIDER)");
+    }
+    const provider = providers.get(providerName);
+    if (!provider) {
+      throw new Error(`Unknown payment provider: ${providerName}`);
+    }
+    return provider;
+  }
+
+  static registerFulfillment(purpose, handlers) {
+    fulfillments.set(purpose, handlers);
+  }
+
+  static async createPayment({
+    purpose,
+    referenceId,
+    amount,
+    currency,
+    payer,
+    description,
+    provider: providerName,
+  }) {
+    const provider = this.getProvider(providerName);
+
+    const intent = await provider.createIntent({
+      amount,
+      currency,
+      referenceId,
+      description,
+      payer,
+    });
+
+    const payment = new Payment({
+      purpose,
+      referenceId: referenceId.toString(),
+      description,
+      payer: {
+        _id: payer._id.toString(),
+        email: payer.email,
+        name: payer.name,
+      },
+      amount,
+      currency,
+      provider: provider.name,
+      providerRef: intent.providerRef,
+      checkoutUrl: intent.checkoutUrl,
+      clientSecret: intent.clientSecret,
+    });
+    await payment.save();
+
+    return payment;
+  }
+
+  static async findLatest(purpose, referenceId) {
+    return Payment.findOne({
+      purpose,
+      referenceId: referenceId.toString(),
+    }).sort({ createdAt: -1 });
+  }
+
+  static async handleWebhook(providerName, req) {
+    const provider = this.getProvider(providerName);
+    const event = provider.verifyWebhook(req);
+    return this.applyEvent(provider.name, event);
+  }
+
+  // Moves the payment to its new state and runs the fulfillment. Duplicate
+  // deliveries are ignored because each transition is guarded on the old status.
+  static async applyEvent(providerName, event) {
+    const payment = await Payment.findOne({
+      provider: providerName,
+      providerRef: event.providerRef,
+    });
+    if (!payment) {
+      throw new Error(`Payment not found for ${event.providerRef}`);
+    }
+
+    if (
+      event.type === "succeeded" &&
+      ["failed", "cancelled"].includes(payment.status)
+    ) {
+      return this.refundLateSuccess(payment, event);
+    }
+
+    const transitions = {
+      succeeded: {
+        from: "pending",
+        set: { status: "succeeded", paidAt: new Date() },
+        hook: "onSucceeded",
+      },
+      failed: {
+        from: "pending",
+        set: { status: "failed", failureReason: event.reason },
+        hook: "onFailed",
+      },
+      refunded: {
+        from: "succeeded",
+        set: { status: "refunded", refundedAmount: payment.amount },
+        hook: "onRefunded",
+      },
+    };
+    const transition = transitions[event.type];
+    if (!transition) {
+      throw new Error(`Unsupported payment event: ${event.type}`);
+    }
+
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: transition.from },
+      {
+        $set: transition.set,
+        $push: { events: { type: event.type, payload: event.payload } },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return { payment, applied: false };
+    }
+
+    await this.fulfill(updated, transition.hook, event);
+    return { payment: updated, applied: true };
+  }
+
+  // Money for a payment given up on our side (cancelled, or its hold ran
+  // out) is recorded and handed straight back; the record it paid for is
+  // gone, so no fulfillment runs
+  static async refundLateSuccess(payment, event) {
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: payment.status },
+      {
+        $set: { status: "succeeded", paidAt: new Date() },
+        $push: { events: { type: event.type, payload: event.payload } },
+      },
+      { new: true }
+    );
+    if (!updated) return { payment, applied: false };
+
+    const refunded = await this.refund(updated, {
+      reason: "Paid after the payment was given up",
+    });
+    return { payment: refunded, applied: true };
+  }
+
+  // Gives up on a pending payment whose record was cancelled. The caller
+  // updates its own record; a success arriving later is refunded.
+  static async cancel(payment, { reason } = {}) {
+    const cancelled = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "pending" },
+      {
+        $set: { status: "cancelled", failureReason: reason },
+        $push: { events: { type: "cancelled", payload: { reason } } },
+      },
+      { new: true }
+    );
+    if (!cancelled) return null;
+
+    const provider = this.getProvider(payment.provider);
+    if (provider.cancelIntent) {
+      try {
+        await provider.cancelIntent({ providerRef: payment.providerRef });
+      } catch (error) {
+        console.error(`Failed to cancel payment ${payment._id}:`, error);
+      }
+    }
+    return cancelled;
+  }
+
+  // Runs the purpose's fulfillment hook; its failures are logged, the
+  // payment's state change stands
+  static async fulfill(payment, hook, event) {
+    const handler = fulfillments.get(payment.purpose)?.[hook];
+    if (!handler) {
+      console.warn(`No ${hook} fulfillment for ${payment.purpose}`);
+      return;
+    }
+    try {
+      await handler(payment, event);
+    } catch (error) {
+      console.error(
+        `Payment fulfillment ${hook} failed for ${payment._id}:`,
+        error
+      );
+    }
+  }
+
+  // Refunds part or all of a settled payment. Callers update their own
+  // records; `fulfill` runs the purpose's onRefunded once the payment is
+  // fully refunded, for callers that don't own the record (admins).
+  static async refund(payment, { amount, reason, fulfill = false } = {}) {
+    if (payment.status !== "succeeded") {
+      throw new Error("Only succeeded payments can be refunded");
+    }
+
+    const remaining = payment.amount - (payment.refundedAmount || 0);
+    const refundAmount = Math.min(amount ?? remaining, remaining);
+    if (refundAmount <= 0) {
+      throw new Error("Nothing left to refund");
+    }
+
+    // Count the refund before asking the provider, so two refunds at once
+    // can't both pass the check above
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: "succeeded",
+        refundedAmount: { $lte: payment.amount - refundAmount },
+      },
+      { $inc: { refundedAmount: refundAmount } },
+      { new: true }
+    );
+    if (!reserved) {
+      throw new Error("The payment changed meanwhile, please retry");
+    }
+
+    let result;
+    try {
+      const provider = this.getProvider(payment.provider);
+      result = await provider.refund({
+        providerRef: payment.providerRef,
+        amount: refundAmount,
+        reason,
+      });
+    } catch (error) {
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $inc: { refundedAmount: -refundAmount } }
+      );
+      throw error;
+    }
+
+    const fullyRefunded = reserved.refundedAmount >= payment.amount;
+    const refunded = await Payment.findOneAndUpdate(
+      { _id: payment._id },
+      {
+        ...(fullyRefunded && { $set: { status: "refunded" } }),
+        $push: {
+          refunds: { refundRef: result.refundRef, amount: refundAmount, reason },
+        },
+      },
+      { new: true }
+    );
+
+    if (fulfill && fullyRefunded) {
+      await this.fulfill(refunded, "onRefunded", { type: "refunded", reason });
+    }
+    return refunded;
+  }
+}
+
+// The fake provider settles payments on request, so it only exists where
+// it has been switched on explicitly (development and tests)
+if (process.env.PAYMENT_FAKE_PROVIDER === "true") {
+  PaymentGateway.registerProvider(new FakePaymentProvider());
+}
+
+module.exports = PaymentGateway;
@@ -0,0 +1,79 @@
+const crypto = require("crypto");
+
+// Local provider that never talks to a real gateway. Intents are settled by
+// posting a signed webhook, which makes it usable in development and tests.
+// Only registered when PAYMENT_FAKE_PROVIDER=true.
+class FakePaymentProvider {
+  constructor(options = {}) {
+    this.name = "fake";
+    this.secret = options.secret || process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!this.secret) {
+      throw new Error("The fake payment provider needs PAYMENT_WEBHOOK_SECRET");
+    }
+  }
+
+  async createIntent({ amount, currency, referenceId }) {
+    const providerRef = `fake_pi_${crypto.randomBytes(12).toString("hex")}`;
+    return {
+      providerRef,
+      clientSecret: `${providerRef}_secret_${crypto
+        .randomBytes(8)
+        .toString("hex")}`,
+      checkoutUrl: `/api/v1/payments/fake/${providerRef}/complete`,
+      amount,
+      currency,
+      referenceId,
+    };
+  }
+
+  async refund({ providerRef, amount }) {
+    return {
+      refundRef: `fake_re_${crypto.randomBytes(12).toString("hex")}`,
+      providerRef,
+      amount,
+      status: "succeeded",
+    };
+  }
+
+  sign(body) {
+    const payload = typeof body === "string" ? body : JSON.stringify(body);
+    return crypto.createHmac("sha256", this.secret).update(payload).digest("hex");
+  }
+
+  // Returns a normalized { type, providerRef, amount, reason } event or throws
+  verifyWebhook(req) {
+    const signature = req.headers?.["x-fake-signature"];
+    const raw = req.rawBody ? req.rawBody.toString() : JSON.stringify(req.body);
+
+    if (!signature) throw new Error("Missing webhook signature");
+
+    const expected = Buffer.from(this.sign(raw));
+    const received = Buffer.from(String(signature));
+    if (
+      expected.length !== received.length ||
+      !crypto.timingSafeEqual(expected, received)
+    ) {
+      throw new Error("Invalid webhook signature");
+    }
+
+    const { type, data } = req.body || {};
+    const types = {
+      "payment.succeeded": "succeeded",
+      "payment.failed": "failed",
+      "payment.refunded": "refunded",
+    };
+    if (!types[type] || !data?.providerRef) {
+      throw new Error("Unsupported webhook event");
+    }
+
+    return {
+      type: types[type],
+      providerRef: data.providerRef,
+      amount: data.amount,
+      reason: data.reason,
+      payload: req.body,
+    };
+  }
+}
+
+module.exports = FakePaymentProvider;
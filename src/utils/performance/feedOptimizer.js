@@ -1,4 +1,5 @@
 const NodeCache = require("node-cache");
+const MediaServer = require("../media/mediaServer");
 
 class FeedOptimizer {
   constructor() {
@@ -186,7 +187,8 @@ class FeedOptimizer {
             .sort({ createdAt: -1 })
             .limit(preloadCount)
             .lean(),
-          Video.find(predictedFilters)
+          // videos still being processed have nothing to play yet
+          Video.find({ ...predictedFilters, processingStatus: "completed" })
             .sort({ createdAt: -1 })
             .limit(Math.floor(preloadCount / 2))
             .lean(),
@@ -258,36 +260,27 @@ class FeedOptimizer {
     return responsive;
   }
 
-  // Advanced video streaming with adaptive bitrate
-  generateVideoStreamingUrls(videoUrl, options = {}) {
-    if (!videoUrl) return null;
+  // Advanced video streaming with adaptive bitrate: the rendition
+  // playlists recorded in `media` (optionally only some `qualities`), or
+  // no renditions and the file itself to play progressively
+  async generateVideoStreamingUrls(videoUrl, options = {}) {
+    const { qualities, media } = options;
+    const streams = MediaServer.describe(videoUrl, media);
+    if (!streams) return null;
 
-    const {
-      enableAdaptive = true,
-      enablePreview = true,
-      qualities = ["360p", "480p", "720p", "1080p"],
-    } = options;
-
-    const basePath = videoUrl.replace(/\.[^/.]+$/, "");
+    const available = streams.qualities.filter(
+      (quality) => !qualities || qualities.includes(quality)
+    );
 
-    const streaming = {
-      hls: `${basePath}/master.m3u8`,
-      dash: `${basePath}/manifest.mpd`,
-      thumbnail: `${basePath}_thumb.jpg`,
-      qualities: {},
+    return {
+      ...streams,
+      qualities: Object.fromEntries(
+        available.map((quality) => [
+          quality,
+          streams.hls.replace(/master\.m3u8$/, `${quality}/playlist.m3u8`),
+        ])
+      ),
     };
-
-    if (enablePreview) {
-      streaming.preview = `${basePath}_preview.gif`;
-    }
-
-    if (enableAdaptive) {
-      qualities.forEach((quality) => {
-        streaming.qualities[quality] = `${basePath}/${quality}/playlist.m3u8`;
-      });
-    }
-
-    return streaming;
   }
 
   // Comprehensive memory monitoring
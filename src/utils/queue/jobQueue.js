@@ -0,0 +1,390 @@
+const crypto = require("crypto");
+const redis = require("../../config/connectQueue");
+
+const handlers = new Map();
+const stalledHandlers = new Map();
+
+// Redis layout: one hash per job plus the lists/sorted sets below that
+// hold job ids by state. Completed jobs stay queryable for a week, without
+// their payload (it can hold email bodies); dead-lettered jobs stay until
+// an admin retries them.
+const KEYS = {
+  job: (id) => `jobs:job:${id}`,
+  waiting: "jobs:waiting",
+  delayed: "jobs:delayed", // score: when to run
+  active: "jobs:active", // score: lock expiry
+  dead: "jobs:dead", // score: when it died
+};
+const JOB_PREFIX = KEYS.job("");
+const STATUSES = ["queued", "delayed", "active", "completed", "dead"];
+const COMPLETED_TTL_SECONDS = 7 * 24 * 3600;
+// a worker that stops renewing its lock for this long is presumed dead
+// and its job goes back to the queue
+const LOCK_MS = 60 * 1000;
+const POLL_MS = 1000;
+
+// Take the oldest waiting job and lock it, in one step so two workers
+// can't claim the same job
+redis.defineCommand("claimJob", {
+  numberOfKeys: 2,
+  lua: `
+    local id = redis.call("RPOP", KEYS[1])
+    if not id then return nil end
+    local key = ARGV[3] .. id
+    redis.call("ZADD", KEYS[2], ARGV[1], id)
+    redis.call("HSET", key, "status", "active", "startedAt", ARGV[2],
+      "updatedAt", ARGV[2])
+    redis.call("HINCRBY", key, "attempts", 1)
+    return id
+  `,
+});
+
+// Store a job and queue it (KEYS[2] is the waiting list, or the delayed
+// set when ARGV[3] has the time to run it). With ARGV[1] set, a job under
+// the same id that is still pending is left as it is; checking and
+// writing in one step keeps two processes from both queueing it.
+redis.defineCommand("addJob", {
+  numberOfKeys: 2,
+  lua: `
+    if ARGV[1] == "1" then
+      local status = redis.call("HGET", KEYS[1], "status")
+      if status and status ~= "completed" and status ~= "dead" then
+        return 0
+      end
+    end
+    redis.call("DEL", KEYS[1])
+    redis.call("HSET", KEYS[1], unpack(ARGV, 4))
+    if ARGV[3] ~= "" then
+      redis.call("ZADD", KEYS[2], ARGV[3], ARGV[2])
+    else
+      redis.call("LPUSH", KEYS[2], ARGV[2])
+    end
+    return 1
+  `,
+});
+
+// Queue delayed jobs that are due, and jobs whose worker stopped
+// renewing its lock. A job that keeps killing its worker is dead-lettered
+// once it runs out of attempts; returns the ids of those.
+redis.defineCommand("promoteJobs", {
+  numberOfKeys: 4,
+  lua: `
+    local dead = {}
+    local due = redis.call("ZRANGEBYSCORE", KEYS[1], "-inf", ARGV[1],
+      "LIMIT", 0, 100)
+    for _, id in ipairs(due) do
+      redis.call("ZREM", KEYS[1], id)
+      redis.call("LPUSH", KEYS[2], id)
+      redis.call("HSET", ARGV[2] .. id, "status", "queued",
+        "updatedAt", ARGV[1])
+    end
+    local stalled = redis.call("ZRANGEBYSCORE", KEYS[3], "-inf", ARGV[1],
+      "LIMIT", 0, 100)
+    for _, id in ipairs(stalled) do
+      local key = ARGV[2] .. id
+      redis.call("ZREM", KEYS[3], id)
+      local attempts = tonumber(redis.call("HGET", key, "attempts") or 0)
+      local maxAttempts = tonumber(redis.call("HGET", key, "maxAttempts") or 1)
+      if attempts >= maxAttempts then
+        redis.call("ZADD", KEYS[4], ARGV[1], id)
+        redis.call("HSET", key, "status", "dead", "error",
+          "Worker stopped while running the job", "updatedAt", ARGV[1])
+        table.insert(dead, id)
+      else
+        redis.call("LPUSH", KEYS[2], id)
+        redis.call("HSET", key, "status", "queued", "updatedAt", ARGV[1])
+      end
+    end
+    return dead
+  `,
+});
+
+const parseJson = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const toJob = (hash) => {
+  if (!hash?.id) return null;
+  const time = (value) => (value ? new Date(Number(value)) : null);
+  return {
+    id: hash.id,
+    type: hash.type,
+    status: hash.status,
+    userId: hash.userId || null,
+    attempts: Number(hash.attempts || 0),
+    maxAttempts: Number(hash.maxAttempts || 1),
+    backoffMs: Number(hash.backoffMs || 0),
+    data: parseJson(hash.data),
+    result: parseJson(hash.result),
+    error: hash.error || null,
+    createdAt: time(hash.createdAt),
+    updatedAt: time(hash.updatedAt),
+    runAt: time(hash.runAt),
+    startedAt: time(hash.startedAt),
+    finishedAt: time(hash.finishedAt),
+  };
+};
+
+// A job dead-lettered by promoteJobs never reached its handler's error
+// handling, so its type gets to clean up here
+const reportStalled = async (id) => {
+  const job = await JobQueue.getJob(id);
+  const onStalled = job && stalledHandlers.get(job.type);
+  if (!onStalled) return;
+  try {
+    await onStalled(job.data, job);
+  } catch (error) {
+    console.error(`Failed to clean up after stalled job ${id}:`, error);
+  }
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Work that runs outside the request in the worker process (worker.js).
+// Modules register a handler per job type, `handler(data, job)`, and
+// enqueue jobs of that type; a failed job is retried with exponential
+// backoff and dead-lettered when it runs out of attempts, or straight
+// away when the handler throws an error with `retryable: false`.
+// `onStalled(data, job)` is called instead when a job is dead-lettered
+// because the worker running it stopped.
+class JobQueue {
+  static registerHandler(type, handler, { onStalled } = {}) {
+    handlers.set(type, handler);
+    if (onStalled) stalledHandlers.set(type, onStalled);
+  }
+
+  // options: jobId (enqueuing an id that is still pending returns the
+  // pending job), userId (who may read its status), attempts, backoffMs
+  // (doubled after each failure), delayMs
+  static async enqueue(type, data, options = {}) {
+    const {
+      jobId,
+      userId,
+      attempts = 3,
+      backoffMs = 5000,
+      delayMs = 0,
+    } = options;
+    const id = jobId || crypto.randomUUID();
+
+    const now = Date.now();
+    const runAt = now + delayMs;
+    const hash = {
+      id,
+      type,
+      status: delayMs > 0 ? "delayed" : "queued",
+      userId: userId ? userId.toString() : "",
+      attempts: 0,
+      maxAttempts: Math.max(attempts, 1),
+      backoffMs,
+      data: JSON.stringify(data ?? null),
+      createdAt: now,
+      updatedAt: now,
+      runAt,
+    };
+
+    const added = await redis.addJob(
+      KEYS.job(id),
+      delayMs > 0 ? KEYS.delayed : KEYS.waiting,
+      jobId ? "1" : "0",
+      id,
+      delayMs > 0 ? runAt : "",
+      ...Object.entries(hash).flat()
+    );
+    if (!added) return this.getJob(id);
+
+    return toJob(hash);
+  }
+
+  static async getJob(id) {
+    return toJob(await redis.hgetall(KEYS.job(id)));
+  }
+
+  // Most recent jobs in a state, e.g. the dead-letter list
+  static async listJobs(status, { skip = 0, limit = 20 } = {}) {
+    let ids;
+    if (status === "queued") {
+      ids = await redis.lrange(KEYS.waiting, skip, skip + limit - 1);
+    } else if (["delayed", "active", "dead"].includes(status)) {
+      ids = await redis.zrevrange(KEYS[status], skip, skip + limit - 1);
+    } else {
+      throw new Error(`Cannot list ${status} jobs`);
+    }
+
+    const jobs = await Promise.all(ids.map((id) => this.getJob(id)));
+    return jobs.filter(Boolean);
+  }
+
+  static async countJobs() {
+    const [queued, delayed, active, dead] = await Promise.all([
+      redis.llen(KEYS.waiting),
+      redis.zcard(KEYS.delayed),
+      redis.zcard(KEYS.active),
+      redis.zcard(KEYS.dead),
+    ]);
+    return { queued, delayed, active, dead };
+  }
+
+  // Give a dead-lettered job a fresh set of attempts
+  static async retryJob(id) {
+    const removed = await redis.zrem(KEYS.dead, id);
+    if (!removed) return null;
+
+    const key = KEYS.job(id);
+    const now = Date.now();
+    await redis
+      .multi()
+      .hset(key, {
+        status: "queued",
+        attempts: 0,
+        error: "",
+        updatedAt: now,
+        runAt: now,
+      })
+      .persist(key)
+      .lpush(KEYS.waiting, id)
+      .exec();
+
+    return this.getJob(id);
+  }
+
+  static async runJob(id) {
+    const job = await this.getJob(id);
+    if (!job) {
+      await redis.zrem(KEYS.active, id);
+      return;
+    }
+
+    // keep the lock while the handler runs
+    const renewLock = setInterval(() => {
+      redis
+        .zadd(KEYS.active, "XX", Date.now() + LOCK_MS, id)
+        .catch((error) => console.error(`Failed to renew job ${id}:`, error));
+    }, LOCK_MS / 3);
+
+    let result;
+    let failure;
+    try {
+      const handler = handlers.get(job.type);
+      if (!handler) throw new Error(`No handler for job type ${job.type}`);
+      result = await handler(job.data, job);
+    } catch (error) {
+      failure = error;
+    } finally {
+      clearInterval(renewLock);
+    }
+
+    // the lock expired and the job was handed to another worker
+    if (!(await redis.zrem(KEYS.active, id))) {
+      console.warn(`Job ${id} was taken over by another worker`);
+      return;
+    }
+
+    const key = KEYS.job(id);
+    const now = Date.now();
+    if (!failure) {
+      await redis
+        .multi()
+        .hset(key, {
+          status: "completed",
+          result: JSON.stringify(result ?? null),
+          error: "",
+          finishedAt: now,
+          updatedAt: now,
+        })
+        .hdel(key, "data")
+        .expire(key, COMPLETED_TTL_SECONDS)
+        .exec();
+      return;
+    }
+
+    console.error(
+      `Job ${id} (${job.type}) failed on attempt ${job.attempts}:`,
+      failure
+    );
+    if (job.attempts < job.maxAttempts && failure.retryable !== false) {
+      const runAt = now + job.backoffMs * Math.pow(2, job.attempts - 1);
+      await redis
+        .multi()
+        .hset(key, {
+          status: "delayed",
+          error: failure.message,
+          runAt,
+          updatedAt: now,
+        })
+        .zadd(KEYS.delayed, runAt, id)
+        .exec();
+    } else {
+      await redis
+        .multi()
+        .hset(key, {
+          status: "dead",
+          error: failure.message,
+          finishedAt: now,
+          updatedAt: now,
+        })
+        .zadd(KEYS.dead, now, id)
+        .exec();
+    }
+  }
+
+  // Run jobs until stop() is called; stop() resolves once the jobs in
+  // hand have finished
+  static startWorker({ concurrency = 1 } = {}) {
+    let stopped = false;
+
+    const promote = setInterval(() => {
+      redis
+        .promoteJobs(
+          KEYS.delayed,
+          KEYS.waiting,
+          KEYS.active,
+          KEYS.dead,
+          Date.now(),
+          JOB_PREFIX
+        )
+        .then((dead) => Promise.all(dead.map(reportStalled)))
+        .catch((error) => console.error("Failed to promote jobs:", error));
+    }, POLL_MS);
+
+    const runner = async () => {
+      while (!stopped) {
+        try {
+          const now = Date.now();
+          const id = await redis.claimJob(
+            KEYS.waiting,
+            KEYS.active,
+            now + LOCK_MS,
+            now,
+            JOB_PREFIX
+          );
+          if (id) {
+            await this.runJob(id);
+          } else {
+            await sleep(POLL_MS);
+          }
+        } catch (error) {
+          console.error("Job worker error:", error);
+          await sleep(POLL_MS);
+        }
+      }
+    };
+    const runners = Array.from({ length: concurrency }, runner);
+
+    return {
+      stop: async () => {
+        stopped = true;
+        clearInterval(promote);
+        await Promise.all(runners);
+      },
+    };
+  }
+}
+
+JobQueue.STATUSES = STATUSES;
+
+module.exports = JobQueue;
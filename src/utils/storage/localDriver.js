@@ -0,0 +1,98 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const mime = require("mime-types");
+
+const notFound = (key) =>
+  Object.assign(new Error(`No such file: ${key}`), { code: "ENOENT" });
+
+// Files on disk under `root` (the project folder by default), so a key
+// "uploads/a@b.c/x.jpg" is also the path express serves it from.
+// Signed urls carry an HMAC of the key and expiry; whatever serves them
+// checks it with verifySignedUrl.
+class LocalDriver {
+  constructor({ root = process.cwd(), secret } = {}) {
+    this.root = path.resolve(root);
+    this.secret = secret;
+  }
+
+  localPath(key) {
+    const fullPath = path.resolve(this.root, key);
+    if (!fullPath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  }
+
+  // `body` is a Buffer, a string or a readable stream
+  async put(key, body) {
+    const filePath = this.localPath(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    if (body instanceof Readable) {
+      await pipeline(body, fs.createWriteStream(filePath));
+    } else {
+      await fsp.writeFile(filePath, body);
+    }
+    const { size } = await fsp.stat(filePath);
+    return { key, size };
+  }
+
+  // Readable stream of the file, or of bytes start..end (inclusive)
+  async get(key, { start, end } = {}) {
+    const filePath = this.localPath(key);
+    const stats = await fsp.stat(filePath).catch(() => null);
+    if (!stats?.isFile()) throw notFound(key);
+    return fs.createReadStream(filePath, { start, end });
+  }
+
+  async stat(key) {
+    const stats = await fsp.stat(this.localPath(key)).catch(() => null);
+    if (!stats?.isFile()) return null;
+    return {
+      size: stats.size,
+      lastModified: stats.mtime,
+      contentType: mime.lookup(key) || "application/octet-stream",
+      etag: `"${stats.size.toString(16)}-${stats.mtimeMs.toString(16)}"`,
+    };
+  }
+
+  async delete(key) {
+    await fsp.rm(this.localPath(key), { force: true });
+  }
+
+  // Remove every file whose key starts with `prefix` ("uploads/a@b.c/")
+  async deletePrefix(prefix) {
+    await fsp.rm(this.localPath(prefix), { recursive: true, force: true });
+  }
+
+  sign(key, expires) {
+    return crypto
+      .createHmac("sha256", this.secret)
+      .update(`${key}:${expires}`)
+      .digest("base64url");
+  }
+
+  async signedUrl(key, { expiresIn = 15 * 60 } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const params = new URLSearchParams({
+      expires,
+      signature: this.sign(key, expires),
+    });
+    return `/${key}?${params}`;
+  }
+
+  verifySignedUrl(key, expires, signature) {
+    if (!(Number(expires) * 1000 > Date.now())) return false;
+    if (typeof signature !== "string") return false;
+    const expected = Buffer.from(this.sign(key, expires));
+    const given = Buffer.from(signature);
+    return (
+      expected.length === given.length && crypto.timingSafeEqual(expected, given)
+    );
+  }
+}
+
+module.exports = LocalDriver;
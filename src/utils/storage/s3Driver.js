@@ -0,0 +1,286 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const mime = require("mime-types");
+
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+
+// S3 wants RFC 3986 encoding, which also covers !'()*
+const encode = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+const encodeKey = (key) => key.split("/").map(encode).join("/");
+
+const notFound = (key) =>
+  Object.assign(new Error(`No such file: ${key}`), { code: "ENOENT" });
+
+const readBody = async (response) => {
+  const chunks = [];
+  for await (const chunk of response) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+const xmlValues = (xml, tag) =>
+  [...xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, "g"))].map(
+    (match) =>
+      match[1]
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&")
+  );
+
+// Objects in an S3-compatible bucket (AWS S3, MinIO, ...), spoken to
+// directly over HTTP with Signature V4. Path-style addressing
+// (<endpoint>/<bucket>/<key>) is the default since that is what MinIO
+// and most stand-ins expect.
+class S3Driver {
+  constructor({
+    endpoint,
+    region = "us-east-1",
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = true,
+  }) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error(
+        "S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY"
+      );
+    }
+    this.endpoint = new URL(endpoint);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+  }
+
+  host() {
+    return this.forcePathStyle
+      ? this.endpoint.host
+      : `${this.bucket}.${this.endpoint.host}`;
+  }
+
+  pathOf(key = "") {
+    const basePath = this.endpoint.pathname.replace(/\/$/, "");
+    return this.forcePathStyle
+      ? `${basePath}/${this.bucket}/${encodeKey(key)}`
+      : `${basePath}/${encodeKey(key)}`;
+  }
+
+  // Signature V4 for a request, or for a presigned url when `expiresIn`
+  // is given. Returns the signed query string and headers.
+  sign(method, key, { query = {}, payloadHash, expiresIn } = {}) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+
+    const headers = { host: this.host() };
+    const params = { ...query };
+    if (expiresIn) {
+      Object.assign(params, {
+        "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+        "X-Amz-Credential": `${this.accessKeyId}/${scope}`,
+        "X-Amz-Date": amzDate,
+        "X-Amz-Expires": String(expiresIn),
+        "X-Amz-SignedHeaders": "host",
+      });
+    } else {
+      headers["x-amz-content-sha256"] = payloadHash;
+      headers["x-amz-date"] = amzDate;
+    }
+
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalQuery = Object.keys(params)
+      .sort()
+      .map((name) => `${encode(name)}=${encode(params[name])}`)
+      .join("&");
+    const canonicalRequest = [
+      method,
+      this.pathOf(key),
+      canonicalQuery,
+      signedHeaders.map((name) => `${name}:${headers[name]}\n`).join(""),
+      signedHeaders.join(";"),
+      expiresIn ? UNSIGNED_PAYLOAD : payloadHash,
+    ].join("\n");
+    const stringToSign = [
+      "AWS4-HMAC-SHA256",
+      amzDate,
+      scope,
+      sha256(canonicalRequest),
+    ].join("\n");
+
+    const signingKey = [date, this.region, "s3", "aws4_request"].reduce(
+      (signing, part) => hmac(signing, part),
+      `AWS4${this.secretAccessKey}`
+    );
+    const signature = hmac(signingKey, stringToSign).toString("hex");
+
+    if (expiresIn) {
+      return { query: `${canonicalQuery}&X-Amz-Signature=${signature}` };
+    }
+    headers.authorization =
+      `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`;
+    return { query: canonicalQuery, headers };
+  }
+
+  // Send a signed request; resolves with the response stream. `body` is
+  // a Buffer or a stream of `contentLength` bytes.
+  request(method, key, options = {}) {
+    const { query, body, contentLength, headers: extraHeaders } = options;
+    let payloadHash = sha256("");
+    if (Buffer.isBuffer(body)) payloadHash = sha256(body);
+    else if (body) payloadHash = UNSIGNED_PAYLOAD;
+    const signed = this.sign(method, key, { query, payloadHash });
+    const client = this.endpoint.protocol === "https:" ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request({
+        method,
+        protocol: this.endpoint.protocol,
+        hostname: this.forcePathStyle
+          ? this.endpoint.hostname
+          : `${this.bucket}.${this.endpoint.hostname}`,
+        port: this.endpoint.port,
+        path: `${this.pathOf(key)}${signed.query ? `?${signed.query}` : ""}`,
+        headers: {
+          ...extraHeaders,
+          ...signed.headers,
+          ...(body ? { "content-length": contentLength ?? body.length } : {}),
+        },
+      });
+      req.on("response", resolve);
+      req.on("error", reject);
+      if (body instanceof Readable) {
+        pipeline(body, req).catch(reject);
+      } else {
+        req.end(body);
+      }
+    });
+  }
+
+  async failed(response, key) {
+    const body = await readBody(response);
+    const [code] = xmlValues(body, "Code");
+    return new Error(
+      `S3 ${response.statusCode} for ${key}: ${code || body.slice(0, 200)}`
+    );
+  }
+
+  // `body` is a Buffer, a string or a readable stream. S3 needs the size
+  // up front, so streams (multer uploads) are spooled to a temp file.
+  async put(key, body, { contentType } = {}) {
+    const headers = {
+      "content-type":
+        contentType || mime.lookup(key) || "application/octet-stream",
+    };
+
+    if (!(body instanceof Readable)) {
+      const buffer = Buffer.from(body);
+      const response = await this.request("PUT", key, {
+        body: buffer,
+        headers,
+      });
+      if (response.statusCode !== 200) throw await this.failed(response, key);
+      response.resume();
+      return { key, size: buffer.length };
+    }
+
+    const spoolDir = await fsp.mkdtemp(path.join(os.tmpdir(), "s3-put-"));
+    const spoolPath = path.join(spoolDir, "body");
+    try {
+      await pipeline(body, fs.createWriteStream(spoolPath));
+      const { size } = await fsp.stat(spoolPath);
+      const response = await this.request("PUT", key, {
+        body: fs.createReadStream(spoolPath),
+        contentLength: size,
+        headers,
+      });
+      if (response.statusCode !== 200) throw await this.failed(response, key);
+      response.resume();
+      return { key, size };
+    } finally {
+      await fsp.rm(spoolDir, { recursive: true, force: true });
+    }
+  }
+
+  // Readable stream of the object, or of bytes start..end (inclusive)
+  async get(key, { start, end } = {}) {
+    const ranged = start !== undefined || end !== undefined;
+    const response = await this.request("GET", key, {
+      headers: ranged ? { range: `bytes=${start ?? 0}-${end ?? ""}` } : {},
+    });
+    if (response.statusCode === 404) {
+      response.resume();
+      throw notFound(key);
+    }
+    if (![200, 206].includes(response.statusCode)) {
+      throw await this.failed(response, key);
+    }
+    return response;
+  }
+
+  async stat(key) {
+    const response = await this.request("HEAD", key);
+    response.resume();
+    if (response.statusCode === 404) return null;
+    if (response.statusCode !== 200) {
+      throw new Error(`S3 ${response.statusCode} for ${key}`);
+    }
+    const { headers } = response;
+    return {
+      size: Number(headers["content-length"]),
+      lastModified: new Date(headers["last-modified"]),
+      contentType: headers["content-type"] || "application/octet-stream",
+      etag: headers.etag,
+    };
+  }
+
+  async delete(key) {
+    const response = await this.request("DELETE", key);
+    if (![200, 204, 404].includes(response.statusCode)) {
+      throw await this.failed(response, key);
+    }
+    response.resume();
+  }
+
+  // Remove every object whose key starts with `prefix` ("uploads/a@b.c/")
+  async deletePrefix(prefix) {
+    let continuationToken;
+    do {
+      const query = { "list-type": "2", prefix };
+      if (continuationToken) query["continuation-token"] = continuationToken;
+      const response = await this.request("GET", "", { query });
+      if (response.statusCode !== 200) throw await this.failed(response, "");
+      const xml = await readBody(response);
+
+      for (const key of xmlValues(xml, "Key")) {
+        await this.delete(key);
+      }
+      [continuationToken] = xmlValues(xml, "NextContinuationToken");
+    } while (continuationToken);
+  }
+
+  async signedUrl(key, { expiresIn = 15 * 60 } = {}) {
+    const { query } = this.sign("GET", key, { expiresIn });
+    const origin = `${this.endpoint.protocol}//${this.host()}`;
+    return `${origin}${this.pathOf(key)}?${query}`;
+  }
+}
+
+module.exports = S3Driver;
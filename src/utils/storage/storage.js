@@ -0,0 +1,211 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const mime = require("mime-types");
+const { pipeline } = require("stream/promises");
+const driver = require("../../config/connectStorage");
+
+// Top-level folders uploads are kept under; a key always starts with one
+const ROOTS = ["uploads", "courses", "certificates"];
+
+// The single byte range a Range header asks for, as { start, end }
+// (inclusive). null means send the whole file: no header, a unit other
+// than bytes, or several ranges. false means it can't be satisfied.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+  if (!match || size === 0) return null;
+  const [, first, last] = match;
+  if (!first && !last) return null;
+
+  let start;
+  let end;
+  if (!first) {
+    // "bytes=-500" is the last 500 bytes
+    start = Math.max(size - Number(last), 0);
+    end = size - 1;
+  } else {
+    start = Number(first);
+    end = last ? Math.min(Number(last), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) return false;
+  return { start, end };
+};
+
+// An If-Range holds the ETag or date of the copy the client has part of;
+// the range only applies if that is still the current file
+const rangeApplies = (ifRange, file) => {
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+    return ifRange === file.etag;
+  }
+  return file.lastModified.getTime() <= Date.parse(ifRange);
+};
+
+// Uploaded and generated files, on disk or in a bucket depending on
+// STORAGE_DRIVER (see config/connectStorage). Files are addressed by key,
+// e.g. "uploads/a@b.c/videos/video-1.mp4"; documents store the url
+// "/uploads/a@b.c/videos/video-1.mp4", which works with either driver.
+class Storage {
+  static driver = driver;
+
+  static put(key, body, options) {
+    return driver.put(key, body, options);
+  }
+
+  static get(key, range) {
+    return driver.get(key, range);
+  }
+
+  static stat(key) {
+    return driver.stat(key);
+  }
+
+  static delete(key) {
+    return driver.delete(key);
+  }
+
+  static deletePrefix(prefix) {
+    return driver.deletePrefix(prefix);
+  }
+
+  static signedUrl(key, options) {
+    return driver.signedUrl(key, options);
+  }
+
+  // Only urls from the local driver come back to us to be checked; S3
+  // checks its own presigned urls
+  static verifySignedUrl(key, expires, signature) {
+    if (!driver.verifySignedUrl) return false;
+    return driver.verifySignedUrl(key, expires, signature);
+  }
+
+  // Delete the file behind a stored url
+  static async deleteUrl(fileUrl) {
+    const key = this.keyFromUrl(fileUrl);
+    if (!key) throw new Error(`Not a stored file: ${fileUrl}`);
+    await driver.delete(key);
+  }
+
+  static url(key) {
+    return `/${key}`;
+  }
+
+  // The key behind a stored url, or null when it doesn't point inside
+  // one of the storage roots. Urls with "." or ".." segments are refused
+  // rather than resolved, so callers can check the key's prefix knowing
+  // it is where the file really is ("/uploads/a@b.c/../x@y.z/1.jpg").
+  static keyFromUrl(fileUrl) {
+    if (typeof fileUrl !== "string" || !fileUrl.startsWith("/")) return null;
+    const segments = fileUrl.split("?")[0].split("/").slice(1);
+    if (
+      segments.length < 2 ||
+      !ROOTS.includes(segments[0]) ||
+      segments.some((segment) => [".", ".."].includes(segment)) ||
+      segments.at(-1) === ""
+    ) {
+      return null;
+    }
+    return segments.filter(Boolean).join("/");
+  }
+
+  // Run `fn` with the file at a path on disk, for tools like ffmpeg that
+  // need one: the file itself with the local driver, a temporary download
+  // otherwise. With `saveOutputs`, files `fn` writes next to the copy are
+  // stored next to the original.
+  static async withLocalCopy(key, fn, { saveOutputs = false } = {}) {
+    if (driver.localPath) return fn(driver.localPath(key));
+
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), "storage-"));
+    const copyPath = path.join(workDir, path.posix.basename(key));
+    try {
+      await pipeline(await driver.get(key), fs.createWriteStream(copyPath));
+      const result = await fn(copyPath);
+
+      if (saveOutputs) {
+        const keyDir = path.posix.dirname(key);
+        const entries = await fsp.readdir(workDir, {
+          recursive: true,
+          withFileTypes: true,
+        });
+        for (const entry of entries) {
+          const folder = entry.parentPath ?? entry.path;
+          const filePath = path.join(folder, entry.name);
+          if (!entry.isFile() || filePath === copyPath) continue;
+          const relative = path.relative(workDir, filePath).replace(/\\/g, "/");
+          await driver.put(
+            `${keyDir}/${relative}`,
+            fs.createReadStream(filePath)
+          );
+        }
+      }
+      return result;
+    } finally {
+      await fsp.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // Stream a file as the response to `req`: ETag and Last-Modified for
+  // conditional requests (304) and a Range header honoured (206), unless
+  // an If-Range says the client's copy is stale. Resolves to false, with
+  // nothing sent, when there is no such file.
+  static async send(req, res, key, { contentType, cacheControl } = {}) {
+    const file = await driver.stat(key);
+    if (!file) return false;
+
+    res.setHeader("Accept-Ranges", "bytes");
+    res.setHeader(
+      "Content-Type",
+      contentType || mime.lookup(key) || file.contentType
+    );
+    if (file.etag) res.setHeader("ETag", file.etag);
+    if (!isNaN(file.lastModified)) {
+      res.setHeader("Last-Modified", file.lastModified.toUTCString());
+    }
+    if (cacheControl) res.setHeader("Cache-Control", cacheControl);
+
+    if (req.fresh) {
+      res.status(304).end();
+      return true;
+    }
+
+    let range = parseRange(req.headers.range, file.size);
+    if (range !== null && !rangeApplies(req.headers["if-range"], file)) {
+      range = null;
+    }
+    if (range === false) {
+      res.setHeader("Content-Range", `bytes */${file.size}`);
+      res.status(416).end();
+      return true;
+    }
+
+    if (range) {
+      res.status(206);
+      res.setHeader(
+        "Content-Range",
+        `bytes ${range.start}-${range.end}/${file.size}`
+      );
+      res.setHeader("Content-Length", range.end - range.start + 1);
+    } else {
+      res.status(200);
+      res.setHeader("Content-Length", file.size);
+    }
+    if (req.method === "HEAD") {
+      res.end();
+      return true;
+    }
+
+    const stream = await driver.get(key, range || {});
+    try {
+      await pipeline(stream, res);
+    } catch (error) {
+      // the client went away mid-download; anything else is worth a log
+      if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        console.error(`Error streaming ${key}:`, error);
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = Storage;
@@ -0,0 +1,95 @@
+const StorageUsage = require("../../modules/user/storageUsage.model");
+
+const GB = 1024 * 1024 * 1024;
+
+// Bytes of uploads each role may keep; null is unlimited. Unknown roles
+// get the user quota.
+const ROLE_QUOTAS = {
+  admin: null,
+  editor: 20 * GB,
+  vendor: 5 * GB,
+  user: 2 * GB,
+};
+
+// Per-user storage quotas for uploads under uploads/<email>/. `owner` is
+// the uploading user ({ _id, email, role }); the quota is their own
+// quotaBytes when an admin set one, their role's otherwise.
+class StorageQuota {
+  static limitFor(role, usage) {
+    if (typeof usage?.quotaBytes === "number") return usage.quotaBytes;
+    return role in ROLE_QUOTAS ? ROLE_QUOTAS[role] : ROLE_QUOTAS.user;
+  }
+
+  static async usage(owner) {
+    const usage = await StorageUsage.findOne({
+      "owner.email": owner.email,
+    }).lean();
+    const usedBytes = usage?.usedBytes || 0;
+    const quotaBytes = this.limitFor(owner.role, usage);
+    return {
+      usedBytes,
+      quotaBytes,
+      remainingBytes:
+        quotaBytes === null ? null : Math.max(quotaBytes - usedBytes, 0),
+    };
+  }
+
+  static async hasRoom(owner) {
+    const { remainingBytes } = await this.usage(owner);
+    return remainingBytes === null || remainingBytes > 0;
+  }
+
+  // Count `size` more bytes against the owner, unless that would take
+  // them over their quota. Resolves to whether it was counted.
+  static async reserve(owner, size) {
+    const usage = await StorageUsage.findOneAndUpdate(
+      { "owner.email": owner.email },
+      { $setOnInsert: { "owner._id": owner._id?.toString() } },
+      { upsert: true, new: true }
+    ).lean();
+
+    const limit = this.limitFor(owner.role, usage);
+    const filter = { _id: usage._id };
+    // checked in the update so concurrent uploads can't overshoot
+    if (limit !== null) filter.usedBytes = { $lte: limit - size };
+    const { matchedCount } = await StorageUsage.updateOne(filter, {
+      $inc: { usedBytes: size },
+    });
+    return matchedCount === 1;
+  }
+
+  // Give back the bytes of a deleted upload, by its storage key
+  static async release(key, size) {
+    const [root, email] = key.split("/");
+    if (root !== "uploads" || !email || !size) return;
+    await StorageUsage.updateOne({ "owner.email": email }, [
+      {
+        $set: {
+          usedBytes: { $max: [0, { $subtract: ["$usedBytes", size] }] },
+        },
+      },
+    ]);
+  }
+
+  // Admin override of a user's quota; null goes back to the role's
+  static async setQuota(owner, quotaBytes) {
+    await StorageUsage.updateOne(
+      { "owner.email": owner.email },
+      {
+        $set: { quotaBytes },
+        $setOnInsert: { "owner._id": owner._id?.toString() },
+      },
+      { upsert: true }
+    );
+    return this.usage(owner);
+  }
+
+  // Forget a user's usage once their uploads are erased
+  static async reset(email) {
+    await StorageUsage.deleteOne({ "owner.email": email });
+  }
+}
+
+StorageQuota.ROLE_QUOTAS = ROLE_QUOTAS;
+
+module.exports = StorageQuota;
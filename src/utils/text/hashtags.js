@@ -0,0 +1,32 @@
+// A tag starts after whitespace or punctuation so urls like /page#section
+// and html entities like &#39; are not picked up
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&/#])#([\p{L}\p{N}_]{1,50})/gu;
+const MAX_HASHTAGS = 30;
+
+// Tags are stored lowercased and without the leading "#"
+const normalizeHashtag = (tag = "") =>
+  String(tag).trim().replace(/^#+/, "").toLowerCase();
+
+const isValidHashtag = (tag) => /^[\p{L}\p{N}_]{1,50}$/u.test(tag);
+
+// Unique tags found in the given texts, in order of first appearance.
+// Purely numeric tags (#1, #2024) are ignored.
+const extractHashtags = (...texts) => {
+  const tags = new Set();
+  for (const text of texts) {
+    if (!text) continue;
+    for (const match of String(text).matchAll(HASHTAG_PATTERN)) {
+      const tag = normalizeHashtag(match[2]);
+      if (!/^\d+$/.test(tag)) tags.add(tag);
+    }
+  }
+  return [...tags].slice(0, MAX_HASHTAGS);
+};
+
+module.exports = {
+  HASHTAG_PATTERN,
+  MAX_HASHTAGS,
+  normalizeHashtag,
+  isValidHashtag,
+  extractHashtags,
+};
@@ -0,0 +1,19 @@
+const { isValidObjectId } = require("mongoose");
+
+// Clients insert mentions as @[Display Name](userId)
+const MENTION_PATTERN = /@\[([^\]]{1,100})\]\(([a-f0-9]{24})\)/gi;
+const MAX_MENTIONS = 10;
+
+// Unique, valid user ids mentioned in the text plus any ids sent alongside it
+const extractMentionIds = (text = "", extraIds = []) => {
+  const ids = new Set();
+  for (const match of String(text).matchAll(MENTION_PATTERN)) {
+    ids.add(match[2].toLowerCase());
+  }
+  for (const id of Array.isArray(extraIds) ? extraIds : []) {
+    if (isValidObjectId(id)) ids.add(String(id).toLowerCase());
+  }
+  return [...ids].slice(0, MAX_MENTIONS);
+};
+
+module.exports = { MENTION_PATTERN, MAX_MENTIONS, extractMentionIds };
@@ -0,0 +1,202 @@
+// Paid course enrollment through the app's routes (src/App.js) and the
+// payment gateway's "course" fulfillment. Models are mocked, so no
+// database or Redis is needed.
+const {
+  describe,
+  test,
+  before,
+  after,
+  beforeEach,
+  mock,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+const SRC = path.join(__dirname, "..", "src");
+process.env.JWT_SECRET = "course-enrollment-test-secret";
+process.env.PAYMENT_PROVIDER = "fake";
+process.env.PAYMENT_FAKE_PROVIDER = "true";
+process.env.PAYMENT_WEBHOOK_SECRET = "course-enrollment-test-webhook";
+
+// Connections the app's imports open when they load
+const stubModule = (file, exports) => {
+  const filename = require.resolve(path.join(SRC, file));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+stubModule("config/firebaseAdmin.js", { firebaseAdmin: {} });
+stubModule("config/connectRedis.js", {});
+
+// Anything left unmocked fails at once instead of waiting for a database
+mongoose.set("bufferCommands", false);
+
+const App = require(path.join(SRC, "App"));
+const PaymentGateway = require(path.join(SRC, "utils/payment/paymentGateway"));
+const User = require(path.join(SRC, "modules/user/user.model"));
+const Course = require(path.join(SRC, "modules/courses/courses.model"));
+const Enrollment = require(path.join(SRC, "modules/courses/enrollment.model"));
+const Payment = require(path.join(SRC, "modules/payments/payment.model"));
+
+const STUDENT = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Student",
+  email: "student@test.dev",
+  role: "user",
+};
+const COURSE_ID = new mongoose.Types.ObjectId();
+
+const resolved = (value) => Promise.resolve(value);
+// A query that can be narrowed with select() before lean()
+const query = (value) => ({
+  select() {
+    return this;
+  },
+  lean: () => resolved(value),
+  then: (resolve, reject) => resolved(value).then(resolve, reject),
+});
+
+const paidCourse = () =>
+  new Course({
+    _id: COURSE_ID,
+    title: "Paid course",
+    description: "A course that costs money",
+    price: { usd: 25, npr: 3300 },
+    thumbnail: "/courses/public/thumb.jpg",
+    categoryId: new mongoose.Types.ObjectId(),
+    author: { _id: "author", email: "author@test.dev" },
+    lessons: [{ title: "One", videos: [{ title: "Intro", videoUrl: "/v" }] }],
+  });
+
+let server;
+let baseUrl;
+let savedEnrollments;
+let savedPayments;
+
+const enroll = (body = { phone: "9800000000", location: "Kathmandu" }) =>
+  fetch(`${baseUrl}/api/v1/courses/${COURSE_ID}/enroll`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${jwt.sign(
+        { _id: STUDENT._id.toString() },
+        process.env.JWT_SECRET
+      )}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  App(app);
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  savedEnrollments = [];
+  savedPayments = [];
+  mock.restoreAll();
+  mock.method(User, "findById", () => query(STUDENT));
+  mock.method(Enrollment, "findOne", () => resolved(null));
+  mock.method(Enrollment.prototype, "save", function () {
+    savedEnrollments.push(this);
+    return resolved(this);
+  });
+  mock.method(Payment.prototype, "save", function () {
+    savedPayments.push(this);
+    return resolved(this);
+  });
+});
+
+describe("POST /courses/:courseId/enroll", () => {
+  test("holds a paid course until it is paid for", async () => {
+    mock.method(Course, "findById", () => query(paidCourse()));
+
+    const response = await enroll();
+    assert.equal(response.status, 201);
+    const { data } = await response.json();
+
+    assert.equal(data.enrollment.status, "suspended");
+    assert.equal(data.enrollment.paymentInfo.paymentStatus, "pending");
+    assert.equal(data.enrollment.progress.totalVideos, 1);
+    assert.equal(data.payment.provider, "fake");
+    assert.equal(savedPayments[0].purpose, "course");
+    assert.equal(
+      savedPayments[0].referenceId,
+      savedEnrollments[0]._id.toString()
+    );
+  });
+
+  test("drops the enrollment when the payment can't be created", async () => {
+    mock.method(Course, "findById", () => query(paidCourse()));
+    const removed = mock.method(Enrollment, "deleteOne", () => resolved({}));
+    mock.method(PaymentGateway, "createPayment", () =>
+      Promise.reject(new Error("Provider unavailable"))
+    );
+
+    const response = await enroll();
+    assert.equal(response.status, 500);
+    assert.equal(removed.mock.callCount(), 1);
+    assert.deepEqual(removed.mock.calls[0].arguments[0], {
+      _id: savedEnrollments[0]._id,
+    });
+  });
+
+  test("asks for a phone number and location", async () => {
+    const response = await enroll({});
+    assert.equal(response.status, 400);
+  });
+});
+
+describe("course payment fulfillment", () => {
+  test("activates the enrollment once the payment succeeds", async () => {
+    const enrollment = new Enrollment({
+      student: {
+        _id: STUDENT._id.toString(),
+        email: STUDENT.email,
+        name: STUDENT.name,
+        phone: "9800000000",
+        location: "Kathmandu",
+      },
+      course: { _id: COURSE_ID.toString(), title: "Paid course" },
+      status: "suspended",
+      paymentInfo: { amount: 25, currency: "USD", paymentStatus: "pending" },
+    });
+    const payment = new Payment({
+      purpose: "course",
+      referenceId: enrollment._id.toString(),
+      payer: { _id: STUDENT._id.toString(), email: STUDENT.email },
+      amount: 25,
+      currency: "USD",
+      provider: "fake",
+      providerRef: "fake_pi_test",
+    });
+
+    mock.method(Payment, "findOne", () => resolved(payment));
+    mock.method(Payment, "findOneAndUpdate", () =>
+      resolved(Object.assign(payment, { status: "succeeded" }))
+    );
+    mock.method(Enrollment, "findById", () => resolved(enrollment));
+    // no course left to announce the enrollment to
+    mock.method(Course, "findById", () => query(null));
+
+    const { applied } = await PaymentGateway.applyEvent("fake", {
+      type: "succeeded",
+      providerRef: "fake_pi_test",
+    });
+
+    assert.equal(applied, true);
+    assert.equal(enrollment.status, "active");
+    assert.equal(enrollment.paymentInfo.paymentStatus, "completed");
+    assert.equal(enrollment.paymentInfo.transactionId, "fake_pi_test");
+  });
+});
@@ -0,0 +1,317 @@
+// Topic ACLs of the MQTT broker (src/utils/mqtt/mqttHandler.js), exercised
+// with real MQTT clients connected to the broker in this process. Models
+// are mocked, so no database or Redis is needed.
+const {
+  describe,
+  test,
+  before,
+  after,
+  beforeEach,
+  mock,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const mqtt = require("mqtt");
+
+const SRC = path.join(__dirname, "..", "src");
+process.env.JWT_SECRET = "mqtt-acl-test-secret";
+
+// Connections the broker's imports open when they load
+const stubModule = (file, exports) => {
+  const filename = require.resolve(path.join(SRC, file));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+stubModule("config/firebaseAdmin.js", { firebaseAdmin: {} });
+stubModule("config/connectRedis.js", {});
+
+// Anything left unmocked fails at once instead of waiting for a database
+mongoose.set("bufferCommands", false);
+
+// the broker keeps chat files under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "mqtt-acl-"));
+process.chdir(workDir);
+
+const aedes = require(path.join(SRC, "utils/mqtt/mqttHandler"));
+const Follow = require(path.join(SRC, "modules/follow/follow.model"));
+const Block = require(path.join(SRC, "modules/user/block.model"));
+const User = require(path.join(SRC, "modules/user/user.model"));
+const Session = require(path.join(SRC, "modules/user/session.model"));
+const ChatMessage = require(path.join(SRC, "modules/chat/chat.model"));
+const Conversation = require(path.join(SRC, "modules/chat/conversation.model"));
+
+const ALICE = "a".repeat(24);
+const BOB = "b".repeat(24);
+const CAROL = "c".repeat(24);
+const GROUP = "d".repeat(24);
+const CHAT_AB = `chat/${ALICE}/${BOB}`;
+const QUIET_MS = 300;
+
+// The state the mocked models answer from
+let follows;
+let blocks;
+let groupMembers;
+let revokedSessions;
+let saveMessage;
+
+const resolved = (value) => Promise.resolve(value);
+const lean = (value) => ({ lean: () => resolved(value) });
+
+const mockModels = () => {
+  mock.method(Follow, "findOne", (filter) =>
+    resolved(
+      follows.has(`${filter["follower._id"]}>${filter["following._id"]}`)
+        ? { _id: "follow" }
+        : null
+    )
+  );
+  mock.method(Block, "exists", (filter) =>
+    resolved(
+      filter.$or.some((pair) =>
+        blocks.has(`${pair["blocker._id"]}>${pair["blocked._id"]}`)
+      )
+        ? { _id: "block" }
+        : null
+    )
+  );
+  mock.method(Conversation, "findOne", (filter) => {
+    const userId = filter["members._id"];
+    return lean(
+      filter._id === GROUP && groupMembers.includes(userId)
+        ? { members: [{ _id: userId, email: `${userId}@test.dev`, name: "" }] }
+        : null
+    );
+  });
+  mock.method(Conversation, "find", (filter) => ({
+    select: () =>
+      lean(
+        groupMembers.includes(filter["members._id"]) ? [{ _id: GROUP }] : []
+      ),
+  }));
+  mock.method(Conversation, "updateOne", () => resolved({}));
+  mock.method(Session, "exists", (filter) =>
+    resolved(revokedSessions.has(filter._id) ? null : { _id: filter._id })
+  );
+  mock.method(User, "findById", (id) => ({
+    select: () => lean({ _id: id, email: `${id}@test.dev`, name: "" }),
+  }));
+  mock.method(User, "updateOne", () => resolved({}));
+  mock.method(ChatMessage, "encryptMessage", (text) => resolved(text));
+  mock.method(ChatMessage, "decryptMessage", (text) => resolved(text));
+  mock.method(ChatMessage.prototype, "save", function () {
+    return saveMessage(this);
+  });
+};
+
+let server;
+let port;
+const clients = [];
+
+const tokenFor = (userId, sid) =>
+  jwt.sign(
+    { _id: userId, email: `${userId}@test.dev`, sid },
+    process.env.JWT_SECRET
+  );
+
+const connect = (userId, { sid } = {}) =>
+  new Promise((resolve, reject) => {
+    const client = mqtt.connect(`mqtt://127.0.0.1:${port}`, {
+      username: userId,
+      password: tokenFor(userId, sid),
+      reconnectPeriod: 0,
+    });
+    clients.push(client);
+    client.once("connect", () => resolve(client));
+    client.once("error", reject);
+  });
+
+// The next message on a topic, or null if none arrives in time
+const nextMessage = (client, topic, timeoutMs = QUIET_MS) =>
+  new Promise((resolve) => {
+    const onMessage = (messageTopic, payload) => {
+      if (messageTopic !== topic) return;
+      clearTimeout(timer);
+      client.off("message", onMessage);
+      resolve(JSON.parse(payload.toString()));
+    };
+    const timer = setTimeout(() => {
+      client.off("message", onMessage);
+      resolve(null);
+    }, timeoutMs);
+    client.on("message", onMessage);
+  });
+
+// Resolves true if the broker closes the client's connection
+const closedByBroker = (client, timeoutMs = QUIET_MS) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), timeoutMs);
+    client.once("close", () => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+
+// The QoS the broker grants a subscription, 128 when it refuses it
+const grantedQos = async (client, topic) => {
+  try {
+    const [grant] = await client.subscribeAsync(topic);
+    return grant.qos;
+  } catch (error) {
+    if (!error.packet) throw error;
+    return error.packet.granted[0];
+  }
+};
+
+const chatMessage = (receiverId, message = "hello") =>
+  JSON.stringify({ receiver: { _id: receiverId }, message });
+
+before(async () => {
+  mockModels();
+  server = net.createServer(aedes.handle);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  await Promise.all(clients.map((client) => client.endAsync(true)));
+  await new Promise((resolve) => aedes.close(resolve));
+  await new Promise((resolve) => server.close(resolve));
+  mock.restoreAll();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  follows = new Set([`${ALICE}>${BOB}`, `${BOB}>${ALICE}`]);
+  blocks = new Set();
+  groupMembers = [ALICE, BOB];
+  revokedSessions = new Set();
+  saveMessage = (message) => resolved(message);
+});
+
+describe("subscribe", () => {
+  test("allows the user's own topics", async () => {
+    const alice = await connect(ALICE);
+    assert.equal(await grantedQos(alice, `user/${ALICE}/messages`), 0);
+  });
+
+  test("denies another user's topics", async () => {
+    const alice = await connect(ALICE);
+    for (const topic of ["messages", "notifications", "presence"]) {
+      assert.equal(await grantedQos(alice, `user/${BOB}/${topic}`), 128);
+    }
+  });
+
+  test("rejects wildcards", async () => {
+    const alice = await connect(ALICE);
+    for (const topic of ["#", "user/+/messages", "chat/#", `user/${ALICE}/#`]) {
+      assert.equal(await grantedQos(alice, topic), 128);
+    }
+  });
+
+  test("allows a chat topic only to its two users", async () => {
+    const alice = await connect(ALICE);
+    const carol = await connect(CAROL);
+    assert.equal(await grantedQos(alice, CHAT_AB), 0);
+    assert.equal(await grantedQos(carol, CHAT_AB), 128);
+  });
+
+  test("allows a group topic only to members", async () => {
+    const carol = await connect(CAROL);
+    assert.equal(await grantedQos(carol, `conversation/${GROUP}`), 128);
+  });
+});
+
+describe("chat publish", () => {
+  test("delivers between mutual followers", async () => {
+    const alice = await connect(ALICE);
+    const bob = await connect(BOB);
+    await bob.subscribeAsync(CHAT_AB);
+
+    const received = nextMessage(bob, CHAT_AB);
+    alice.publish(CHAT_AB, chatMessage(BOB));
+    assert.equal((await received)?.message, "hello");
+  });
+
+  test("refuses users who don't follow each other both ways", async () => {
+    follows.delete(`${BOB}>${ALICE}`);
+    const alice = await connect(ALICE);
+    const bob = await connect(BOB);
+    await bob.subscribeAsync(CHAT_AB);
+
+    const received = nextMessage(bob, CHAT_AB);
+    const closed = closedByBroker(alice);
+    alice.publish(CHAT_AB, chatMessage(BOB));
+    assert.equal(await closed, true);
+    assert.equal(await received, null);
+  });
+
+  test("refuses a user who blocked or was blocked by the other", async () => {
+    for (const block of [`${BOB}>${ALICE}`, `${ALICE}>${BOB}`]) {
+      blocks = new Set([block]);
+      const alice = await connect(ALICE);
+      const closed = closedByBroker(alice);
+      alice.publish(CHAT_AB, chatMessage(BOB));
+      assert.equal(await closed, true, `blocked: ${block}`);
+    }
+  });
+
+  test("refuses a receiver other than the topic's peer", async () => {
+    follows.add(`${ALICE}>${CAROL}`).add(`${CAROL}>${ALICE}`);
+    const alice = await connect(ALICE);
+    const closed = closedByBroker(alice);
+    alice.publish(CHAT_AB, chatMessage(CAROL));
+    assert.equal(await closed, true);
+  });
+
+  test("refuses a chat topic the user isn't part of", async () => {
+    const carol = await connect(CAROL);
+    const closed = closedByBroker(carol);
+    carol.publish(CHAT_AB, chatMessage(BOB));
+    assert.equal(await closed, true);
+  });
+});
+
+describe("group publish", () => {
+  test("forwards messages only once they are stored", async () => {
+    let store;
+    const stored = new Promise((resolve) => {
+      saveMessage = (message) => {
+        store = () => resolve(message);
+        return stored;
+      };
+    });
+
+    const alice = await connect(ALICE);
+    const bob = await connect(BOB);
+    const topic = `conversation/${GROUP}`;
+    await bob.subscribeAsync(topic);
+
+    alice.publish(topic, JSON.stringify({ message: "hi all" }));
+    assert.equal(await nextMessage(bob, topic), null);
+
+    const received = nextMessage(bob, topic, 2000);
+    store();
+    const update = await received;
+    assert.equal(update?.type, "new_message");
+    assert.equal(update.message.message, "hi all");
+    assert.equal(update.message.sender._id, ALICE);
+  });
+
+  test("refuses non-members", async () => {
+    const carol = await connect(CAROL);
+    const closed = closedByBroker(carol);
+    carol.publish(`conversation/${GROUP}`, JSON.stringify({ message: "hi" }));
+    assert.equal(await closed, true);
+  });
+});
+
+describe("sessions", () => {
+  test("refuses tokens of revoked sessions", async () => {
+    revokedSessions.add("revoked-session");
+    await assert.rejects(connect(ALICE, { sid: "revoked-session" }));
+  });
+});
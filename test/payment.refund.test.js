@@ -0,0 +1,123 @@
+// Refunds through the payment gateway (src/utils/payment/paymentGateway.js)
+// with the fake provider. The Payment model is mocked.
+const { describe, test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const mongoose = require("mongoose");
+
+const SRC = path.join(__dirname, "..", "src");
+process.env.PAYMENT_FAKE_PROVIDER = "true";
+process.env.PAYMENT_WEBHOOK_SECRET = "payment-refund-test-webhook";
+
+// Anything left unmocked fails at once instead of waiting for a database
+mongoose.set("bufferCommands", false);
+
+const PaymentGateway = require(path.join(SRC, "utils/payment/paymentGateway"));
+const Payment = require(path.join(SRC, "modules/payments/payment.model"));
+
+const resolved = (value) => Promise.resolve(value);
+
+// A payment document whose atomic updates are applied in memory
+let stored;
+const applyUpdate = (filter, update) => {
+  const cap = filter.refundedAmount?.$lte;
+  if (filter.status && stored.status !== filter.status) return null;
+  if (cap !== undefined && stored.refundedAmount > cap) return null;
+
+  if (update.$push?.events) stored.events.push(update.$push.events);
+  stored.refundedAmount += update.$inc?.refundedAmount || 0;
+  Object.assign(stored, update.$set);
+  if (update.$push?.refunds) stored.refunds.push(update.$push.refunds);
+  return stored;
+};
+
+let providerRefunds;
+let refundedHooks;
+
+beforeEach(() => {
+  mock.restoreAll();
+  stored = new Payment({
+    purpose: "refund-test",
+    referenceId: "reference",
+    payer: { _id: "payer", email: "payer@test.dev" },
+    amount: 100,
+    currency: "USD",
+    provider: "fake",
+    providerRef: "fake_pi_refund",
+    status: "succeeded",
+  });
+  mock.method(Payment, "findOneAndUpdate", (filter, update) =>
+    resolved(applyUpdate(filter, update))
+  );
+  mock.method(Payment, "updateOne", (filter, update) =>
+    resolved(applyUpdate(filter, update))
+  );
+
+  providerRefunds = [];
+  const provider = PaymentGateway.getProvider("fake");
+  mock.method(provider, "refund", async ({ amount }) => {
+    providerRefunds.push(amount);
+    return { refundRef: `fake_re_${providerRefunds.length}` };
+  });
+
+  refundedHooks = [];
+  PaymentGateway.registerFulfillment("refund-test", {
+    onRefunded: async (payment) => refundedHooks.push(payment._id),
+  });
+});
+
+describe("PaymentGateway.refund", () => {
+  test("refunds what is left once when two refunds race", async () => {
+    const snapshot = () => new Payment(stored.toObject());
+    const results = await Promise.allSettled([
+      PaymentGateway.refund(snapshot()),
+      PaymentGateway.refund(snapshot()),
+    ]);
+
+    assert.deepEqual(
+      results.map((result) => result.status).sort(),
+      ["fulfilled", "rejected"]
+    );
+    assert.deepEqual(providerRefunds, [100]);
+    assert.equal(stored.refundedAmount, 100);
+    assert.equal(stored.status, "refunded");
+  });
+
+  test("gives the amount back when the provider fails", async () => {
+    mock.method(PaymentGateway.getProvider("fake"), "refund", () =>
+      Promise.reject(new Error("Provider unavailable"))
+    );
+
+    await assert.rejects(PaymentGateway.refund(stored, { amount: 40 }));
+    assert.equal(stored.refundedAmount, 0);
+    assert.equal(stored.status, "succeeded");
+  });
+
+  test("runs onRefunded for full refunds it is asked to fulfill", async () => {
+    await PaymentGateway.refund(stored, { amount: 40, fulfill: true });
+    assert.deepEqual(refundedHooks, []);
+
+    await PaymentGateway.refund(stored, { fulfill: true });
+    assert.deepEqual(providerRefunds, [40, 60]);
+    assert.deepEqual(refundedHooks, [stored._id]);
+  });
+});
+
+describe("PaymentGateway.cancel", () => {
+  test("refunds a payment that succeeds after it was cancelled", async () => {
+    stored.status = "pending";
+    mock.method(Payment, "findOne", () => resolved(stored));
+
+    await PaymentGateway.cancel(stored, { reason: "Registration cancelled" });
+    assert.equal(stored.status, "cancelled");
+
+    const { applied } = await PaymentGateway.applyEvent("fake", {
+      type: "succeeded",
+      providerRef: stored.providerRef,
+    });
+    assert.equal(applied, true);
+    assert.deepEqual(providerRefunds, [100]);
+    assert.equal(stored.status, "refunded");
+    assert.deepEqual(refundedHooks, []);
+  });
+});
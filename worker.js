@@ -0,0 +1,38 @@
+// Background job worker: runs the jobs the API queues (emails, push
+// notifications, media and video processing, certificates, digests, data
+// exports, account cleanup). Run one or more next to the server with
+// `npm run worker`.
+require("dotenv").config();
+const DB = require("./src/config/connectDB");
+const JobQueue = require("./src/utils/queue/jobQueue");
+
+// Job handlers register themselves when their module loads
+require("./src/utils/notification/emailQueue");
+require("./src/utils/notification/fcmHandler");
+require("./src/utils/media/hlsProcessor");
+require("./src/modules/courses/certificate.jobs");
+require("./src/modules/video/video.jobs");
+require("./src/modules/notifications/notification.digest");
+require("./src/modules/contents/contents.cleanup");
+// event.payment-hold and order.payment-hold, and the payment
+// fulfillments they rely on
+require("./src/modules/events/eventRegistration.methods");
+require("./src/modules/shop/order.methods");
+// account.data-export and account.maintenance
+require("./src/modules/user/account.data");
+
+DB();
+
+const worker = JobQueue.startWorker({
+  concurrency: parseInt(process.env.WORKER_CONCURRENCY) || 1,
+});
+console.log("Job worker started");
+
+// Let the jobs in hand finish before exiting
+const shutdown = async () => {
+  console.log("Job worker stopping...");
+  await worker.stop();
+  process.exit(0);
+};
+process.on("SIGTERM", shutdown);
+process.on("SIGINT", shutdown);